@@ -78,9 +78,27 @@ const deleteMultipleFromCloudinary = async (imageUrls) => {
   }
 };
 
+// Upload an in-memory image (e.g. a QR code) and return its public URL.
+// Used where a provider only accepts media by URL (Twilio WhatsApp).
+const uploadBufferToCloudinary = (buffer, { folder = 'sports-club/qr', publicId } = {}) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder, public_id: publicId, resource_type: 'image' },
+      (error, result) => error ? reject(error) : resolve(result.secure_url)
+    );
+    stream.end(buffer);
+  });
+};
+
+const isCloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+
 module.exports = { 
   upload, 
   cloudinary,
   deleteFromCloudinary,
-  deleteMultipleFromCloudinary
+  deleteMultipleFromCloudinary,
+  uploadBufferToCloudinary,
+  isCloudinaryConfigured
 };
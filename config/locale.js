@@ -0,0 +1,76 @@
+const { CLUB_TIMEZONE } = require('./timezone');
+
+// Customer-facing languages (booking.preferredLanguage)
+// Messages in other languages fall back to English string by string.
+const SUPPORTED_LOCALES = ['en', 'te', 'hi'];
+const DEFAULT_LOCALE = 'en';
+
+const LOCALE_NAMES = {
+  en: 'English',
+  te: 'తెలుగు',
+  hi: 'हिन्दी'
+};
+
+// Regional formats (digit grouping, month names) for India
+const INTL_LOCALES = {
+  en: 'en-IN',
+  te: 'te-IN',
+  hi: 'hi-IN'
+};
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+// 'te', 'TE', 'te-IN' -> 'te'; anything unsupported -> DEFAULT_LOCALE
+const resolveLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return isSupportedLocale(language) ? language : DEFAULT_LOCALE;
+};
+
+// ========================================
+// Locale-aware formatting (club timezone, INR)
+// ========================================
+
+// 'long': Monday, 19 October 2026 / 'short': 19 Oct 2026
+const formatDate = (date, locale, style = 'long') => {
+  const options = style === 'long'
+    ? { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }
+    : { day: 'numeric', month: 'short', year: 'numeric' };
+
+  return new Intl.DateTimeFormat(INTL_LOCALES[resolveLocale(locale)], {
+    timeZone: CLUB_TIMEZONE,
+    ...options
+  }).format(new Date(date));
+};
+
+// 19 Oct 2026, 6:30 pm
+const formatDateTime = (date, locale) => {
+  return new Intl.DateTimeFormat(INTL_LOCALES[resolveLocale(locale)], {
+    timeZone: CLUB_TIMEZONE,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(new Date(date));
+};
+
+// ₹1,499 / ₹1,499.50 (paise only when there are any)
+const formatCurrency = (amount, locale) => {
+  const value = Number(amount) || 0;
+  const fractionDigits = Number.isInteger(value) ? 0 : 2;
+
+  return new Intl.NumberFormat(INTL_LOCALES[resolveLocale(locale)], {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(value);
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  isSupportedLocale,
+  resolveLocale,
+  formatDate,
+  formatDateTime,
+  formatCurrency
+};
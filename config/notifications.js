@@ -0,0 +1,26 @@
+// Channels customer messages go out on
+const NOTIFICATION_CHANNELS = ['email', 'whatsapp', 'sms'];
+
+// Channels of a booking whose customer did not choose
+// (DEFAULT_NOTIFICATION_CHANNELS, comma separated, e.g. "email,sms")
+const DEFAULT_NOTIFICATION_CHANNELS = (() => {
+  const channels = (process.env.DEFAULT_NOTIFICATION_CHANNELS || '')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(channel => NOTIFICATION_CHANNELS.includes(channel));
+
+  return channels.length > 0 ? channels : ['email', 'whatsapp'];
+})();
+
+// Kinds of customer message. Transactional ones (tickets, cancellations,
+// one-time codes) always go out; customers can turn the others off per
+// email address / phone number (see contactPreferenceService).
+const MESSAGE_CATEGORIES = ['transactional', 'reminders', 'offers'];
+const OPTIONAL_MESSAGE_CATEGORIES = ['reminders', 'offers'];
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  DEFAULT_NOTIFICATION_CHANNELS,
+  MESSAGE_CATEGORIES,
+  OPTIONAL_MESSAGE_CATEGORIES
+};
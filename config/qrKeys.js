@@ -0,0 +1,63 @@
+// HMAC keys that sign QR tickets, read lazily so dotenv has run.
+// QR_SIGNING_KEYS: comma separated "keyId:secret" pairs. The first key
+// signs new tickets; the others still verify, so tickets issued before a
+// rotation stay valid until their key is removed.
+//   QR_SIGNING_KEYS=2026b:<new secret>,2026a:<old secret>
+// A plain QR_SECRET works as a single key with id "k0".
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+const MIN_SECRET_LENGTH = 32;
+
+let keys = null;
+
+const parseKeys = () => {
+  const configured = process.env.QR_SIGNING_KEYS
+    ? process.env.QR_SIGNING_KEYS.split(',').map(pair => pair.trim()).filter(Boolean)
+    : (process.env.QR_SECRET ? [`k0:${process.env.QR_SECRET}`] : []);
+
+  if (configured.length === 0) {
+    throw new Error('No QR signing key configured - set QR_SIGNING_KEYS (or QR_SECRET)');
+  }
+
+  const parsed = configured.map(pair => {
+    const separator = pair.indexOf(':');
+    const kid = pair.slice(0, separator);
+    const secret = pair.slice(separator + 1);
+
+    if (separator < 1 || !KEY_ID_PATTERN.test(kid)) {
+      throw new Error(`Invalid QR key id in "${kid || pair.slice(0, 8)}..." - use 1-16 letters, digits, _ or -`);
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`QR key "${kid}" is too short - use at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return { kid, secret };
+  });
+
+  if (new Set(parsed.map(key => key.kid)).size !== parsed.length) {
+    throw new Error('Duplicate QR key id in QR_SIGNING_KEYS');
+  }
+
+  return parsed;
+};
+
+const getKeys = () => {
+  if (!keys) keys = parseKeys();
+  return keys;
+};
+
+// Key that signs new tickets
+const getSigningKey = () => getKeys()[0];
+
+// Any active key, by id (null if unknown / retired)
+const getKey = (kid) => getKeys().find(key => key.kid === kid) || null;
+
+// Throws when keys are missing or malformed (checked at startup)
+const assertConfigured = () => {
+  getKeys();
+};
+
+module.exports = {
+  getSigningKey,
+  getKey,
+  assertConfigured
+};
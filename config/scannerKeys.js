@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Ed25519 key that signs the offline gate manifest. Scanner apps fetch the
+// public key once and verify manifest entries without a connection.
+// SCANNER_SIGNING_KEY: PKCS#8 PEM private key ("\n" escapes allowed), e.g.
+//   openssl genpkey -algorithm ed25519
+// Without it a temporary key is generated, so signatures change on restart.
+
+const loadPrivateKey = () => {
+  const pem = process.env.SCANNER_SIGNING_KEY;
+  if (pem) {
+    return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  }
+
+  console.warn('⚠️ SCANNER_SIGNING_KEY not set - using a temporary key for offline manifests');
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+};
+
+const privateKey = loadPrivateKey();
+const publicKey = crypto.createPublicKey(privateKey);
+
+// Raw 32-byte public key (last bytes of the SPKI DER encoding)
+const rawPublicKey = publicKey.export({ type: 'spki', format: 'der' }).subarray(-32);
+const KEY_ID = crypto.createHash('sha256').update(rawPublicKey).digest('hex').slice(0, 16);
+
+const sign = (payload) => crypto.sign(null, Buffer.from(payload), privateKey).toString('base64url');
+
+const verify = (payload, signature) => {
+  return crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64url'));
+};
+
+const getPublicKey = () => ({
+  kid: KEY_ID,
+  alg: 'Ed25519',
+  publicKey: rawPublicKey.toString('base64url'),
+  pem: publicKey.export({ type: 'spki', format: 'pem' })
+});
+
+module.exports = {
+  KEY_ID,
+  sign,
+  verify,
+  getPublicKey
+};
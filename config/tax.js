@@ -0,0 +1,16 @@
+// GST settings of the club (supplier details printed on tax invoices)
+// Per-category rates live in the TaxRate collection; these defaults apply
+// to categories without an entry.
+module.exports = {
+  // Supplier
+  CLUB_LEGAL_NAME: process.env.CLUB_LEGAL_NAME || process.env.APP_NAME || 'Sports Club',
+  CLUB_GSTIN: process.env.CLUB_GSTIN || '',
+  CLUB_ADDRESS: process.env.CLUB_ADDRESS || '',
+  // State of registration - decides CGST/SGST vs IGST
+  CLUB_STATE: process.env.CLUB_STATE || '',
+
+  // Defaults (SAC 9996: recreational, cultural and sporting services)
+  DEFAULT_GST_RATE: Number(process.env.DEFAULT_GST_RATE || 18),
+  DEFAULT_SAC_CODE: process.env.DEFAULT_SAC_CODE || '9996',
+  DEFAULT_PRICE_INCLUDES_TAX: process.env.PRICES_INCLUDE_GST !== 'false'
+};
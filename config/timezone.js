@@ -0,0 +1,108 @@
+// Club timezone helpers
+// All calendar-day logic (slot inventory, booking numbers, "today" checks)
+// follows the club's configured timezone instead of the server's.
+const CLUB_TIMEZONE = process.env.CLUB_TIMEZONE || 'Asia/Kolkata';
+
+const dateKeyFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: CLUB_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const weekdayFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: CLUB_TIMEZONE,
+  weekday: 'long'
+});
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: CLUB_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Convert any date into the club's calendar day as 'YYYY-MM-DD'
+const toDateKey = (date) => {
+  return dateKeyFormatter.format(new Date(date));
+};
+
+// Day of the week at the club ('Monday' ...), as in Activity.availableDays
+const getDayName = (date) => {
+  return weekdayFormatter.format(new Date(date));
+};
+
+// Offset of the club timezone from UTC at a given instant (milliseconds)
+const getTimezoneOffset = (date) => {
+  const parts = {};
+  partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Parse a slot time such as '06:00', '18:30' or '6:30 PM' into minutes after midnight
+const parseTimeOfDay = (time) => {
+  const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+  if (!match) {
+    throw new Error(`Invalid time format: ${time}`);
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] && match[3].toUpperCase();
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  if (hours > 23 || minutes > 59) {
+    throw new Error(`Invalid time format: ${time}`);
+  }
+
+  return hours * 60 + minutes;
+};
+
+// ========================================
+// Club-local date + time -> UTC instant
+// ========================================
+// zonedDateTime('2026-10-20', '06:30') is 06:30 at the club on that day.
+const zonedDateTime = (dateKey, time) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const minutes = parseTimeOfDay(time);
+  const localAsUTC = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Correct for the offset (twice, in case a DST switch lies in between)
+  let instant = localAsUTC - getTimezoneOffset(new Date(localAsUTC));
+  instant = localAsUTC - getTimezoneOffset(new Date(instant));
+
+  return new Date(instant);
+};
+
+// Start / end instants of a booked slot
+const getSlotStart = (bookingDate, timeSlot) => {
+  return zonedDateTime(toDateKey(bookingDate), timeSlot.startTime);
+};
+
+const getSlotEnd = (bookingDate, timeSlot) => {
+  const start = getSlotStart(bookingDate, timeSlot);
+  const end = zonedDateTime(toDateKey(bookingDate), timeSlot.endTime);
+
+  // Slots running past midnight end on the next day
+  return end > start ? end : new Date(end.getTime() + 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  CLUB_TIMEZONE,
+  toDateKey,
+  getDayName,
+  parseTimeOfDay,
+  zonedDateTime,
+  getSlotStart,
+  getSlotEnd
+};
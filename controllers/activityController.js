@@ -1,6 +1,8 @@
 const Activity = require('../models/Activity');
 const mongoose = require('mongoose');
 const { deleteFromCloudinary, deleteMultipleFromCloudinary } = require('../config/cloudinary');
+const inventoryService = require('../services/inventoryService');
+const { toDateKey, getDayName } = require('../config/timezone');
 
 // @desc    Create new activity
 // @route   POST /api/activities
@@ -15,7 +17,7 @@ exports.createActivity = async (req, res) => {
       startDate, endDate, duration, availableDays, timeSlots,
       price, priceUnit, discountPercentage, maxParticipants, maxParticipantsPerSlot,
       minAge, maxAge, prerequisites, inclusions, exclusions, thingsToCarry, 
-      safetyGuidelines, safetyRules, cancellationPolicy, termsAndConditions, 
+      safetyGuidelines, safetyRules, cancellationPolicy, cancellationRules, reschedulePolicy, checkInWindow, noShowPolicy, termsAndConditions, 
       status, organizerName, organizerContact, organizerEmail, 
       latitude, longitude, videoUrl
     } = req.body;
@@ -95,14 +97,16 @@ exports.createActivity = async (req, res) => {
         }
 
         parsedTimeSlots = slots.map((slot, index) => {
-          if (!slot.startTime || !slot.endTime || !slot.availableSpots) {
-            throw new Error(`Time slot ${index + 1}: Missing startTime, endTime, or availableSpots`);
+          const capacity = Number(slot.capacity || slot.availableSpots);
+          if (!slot.startTime || !slot.endTime || !capacity) {
+            throw new Error(`Time slot ${index + 1}: Missing startTime, endTime, or capacity`);
           }
 
           return {
             startTime: String(slot.startTime).trim(),
             endTime: String(slot.endTime).trim(),
-            availableSpots: Number(slot.availableSpots)
+            capacity,
+            availableSpots: capacity
           };
         });
 
@@ -124,6 +128,50 @@ exports.createActivity = async (req, res) => {
       });
     }
 
+    // Parse and validate cancellation rules
+    let parsedCancellationRules = [];
+    try {
+      parsedCancellationRules = parseCancellationRules(cancellationRules);
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cancellation rules: ' + e.message
+      });
+    }
+
+    // Parse and validate reschedule policy
+    let parsedReschedulePolicy;
+    try {
+      parsedReschedulePolicy = parseReschedulePolicy(reschedulePolicy);
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reschedule policy: ' + e.message
+      });
+    }
+
+    // Parse and validate check-in window
+    let parsedCheckInWindow;
+    try {
+      parsedCheckInWindow = parseCheckInWindow(checkInWindow);
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid check-in window: ' + e.message
+      });
+    }
+
+    // Parse and validate no-show policy
+    let parsedNoShowPolicy;
+    try {
+      parsedNoShowPolicy = parseNoShowPolicy(noShowPolicy);
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid no-show policy: ' + e.message
+      });
+    }
+
     // Helper function to safely parse JSON
     const safeParseJSON = (data, fieldName, defaultValue = []) => {
       if (!data) return defaultValue;
@@ -168,6 +216,10 @@ exports.createActivity = async (req, res) => {
       safetyGuidelines: safeParseJSON(safetyGuidelines, 'safetyGuidelines'),
       safetyRules: safetyRules || 'Please follow all safety instructions provided by our trained staff.',
       cancellationPolicy: cancellationPolicy || '',
+      cancellationRules: parsedCancellationRules,
+      reschedulePolicy: parsedReschedulePolicy,
+      checkInWindow: parsedCheckInWindow,
+      noShowPolicy: parsedNoShowPolicy,
       termsAndConditions: termsAndConditions || '',
       status: status || 'Draft',
       images,
@@ -401,11 +453,15 @@ exports.updateActivity = async (req, res) => {
     if (updateData.timeSlots) {
       try {
         const slots = typeof updateData.timeSlots === 'string' ? JSON.parse(updateData.timeSlots) : updateData.timeSlots;
-        updateData.timeSlots = slots.map(slot => ({
-          startTime: String(slot.startTime).trim(),
-          endTime: String(slot.endTime).trim(),
-          availableSpots: Number(slot.availableSpots)
-        }));
+        updateData.timeSlots = slots.map(slot => {
+          const capacity = Number(slot.capacity || slot.availableSpots);
+          return {
+            startTime: String(slot.startTime).trim(),
+            endTime: String(slot.endTime).trim(),
+            capacity,
+            availableSpots: capacity
+          };
+        });
       } catch (e) {
         return res.status(400).json({
           success: false,
@@ -414,6 +470,54 @@ exports.updateActivity = async (req, res) => {
       }
     }
 
+    // Parse cancellation rules
+    if (updateData.cancellationRules !== undefined) {
+      try {
+        updateData.cancellationRules = parseCancellationRules(updateData.cancellationRules);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cancellation rules: ' + e.message
+        });
+      }
+    }
+
+    // Parse reschedule policy
+    if (updateData.reschedulePolicy !== undefined) {
+      try {
+        updateData.reschedulePolicy = parseReschedulePolicy(updateData.reschedulePolicy);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reschedule policy: ' + e.message
+        });
+      }
+    }
+
+    // Parse check-in window
+    if (updateData.checkInWindow !== undefined) {
+      try {
+        updateData.checkInWindow = parseCheckInWindow(updateData.checkInWindow);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid check-in window: ' + e.message
+        });
+      }
+    }
+
+    // Parse no-show policy
+    if (updateData.noShowPolicy !== undefined) {
+      try {
+        updateData.noShowPolicy = parseNoShowPolicy(updateData.noShowPolicy);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid no-show policy: ' + e.message
+        });
+      }
+    }
+
     // Convert numeric fields
     ['duration', 'price', 'discountPercentage', 'maxParticipants', 'maxParticipantsPerSlot', 'minAge', 'maxAge']
       .forEach(field => {
@@ -461,6 +565,11 @@ exports.updateActivity = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Capacity edits apply to dates that already have inventory too
+    if (updateData.timeSlots) {
+      await inventoryService.syncSlotCapacity(updatedActivity);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Activity updated successfully',
@@ -741,7 +850,21 @@ exports.checkAvailability = async (req, res) => {
       });
     }
 
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
     const requestedDate = new Date(date);
+    if (toDateKey(requestedDate) < toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot book for past dates'
+      });
+    }
+
     if (requestedDate < activity.startDate || requestedDate > activity.endDate) {
       return res.status(400).json({
         success: false,
@@ -749,7 +872,31 @@ exports.checkAvailability = async (req, res) => {
       });
     }
 
-    const slot = activity.timeSlots.find(s => s.startTime === timeSlot);
+    const dayName = getDayName(requestedDate);
+    if (!activity.availableDays.includes(dayName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Activity is not available on ${dayName}`,
+        availableDays: activity.availableDays
+      });
+    }
+
+    // Per-date inventory for every slot of the day
+    const slots = await inventoryService.getDailyAvailability(activity, requestedDate);
+
+    // No slot requested - return the whole day
+    if (!timeSlot) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          date,
+          isAvailable: slots.some(s => s.availableSpots > 0),
+          slots
+        }
+      });
+    }
+
+    const slot = slots.find(s => s.startTime === timeSlot);
     if (!slot) {
       return res.status(400).json({
         success: false,
@@ -776,4 +923,122 @@ exports.checkAvailability = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// ========================================
+// HELPER: Parse cancellation rules
+// ========================================
+// Accepts an array (or JSON string from multipart forms) of
+// { hoursBeforeStart, refundPercentage } and returns it sorted with the
+// earliest cancellation window first.
+function parseCancellationRules(data) {
+  if (!data) return [];
+
+  const rules = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!Array.isArray(rules)) {
+    throw new Error('Cancellation rules must be an array');
+  }
+
+  return rules
+    .map((rule, index) => {
+      const hoursBeforeStart = Number(rule.hoursBeforeStart);
+      const refundPercentage = Number(rule.refundPercentage);
+
+      if (isNaN(hoursBeforeStart) || hoursBeforeStart < 0) {
+        throw new Error(`Rule ${index + 1}: hoursBeforeStart must be a non-negative number`);
+      }
+      if (isNaN(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+        throw new Error(`Rule ${index + 1}: refundPercentage must be between 0 and 100`);
+      }
+
+      return { hoursBeforeStart, refundPercentage };
+    })
+    .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+}
+
+// ========================================
+// HELPER: Parse reschedule policy
+// ========================================
+// Accepts an object (or JSON string) of { maxReschedules, cutoffHours }.
+// maxReschedules null/empty means unlimited.
+function parseReschedulePolicy(data) {
+  if (!data) return { maxReschedules: null, cutoffHours: 0 };
+
+  const policy = typeof data === 'string' ? JSON.parse(data) : data;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Reschedule policy must be an object');
+  }
+
+  const hasLimit = policy.maxReschedules !== undefined && policy.maxReschedules !== null && policy.maxReschedules !== '';
+  const maxReschedules = hasLimit ? Number(policy.maxReschedules) : null;
+  const cutoffHours = policy.cutoffHours ? Number(policy.cutoffHours) : 0;
+
+  if (hasLimit && (!Number.isInteger(maxReschedules) || maxReschedules < 0)) {
+    throw new Error('maxReschedules must be a non-negative whole number');
+  }
+  if (isNaN(cutoffHours) || cutoffHours < 0) {
+    throw new Error('cutoffHours must be a non-negative number');
+  }
+
+  return { maxReschedules, cutoffHours };
+}
+
+// ========================================
+// HELPER: Parse check-in window
+// ========================================
+// Accepts an object (or JSON string) of { earlyArrivalMinutes, lateArrivalMinutes }.
+// lateArrivalMinutes null/empty means latecomers get in until the slot ends.
+function parseCheckInWindow(data) {
+  if (!data) return { earlyArrivalMinutes: 30, lateArrivalMinutes: null };
+
+  const window = typeof data === 'string' ? JSON.parse(data) : data;
+  if (typeof window !== 'object' || Array.isArray(window)) {
+    throw new Error('Check-in window must be an object');
+  }
+
+  const hasEarly = window.earlyArrivalMinutes !== undefined && window.earlyArrivalMinutes !== null && window.earlyArrivalMinutes !== '';
+  const hasLate = window.lateArrivalMinutes !== undefined && window.lateArrivalMinutes !== null && window.lateArrivalMinutes !== '';
+  const earlyArrivalMinutes = hasEarly ? Number(window.earlyArrivalMinutes) : 30;
+  const lateArrivalMinutes = hasLate ? Number(window.lateArrivalMinutes) : null;
+
+  if (!Number.isInteger(earlyArrivalMinutes) || earlyArrivalMinutes < 0) {
+    throw new Error('earlyArrivalMinutes must be a non-negative whole number');
+  }
+  if (hasLate && (!Number.isInteger(lateArrivalMinutes) || lateArrivalMinutes < 0)) {
+    throw new Error('lateArrivalMinutes must be a non-negative whole number');
+  }
+
+  return { earlyArrivalMinutes, lateArrivalMinutes };
+}
+
+// ========================================
+// HELPER: Parse no-show policy
+// ========================================
+// Accepts an object (or JSON string) of { action, creditPercentage, creditValidityDays }.
+// action 'Forfeit' keeps the amount; 'Credit' returns creditPercentage of
+// it as a personal voucher.
+function parseNoShowPolicy(data) {
+  if (!data) return { action: 'Forfeit', creditPercentage: 0, creditValidityDays: 90 };
+
+  const policy = typeof data === 'string' ? JSON.parse(data) : data;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('No-show policy must be an object');
+  }
+
+  const action = policy.action || 'Forfeit';
+  if (!['Forfeit', 'Credit'].includes(action)) {
+    throw new Error("action must be 'Forfeit' or 'Credit'");
+  }
+
+  const creditPercentage = action === 'Credit' ? Number(policy.creditPercentage) : 0;
+  const creditValidityDays = policy.creditValidityDays ? Number(policy.creditValidityDays) : 90;
+
+  if (action === 'Credit' && (isNaN(creditPercentage) || creditPercentage <= 0 || creditPercentage > 100)) {
+    throw new Error('creditPercentage must be between 0 and 100');
+  }
+  if (!Number.isInteger(creditValidityDays) || creditValidityDays < 1) {
+    throw new Error('creditValidityDays must be a positive whole number');
+  }
+
+  return { action, creditPercentage, creditValidityDays };
+}
@@ -1,5 +1,9 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
+const emailService = require('../services/emailService');
+
+// Forgot-password / invite emails at most once a minute per account
+const PASSWORD_EMAIL_COOLDOWN_MS = 60 * 1000;
 
 // Generate JWT token
 const generateToken = (id) => {
@@ -13,7 +17,7 @@ const generateToken = (id) => {
 // @access  Private (Super Admin)
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, venue } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -29,7 +33,8 @@ exports.register = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'security' // Default role
+      role: role || 'security', // Default role
+      venue
     });
 
     res.status(201).json({
@@ -39,7 +44,8 @@ exports.register = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        venue: user.venue
       }
     });
   } catch (error) {
@@ -131,7 +137,8 @@ exports.getMe = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        isActive: user.isActive
+        isActive: user.isActive,
+        venue: user.venue
       }
     });
   } catch (error) {
@@ -163,7 +170,7 @@ exports.getAllUsers = async (req, res) => {
     res.status(200).json({
       success: true,
       count: users.length,
-      data: users
+      data: users.map(user => ({ ...user.toObject(), invitePending: user.invitePending }))
     });
   } catch (error) {
     res.status(400).json({
@@ -178,7 +185,7 @@ exports.getAllUsers = async (req, res) => {
 // @access  Private (Super Admin)
 exports.updateUser = async (req, res) => {
   try {
-    const { name, email, role, isActive } = req.body;
+    const { name, email, role, isActive, venue } = req.body;
 
     const user = await User.findById(req.params.id);
 
@@ -194,6 +201,7 @@ exports.updateUser = async (req, res) => {
     user.email = email || user.email;
     user.role = role || user.role;
     user.isActive = isActive !== undefined ? isActive : user.isActive;
+    user.venue = venue !== undefined ? venue : user.venue;
 
     await user.save();
 
@@ -205,7 +213,8 @@ exports.updateUser = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        isActive: user.isActive
+        isActive: user.isActive,
+        venue: user.venue
       }
     });
   } catch (error) {
@@ -243,4 +252,325 @@ exports.deleteUser = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Invite a staff member - emails a one-time set-password link
+// @route   POST /api/auth/invite
+// @access  Private (Super Admin)
+exports.inviteUser = async (req, res) => {
+  try {
+    const { name, email, role, venue } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const userExists = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const user = new User({
+      name,
+      email,
+      role: role || 'security',
+      venue,
+      invitedAt: new Date(),
+      invitedBy: req.user._id
+    });
+    const token = user.createPasswordToken('invite');
+    await user.save();
+
+    const emailResult = await sendPasswordLink(user, token, req.user.name);
+
+    res.status(201).json({
+      success: true,
+      message: emailResult.success
+        ? `Invitation sent to ${user.email}`
+        : 'User created, but the invitation email could not be sent. Please resend it.',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        venue: user.venue,
+        invitePending: true,
+        inviteSent: emailResult.success,
+        inviteExpiresAt: user.passwordTokenExpires
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error inviting user');
+  }
+};
+
+// @desc    Send a new invitation link (the old one stops working)
+// @route   POST /api/auth/users/:id/resend-invite
+// @access  Private (Super Admin)
+exports.resendInvite = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.invitePending) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user has already set a password'
+      });
+    }
+
+    const token = user.createPasswordToken('invite');
+    await user.save();
+
+    const emailResult = await sendPasswordLink(user, token, req.user.name);
+
+    if (!emailResult.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Invitation email could not be sent',
+        error: emailResult.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation sent to ${user.email}`,
+      data: {
+        inviteExpiresAt: user.passwordTokenExpires
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error resending invitation');
+  }
+};
+
+// @desc    Forgot password - emails a one-time reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  // Same answer whether or not the email has an account
+  const response = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() })
+      .select('+passwordTokenPurpose +passwordTokenSentAt');
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(response);
+    }
+
+    if (user.passwordTokenSentAt && Date.now() - user.passwordTokenSentAt.getTime() < PASSWORD_EMAIL_COOLDOWN_MS) {
+      console.log(`⏳ Password email to ${user.email} skipped (sent less than a minute ago)`);
+      return res.status(200).json(response);
+    }
+
+    // Staff who never used their invitation get a fresh invitation instead
+    const token = user.createPasswordToken(user.invitePending ? 'invite' : 'reset');
+    await user.save();
+
+    const emailResult = await sendPasswordLink(user, token);
+    if (!emailResult.success) {
+      console.error(`❌ Password reset email to ${user.email} failed:`, emailResult.error);
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    sendError(res, error, 'Error sending password reset link');
+  }
+};
+
+// @desc    Check a set-password link before showing the form
+// @route   GET /api/auth/reset-password/:token
+// @access  Public
+exports.getPasswordToken = async (req, res) => {
+  try {
+    const user = await User.findByPasswordToken(req.params.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        name: user.name,
+        email: user.email,
+        purpose: user.passwordTokenPurpose,
+        expiresAt: user.passwordTokenExpires,
+        passwordPolicy: User.PASSWORD_POLICY
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error checking link');
+  }
+};
+
+// @desc    Set a password from an invitation / reset link (logs in)
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a password'
+      });
+    }
+
+    const user = await User.findByPasswordToken(req.params.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.clearPasswordToken();
+    await user.save();
+
+    console.log(`🔑 Password set for ${user.email}`);
+
+    const token = generateToken(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been set',
+      data: {
+        token,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error setting password');
+  }
+};
+
+// @desc    Change own password (other sessions are logged out)
+// @route   PUT /api/auth/change-password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the current and the new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    user.clearPasswordToken();
+    await user.save();
+
+    console.log(`🔑 Password changed for ${user.email}`);
+
+    // Tokens issued before the change no longer work - send a new one
+    const token = generateToken(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error changing password');
+  }
+};
+
+// ========================================
+// HELPER: Email a set-password link
+// ========================================
+// Invitation (with who invited) or reset, depending on the token's purpose
+function sendPasswordLink(user, token, invitedBy = null) {
+  const expiresAt = user.passwordTokenExpires;
+
+  if (user.passwordTokenPurpose === 'invite') {
+    return emailService.sendStaffInviteEmail(user, {
+      url: `${process.env.FRONTEND_URL}/set-password?token=${token}`,
+      expiresAt,
+      invitedBy: invitedBy || process.env.APP_NAME || 'Sports Club'
+    });
+  }
+
+  return emailService.sendPasswordResetEmail(user, {
+    url: `${process.env.FRONTEND_URL}/reset-password?token=${token}`,
+    expiresAt
+  });
+}
+
+// ========================================
+// HELPER: Error response
+// ========================================
+// Validation errors (e.g. password policy) are the caller's fault
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : message,
+    error: error.message
+  });
+}
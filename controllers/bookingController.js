@@ -1,6 +1,24 @@
 const Booking = require('../models/Booking');
 const Activity = require('../models/Activity');
+const CheckInEvent = require('../models/CheckInEvent');
 const mongoose = require('mongoose');
+const inventoryService = require('../services/inventoryService');
+const holdService = require('../services/holdService');
+const sequenceService = require('../services/sequenceService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const bookingValidationService = require('../services/bookingValidationService');
+const rescheduleService = require('../services/rescheduleService');
+const couponService = require('../services/couponService');
+const taxService = require('../services/taxService');
+const invoiceService = require('../services/invoiceService');
+const checkInService = require('../services/checkInService');
+const qrTokenService = require('../services/qrTokenService');
+const noShowService = require('../services/noShowService');
+const otpService = require('../services/otpService');
+const calendarService = require('../services/calendarService');
+const { toDateKey } = require('../config/timezone');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, isSupportedLocale } = require('../config/locale');
+const { NOTIFICATION_CHANNELS, DEFAULT_NOTIFICATION_CHANNELS } = require('../config/notifications');
 
 // @desc    Create new booking (Customer initiates booking - Payment pending)
 // @route   POST /api/bookings
@@ -12,7 +30,11 @@ exports.createBooking = async (req, res) => {
       bookingDate,
       selectedTimeSlot,
       numberOfParticipants,
-      customerDetails
+      customerDetails,
+      participants,
+      couponCode,
+      preferredLanguage,
+      notificationChannels
     } = req.body;
 
     console.log(' Creating booking with data:', JSON.stringify(req.body, null, 2));
@@ -27,7 +49,7 @@ exports.createBooking = async (req, res) => {
     }
 
     // ✅ 2. Validate customer details
-    const { name, email, phone, address } = customerDetails;
+    const { name, email, phone, address, state, gstin } = customerDetails;
     if (!name || !email || !phone || !address) {
       return res.status(400).json({
         success: false,
@@ -36,15 +58,27 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    // ✅ 3. Validate time slot structure
-    if (!selectedTimeSlot.startTime || !selectedTimeSlot.endTime) {
+    // Language of emails / WhatsApp messages (English if not given)
+    if (preferredLanguage && !isSupportedLocale(preferredLanguage)) {
       return res.status(400).json({
         success: false,
-        message: 'Time slot must have startTime and endTime'
+        message: `Preferred language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
       });
     }
 
-    // ✅ 4. Check if activity exists and is active
+    // Channels for booking messages (default: DEFAULT_NOTIFICATION_CHANNELS)
+    if (notificationChannels !== undefined && (
+      !Array.isArray(notificationChannels) ||
+      notificationChannels.length === 0 ||
+      notificationChannels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: `Notification channels must be a non-empty list of: ${NOTIFICATION_CHANNELS.join(', ')}`
+      });
+    }
+
+    // ✅ 3. Check if activity exists
     const activity = await Activity.findById(activityId);
     if (!activity) {
       return res.status(404).json({
@@ -53,164 +87,153 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    if (activity.status !== 'Active' || !activity.isAvailable) {
-      return res.status(400).json({
-        success: false,
-        message: 'Activity is not available for booking'
-      });
-    }
+    // ✅ 4. Validate activity status, date, day of week, time slot and party size
+    const selection = bookingValidationService.validateSlotSelection(activity, {
+      bookingDate,
+      selectedTimeSlot,
+      numberOfParticipants
+    });
 
-    // ✅ 5. Validate booking date
-    const requestedDate = new Date(bookingDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (requestedDate < today) {
-      return res.status(400).json({
+    if (selection.error) {
+      const { status, ...details } = selection.error;
+      return res.status(status).json({
         success: false,
-        message: 'Cannot book for past dates'
+        ...details
       });
     }
 
-    if (requestedDate < activity.startDate || requestedDate > activity.endDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Activity is not available on this date',
-        availableRange: {
-          start: activity.startDate,
-          end: activity.endDate
-        }
-      });
-    }
+    const { requestedDate, timeSlot } = selection;
 
-    // ✅ 6. Validate day of week
-    const dayName = requestedDate.toLocaleDateString('en-US', { weekday: 'long' });
-    if (!activity.availableDays.includes(dayName)) {
-      return res.status(400).json({
+    // 4b. Participant roster (names, ages against the activity's age limits)
+    const roster = bookingValidationService.validateParticipants(activity, participants, numberOfParticipants);
+    if (roster.error) {
+      const { status, ...details } = roster.error;
+      return res.status(status).json({
         success: false,
-        message: `Activity is not available on ${dayName}`,
-        availableDays: activity.availableDays
+        ...details
       });
     }
 
-    // ✅ 7. Find and validate time slot
-    const timeSlot = activity.timeSlots.find(
-      slot => slot.startTime === selectedTimeSlot.startTime && 
-              slot.endTime === selectedTimeSlot.endTime
-    );
+    // 5. Calculate pricing
+    const pricePerPerson = activity.priceAfterDiscount || activity.price;
+    const totalAmount = pricePerPerson * numberOfParticipants;
+    let discountAmount = (activity.price - pricePerPerson) * numberOfParticipants;
+    let finalAmount = totalAmount;
+
+    // 5b. Apply coupon (counted as used only once payment completes)
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode) {
+      try {
+        ({ coupon, discountAmount: couponDiscount } = await couponService.validateCoupon(couponCode, {
+          activity,
+          orderAmount: totalAmount,
+          email,
+          phone
+        }));
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          couponCode
+        });
+      }
 
-    if (!timeSlot) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid time slot',
-        availableSlots: activity.timeSlots
-      });
+      discountAmount += couponDiscount;
+      finalAmount = totalAmount - couponDiscount;
     }
 
-    // 8. Check available spots
-    if (timeSlot.availableSpots < numberOfParticipants) {
+    // 5c. GST breakdown (customer state decides CGST/SGST vs IGST)
+    const { grossAmount, taxDetails } = await taxService.computeTax({
+      category: activity.category,
+      amount: finalAmount,
+      customerState: state
+    });
+    finalAmount = grossAmount;
+
+    // 6. Reserve spots in this date's slot inventory
+    const inventory = await inventoryService.reserveSpots(
+      activity,
+      requestedDate,
+      timeSlot,
+      numberOfParticipants
+    );
+
+    if (!inventory) {
+      const current = await inventoryService.getSlotInventory(activity, requestedDate, timeSlot);
       return res.status(400).json({
         success: false,
         message: 'Not enough spots available',
         requested: numberOfParticipants,
-        available: timeSlot.availableSpots
-      });
-    }
-
-    // 9. Validate max participants
-    if (numberOfParticipants > activity.maxParticipants) {
-      return res.status(400).json({
-        success: false,
-        message: `Maximum ${activity.maxParticipants} participants allowed`
+        available: current.availableSpots,
+        waitlistEndpoint: `/api/activities/${activity._id}/waitlist`
       });
     }
 
-    // 10. Calculate pricing
-    const pricePerPerson = activity.priceAfterDiscount || activity.price;
-    const totalAmount = pricePerPerson * numberOfParticipants;
-    const discountAmount = (activity.price - pricePerPerson) * numberOfParticipants;
-    const finalAmount = totalAmount;
-
-    // 11. Reduce available spots temporarily
-    const slotIndex = activity.timeSlots.findIndex(
-      slot => slot.startTime === selectedTimeSlot.startTime && 
-              slot.endTime === selectedTimeSlot.endTime
-    );
-    
-    activity.timeSlots[slotIndex].availableSpots -= numberOfParticipants;
-    await activity.save();
-
-    console.log('Reduced available spots:', {
-      slotIndex,
-      newAvailableSpots: activity.timeSlots[slotIndex].availableSpots
+    console.log('Reserved spots:', {
+      date: inventory.date,
+      slot: `${inventory.startTime}-${inventory.endTime}`,
+      availableSpots: inventory.availableSpots
     });
 
-    // 12. Generate booking number manually
-    const now = new Date();
-    const year = now.getFullYear().toString().slice(-2);
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-
-    const todayStart = new Date(now);
-    todayStart.setHours(0, 0, 0, 0);
-
-    const todayEnd = new Date(now);
-    todayEnd.setHours(23, 59, 59, 999);
-
-    // Find last booking of today
-    const lastBooking = await Booking.findOne({
-      createdAt: {
-        $gte: todayStart,
-        $lt: todayEnd
-      }
-    }).sort({ createdAt: -1 });
-
-    let sequence = 1;
-    if (lastBooking && lastBooking.bookingNumber) {
-      const lastSequence = parseInt(lastBooking.bookingNumber.slice(-4));
-      if (!isNaN(lastSequence)) {
-        sequence = lastSequence + 1;
-      }
+    let booking;
+    try {
+      // 7. Generate booking number (atomic daily counter)
+      const bookingNumber = await sequenceService.generateBookingNumber();
+
+      console.log('Generated booking number:', bookingNumber);
+
+      // 8. Create booking with generated booking number
+      booking = await Booking.create({
+        bookingNumber, // ✅ Add booking number here
+        activity: activityId,
+        customerDetails: {
+          name: name.trim(),
+          email: email.toLowerCase().trim(),
+          phone: phone.trim(),
+          address: address.trim(),
+          state: state ? state.trim() : null,
+          gstin: gstin ? gstin.trim() : null
+        },
+        preferredLanguage: preferredLanguage || DEFAULT_LOCALE,
+        notificationChannels: notificationChannels ? [...new Set(notificationChannels)] : DEFAULT_NOTIFICATION_CHANNELS,
+        bookingDate: requestedDate,
+        selectedTimeSlot: {
+          startTime: selectedTimeSlot.startTime,
+          endTime: selectedTimeSlot.endTime
+        },
+        numberOfParticipants,
+        participants: roster.participants,
+        pricePerPerson,
+        totalAmount,
+        discountAmount,
+        finalAmount,
+        coupon: coupon ? coupon._id : null,
+        couponCode: coupon ? coupon.code : null,
+        couponDiscount,
+        taxDetails,
+        bookingStatus: 'Initiated',
+        paymentStatus: 'Pending',
+        spotsHeld: true,
+        holdExpiresAt: holdService.getHoldExpiry(),
+        activitySnapshot: {
+          title: activity.title,
+          venue: activity.venue,
+          address: activity.address,
+          city: activity.city,
+          thumbnailImage: activity.thumbnailImage
+        }
+      });
+    } catch (error) {
+      // Give the reserved spots back if the booking could not be saved
+      await inventoryService.releaseSpots(activity._id, requestedDate, timeSlot, numberOfParticipants);
+      throw error;
     }
 
-    const bookingNumber = `BK-${year}${month}${day}-${String(sequence).padStart(4, '0')}`;
-
-    console.log('Generated booking number:', bookingNumber);
-
-    // 13. Create booking with generated booking number
-    const booking = await Booking.create({
-      bookingNumber, // ✅ Add booking number here
-      activity: activityId,
-      customerDetails: {
-        name: name.trim(),
-        email: email.toLowerCase().trim(),
-        phone: phone.trim(),
-        address: address.trim()
-      },
-      bookingDate: requestedDate,
-      selectedTimeSlot: {
-        startTime: selectedTimeSlot.startTime,
-        endTime: selectedTimeSlot.endTime
-      },
-      numberOfParticipants,
-      pricePerPerson,
-      totalAmount,
-      discountAmount,
-      finalAmount,
-      bookingStatus: 'Initiated',
-      paymentStatus: 'Pending',
-      activitySnapshot: {
-        title: activity.title,
-        venue: activity.venue,
-        address: activity.address,
-        city: activity.city,
-        thumbnailImage: activity.thumbnailImage
-      }
-    });
-
     console.log('Booking created successfully:', booking.bookingNumber);
 
-    //  14. Return booking ID and amount to frontend
+    // 9. Return booking ID and amount to frontend
     res.status(201).json({
       success: true,
       message: 'Booking initiated successfully. Please proceed to payment.',
@@ -219,6 +242,10 @@ exports.createBooking = async (req, res) => {
         bookingNumber: booking.bookingNumber,
         amount: finalAmount,
         currency: 'INR',
+        couponCode: booking.couponCode,
+        couponDiscount,
+        taxDetails,
+        holdExpiresAt: booking.holdExpiresAt,
         booking: {
           activityTitle: activity.title,
           venue: activity.venue,
@@ -294,6 +321,100 @@ exports.getBookingById = async (req, res) => {
   }
 };
 
+// @desc    Download GST tax invoice (PDF)
+// @route   GET /api/bookings/:id/invoice
+// @access  Public (Customer can download with booking ID)
+exports.getBookingInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Bookings paid before invoicing existed get their number now
+    await invoiceService.assignInvoice(booking);
+
+    const pdf = await invoiceService.generateInvoicePDF(booking);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Invoice-${booking.invoiceNumber}.pdf"`);
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error generating invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Calendar event of a booking (.ics, cancelled bookings included)
+// @route   GET /api/bookings/:id/calendar.ics?bookingNumber=
+// @access  Public (booking ID + booking number)
+exports.getBookingCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookingNumber } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    if (!bookingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking number is required'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: id, bookingNumber: String(bookingNumber) });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or details do not match'
+      });
+    }
+
+    if (!['Confirmed', 'Completed', 'Cancelled'].includes(booking.bookingStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is not confirmed yet'
+      });
+    }
+
+    const ics = await calendarService.buildBookingCalendar(booking);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${booking.bookingNumber}.ics"`);
+    res.status(200).send(ics);
+
+  } catch (error) {
+    console.error('Error generating calendar event:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error generating calendar event',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all bookings with filters (Admin panel)
 // @route   GET /api/bookings
 // @access  Private (Admin, Manager, Accountant)
@@ -394,27 +515,25 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
-    // Can only cancel if payment NOT completed
-    if (booking.paymentStatus === 'Completed') {
+    // Can only cancel if payment NOT completed (paid bookings go through refunds)
+    if (['Completed', 'Partially Refunded'].includes(booking.paymentStatus)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel completed bookings. Please process refund first.'
+        message: 'Cannot cancel paid bookings directly. Please process a refund instead.',
+        refundEndpoint: `/api/bookings/${booking._id}/refund`
       });
     }
 
-    // Restore available spots
-    const activity = await Activity.findById(booking.activity);
-    if (activity) {
-      const slotIndex = activity.timeSlots.findIndex(
-        slot => slot.startTime === booking.selectedTimeSlot.startTime && 
-                slot.endTime === booking.selectedTimeSlot.endTime
-      );
-      
-      if (slotIndex !== -1) {
-        activity.timeSlots[slotIndex].availableSpots += booking.numberOfParticipants;
-        await activity.save();
-        console.log(' Restored available spots');
-      }
+    if (booking.bookingStatus === 'Cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is already cancelled'
+      });
+    }
+
+    // Restore spots in this date's slot inventory (no-op if already released)
+    if (await inventoryService.releaseBookingSpots(booking)) {
+      console.log(' Restored available spots');
     }
 
     // Update booking
@@ -440,6 +559,179 @@ exports.cancelBooking = async (req, res) => {
   }
 };
 
+// @desc    Customer self-service cancellation (refund per activity policy)
+//          Verified by the booking email, or by an SMS code
+//          (otpToken from POST /api/otp/verify, purpose booking-cancellation)
+// @route   POST /api/bookings/cancel
+// @access  Public (with booking verification)
+exports.cancelByCustomer = async (req, res) => {
+  try {
+    const { bookingNumber, email, phone, otpToken, reason, previewOnly } = req.body;
+
+    if (!bookingNumber || !phone || (!email && !otpToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking number, phone, and email or a verified phone code are required'
+      });
+    }
+
+    if (!email) {
+      otpService.assertVerified(otpToken, { phone: String(phone), purpose: 'booking-cancellation' });
+    }
+
+    // Find booking with matching details (strings only - no query operators)
+    const query = { bookingNumber: String(bookingNumber), 'customerDetails.phone': String(phone) };
+    if (email) {
+      query['customerDetails.email'] = String(email).toLowerCase();
+    }
+    const booking = await Booking.findOne(query);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or details do not match'
+      });
+    }
+
+    const activity = await Activity.findById(booking.activity);
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    // Show the customer what they would get back without cancelling
+    if (previewOnly === true || previewOnly === 'true') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          bookingNumber: booking.bookingNumber,
+          bookingStatus: booking.bookingStatus,
+          cancellationPolicy: activity.cancellationPolicy,
+          ...cancellationPolicyService.computeRefund(booking, activity)
+        }
+      });
+    }
+
+    const { refund, refundedAmount, quote } = await cancellationPolicyService.cancelWithPolicy(booking, activity, {
+      reason: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer'
+    });
+
+    console.log(' Booking cancelled by customer:', booking.bookingNumber);
+
+    res.status(200).json({
+      success: true,
+      message: refund
+        ? `Booking cancelled. A refund of ₹${refundedAmount} has been initiated.`
+        : 'Booking cancelled successfully',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        bookingStatus: booking.bookingStatus,
+        paymentStatus: booking.paymentStatus,
+        refundPercentage: quote.refundPercentage,
+        refundAmount: refundedAmount,
+        refundStatus: refund ? refund.status : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cancelling booking (customer):', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error cancelling booking',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reschedule booking to another date / time slot
+// @route   PATCH /api/bookings/:id/reschedule
+// @access  Private (Super Admin, Manager)
+exports.rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookingDate, selectedTimeSlot, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    if (!bookingDate || !selectedTimeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: 'New booking date and time slot are required',
+        required: ['bookingDate', 'selectedTimeSlot']
+      });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const activity = await Activity.findById(booking.activity);
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    const result = await rescheduleService.requestReschedule(booking, activity, {
+      bookingDate,
+      selectedTimeSlot,
+      reason,
+      requestedBy: req.user._id
+    });
+
+    // Higher fare - customer pays the difference before the move happens
+    if (result.status === 'PaymentRequired') {
+      return res.status(202).json({
+        success: true,
+        message: `Fare difference of ₹${result.fareDifference} must be paid to complete the reschedule`,
+        data: {
+          bookingId: result.booking._id,
+          bookingNumber: result.booking.bookingNumber,
+          fareDifference: result.fareDifference,
+          orderId: result.order.id,
+          amount: result.order.amount,
+          currency: result.order.currency,
+          razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+          holdExpiresAt: result.booking.pendingReschedule.holdExpiresAt
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.refund
+        ? `Booking rescheduled. A refund of ₹${-result.fareDifference} has been initiated.`
+        : 'Booking rescheduled successfully',
+      data: {
+        booking: result.booking,
+        fareDifference: result.fareDifference,
+        refund: result.refund
+      }
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error rescheduling booking',
+      ...(error.details || {}),
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get booking statistics (Admin dashboard)
 // @route   GET /api/bookings/stats/overview
 // @access  Private (Admin, Manager, Accountant)
@@ -470,6 +762,42 @@ exports.getBookingStats = async (req, res) => {
       ...dateFilter, 
       bookingStatus: 'Initiated' 
     });
+    const expiredBookings = await Booking.countDocuments({ 
+      ...dateFilter, 
+      bookingStatus: 'Expired' 
+    });
+    const completedBookings = await Booking.countDocuments({ 
+      ...dateFilter, 
+      bookingStatus: 'Completed' 
+    });
+    const noShowBookings = await Booking.countDocuments({ 
+      ...dateFilter, 
+      bookingStatus: 'No-Show' 
+    });
+
+    // No-show rate over bookings whose slot has been closed
+    const closedBookings = completedBookings + noShowBookings;
+    const noShowRate = closedBookings > 0
+      ? Math.round((noShowBookings / closedBookings) * 1000) / 10
+      : 0;
+
+    // Credit vouchers issued for no-shows
+    const noShowCreditData = await Booking.aggregate([
+      {
+        $match: {
+          ...dateFilter,
+          bookingStatus: 'No-Show',
+          'noShowOutcome.action': 'Credit'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalCredit: { $sum: '$noShowOutcome.creditAmount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
 
     // Revenue calculation
     const revenueData = await Booking.aggregate([
@@ -515,6 +843,12 @@ exports.getBookingStats = async (req, res) => {
           confirmedBookings,
           cancelledBookings,
           pendingBookings,
+          expiredBookings,
+          completedBookings,
+          noShowBookings,
+          noShowRate,
+          noShowCredits: noShowCreditData[0]?.count || 0,
+          noShowCreditAmount: noShowCreditData[0]?.totalCredit || 0,
           todayBookings,
           upcomingBookings,
           totalRevenue: revenueData[0]?.totalRevenue || 0,
@@ -533,13 +867,58 @@ exports.getBookingStats = async (req, res) => {
   }
 };
 
+// @desc    Close ended slots of a day now (no-shows + completions)
+// @route   POST /api/bookings/no-shows/run
+// @access  Private (Super Admin, Manager)
+exports.runNoShowSweep = async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required (YYYY-MM-DD)'
+      });
+    }
+
+    const dateKey = toDateKey(date);
+    if (dateKey > toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot close slots of a future date'
+      });
+    }
+
+    const summary = await noShowService.closeEndedSlots({ dateKey });
+
+    console.log(`🚷 No-show run for ${dateKey} by ${req.user._id}:`, JSON.stringify(summary));
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.noShows} booking(s) marked No-Show, ${summary.completed} completed`,
+      data: {
+        date: dateKey,
+        ...summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Error running no-show sweep:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running no-show sweep',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Verify and check-in booking (Staff QR scanner)
 // @route   POST /api/bookings/:id/checkin
 // @access  Private (Staff)
 exports.verifyAndCheckIn = async (req, res) => {
   try {
     const { id } = req.params;
-    const { qrData } = req.body;
+    const { qrData, count, participantIndexes, gate, overrideReason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -558,79 +937,120 @@ exports.verifyAndCheckIn = async (req, res) => {
       });
     }
 
-    // Validation checks
-    if (booking.bookingStatus !== 'Confirmed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking is not confirmed',
-        status: booking.bookingStatus
-      });
+    // Verify the scanned ticket belongs to this booking and is current
+    if (qrData) {
+      const ticketError = qrTokenService.getTicketError(qrTokenService.verifyTicket(qrData), booking, qrData);
+      if (ticketError) {
+        const { status, ...details } = ticketError;
+        return res.status(status).json({
+          success: false,
+          ...details
+        });
+      }
     }
 
-    if (booking.paymentStatus !== 'Completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment not completed'
-      });
-    }
+    // Check in the arriving participants (all remaining by default)
+    const result = await checkInService.recordCheckIn(booking, {
+      count,
+      participantIndexes,
+      gate,
+      staffId: req.user._id,
+      staffRole: req.user.role,
+      method: 'Booking ID',
+      // Manager letting a guest in outside the check-in window
+      overrideReason
+    });
 
-    if (booking.checkedIn) {
-      return res.status(400).json({
+    if (result.error) {
+      const { status, ...details } = result.error;
+      return res.status(status).json({
         success: false,
-        message: 'Already checked in',
-        checkedInAt: booking.checkInTime
+        ...details
       });
     }
 
-    // Verify QR data matches
-    if (qrData && booking.qrData !== qrData) {
+    res.status(200).json({
+      success: true,
+      message: result.complete
+        ? 'Check-in successful'
+        : `${result.arrived} checked in, ${result.remaining} still to arrive`,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        customerName: booking.customerDetails.name,
+        activity: booking.activity.title,
+        participants: booking.numberOfParticipants,
+        checkedInCount: booking.checkedInCount,
+        remaining: result.remaining,
+        complete: result.complete,
+        participantDetails: booking.participants,
+        checkedInParticipants: booking.checkedInParticipants,
+        checkInTime: booking.checkInTime,
+        gate: result.event.gate,
+        venueOccupancy: result.occupancy,
+        venueCapacity: result.capacity,
+        waiverWarning: result.waiverWarning,
+        windowOverride: result.windowOverride
+      }
+    });
+
+  } catch (error) {
+    console.error('Error during check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing check-in',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check-in / check-out scans of a booking (gate, staff, participants per scan)
+// @route   GET /api/bookings/:id/checkins
+// @access  Private (Super Admin, Manager, Security)
+exports.getCheckInLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid QR code'
+        message: 'Invalid booking ID'
       });
     }
 
-    // Check booking date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const bookingDate = new Date(booking.bookingDate);
-    bookingDate.setHours(0, 0, 0, 0);
+    const booking = await Booking.findById(id)
+      .select('bookingNumber numberOfParticipants checkedInCount checkedOutCount checkedIn bookingStatus');
 
-    if (bookingDate.getTime() !== today.getTime()) {
-      return res.status(400).json({
+    if (!booking) {
+      return res.status(404).json({
         success: false,
-        message: 'This booking is not for today',
-        bookingDate: booking.bookingDate
+        message: 'Booking not found'
       });
     }
 
-    //  Update check-in status
-    booking.checkedIn = true;
-    booking.checkInTime = new Date();
-    booking.checkInBy = req.user._id;
-    booking.bookingStatus = 'Completed';
-    await booking.save();
-
-    console.log(' Check-in successful:', booking.bookingNumber);
+    const events = await CheckInEvent.find({ booking: booking._id })
+      .populate('staff', 'name email')
+      .sort({ scannedAt: 1 });
 
     res.status(200).json({
       success: true,
-      message: 'Check-in successful',
+      count: events.length,
       data: {
         bookingNumber: booking.bookingNumber,
-        customerName: booking.customerDetails.name,
-        activity: booking.activity.title,
-        participants: booking.numberOfParticipants,
-        checkInTime: booking.checkInTime
+        bookingStatus: booking.bookingStatus,
+        numberOfParticipants: booking.numberOfParticipants,
+        checkedInCount: booking.checkedInCount,
+        checkedOutCount: booking.checkedOutCount,
+        checkedIn: booking.checkedIn,
+        events
       }
     });
 
   } catch (error) {
-    console.error('Error during check-in:', error);
+    console.error('Error fetching check-in log:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing check-in',
+      message: 'Error fetching check-in log',
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,426 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Activity = require('../models/Activity');
+const mongoose = require('mongoose');
+const couponService = require('../services/couponService');
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Super Admin, Manager)
+exports.createCoupon = async (req, res) => {
+  try {
+    const { code, discountType, discountValue, validFrom, validUntil } = req.body;
+
+    if (!code || !discountType || !discountValue || !validFrom || !validUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+        required: ['code', 'discountType', 'discountValue', 'validFrom', 'validUntil']
+      });
+    }
+
+    const existing = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = new Coupon({
+      ...parseCouponData(req.body),
+      createdBy: req.user._id
+    });
+    await coupon.save();
+
+    console.log('🏷️ Coupon created:', coupon.code);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    handleCouponError(res, error, 'Error creating coupon');
+  }
+};
+
+// @desc    Get all coupons with filters
+// @route   GET /api/coupons
+// @access  Private (Super Admin, Manager, Accountant)
+exports.getAllCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, isActive, search } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const coupons = await Coupon.find(query)
+      .populate('applicableActivities', 'title')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const totalCount = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(totalCount / limit),
+          totalItems: totalCount,
+          itemsPerPage: Number(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (Super Admin, Manager, Accountant)
+exports.getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID'
+      });
+    }
+
+    const coupon = await Coupon.findById(id)
+      .populate('applicableActivities', 'title category')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Super Admin, Manager)
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID'
+      });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // The code identifies redemptions - it cannot change once set
+    const { code, usedCount, ...updates } = parseCouponData(req.body);
+
+    coupon.set(updates);
+    coupon.updatedBy = req.user._id;
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    handleCouponError(res, error, 'Error updating coupon');
+  }
+};
+
+// @desc    Delete coupon (only if never redeemed - deactivate it otherwise)
+// @route   DELETE /api/coupons/:id
+// @access  Private (Super Admin only)
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID'
+      });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const redemptions = await CouponRedemption.countDocuments({ coupon: coupon._id });
+    if (redemptions > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a coupon that has been redeemed. Deactivate it instead.',
+        redemptions
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check a coupon code before booking (price preview)
+// @route   POST /api/coupons/validate
+// @access  Public
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, activityId, numberOfParticipants = 1, email, phone } = req.body;
+
+    if (!code || !activityId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code and activity are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(activityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    const activity = await Activity.findById(activityId);
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    const orderAmount = (activity.priceAfterDiscount || activity.price) * Number(numberOfParticipants);
+    const { coupon, discountAmount } = await couponService.validateCoupon(code, {
+      activity,
+      orderAmount,
+      email,
+      phone
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        orderAmount,
+        discountAmount,
+        finalAmount: orderAmount - discountAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error validating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Redemption report per coupon
+// @route   GET /api/coupons/reports/redemptions
+// @access  Private (Super Admin, Manager, Accountant)
+exports.getRedemptionReport = async (req, res) => {
+  try {
+    const { startDate, endDate, couponId } = req.query;
+
+    const match = {};
+    if (startDate || endDate) {
+      match.redeemedAt = {};
+      if (startDate) match.redeemedAt.$gte = new Date(startDate);
+      if (endDate) match.redeemedAt.$lte = new Date(endDate);
+    }
+    if (couponId) {
+      if (!mongoose.Types.ObjectId.isValid(couponId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid coupon ID'
+        });
+      }
+      match.coupon = new mongoose.Types.ObjectId(couponId);
+    }
+
+    const report = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$coupon',
+          code: { $first: '$code' },
+          redemptions: { $sum: 1 },
+          overLimitRedemptions: { $sum: { $cond: [{ $ifNull: ['$overLimit', false] }, 1, 0] } },
+          uniqueCustomers: { $addToSet: '$customerEmail' },
+          totalOrderAmount: { $sum: '$orderAmount' },
+          totalDiscount: { $sum: '$discountAmount' },
+          totalRevenue: { $sum: '$finalAmount' },
+          firstRedeemedAt: { $min: '$redeemedAt' },
+          lastRedeemedAt: { $max: '$redeemedAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          couponId: '$_id',
+          code: 1,
+          redemptions: 1,
+          overLimitRedemptions: 1,
+          uniqueCustomers: { $size: '$uniqueCustomers' },
+          totalOrderAmount: 1,
+          totalDiscount: 1,
+          totalRevenue: 1,
+          firstRedeemedAt: 1,
+          lastRedeemedAt: 1
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+
+    const totals = report.reduce((sum, row) => ({
+      redemptions: sum.redemptions + row.redemptions,
+      totalDiscount: sum.totalDiscount + row.totalDiscount,
+      totalRevenue: sum.totalRevenue + row.totalRevenue
+    }), { redemptions: 0, totalDiscount: 0, totalRevenue: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons: report,
+        totals
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching coupon report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon report',
+      error: error.message
+    });
+  }
+};
+
+// ========================================
+// HELPER: Pick and convert coupon fields from a request body
+// ========================================
+function parseCouponData(body) {
+  const data = {};
+
+  if (body.code !== undefined) data.code = String(body.code).trim().toUpperCase();
+  if (body.description !== undefined) data.description = body.description;
+  if (body.discountType !== undefined) data.discountType = body.discountType;
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  if (body.validFrom !== undefined) data.validFrom = new Date(body.validFrom);
+  if (body.validUntil !== undefined) data.validUntil = new Date(body.validUntil);
+
+  ['discountValue', 'minOrderAmount'].forEach(field => {
+    if (body[field] !== undefined) data[field] = Number(body[field]);
+  });
+
+  // Optional limits - empty means unlimited
+  ['maxDiscountAmount', 'usageLimit', 'perCustomerLimit'].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === null || body[field] === '' ? null : Number(body[field]);
+    }
+  });
+
+  if (body.applicableActivities !== undefined) {
+    data.applicableActivities = (body.applicableActivities || [])
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+  }
+  if (body.applicableCategories !== undefined) {
+    data.applicableCategories = body.applicableCategories || [];
+  }
+
+  return data;
+}
+
+// ========================================
+// HELPER: Respond to validation / save errors
+// ========================================
+function handleCouponError(res, error, fallbackMessage) {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation Error',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
@@ -0,0 +1,78 @@
+const Activity = require('../models/Activity');
+const mongoose = require('mongoose');
+const manifestService = require('../services/manifestService');
+const { toDateKey } = require('../config/timezone');
+
+// @desc    Participant manifest of an activity for a day / slot (JSON or CSV)
+// @route   GET /api/activities/:id/manifest?date=YYYY-MM-DD&startTime=&endTime=&format=csv
+// @access  Private (Super Admin, Manager, Security)
+exports.getSlotManifest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, startTime, endTime, format } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required (YYYY-MM-DD)'
+      });
+    }
+
+    if ((startTime && !endTime) || (!startTime && endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide both startTime and endTime to select a slot'
+      });
+    }
+
+    const activity = await Activity.findById(id).select('title venue category minAge maxAge prerequisites');
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    const dateKey = toDateKey(date);
+    const slot = startTime ? { startTime, endTime } : null;
+    const manifest = await manifestService.getManifest(activity, dateKey, slot);
+
+    if (format === 'csv') {
+      const slotLabel = slot ? `-${startTime}-${endTime}`.replace(/:/g, '') : '';
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="manifest-${dateKey}${slotLabel}.csv"`);
+      return res.status(200).send(manifestService.toCSV(manifest, dateKey));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activity: {
+          id: activity._id,
+          title: activity.title,
+          venue: activity.venue,
+          minAge: activity.minAge,
+          maxAge: activity.maxAge,
+          prerequisites: activity.prerequisites
+        },
+        date: dateKey,
+        slots: manifest
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching manifest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching manifest',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+const NOTIFICATION_STATUSES = ['Pending', 'Sending', 'Sent', 'Failed', 'Skipped'];
+
+// @desc    Delivery log (e.g. ?status=Failed) with counts per status
+// @route   GET /api/notifications?status=&channel=&template=&bookingNumber=&page=&limit=
+// @access  Private (Super Admin, Manager)
+exports.getNotifications = async (req, res) => {
+  try {
+    const { status, channel, template, bookingNumber, page = 1, limit = 50 } = req.query;
+
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${NOTIFICATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const { notifications, counts, total } = await notificationService.listNotifications({
+      status,
+      channel,
+      template,
+      bookingNumber,
+      page: Number(page),
+      limit: Number(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        counts,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: Number(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Messages sent (or not) for one booking
+// @route   GET /api/notifications/booking/:bookingId
+// @access  Private (Super Admin, Manager)
+exports.getBookingNotifications = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const notifications = await Notification.find({ booking: bookingId })
+      .select('-payload')
+      .populate('resentBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      data: notifications
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a failed (or sent) message again
+// @route   POST /api/notifications/:id/resend
+// @access  Private (Super Admin, Manager)
+exports.resendNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await notificationService.resend(id, req.user._id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found or still being delivered'
+      });
+    }
+
+    console.log(`📬 Resend of ${notification.template} (${notification.channel}) requested:`, notification.bookingNumber || notification.recipient);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message queued for resending',
+      data: {
+        id: notification._id,
+        channel: notification.channel,
+        template: notification.template,
+        recipient: notification.recipient,
+        status: notification.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error resending notification:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error resending notification',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,155 @@
+const occupancyService = require('../services/occupancyService');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// @desc    Live occupancy of all venues (or ?venue=)
+// @route   GET /api/occupancy
+// @access  Private (Super Admin, Manager, Security)
+exports.getOccupancy = async (req, res) => {
+  try {
+    const venues = await occupancyService.getOccupancy({ venue: req.query.venue });
+
+    res.status(200).json({
+      success: true,
+      count: venues.length,
+      data: venues
+    });
+
+  } catch (error) {
+    console.error('Error fetching occupancy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching occupancy',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Server-Sent Events: occupancy changes and gate scans as they happen
+// @route   GET /api/occupancy/stream?venue=&token=
+// @access  Private (Super Admin, Manager, Security)
+exports.streamOccupancy = async (req, res) => {
+  try {
+    const { venue } = req.query;
+    const snapshot = await occupancyService.getOccupancy({ venue });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Don't let nginx buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Current state first, then changes
+    send('snapshot', snapshot);
+
+    const onOccupancy = (data) => {
+      if (!venue || data.venue === venue) send('occupancy', data);
+    };
+    const onScan = (data) => {
+      if (!venue || data.venue === venue) send('scan', data);
+    };
+
+    occupancyService.events.on('occupancy', onOccupancy);
+    occupancyService.events.on('scan', onScan);
+
+    // Keeps proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      occupancyService.events.off('occupancy', onOccupancy);
+      occupancyService.events.off('scan', onScan);
+    });
+
+  } catch (error) {
+    console.error('Error opening occupancy stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error opening occupancy stream',
+        error: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+// @desc    Set a venue's safety capacity (null removes the limit)
+// @route   PUT /api/occupancy/:venue/capacity
+// @access  Private (Super Admin, Manager)
+exports.updateCapacity = async (req, res) => {
+  try {
+    const { capacity } = req.body;
+
+    if (capacity !== null && (!Number.isInteger(Number(capacity)) || Number(capacity) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity must be a whole number of at least 1 (or null for no limit)'
+      });
+    }
+
+    const venue = await occupancyService.setCapacity(
+      req.params.venue,
+      capacity === null ? null : Number(capacity),
+      req.user._id
+    );
+
+    console.log(`🏟️ Capacity of ${venue.venue} set to ${venue.capacity ?? 'unlimited'}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue capacity updated',
+      data: venue
+    });
+
+  } catch (error) {
+    console.error('Error updating venue capacity:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error updating venue capacity',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Correct a venue's head count (e.g. after a manual count)
+// @route   PUT /api/occupancy/:venue/count
+// @access  Private (Super Admin, Manager)
+exports.correctOccupancy = async (req, res) => {
+  try {
+    const occupancy = Number(req.body.occupancy);
+
+    if (!Number.isInteger(occupancy) || occupancy < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occupancy must be a whole number of 0 or more'
+      });
+    }
+
+    const venue = await occupancyService.setOccupancy(req.params.venue, occupancy);
+
+    console.log(`🏟️ Occupancy of ${venue.venue} corrected to ${venue.occupancy} by ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue occupancy corrected',
+      data: venue
+    });
+
+  } catch (error) {
+    console.error('Error correcting venue occupancy:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error correcting venue occupancy',
+      error: error.message
+    });
+  }
+};
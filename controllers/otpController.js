@@ -0,0 +1,67 @@
+const otpService = require('../services/otpService');
+
+// @desc    Send a one-time code by SMS (e.g. to cancel a booking by phone)
+// @route   POST /api/otp/send
+// @access  Public
+exports.sendOtp = async (req, res) => {
+  try {
+    const { phone, purpose, locale } = req.body;
+
+    if (!phone || !purpose) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone and purpose are required'
+      });
+    }
+
+    const result = await otpService.requestOtp(phone, purpose, { locale });
+
+    // Same answer whether or not the number has a booking
+    res.status(200).json({
+      success: true,
+      message: 'If this number has a booking, a code has been sent by SMS',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error sending OTP:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error sending code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check a one-time code
+// @route   POST /api/otp/verify
+// @access  Public
+exports.verifyOtp = async (req, res) => {
+  try {
+    const { phone, purpose, code } = req.body;
+
+    if (!phone || !purpose || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone, purpose and code are required'
+      });
+    }
+
+    const result = await otpService.verifyOtp(phone, purpose, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error verifying OTP:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error verifying code',
+      ...(error.attemptsLeft !== undefined && { attemptsLeft: error.attemptsLeft }),
+      error: error.message
+    });
+  }
+};
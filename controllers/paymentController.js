@@ -1,14 +1,16 @@
 const Booking = require('../models/Booking');
-const Activity = require('../models/Activity');
 const crypto = require('crypto');
-const Razorpay = require('razorpay');
 const qrController = require('./qrController');
+const inventoryService = require('../services/inventoryService');
+const holdService = require('../services/holdService');
+const refundService = require('../services/refundService');
+const rescheduleService = require('../services/rescheduleService');
+const couponService = require('../services/couponService');
+const invoiceService = require('../services/invoiceService');
+const { getRazorpay } = require('../services/razorpayService');
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// Payment statuses meaning the booking was already paid
+const PAID_STATUSES = ['Completed', 'Partially Refunded', 'Refunded'];
 
 // @desc    Create Razorpay payment order
 // @route   POST /api/payments/create-order
@@ -54,6 +56,16 @@ exports.createPaymentOrder = async (req, res) => {
       });
     }
 
+    // Seats are only held for a limited time
+    if (holdService.isHoldExpired(booking)) {
+      await holdService.expireBooking(booking);
+      return res.status(400).json({
+        success: false,
+        message: 'Your seat hold has expired. Please create a new booking.',
+        holdExpiresAt: booking.holdExpiresAt
+      });
+    }
+
     // Create Razorpay order
     const options = {
       amount: Math.round(booking.finalAmount * 100), // Convert to paise
@@ -70,7 +82,7 @@ exports.createPaymentOrder = async (req, res) => {
       }
     };
 
-    const order = await razorpay.orders.create(options);
+    const order = await getRazorpay().orders.create(options);
 
     console.log('✅ Razorpay order created:', order.id);
 
@@ -150,16 +162,72 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    // Verify Razorpay signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
+    // Fare difference for a reschedule (separate order on a paid booking)
+    if (razorpay_order_id !== booking.razorpayOrderId && PAID_STATUSES.includes(booking.paymentStatus)) {
+      if (!isValidPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+        console.error('❌ Reschedule payment signature verification failed');
+        return res.status(400).json({
+          success: false,
+          message: 'Payment verification failed. Invalid signature.'
+        });
+      }
 
-    const isAuthentic = expectedSignature === razorpay_signature;
+      let paidAmount;
+      try {
+        paidAmount = (await getRazorpay().payments.fetch(razorpay_payment_id)).amount / 100;
+      } catch (error) {
+        console.error('⚠️ Could not fetch payment details:', error.message);
+      }
 
-    if (!isAuthentic) {
+      const result = await rescheduleService.completePendingReschedule(booking, {
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        amount: paidAmount
+      });
+
+      if (result.status === 'SlotUnavailable') {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment received, but the new slot is no longer available. Your payment will be refunded.',
+          data: {
+            bookingId: result.booking._id,
+            bookingNumber: result.booking.bookingNumber
+          }
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: result.status === 'Rescheduled'
+          ? 'Payment verified successfully! Booking rescheduled.'
+          : 'Payment already processed',
+        data: {
+          bookingId: result.booking._id,
+          bookingNumber: result.booking.bookingNumber,
+          bookingDate: result.booking.bookingDate,
+          timeSlot: result.booking.selectedTimeSlot,
+          bookingStatus: result.booking.bookingStatus,
+          paymentStatus: result.booking.paymentStatus
+        }
+      });
+    }
+
+    // Already confirmed (e.g. by the webhook)
+    if (PAID_STATUSES.includes(booking.paymentStatus)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Payment already processed',
+        data: {
+          bookingId: booking._id,
+          bookingNumber: booking.bookingNumber,
+          bookingStatus: booking.bookingStatus,
+          paymentStatus: booking.paymentStatus
+        }
+      });
+    }
+
+    // Verify Razorpay signature
+    if (!isValidPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
       console.error('❌ Payment signature verification failed');
       
       // Mark payment as failed
@@ -177,7 +245,7 @@ exports.verifyPayment = async (req, res) => {
     // Fetch payment details from Razorpay
     let paymentDetails;
     try {
-      paymentDetails = await razorpay.payments.fetch(razorpay_payment_id);
+      paymentDetails = await getRazorpay().payments.fetch(razorpay_payment_id);
       console.log('💰 Payment details:', {
         method: paymentDetails.method,
         status: paymentDetails.status,
@@ -188,17 +256,26 @@ exports.verifyPayment = async (req, res) => {
       paymentDetails = { method: 'Unknown', status: 'captured' };
     }
 
-    // Update booking with payment info
-    booking.paymentStatus = 'Completed';
-    booking.bookingStatus = 'Confirmed';
-    booking.razorpayPaymentId = razorpay_payment_id;
-    booking.razorpaySignature = razorpay_signature;
-    booking.transactionId = razorpay_payment_id;
-    booking.paymentMethod = paymentDetails.method || 'Unknown';
-    booking.paidAt = new Date();
-    booking.confirmationDate = new Date();
+    // Update booking with payment info (re-validates lapsed holds)
+    const confirmed = await confirmPaidBooking(booking, {
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+      method: paymentDetails.method
+    });
 
-    await booking.save();
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment received, but your seat hold expired and the slot is now full. Your payment will be refunded.',
+        data: {
+          bookingId: booking._id,
+          bookingNumber: booking.bookingNumber,
+          bookingStatus: booking.bookingStatus,
+          paymentStatus: booking.paymentStatus,
+          transactionId: booking.transactionId
+        }
+      });
+    }
 
     console.log('✅ Booking confirmed:', booking.bookingNumber);
 
@@ -267,6 +344,17 @@ exports.paymentWebhook = async (req, res) => {
     console.log('✅ Webhook signature verified');
 
     const event = req.body.event;
+
+    // Handle refund.processed / refund.failed events
+    if (event === 'refund.processed' || event === 'refund.failed') {
+      await refundService.handleRefundWebhook(event, req.body.payload.refund.entity);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Refund webhook processed'
+      });
+    }
+
     const payload = req.body.payload.payment.entity;
 
     // Handle payment.captured event
@@ -280,6 +368,25 @@ exports.paymentWebhook = async (req, res) => {
       const booking = await Booking.findOne({ razorpayOrderId })
         .populate('activity', 'title venue address city');
 
+      // Fare difference for a (pending or superseded) reschedule
+      if (!booking) {
+        const rescheduling = await findRescheduleBooking(razorpayOrderId);
+
+        if (rescheduling) {
+          const result = await rescheduleService.completePendingReschedule(rescheduling, {
+            orderId: razorpayOrderId,
+            paymentId: razorpayPaymentId,
+            amount: payload.amount / 100
+          });
+
+          console.log('🔁 Reschedule payment processed via webhook:', rescheduling.bookingNumber, result.status);
+          return res.status(200).json({
+            success: true,
+            message: 'Reschedule payment processed'
+          });
+        }
+      }
+
       if (!booking) {
         console.error('❌ Booking not found for order:', razorpayOrderId);
         return res.status(404).json({
@@ -289,7 +396,7 @@ exports.paymentWebhook = async (req, res) => {
       }
 
       // Check if already processed
-      if (booking.paymentStatus === 'Completed') {
+      if (PAID_STATUSES.includes(booking.paymentStatus)) {
         console.log('ℹ️ Payment already processed for:', booking.bookingNumber);
         return res.status(200).json({
           success: true,
@@ -297,16 +404,18 @@ exports.paymentWebhook = async (req, res) => {
         });
       }
 
-      // Update booking
-      booking.paymentStatus = 'Completed';
-      booking.bookingStatus = 'Confirmed';
-      booking.razorpayPaymentId = razorpayPaymentId;
-      booking.transactionId = razorpayPaymentId;
-      booking.paymentMethod = payload.method || 'Unknown';
-      booking.paidAt = new Date();
-      booking.confirmationDate = new Date();
+      // Update booking (re-validates lapsed holds)
+      const confirmed = await confirmPaidBooking(booking, {
+        paymentId: razorpayPaymentId,
+        method: payload.method
+      });
 
-      await booking.save();
+      if (!confirmed) {
+        return res.status(200).json({
+          success: true,
+          message: 'Payment captured after hold expired - slot sold out, refund initiated'
+        });
+      }
 
       console.log('✅ Booking confirmed via webhook:', booking.bookingNumber);
 
@@ -331,20 +440,9 @@ exports.paymentWebhook = async (req, res) => {
         booking.paymentStatus = 'Failed';
         await booking.save();
 
-        // Restore available spots
-        const activity = await Activity.findById(booking.activity);
-        if (activity) {
-          const slotIndex = activity.timeSlots.findIndex(
-            slot => slot.startTime === booking.selectedTimeSlot.startTime &&
-                    slot.endTime === booking.selectedTimeSlot.endTime
-          );
-          
-          if (slotIndex !== -1) {
-            activity.timeSlots[slotIndex].availableSpots += booking.numberOfParticipants;
-            await activity.save();
-            console.log('♻️ Restored available spots');
-          }
-        }
+        // Restore spots in this date's slot inventory
+        await inventoryService.releaseBookingSpots(booking);
+        console.log('♻️ Restored available spots');
       }
     }
 
@@ -400,4 +498,104 @@ exports.getPaymentStatus = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// ========================================
+// HELPER: Verify a Razorpay checkout signature
+// ========================================
+function isValidPaymentSignature(orderId, paymentId, signature) {
+  const body = orderId + '|' + paymentId;
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(body.toString())
+    .digest('hex');
+
+  return expectedSignature === signature;
+}
+
+// ========================================
+// HELPER: Booking of a reschedule fare-difference order
+// ========================================
+// Pending reschedules are found by their order id. Once a reschedule is
+// superseded (or already applied) that id is gone from the booking, so the
+// booking is taken from the order's notes - a payment on a superseded order
+// must still be refunded.
+async function findRescheduleBooking(orderId) {
+  const pending = await Booking.findOne({ 'pendingReschedule.razorpayOrderId': orderId });
+  if (pending) {
+    return pending;
+  }
+
+  let order;
+  try {
+    order = await getRazorpay().orders.fetch(orderId);
+  } catch (error) {
+    console.error('⚠️ Could not fetch order details:', error.message);
+    return null;
+  }
+
+  const notes = (order && order.notes) || {};
+  if (notes.purpose !== 'Reschedule fare difference' || !/^[a-f0-9]{24}$/i.test(notes.bookingId || '')) {
+    return null;
+  }
+
+  return Booking.findById(notes.bookingId);
+}
+
+// ========================================
+// HELPER: Confirm a paid booking
+// ========================================
+// Shared by verifyPayment and the payment.captured webhook. Returns false
+// when the seat hold lapsed and the slot sold out before the payment
+// arrived - the payment is recorded and refunded, the booking stays "Expired".
+async function confirmPaidBooking(booking, { paymentId, signature, method }) {
+  const spotsSecured = await holdService.secureSpotsForPayment(booking);
+
+  booking.paymentStatus = 'Completed';
+  booking.razorpayPaymentId = paymentId;
+  if (signature) {
+    booking.razorpaySignature = signature;
+  }
+  booking.transactionId = paymentId;
+  booking.paymentMethod = method || 'Unknown';
+  booking.paidAt = new Date();
+
+  if (!spotsSecured) {
+    booking.bookingStatus = 'Expired';
+    await booking.save();
+
+    // Give the money back automatically
+    try {
+      await refundService.initiateRefund(booking, {
+        reason: 'Seat hold expired and the slot sold out before payment',
+        cancelBooking: false
+      });
+    } catch (error) {
+      console.error('❌ Automatic refund failed:', error.message);
+      booking.adminNotes = 'Payment received after the seat hold expired and the slot sold out. Refund required.';
+      await booking.save();
+    }
+
+    return false;
+  }
+
+  booking.bookingStatus = 'Confirmed';
+  booking.confirmationDate = new Date();
+  await booking.save();
+
+  // Sequential GST invoice number (attached to the confirmation email)
+  try {
+    await invoiceService.assignInvoice(booking);
+  } catch (error) {
+    console.error('❌ Could not assign invoice number:', error.message);
+  }
+
+  // Coupon use counts only for paid bookings
+  try {
+    await couponService.recordRedemption(booking);
+  } catch (error) {
+    console.error('❌ Could not record coupon redemption:', error.message);
+  }
+
+  return true;
+}
@@ -0,0 +1,258 @@
+const contactPreferenceService = require('../services/contactPreferenceService');
+const whatsappProviders = require('../services/whatsappProviders');
+const smsProviders = require('../services/smsProviders');
+const { NOTIFICATION_CHANNELS, OPTIONAL_MESSAGE_CATEGORIES } = require('../config/notifications');
+
+const INBOUND_PROVIDERS = {
+  whatsapp: whatsappProviders,
+  sms: smsProviders
+};
+
+// @desc    Notification settings of the address in a signed link
+// @route   GET /api/preferences?token=
+// @access  Public (signed link from an email)
+exports.getMyPreferences = async (req, res) => {
+  try {
+    const { channel, address } = contactPreferenceService.verifyToken(req.query.token);
+    const preference = await contactPreferenceService.getPreference(channel, address);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...preference,
+        availableCategories: OPTIONAL_MESSAGE_CATEGORIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change notification settings (optedOut: categories to turn off)
+// @route   PUT /api/preferences?token=
+// @access  Public (signed link from an email)
+exports.updateMyPreferences = async (req, res) => {
+  try {
+    const { channel, address } = contactPreferenceService.verifyToken(req.query.token);
+    const { optedOut } = req.body;
+
+    const preference = await contactPreferenceService.setOptedOut(channel, address, optedOut, { source: 'link' });
+
+    res.status(200).json({
+      success: true,
+      message: preference.optedOut.length > 0
+        ? `You will no longer receive ${preference.optedOut.join(' or ')} messages. Booking tickets are always sent.`
+        : 'You will receive all messages',
+      data: preference
+    });
+
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error updating preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    One-click unsubscribe from everything but transactional mail
+//          (List-Unsubscribe-Post from mail apps)
+// @route   POST /api/preferences/unsubscribe?token=
+// @access  Public (signed link from an email)
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { channel, address } = contactPreferenceService.verifyToken(req.query.token);
+
+    const preference = await contactPreferenceService.setOptedOut(
+      channel, address, OPTIONAL_MESSAGE_CATEGORIES, { source: 'one-click' }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'You have been unsubscribed. Booking tickets are always sent.',
+      data: preference
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error unsubscribing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    WhatsApp Cloud API webhook subscription check
+// @route   GET /api/preferences/inbound/whatsapp
+// @access  Public (verify token)
+exports.verifyInboundSubscription = async (req, res) => {
+  try {
+    const provider = whatsappProviders.getProvider();
+    const challenge = provider.verifySubscription ? provider.verifySubscription(req.query) : null;
+
+    if (!challenge) {
+      return res.status(403).json({
+        success: false,
+        message: 'Webhook verification failed'
+      });
+    }
+
+    res.status(200).send(challenge);
+
+  } catch (error) {
+    console.error('Error verifying webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying webhook',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Customer replies on WhatsApp / SMS (STOP / START)
+// @route   POST /api/preferences/inbound/:channel (GET for SMS)
+// @access  Public (verified per provider: signature or shared secret)
+exports.handleInbound = async (req, res) => {
+  try {
+    const channel = req.params.channel || 'sms';
+
+    if (!INBOUND_PROVIDERS[channel]) {
+      return res.status(404).json({
+        success: false,
+        message: `No reply webhook for "${channel}"`
+      });
+    }
+
+    const provider = INBOUND_PROVIDERS[channel].getProvider();
+    if (!provider.verifyInbound(req)) {
+      console.error(`❌ ${channel} reply webhook verification failed (${provider.name})`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const results = { optedOut: 0, optedIn: 0, ignored: 0 };
+
+    for (const { from, text } of provider.parseInbound(req)) {
+      try {
+        const action = await contactPreferenceService.handleReply(channel, from, text);
+        if (action === 'opted-out') results.optedOut++;
+        else if (action === 'opted-in') results.optedIn++;
+        else results.ignored++;
+      } catch (error) {
+        // e.g. a number from outside India - nothing was sent to it
+        console.error(`⚠️ Could not handle ${channel} reply:`, error.message);
+        results.ignored++;
+      }
+    }
+
+    // Providers only need a 200
+    res.status(200).json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Error handling reply webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error handling reply',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Customers' notification settings (opt-outs)
+// @route   GET /api/preferences/contacts?channel=&search=&optedOut=&page=&limit=
+// @access  Private (Super Admin, Manager)
+exports.getContactPreferences = async (req, res) => {
+  try {
+    const { channel, search, optedOut, page = 1, limit = 50 } = req.query;
+
+    if (channel && !NOTIFICATION_CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`
+      });
+    }
+
+    if (optedOut && !OPTIONAL_MESSAGE_CATEGORIES.includes(optedOut)) {
+      return res.status(400).json({
+        success: false,
+        message: `optedOut must be one of: ${OPTIONAL_MESSAGE_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const { preferences, total } = await contactPreferenceService.listPreferences({
+      channel,
+      search,
+      optedOut,
+      page: Number(page),
+      limit: Number(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: preferences,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: Number(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching contact preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contact preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a customer's notification settings (e.g. asked by phone)
+// @route   PUT /api/preferences/contacts
+// @access  Private (Super Admin, Manager)
+exports.updateContactPreference = async (req, res) => {
+  try {
+    const { channel, address, optedOut, note } = req.body;
+
+    if (!channel || !address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Channel and address are required'
+      });
+    }
+
+    const preference = await contactPreferenceService.setOptedOut(channel, address, optedOut, {
+      source: 'admin',
+      note: note || null,
+      changedBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification settings updated',
+      data: preference
+    });
+
+  } catch (error) {
+    console.error('Error updating contact preference:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error updating contact preference',
+      error: error.message
+    });
+  }
+};
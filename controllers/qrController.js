@@ -1,19 +1,21 @@
-const crypto = require('crypto');
 const QRCode = require('qrcode');
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
-const emailService = require('../services/emailService');
-const whatsappService = require('../services/whatsappService');
+const notificationService = require('../services/notificationService');
+const checkInService = require('../services/checkInService');
+const qrTokenService = require('../services/qrTokenService');
 
 // ========================================
 // Generate QR and Send Confirmations
 // ========================================
-// Called by paymentController after successful payment
+// Called by paymentController after successful payment. The messages go
+// through the notification outbox, so this doesn't wait on SMTP / WhatsApp.
 exports.generateAndSendQR = async (booking) => {
   try {
     console.log('📋 Starting QR generation for:', booking.bookingNumber);
 
-    // 1. Generate encrypted QR data
-    const qrData = generateQRData(booking);
+    // 1. Signed ticket for the booking's current QR version
+    const qrData = qrTokenService.issueTicket(booking);
     
     // 2. Generate QR code image (base64)
     const qrImage = await QRCode.toDataURL(qrData, {
@@ -31,13 +33,10 @@ exports.generateAndSendQR = async (booking) => {
     
     console.log('✅ QR code generated for:', booking.bookingNumber);
     
-    // 4. Send email confirmation with QR
-    await emailService.sendBookingConfirmation(booking);
+    // 4. Queue email (with QR) + WhatsApp confirmations
+    await notificationService.notifyBooking('booking-confirmation', booking);
     
-    // 5. Send WhatsApp notification
-    await whatsappService.sendBookingConfirmation(booking);
-    
-    console.log('✅ All confirmations sent for:', booking.bookingNumber);
+    console.log('✅ Confirmations queued for:', booking.bookingNumber);
     
   } catch (error) {
     console.error('❌ Error in generateAndSendQR:', error);
@@ -52,7 +51,7 @@ exports.generateAndSendQR = async (booking) => {
 // @access  Private (Staff/Security)
 exports.scanQR = async (req, res) => {
   try {
-    const { qrData } = req.body;
+    const { qrData, count, participantIndexes, gate, overrideReason } = req.body;
 
     if (!qrData) {
       return res.status(400).json({
@@ -63,100 +62,145 @@ exports.scanQR = async (req, res) => {
 
     console.log('🔍 Scanning QR code...');
 
-    // 1. Decrypt QR data
-    let decryptedData;
-    try {
-      decryptedData = decryptQRData(qrData);
-    } catch (error) {
-      return res.status(400).json({
+    // 1. Verify ticket signature + version, find booking
+    const { booking, error: ticketError } = await qrTokenService.resolveTicket(qrData, {
+      populate: 'title venue address city'
+    });
+
+    if (ticketError) {
+      const { status, ...details } = ticketError;
+      return res.status(status).json({
         success: false,
-        message: 'Invalid or corrupted QR code'
+        ...details
       });
     }
 
-    // 2. Find booking
-    const booking = await Booking.findById(decryptedData.bookingId)
-      .populate('activity', 'title venue address city');
+    // 2. Check in the arriving participants (all remaining by default)
+    const result = await checkInService.recordCheckIn(booking, {
+      count,
+      participantIndexes,
+      gate,
+      staffId: req.user._id,
+      staffRole: req.user.role,
+      method: 'QR Scan',
+      // Manager letting a guest in outside the check-in window
+      overrideReason
+    });
 
-    if (!booking) {
-      return res.status(404).json({
+    if (result.error) {
+      const { status, ...details } = result.error;
+      return res.status(status).json({
         success: false,
-        message: 'Booking not found'
+        ...details
       });
     }
 
-    // 3. Validate booking status
-    if (booking.bookingStatus !== 'Confirmed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking is not confirmed',
-        status: booking.bookingStatus
-      });
-    }
+    // 3. Return success response
+    res.status(200).json({
+      success: true,
+      message: result.complete
+        ? '✅ Check-in successful!'
+        : `✅ ${result.arrived} checked in, ${result.remaining} still to arrive`,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        customerName: booking.customerDetails.name,
+        activityTitle: booking.activity.title,
+        venue: booking.activity.venue,
+        numberOfParticipants: booking.numberOfParticipants,
+        checkedInCount: booking.checkedInCount,
+        remaining: result.remaining,
+        complete: result.complete,
+        participants: booking.participants,
+        checkedInParticipants: booking.checkedInParticipants,
+        timeSlot: booking.selectedTimeSlot,
+        checkInTime: booking.checkInTime,
+        gate: result.event.gate,
+        venueOccupancy: result.occupancy,
+        venueCapacity: result.capacity,
+        waiverWarning: result.waiverWarning,
+        windowOverride: result.windowOverride
+      }
+    });
 
-    // 4. Check payment status
-    if (booking.paymentStatus !== 'Completed') {
+  } catch (error) {
+    console.error('❌ Error scanning QR:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing QR code',
+      error: error.message
+    });
+  }
+};
+
+// ========================================
+// Scan QR Code at Exit (Check-out)
+// ========================================
+// @route   POST /api/qr/checkout
+// @access  Private (Staff/Security)
+exports.checkOutQR = async (req, res) => {
+  try {
+    const { qrData, count, gate } = req.body;
+
+    if (!qrData) {
       return res.status(400).json({
         success: false,
-        message: 'Payment not completed',
-        paymentStatus: booking.paymentStatus
+        message: 'QR data is required'
       });
     }
 
-    // 5. Check if already checked in
-    if (booking.checkedIn) {
-      return res.status(400).json({
+    const { booking, error: ticketError } = await qrTokenService.resolveTicket(qrData, {
+      populate: 'title venue'
+    });
+
+    if (ticketError) {
+      const { status, ...details } = ticketError;
+      return res.status(status).json({
         success: false,
-        message: 'Already checked in',
-        checkedInAt: booking.checkInTime,
-        checkedInBy: booking.checkInBy
+        ...details
       });
     }
 
-    // 6. Verify booking date (must be today)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const bookingDate = new Date(booking.bookingDate);
-    bookingDate.setHours(0, 0, 0, 0);
+    // Everyone from the booking still inside, unless a count is given
+    const result = await checkInService.recordCheckOut(booking, {
+      count,
+      gate,
+      staffId: req.user._id,
+      method: 'QR Scan'
+    });
 
-    if (bookingDate.getTime() !== today.getTime()) {
-      return res.status(400).json({
+    if (result.error) {
+      const { status, ...details } = result.error;
+      return res.status(status).json({
         success: false,
-        message: 'This booking is not for today',
-        bookingDate: booking.bookingDate,
-        todayDate: today
+        ...details
       });
     }
 
-    // 7. Update check-in status
-    booking.checkedIn = true;
-    booking.checkInTime = new Date();
-    booking.checkInBy = req.user._id;
-    booking.bookingStatus = 'Completed';
-    await booking.save();
-
-    console.log('✅ Check-in successful:', booking.bookingNumber);
-
-    // 8. Return success response
     res.status(200).json({
       success: true,
-      message: '✅ Check-in successful!',
+      message: result.inside > 0
+        ? `👋 ${result.departed} checked out, ${result.inside} still inside`
+        : '👋 Check-out successful!',
       data: {
         bookingNumber: booking.bookingNumber,
         customerName: booking.customerDetails.name,
         activityTitle: booking.activity.title,
         venue: booking.activity.venue,
-        numberOfParticipants: booking.numberOfParticipants,
-        timeSlot: booking.selectedTimeSlot,
-        checkInTime: booking.checkInTime
+        checkedInCount: booking.checkedInCount,
+        checkedOutCount: booking.checkedOutCount,
+        inside: result.inside,
+        checkOutTime: booking.checkOutTime,
+        gate: result.event.gate,
+        venueOccupancy: result.occupancy,
+        venueCapacity: result.capacity
       }
     });
 
   } catch (error) {
-    console.error('❌ Error scanning QR:', error);
+    console.error('❌ Error checking out QR:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing QR code',
+      message: 'Error processing check-out',
       error: error.message
     });
   }
@@ -218,15 +262,12 @@ exports.resendQR = async (req, res) => {
 
     console.log('📧 Resending QR for:', booking.bookingNumber);
 
-    // Resend email
-    await emailService.sendBookingConfirmation(booking);
-
-    // Resend WhatsApp
-    await whatsappService.sendBookingConfirmation(booking);
+    // Email + WhatsApp, delivered by the notification outbox
+    await notificationService.notifyBooking('booking-confirmation', booking);
 
     res.status(200).json({
       success: true,
-      message: 'QR code resent successfully via email and WhatsApp'
+      message: 'QR code will be resent via email and WhatsApp shortly'
     });
 
   } catch (error) {
@@ -255,27 +296,16 @@ exports.validateQR = async (req, res) => {
       });
     }
 
-    // Decrypt QR
-    let decryptedData;
-    try {
-      decryptedData = decryptQRData(qrData);
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code',
-        valid: false
-      });
-    }
-
-    // Find booking
-    const booking = await Booking.findById(decryptedData.bookingId)
-      .select('bookingNumber bookingStatus paymentStatus checkedIn checkInTime customerDetails')
-      .populate('activity', 'title venue');
+    // Verify ticket signature + version, find booking
+    const { booking, error: ticketError } = await qrTokenService.resolveTicket(qrData, {
+      populate: 'title venue'
+    });
 
-    if (!booking) {
-      return res.status(404).json({
+    if (ticketError) {
+      const { status, ...details } = ticketError;
+      return res.status(status).json({
         success: false,
-        message: 'Booking not found',
+        ...details,
         valid: false
       });
     }
@@ -288,6 +318,8 @@ exports.validateQR = async (req, res) => {
         bookingStatus: booking.bookingStatus,
         paymentStatus: booking.paymentStatus,
         checkedIn: booking.checkedIn,
+        checkedInCount: booking.checkedInCount,
+        numberOfParticipants: booking.numberOfParticipants,
         checkInTime: booking.checkInTime,
         customerName: booking.customerDetails.name,
         activityTitle: booking.activity?.title
@@ -305,56 +337,57 @@ exports.validateQR = async (req, res) => {
 };
 
 // ========================================
-// HELPER: Generate Encrypted QR Data
-// ========================================
-function generateQRData(booking) {
-  const data = {
-    bookingId: booking._id.toString(),
-    bookingNumber: booking.bookingNumber,
-    customerName: booking.customerDetails.name,
-    customerPhone: booking.customerDetails.phone,
-    activityId: booking.activity._id.toString(),
-    bookingDate: booking.bookingDate.toISOString(),
-    numberOfParticipants: booking.numberOfParticipants,
-    timeSlot: booking.selectedTimeSlot,
-    timestamp: Date.now()
-  };
-
-  // Encrypt the data
-  const algorithm = 'aes-256-cbc';
-  const secretKey = process.env.QR_SECRET || 'your-secret-key-minimum-32-chars-long-for-aes-256';
-  const key = crypto.scryptSync(secretKey, 'salt', 32);
-  const iv = crypto.randomBytes(16);
-
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-
-  // Return IV + encrypted data (both needed for decryption)
-  return `${iv.toString('hex')}:${encrypted}`;
-}
-
+// Revoke QR Code (Lost / Shared Ticket)
 // ========================================
-// HELPER: Decrypt QR Data
-// ========================================
-function decryptQRData(encryptedData) {
+// Bumps the booking's QR version so every earlier ticket stops working,
+// then issues and sends a new one.
+// @route   POST /api/qr/:bookingId/revoke
+// @access  Private (Super Admin, Manager)
+exports.revokeQR = async (req, res) => {
   try {
-    const algorithm = 'aes-256-cbc';
-    const secretKey = process.env.QR_SECRET || 'your-secret-key-minimum-32-chars-long-for-aes-256';
-    const key = crypto.scryptSync(secretKey, 'salt', 32);
+    const { bookingId } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, bookingStatus: 'Confirmed' },
+      { $inc: { qrVersion: 1 } },
+      { new: true }
+    ).populate('activity', 'title venue address city');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Confirmed booking not found'
+      });
+    }
 
-    // Split IV and encrypted data
-    const [ivHex, encrypted] = encryptedData.split(':');
-    const iv = Buffer.from(ivHex, 'hex');
+    console.log(`🚫 QR revoked for ${booking.bookingNumber} (now v${booking.qrVersion})`, reason ? `- ${reason}` : '');
 
-    // Decrypt
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+    // New ticket + confirmation email / WhatsApp
+    await exports.generateAndSendQR(booking);
+
+    res.status(200).json({
+      success: true,
+      message: 'Previous QR codes revoked. A new QR code has been sent to the customer.',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        qrVersion: booking.qrVersion
+      }
+    });
 
-    return JSON.parse(decrypted);
   } catch (error) {
-    console.error('❌ Decryption error:', error);
-    throw new Error('Failed to decrypt QR data');
+    console.error('❌ Error revoking QR:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking QR code',
+      error: error.message
+    });
   }
-}
\ No newline at end of file
+};
@@ -0,0 +1,190 @@
+const Booking = require('../models/Booking');
+const Activity = require('../models/Activity');
+const Refund = require('../models/Refund');
+const mongoose = require('mongoose');
+const refundService = require('../services/refundService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+
+// @desc    Refund a paid booking (full or partial)
+// @route   POST /api/bookings/:id/refund
+// @access  Private (Super Admin, Accountant)
+exports.refundBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, cancelBooking = true, usePolicy } = req.body;
+    let { amount } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund reason is required'
+      });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Use the amount computed from the activity's cancellation rules
+    if (usePolicy === true || usePolicy === 'true') {
+      const activity = await Activity.findById(booking.activity);
+      const quote = cancellationPolicyService.computeRefund(booking, activity);
+
+      if (quote.refundableAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cancellation policy allows no refund for this booking',
+          data: quote
+        });
+      }
+      amount = quote.refundableAmount;
+    }
+
+    const { refund, booking: updatedBooking } = await refundService.initiateRefund(booking, {
+      amount,
+      reason,
+      initiatedBy: req.user._id,
+      cancelBooking: cancelBooking !== false && cancelBooking !== 'false'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'Processed'
+        ? 'Refund processed successfully'
+        : 'Refund initiated successfully',
+      data: {
+        refund,
+        booking: {
+          id: updatedBooking._id,
+          bookingNumber: updatedBooking.bookingNumber,
+          bookingStatus: updatedBooking.bookingStatus,
+          paymentStatus: updatedBooking.paymentStatus,
+          finalAmount: updatedBooking.finalAmount,
+          refundedAmount: updatedBooking.refundedAmount,
+          refundableAmount: refundService.getRefundableAmount(updatedBooking)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error refunding booking:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error processing refund',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview the refund the cancellation policy allows right now
+// @route   GET /api/bookings/:id/refund-preview
+// @access  Private (Super Admin, Manager, Accountant)
+exports.getRefundPreview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const activity = await Activity.findById(booking.activity);
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        bookingStatus: booking.bookingStatus,
+        paymentStatus: booking.paymentStatus,
+        refundedAmount: booking.refundedAmount,
+        cancellationPolicy: activity.cancellationPolicy,
+        ...cancellationPolicyService.computeRefund(booking, activity)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error computing refund preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing refund preview',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get refunds of a booking
+// @route   GET /api/bookings/:id/refunds
+// @access  Private (Super Admin, Manager, Accountant)
+exports.getBookingRefunds = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await Booking.findById(id)
+      .select('bookingNumber finalAmount refundedAmount paymentStatus');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const refunds = await Refund.find({ booking: id })
+      .populate('initiatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        finalAmount: booking.finalAmount,
+        refundedAmount: booking.refundedAmount,
+        refundableAmount: refundService.getRefundableAmount(booking),
+        paymentStatus: booking.paymentStatus,
+        refunds
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refunds',
+      error: error.message
+    });
+  }
+};
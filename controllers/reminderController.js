@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Reminder = require('../models/Reminder');
+const reminderService = require('../services/reminderService');
+
+const REMINDER_STATUSES = ['Pending', 'Sending', 'Queued', 'Sent', 'Failed', 'Skipped'];
+
+// @desc    Pending / sent reminders with counts per status
+// @route   GET /api/reminders?status=&channel=&kind=&bookingNumber=&fromDate=&toDate=&page=&limit=
+// @access  Private (Super Admin, Manager)
+exports.getReminders = async (req, res) => {
+  try {
+    const { status, channel, kind, bookingNumber, fromDate, toDate, page = 1, limit = 50 } = req.query;
+
+    if (status && !REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${REMINDER_STATUSES.join(', ')}`
+      });
+    }
+
+    if ((fromDate && isNaN(new Date(fromDate).getTime())) || (toDate && isNaN(new Date(toDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const { reminders, counts, total } = await reminderService.listReminders({
+      status,
+      channel,
+      kind,
+      bookingNumber,
+      fromDate,
+      toDate,
+      page: Number(page),
+      limit: Number(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reminders,
+        counts,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: Number(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reminders',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reminders of one booking
+// @route   GET /api/reminders/booking/:bookingId
+// @access  Private (Super Admin, Manager)
+exports.getBookingReminders = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const reminders = await Reminder.find({ booking: bookingId }).sort({ scheduledFor: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: reminders.length,
+      data: reminders
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking reminders',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,90 @@
+const scannerSyncService = require('../services/scannerSyncService');
+const scannerKeys = require('../config/scannerKeys');
+const { toDateKey } = require('../config/timezone');
+
+// @desc    Public key that verifies offline manifest signatures
+// @route   GET /api/qr/offline/keys
+// @access  Private (Staff/Security)
+exports.getScannerKeys = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      keys: [scannerKeys.getPublicKey()]
+    }
+  });
+};
+
+// @desc    Download the signed gate manifest of a venue for a day
+// @route   GET /api/qr/offline/manifest?date=YYYY-MM-DD&venue=
+// @access  Private (Staff/Security)
+exports.getGateManifest = async (req, res) => {
+  try {
+    const { date } = req.query;
+    // Staff assigned to a venue get theirs by default
+    const venue = req.query.venue || req.user.venue;
+
+    if (!venue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue is required (no venue assigned to your account)'
+      });
+    }
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const manifest = await scannerSyncService.getGateManifest({
+      dateKey: toDateKey(date || new Date()),
+      venue
+    });
+
+    res.status(200).json({
+      success: true,
+      data: manifest
+    });
+
+  } catch (error) {
+    console.error('Error building gate manifest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building gate manifest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload scans made offline (applied once each, conflicts reported)
+// @route   POST /api/qr/offline/sync
+// @access  Private (Staff/Security)
+exports.syncOfflineScans = async (req, res) => {
+  try {
+    const { deviceId, gate, events } = req.body;
+
+    const { summary, results } = await scannerSyncService.syncOfflineEvents(
+      { deviceId, gate, events },
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.applied} applied, ${summary.duplicate} already synced, ` +
+        `${summary.conflict} conflict(s), ${summary.rejected} rejected`,
+      data: {
+        summary,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Error syncing offline scans:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error syncing offline scans',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,131 @@
+const TaxRate = require('../models/TaxRate');
+const taxConfig = require('../config/tax');
+
+// @desc    Get GST rates for all categories
+// @route   GET /api/tax-rates
+// @access  Private (Super Admin, Manager, Accountant)
+exports.getTaxRates = async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find()
+      .populate('updatedBy', 'name email')
+      .sort({ category: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: taxRates.length,
+      data: {
+        taxRates,
+        // Applied to categories without their own rate
+        defaults: {
+          hsnSacCode: taxConfig.DEFAULT_SAC_CODE,
+          gstRate: taxConfig.DEFAULT_GST_RATE,
+          priceIncludesTax: taxConfig.DEFAULT_PRICE_INCLUDES_TAX
+        },
+        supplier: {
+          legalName: taxConfig.CLUB_LEGAL_NAME,
+          gstin: taxConfig.CLUB_GSTIN,
+          state: taxConfig.CLUB_STATE
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tax rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax rates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create or update the GST rate of a category
+// @route   PUT /api/tax-rates/:category
+// @access  Private (Super Admin, Accountant)
+exports.upsertTaxRate = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { hsnSacCode, gstRate, priceIncludesTax, description } = req.body;
+
+    if (!hsnSacCode || gstRate === undefined || gstRate === null || gstRate === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'HSN/SAC code and GST rate are required',
+        required: ['hsnSacCode', 'gstRate']
+      });
+    }
+
+    let taxRate = await TaxRate.findOne({ category });
+    const isNew = !taxRate;
+    if (isNew) {
+      taxRate = new TaxRate({ category });
+    }
+
+    taxRate.hsnSacCode = String(hsnSacCode).trim();
+    taxRate.gstRate = Number(gstRate);
+    if (priceIncludesTax !== undefined) {
+      taxRate.priceIncludesTax = priceIncludesTax === true || priceIncludesTax === 'true';
+    }
+    if (description !== undefined) {
+      taxRate.description = description;
+    }
+    taxRate.updatedBy = req.user._id;
+    await taxRate.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: `Tax rate ${isNew ? 'created' : 'updated'} successfully`,
+      data: taxRate
+    });
+
+  } catch (error) {
+    console.error('Error saving tax rate:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving tax rate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a category rate (falls back to the default rate)
+// @route   DELETE /api/tax-rates/:category
+// @access  Private (Super Admin only)
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findOneAndDelete({ category: req.params.category });
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate deleted. The default rate applies to this category now.'
+    });
+
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tax rate',
+      error: error.message
+    });
+  }
+};
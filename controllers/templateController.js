@@ -0,0 +1,93 @@
+const messageTemplates = require('../services/messageTemplates');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, isSupportedLocale } = require('../config/locale');
+
+// @desc    Customer message templates with their channels and languages
+// @route   GET /api/templates
+// @access  Private (Super Admin, Manager)
+exports.getTemplates = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        templates: messageTemplates.listTemplates(),
+        locales: messageTemplates.getLocales()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching templates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Render a template with a sample booking
+//          (?format=html returns the email itself, ?token= allowed for browser tabs)
+// @route   GET /api/templates/:key/preview?channel=email|whatsapp|sms&locale=en|te|hi&minutesBefore=&format=
+// @access  Private (Super Admin, Manager)
+exports.previewTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { locale = DEFAULT_LOCALE, minutesBefore, format } = req.query;
+
+    const template = messageTemplates.listTemplates().find(item => item.key === key);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: `No template "${key}"`
+      });
+    }
+
+    // First channel of the template unless given
+    const channel = req.query.channel || template.channels[0];
+    if (!template.channels.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Channel must be one of: ${template.channels.join(', ')}`
+      });
+    }
+
+    if (!isSupportedLocale(locale)) {
+      return res.status(400).json({
+        success: false,
+        message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
+
+    if (minutesBefore !== undefined && !(Number.isInteger(Number(minutesBefore)) && Number(minutesBefore) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'minutesBefore must be a positive whole number'
+      });
+    }
+
+    const data = messageTemplates.getSampleData(key, {
+      minutesBefore: minutesBefore ? Number(minutesBefore) : null
+    });
+    const message = messageTemplates.render(key, channel, data, locale);
+
+    if (format === 'html' && channel === 'email') {
+      return res.status(200).type('html').send(message.html);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template: key,
+        channel,
+        ...message
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing template:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error previewing template',
+      error: error.message
+    });
+  }
+};
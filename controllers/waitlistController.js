@@ -0,0 +1,228 @@
+const Activity = require('../models/Activity');
+const mongoose = require('mongoose');
+const bookingValidationService = require('../services/bookingValidationService');
+const waitlistService = require('../services/waitlistService');
+const { SUPPORTED_LOCALES, isSupportedLocale } = require('../config/locale');
+
+// @desc    Join the waitlist of a sold-out slot
+// @route   POST /api/activities/:id/waitlist
+// @access  Public
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookingDate, selectedTimeSlot, numberOfParticipants, customerDetails, participants, preferredLanguage } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    if (!bookingDate || !selectedTimeSlot || !numberOfParticipants || !customerDetails) {
+      return res.status(400).json({
+        success: false,
+        message: 'All fields are required',
+        required: ['bookingDate', 'selectedTimeSlot', 'numberOfParticipants', 'customerDetails']
+      });
+    }
+
+    const { name, email, phone, address } = customerDetails;
+    if (!name || !email || !phone || !address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer details incomplete',
+        required: ['name', 'email', 'phone', 'address']
+      });
+    }
+
+    if (preferredLanguage && !isSupportedLocale(preferredLanguage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Preferred language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
+
+    const activity = await Activity.findById(id);
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    // Same date / slot / party size rules as a booking
+    const selection = bookingValidationService.validateSlotSelection(activity, {
+      bookingDate,
+      selectedTimeSlot,
+      numberOfParticipants
+    });
+
+    if (selection.error) {
+      const { status, ...details } = selection.error;
+      return res.status(status).json({
+        success: false,
+        ...details
+      });
+    }
+
+    const roster = bookingValidationService.validateParticipants(activity, participants, numberOfParticipants);
+    if (roster.error) {
+      const { status, ...details } = roster.error;
+      return res.status(status).json({
+        success: false,
+        ...details
+      });
+    }
+
+    const { entry, position } = await waitlistService.joinWaitlist(activity, selection, {
+      numberOfParticipants,
+      customerDetails,
+      participants: roster.participants,
+      preferredLanguage
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'You have been added to the waitlist. We will notify you if spots open up.',
+      data: {
+        waitlistId: entry._id,
+        position,
+        date: entry.bookingDate,
+        timeSlot: entry.selectedTimeSlot,
+        participants: entry.numberOfParticipants
+      }
+    });
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error joining waitlist',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get waitlist offer details (from the offer link)
+// @route   GET /api/activities/waitlist/offers/:token
+// @access  Public (token)
+exports.getWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await waitlistService.findOffer(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: entry.status,
+        activityTitle: entry.activity?.title,
+        venue: entry.activity?.venue,
+        date: entry.bookingDate,
+        timeSlot: entry.selectedTimeSlot,
+        participants: entry.numberOfParticipants,
+        pricePerPerson: entry.activity ? (entry.activity.priceAfterDiscount || entry.activity.price) : null,
+        offerExpiresAt: entry.offerExpiresAt,
+        isExpired: entry.status === 'Expired' ||
+          (entry.status === 'Offered' && entry.offerExpiresAt <= new Date())
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist offer:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching waitlist offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept a waitlist offer - creates a held booking ready for payment
+// @route   POST /api/activities/waitlist/offers/:token/claim
+// @access  Public (token)
+exports.claimWaitlistOffer = async (req, res) => {
+  try {
+    const { booking, activity } = await waitlistService.claimOffer(req.params.token);
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking initiated successfully. Please proceed to payment.',
+      data: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        amount: booking.finalAmount,
+        currency: 'INR',
+        holdExpiresAt: booking.holdExpiresAt,
+        booking: {
+          activityTitle: activity.title,
+          venue: activity.venue,
+          date: booking.bookingDate,
+          timeSlot: booking.selectedTimeSlot,
+          participants: booking.numberOfParticipants,
+          customerName: booking.customerDetails.name
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error claiming waitlist offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Waitlist length per date / slot
+// @route   GET /api/activities/:id/waitlist
+// @access  Private (Super Admin, Manager)
+exports.getWaitlistSummary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const slots = await waitlistService.getWaitlistSummary(id, { date });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: slots
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist summary',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,329 @@
+const Activity = require('../models/Activity');
+const Booking = require('../models/Booking');
+const SignedWaiver = require('../models/SignedWaiver');
+const WaiverTemplate = require('../models/WaiverTemplate');
+const mongoose = require('mongoose');
+const waiverService = require('../services/waiverService');
+
+// @desc    Get the waiver to sign for a booking (from the confirmation email link)
+// @route   GET /api/waivers/sign/:token
+// @access  Public (token)
+exports.getWaiverForSigning = async (req, res) => {
+  try {
+    const booking = await findBookingByToken(req.params.token);
+    const status = await waiverService.getWaiverStatus(booking);
+
+    if (!status.required) {
+      return res.status(200).json({
+        success: true,
+        data: { required: false, bookingNumber: booking.bookingNumber }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        required: true,
+        complete: status.complete,
+        canSign: booking.bookingStatus === 'Confirmed' && !booking.checkedIn,
+        bookingNumber: booking.bookingNumber,
+        activityTitle: booking.activity?.title,
+        date: booking.bookingDate,
+        timeSlot: booking.selectedTimeSlot,
+        waiver: {
+          title: status.template.title,
+          version: status.template.version,
+          content: status.template.content
+        },
+        participants: waiverService.getSignatories(booking).map(person => ({
+          ...person,
+          signed: !status.missing.some(missing => missing.participantIndex === person.participantIndex)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching waiver:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching waiver',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign waivers (typed name + accept checkbox, one per participant)
+// @route   POST /api/waivers/sign/:token
+// @access  Public (token)
+exports.signWaivers = async (req, res) => {
+  try {
+    const booking = await findBookingByToken(req.params.token);
+
+    const { waivers, remaining } = await waiverService.signWaivers(booking, req.body.signatures, {
+      ipAddress: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: remaining === 0
+        ? 'All waivers signed. See you at the venue!'
+        : `Waiver signed. ${remaining} participant(s) still need to sign.`,
+      data: {
+        signed: waivers.map(waiver => ({
+          participantIndex: waiver.participantIndex,
+          participantName: waiver.participantName,
+          signedAt: waiver.signedAt
+        })),
+        remaining
+      }
+    });
+
+  } catch (error) {
+    console.error('Error signing waivers:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error signing waivers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get waiver versions of an activity
+// @route   GET /api/waivers/activity/:activityId
+// @access  Private (Super Admin, Manager)
+exports.getWaiverTemplates = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(activityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    const templates = await WaiverTemplate.find({ activity: activityId })
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: {
+        active: templates.find(template => template.isActive) || null,
+        versions: templates
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching waiver templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waiver templates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Publish a new waiver version for an activity
+// @route   PUT /api/waivers/activity/:activityId
+// @access  Private (Super Admin, Manager)
+exports.saveWaiverTemplate = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+    const { title, content, enforcement } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(activityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    if (!title || !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Waiver title and content are required',
+        required: ['title', 'content']
+      });
+    }
+
+    const activity = await Activity.findById(activityId).select('_id');
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    const template = await waiverService.saveTemplate(activityId, { title, content, enforcement }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Waiver version ${template.version} published`,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error saving waiver template:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving waiver template',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stop requiring waivers for an activity (versions are kept)
+// @route   DELETE /api/waivers/activity/:activityId
+// @access  Private (Super Admin only)
+exports.deactivateWaiver = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(activityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid activity ID'
+      });
+    }
+
+    const modified = await waiverService.deactivateTemplates(activityId);
+    if (modified === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active waiver for this activity'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Waiver deactivated. Check-in no longer requires signed waivers for this activity.'
+    });
+
+  } catch (error) {
+    console.error('Error deactivating waiver:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating waiver',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Waiver status of a booking (signed / missing participants)
+// @route   GET /api/waivers/booking/:bookingId
+// @access  Private (Super Admin, Manager, Security)
+exports.getBookingWaivers = async (req, res) => {
+  try {
+    const booking = await findBookingById(req.params.bookingId);
+    const status = await waiverService.getWaiverStatus(booking);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        required: status.required,
+        complete: status.complete,
+        enforcement: status.enforcement || null,
+        templateVersion: status.template ? status.template.version : null,
+        signed: status.signed,
+        missing: status.missing,
+        signingUrl: status.required ? waiverService.getWaiverUrl(booking) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking waivers:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching booking waivers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download the signed waivers of a booking as PDF (audits)
+// @route   GET /api/waivers/booking/:bookingId/pdf
+// @access  Private (Super Admin, Manager, Accountant)
+exports.downloadWaiverPDF = async (req, res) => {
+  try {
+    const booking = await findBookingById(req.params.bookingId);
+
+    const waivers = await SignedWaiver.find({ booking: booking._id }).sort({ participantIndex: 1 });
+    if (waivers.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No signed waivers for this booking'
+      });
+    }
+
+    const pdf = await waiverService.generateWaiverPDF(booking, waivers);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Waivers-${booking.bookingNumber}.pdf"`);
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('Error generating waiver PDF:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error generating waiver PDF',
+      error: error.message
+    });
+  }
+};
+
+// ========================================
+// HELPER: Load booking from a signing link
+// ========================================
+async function findBookingByToken(token) {
+  return findBookingById(waiverService.verifyWaiverToken(token));
+}
+
+// ========================================
+// HELPER: Load booking or throw 400 / 404
+// ========================================
+async function findBookingById(bookingId) {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    const error = new Error('Invalid booking ID');
+    error.status = 400;
+    throw error;
+  }
+
+  const booking = await Booking.findById(bookingId).populate('activity', 'title venue');
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return booking;
+}
@@ -0,0 +1,41 @@
+const holdService = require('../services/holdService');
+const rescheduleService = require('../services/rescheduleService');
+
+// ========================================
+// Hold Expiry Job
+// ========================================
+// Releases spots of unpaid bookings (and unpaid reschedules) whose hold
+// has lapsed.
+
+const INTERVAL_MS = (Number(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+
+let running = false;
+
+const run = async () => {
+  // Skip if the previous sweep is still going
+  if (running) return;
+  running = true;
+
+  try {
+    const expiredCount = await holdService.expireLapsedHolds();
+    if (expiredCount > 0) {
+      console.log(`⌛ Hold sweeper expired ${expiredCount} booking(s)`);
+    }
+
+    const releasedCount = await rescheduleService.releaseExpiredPendingReschedules();
+    if (releasedCount > 0) {
+      console.log(`⌛ Hold sweeper released ${releasedCount} pending reschedule(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Hold sweeper error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+exports.start = () => {
+  console.log(`⌛ Hold sweeper running every ${INTERVAL_MS / 1000}s`);
+  return setInterval(run, INTERVAL_MS);
+};
+
+exports.run = run;
@@ -0,0 +1,22 @@
+// ========================================
+// Background Jobs
+// ========================================
+// Started once from server.js after the HTTP server is up.
+
+const holdExpiryJob = require('./holdExpiryJob');
+const waitlistOfferJob = require('./waitlistOfferJob');
+const slotClosureJob = require('./slotClosureJob');
+const reminderJob = require('./reminderJob');
+const notificationJob = require('./notificationJob');
+const waitlistService = require('../services/waitlistService');
+
+exports.startJobs = () => {
+  // Offer released spots to the waitlist as soon as they come back
+  waitlistService.watchInventory();
+
+  holdExpiryJob.start();
+  waitlistOfferJob.start();
+  slotClosureJob.start();
+  reminderJob.start();
+  notificationJob.start();
+};
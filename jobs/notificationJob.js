@@ -0,0 +1,31 @@
+const notificationService = require('../services/notificationService');
+
+// ========================================
+// Notification Outbox Job
+// ========================================
+// Delivers queued messages whose (re)try time has come. New messages are
+// usually sent right away; this picks up retries and anything missed
+// while the server was down.
+
+const INTERVAL_MS = (Number(process.env.NOTIFICATION_INTERVAL_SECONDS) || 15) * 1000;
+
+const run = async () => {
+  try {
+    // null: a delivery run is already in progress
+    const summary = await notificationService.processOutbox();
+    if (summary && (summary.sent > 0 || summary.retrying > 0 || summary.failed > 0 || summary.skipped > 0)) {
+      console.log(`📬 Outbox: ${summary.sent} sent, ${summary.retrying} to retry, ${summary.failed} failed, ${summary.skipped} skipped (opted out)`);
+    }
+  } catch (error) {
+    console.error('❌ Notification outbox error:', error);
+  }
+};
+
+exports.start = () => {
+  console.log(`📬 Notification outbox running every ${INTERVAL_MS / 1000}s`);
+  // Deliver whatever was queued before a restart
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
+
+exports.run = run;
@@ -0,0 +1,37 @@
+const reminderService = require('../services/reminderService');
+
+// ========================================
+// Reminder Job
+// ========================================
+// Plans reminders for upcoming bookings and queues the ones that are due
+// (day-before + optional extra reminders, see reminderService).
+
+const INTERVAL_MS = (Number(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000;
+
+let running = false;
+
+const run = async () => {
+  // Skip if the previous run is still going
+  if (running) return;
+  running = true;
+
+  try {
+    await reminderService.scheduleReminders();
+
+    const summary = await reminderService.sendDueReminders();
+    if (summary.queued > 0 || summary.skipped > 0) {
+      console.log(`⏰ Reminders: ${summary.queued} queued, ${summary.skipped} skipped`);
+    }
+  } catch (error) {
+    console.error('❌ Reminder job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+exports.start = () => {
+  console.log(`⏰ Reminder job running every ${INTERVAL_MS / 1000}s`);
+  return setInterval(run, INTERVAL_MS);
+};
+
+exports.run = run;
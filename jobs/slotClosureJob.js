@@ -0,0 +1,43 @@
+const noShowService = require('../services/noShowService');
+const checkInService = require('../services/checkInService');
+
+// ========================================
+// Slot Closure Job
+// ========================================
+// Once a slot has ended, partly checked-in bookings move to Completed and,
+// after the no-show grace period, bookings nobody checked in for become
+// No-Show (see noShowService). Anyone still inside is checked out so venue
+// occupancy doesn't count guests who left without scanning out.
+
+const INTERVAL_MS = (Number(process.env.SLOT_CLOSURE_INTERVAL_SECONDS) || 300) * 1000;
+
+let running = false;
+
+const run = async () => {
+  // Skip if the previous sweep is still going
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await noShowService.closeEndedSlots();
+    if (summary.completed > 0 || summary.noShows > 0 || summary.credits > 0) {
+      console.log(`🏁 Slot closure: ${summary.completed} completed, ${summary.noShows} no-show(s), ${summary.credits} credit(s)`);
+    }
+
+    const checkedOut = await checkInService.checkOutEndedSlots();
+    if (checkedOut > 0) {
+      console.log(`👋 Slot closure checked out ${checkedOut} participant(s) still inside`);
+    }
+  } catch (error) {
+    console.error('❌ Slot closure error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+exports.start = () => {
+  console.log(`🏁 Slot closure running every ${INTERVAL_MS / 1000}s`);
+  return setInterval(run, INTERVAL_MS);
+};
+
+exports.run = run;
@@ -0,0 +1,35 @@
+const waitlistService = require('../services/waitlistService');
+
+// ========================================
+// Waitlist Offer Job
+// ========================================
+// Expires waitlist offers that were not accepted in time. Their spots are
+// released, which offers them to the next entry on the waitlist.
+
+const INTERVAL_MS = (Number(process.env.WAITLIST_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+
+let running = false;
+
+const run = async () => {
+  // Skip if the previous sweep is still going
+  if (running) return;
+  running = true;
+
+  try {
+    const expiredCount = await waitlistService.expireLapsedOffers();
+    if (expiredCount > 0) {
+      console.log(`⌛ Waitlist sweeper expired ${expiredCount} offer(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Waitlist sweeper error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+exports.start = () => {
+  console.log(`⌛ Waitlist sweeper running every ${INTERVAL_MS / 1000}s`);
+  return setInterval(run, INTERVAL_MS);
+};
+
+exports.run = run;
@@ -43,6 +43,14 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Token from before a password change / reset
+    if (req.user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please log in again.'
+      });
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -52,6 +60,15 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// EventSource can't send headers - take the token from ?token= instead.
+// Only for streaming routes (query strings end up in access logs).
+exports.allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Authorize roles - Role-based access control
 exports.authorize = (...roles) => {
   return (req, res, next) => {
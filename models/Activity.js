@@ -68,9 +68,14 @@ const activitySchema = new mongoose.Schema({
     type: String,
     enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
   }],
+  // capacity is the per-day seat template; live counts per date are kept in
+  // SlotInventory. availableSpots is the old global counter (bookings used to
+  // decrement it) and only mirrors capacity now - activities saved before
+  // capacity existed need `npm run migrate:slot-capacity`.
   timeSlots: [{
     startTime: { type: String, required: true },
     endTime: { type: String, required: true },
+    capacity: { type: Number, min: 1 },
     availableSpots: { type: Number, required: true, min: 1 }
   }],
   
@@ -129,6 +134,73 @@ const activitySchema = new mongoose.Schema({
   thingsToCarry: [String],
   safetyGuidelines: [String],
   cancellationPolicy: String,
+  // Structured refund rules, e.g. [{ hoursBeforeStart: 48, refundPercentage: 100 },
+  // { hoursBeforeStart: 24, refundPercentage: 50 }] - cancelling less than 24h
+  // before the slot gets nothing
+  cancellationRules: [{
+    hoursBeforeStart: {
+      type: Number,
+      required: true,
+      min: [0, 'Hours before start cannot be negative']
+    },
+    refundPercentage: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund percentage cannot be negative'],
+      max: [100, 'Refund percentage cannot exceed 100%']
+    }
+  }],
+  // Rescheduling limits (maxReschedules null = unlimited)
+  reschedulePolicy: {
+    maxReschedules: {
+      type: Number,
+      default: null,
+      min: [0, 'Max reschedules cannot be negative']
+    },
+    cutoffHours: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cut-off hours cannot be negative']
+    }
+  },
+  // Gate check-in window around the booked slot
+  checkInWindow: {
+    // Minutes before slot start the gate lets guests in
+    earlyArrivalMinutes: {
+      type: Number,
+      default: 30,
+      min: [0, 'Early arrival minutes cannot be negative']
+    },
+    // Minutes after slot start latecomers are let in (null: until the slot ends)
+    lateArrivalMinutes: {
+      type: Number,
+      default: null,
+      min: [0, 'Late arrival minutes cannot be negative']
+    }
+  },
+  // What happens to bookings nobody checked in for
+  noShowPolicy: {
+    // Forfeit: amount kept; Credit: part of it comes back as a voucher
+    action: {
+      type: String,
+      enum: {
+        values: ['Forfeit', 'Credit'],
+        message: '{VALUE} is not a valid no-show action'
+      },
+      default: 'Forfeit'
+    },
+    creditPercentage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit percentage cannot be negative'],
+      max: [100, 'Credit percentage cannot exceed 100']
+    },
+    creditValidityDays: {
+      type: Number,
+      default: 90,
+      min: [1, 'Credit must be valid for at least 1 day']
+    }
+  },
   termsAndConditions: String,
   
   // Status & Metadata
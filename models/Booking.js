@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/locale');
+const { NOTIFICATION_CHANNELS, DEFAULT_NOTIFICATION_CHANNELS } = require('../config/notifications');
 
 const bookingSchema = new mongoose.Schema({
   // Activity Reference
@@ -30,9 +32,43 @@ const bookingSchema = new mongoose.Schema({
     address: {
       type: String,
       required: [true, 'Address is required']
+    },
+    // Optional - used for GST place of supply / B2B invoices
+    state: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+      match: [/^[0-9]{2}[A-Z0-9]{10}[0-9A-Z]{3}$/, 'Please provide a valid GSTIN']
     }
   },
   
+  // Language of emails / WhatsApp messages to the customer
+  preferredLanguage: {
+    type: String,
+    enum: {
+      values: SUPPORTED_LOCALES,
+      message: '{VALUE} is not a supported language'
+    },
+    default: DEFAULT_LOCALE
+  },
+  // Channels the customer wants booking messages on
+  notificationChannels: {
+    type: [{
+      type: String,
+      enum: {
+        values: NOTIFICATION_CHANNELS,
+        message: '{VALUE} is not a notification channel'
+      }
+    }],
+    default: () => [...DEFAULT_NOTIFICATION_CHANNELS]
+  },
+  
   // Booking Details
   bookingDate: {
     type: Date,
@@ -53,6 +89,31 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Number of participants is required'],
     min: [1, 'At least 1 participant required']
   },
+  // Participant roster (checked against the activity's age limits)
+  participants: [{
+    name: {
+      type: String,
+      required: [true, 'Participant name is required'],
+      trim: true
+    },
+    age: {
+      type: Number,
+      required: [true, 'Participant age is required'],
+      min: [0, 'Age cannot be negative']
+    },
+    gender: {
+      type: String,
+      enum: ['Male', 'Female', 'Other', null],
+      default: null
+    },
+    emergencyContact: {
+      name: String,
+      phone: {
+        type: String,
+        match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit emergency contact phone']
+      }
+    }
+  }],
   
   // Pricing Details
   pricePerPerson: {
@@ -67,26 +128,93 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Coupon applied at booking time (its discount is part of discountAmount)
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Paid after the coupon's limit was used up - discount honoured, for review
+  couponOverLimit: {
+    type: Boolean,
+    default: false
+  },
   finalAmount: {
     type: Number,
     required: true
   },
   
+  // GST breakdown of finalAmount (see taxService)
+  taxDetails: {
+    hsnSacCode: String,
+    gstRate: Number,
+    priceIncludesTax: Boolean,
+    isInterState: Boolean,
+    placeOfSupply: String,
+    taxableAmount: Number,
+    cgstRate: Number,
+    cgstAmount: Number,
+    sgstRate: Number,
+    sgstAmount: Number,
+    igstRate: Number,
+    igstAmount: Number,
+    totalTax: Number
+  },
+  
+  // Tax Invoice (assigned when payment is confirmed)
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoiceDate: {
+    type: Date,
+    default: null
+  },
+  // Set while one process takes the next invoice number, so concurrent
+  // calls (verify + webhook) can't use up a second one
+  invoiceClaimedAt: {
+    type: Date,
+    default: null
+  },
+  
   // Booking Status
   bookingStatus: {
     type: String,
     enum: {
-      values: ['Initiated', 'Confirmed', 'Cancelled', 'Completed', 'No-Show'],
+      values: ['Initiated', 'Confirmed', 'Cancelled', 'Completed', 'No-Show', 'Expired'],
       message: '{VALUE} is not a valid booking status'
     },
     default: 'Initiated'
   },
   
+  // Seat Hold (unpaid bookings keep their spots only until holdExpiresAt)
+  spotsHeld: {
+    type: Boolean,
+    default: false
+  },
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  
   // Payment Status
   paymentStatus: {
     type: String,
     enum: {
-      values: ['Pending', 'Completed', 'Failed', 'Refunded'],
+      values: ['Pending', 'Completed', 'Failed', 'Partially Refunded', 'Refunded'],
       message: '{VALUE} is not a valid payment status'
     },
     default: 'Pending'
@@ -119,6 +247,12 @@ const bookingSchema = new mongoose.Schema({
     default: null
   },
   
+  // Refunds (sum of pending + processed refunds, see Refund model)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  
   // QR Code (Generated after payment)
   qrData: {
     type: String,
@@ -128,12 +262,26 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Bumped to revoke earlier tickets
+  qrVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   
-  // Check-in Details
+  // Check-in Details (checkedIn: the whole party is in)
   checkedIn: {
     type: Boolean,
     default: false
   },
+  checkedInCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Roster positions already checked in
+  checkedInParticipants: [Number],
+  // First arrival
   checkInTime: {
     type: Date,
     default: null
@@ -143,6 +291,50 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Participants who have left the venue again (inside = checkedInCount - checkedOutCount)
+  checkedOutCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Last departure
+  checkOutTime: {
+    type: Date,
+    default: null
+  },
+  
+  // No-Show (set once the slot is over and nobody checked in)
+  noShowAt: {
+    type: Date,
+    default: null
+  },
+  // Result of the activity's no-show policy (appliedAt null = not applied yet)
+  noShowOutcome: {
+    action: String,
+    creditAmount: Number,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    couponCode: String,
+    appliedAt: Date
+  },
+  
+  // Day-before reminder, per channel (all reminders: see Reminder model)
+  reminderSentAt: {
+    email: {
+      type: Date,
+      default: null
+    },
+    whatsapp: {
+      type: Date,
+      default: null
+    },
+    sms: {
+      type: Date,
+      default: null
+    }
+  },
   
   // Confirmation
   confirmationDate: {
@@ -170,6 +362,64 @@ const bookingSchema = new mongoose.Schema({
     default: null
   },
   
+  // Reschedule (previous date/slot of every move)
+  rescheduleHistory: [{
+    fromDate: Date,
+    fromTimeSlot: {
+      startTime: String,
+      endTime: String
+    },
+    toDate: Date,
+    toTimeSlot: {
+      startTime: String,
+      endTime: String
+    },
+    // Positive = customer paid extra, negative = refunded
+    fareDifference: {
+      type: Number,
+      default: 0
+    },
+    reason: String,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }],
+  // Reschedule waiting for the customer to pay the fare difference
+  pendingReschedule: {
+    bookingDate: Date,
+    selectedTimeSlot: {
+      startTime: String,
+      endTime: String
+    },
+    pricePerPerson: Number,
+    amountDue: Number,
+    razorpayOrderId: String,
+    spotsHeld: Boolean,
+    holdExpiresAt: Date,
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Extra payments on top of the original one (e.g. reschedule fare difference)
+  additionalPayments: [{
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    amount: Number,
+    purpose: String,
+    paidAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Admin Notes
   adminNotes: {
     type: String,
@@ -197,5 +447,8 @@ bookingSchema.index({ bookingStatus: 1, paymentStatus: 1 });
 bookingSchema.index({ transactionId: 1 });
 bookingSchema.index({ razorpayOrderId: 1 });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ bookingStatus: 1, holdExpiresAt: 1 });
+bookingSchema.index({ 'pendingReschedule.razorpayOrderId': 1 }, { sparse: true });
+bookingSchema.index({ 'additionalPayments.razorpayPaymentId': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// One scan at the gate. A group booking can take several scans until the
+// whole party is in; each one is logged with the gate and staff member.
+// Check-out scans (people leaving the venue) are logged the same way.
+const checkInEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Check-In', 'Check-Out'],
+    default: 'Check-In'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking reference is required']
+  },
+  bookingNumber: {
+    type: String,
+    required: true
+  },
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: true
+  },
+
+  // Participants let in (or out) by this scan
+  count: {
+    type: Number,
+    required: true,
+    min: [1, 'A scan must cover at least 1 participant']
+  },
+  // Roster positions, when staff picked who arrived
+  participantIndexes: [Number],
+  // Party checked in after this scan
+  checkedInCount: {
+    type: Number,
+    required: true
+  },
+  numberOfParticipants: {
+    type: Number,
+    required: true
+  },
+  // Party checked out after this scan
+  checkedOutCount: {
+    type: Number,
+    default: 0
+  },
+
+  venue: {
+    type: String,
+    default: null
+  },
+  gate: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['QR Scan', 'Booking ID', 'Offline Sync', 'Slot Ended'],
+    required: true
+  },
+  // Not set for automatic check-outs at the end of the slot
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.method !== 'Slot Ended'; }, 'Staff is required']
+  },
+  // Gate time (device clock for offline scans)
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Let in outside the check-in window by a manager
+  windowOverride: {
+    code: String,
+    message: String,
+    reason: String
+  },
+
+  // Offline scanner uploads
+  deviceId: {
+    type: String,
+    default: null
+  },
+  deviceEventId: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+checkInEventSchema.index({ booking: 1, scannedAt: 1 });
+checkInEventSchema.index({ activity: 1, scannedAt: -1 });
+checkInEventSchema.index({ gate: 1, scannedAt: -1 });
+checkInEventSchema.index({ venue: 1, scannedAt: -1 });
+// A device event is applied once, however often it is uploaded
+checkInEventSchema.index(
+  { deviceId: 1, deviceEventId: 1 },
+  { unique: true, partialFilterExpression: { deviceEventId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('CheckInEvent', checkInEventSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS, OPTIONAL_MESSAGE_CATEGORIES } = require('../config/notifications');
+
+// What one email address / phone number wants to receive on a channel.
+// Only opt-outs are stored: no document (or an empty optedOut) means every
+// message goes out. Transactional messages (tickets, cancellations, codes)
+// ignore this. The history is the consent audit trail.
+const contactPreferenceSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: [true, 'Channel is required']
+  },
+  // Lower-case email, or the 10-digit phone number for WhatsApp / SMS
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+
+  // Message categories the customer turned off
+  optedOut: [{
+    type: String,
+    enum: OPTIONAL_MESSAGE_CATEGORIES
+  }],
+
+  history: [{
+    optedOut: [String],
+    // link: unsubscribe link / settings page, one-click: List-Unsubscribe,
+    // reply: STOP / START reply, admin: changed by staff
+    source: {
+      type: String,
+      enum: ['link', 'one-click', 'reply', 'admin'],
+      required: true
+    },
+    // Reply text / admin note
+    note: {
+      type: String,
+      default: null
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+contactPreferenceSchema.index({ channel: 1, address: 1 }, { unique: true });
+
+module.exports = mongoose.model('ContactPreference', contactPreferenceSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters (booking numbers, invoices, refunds, ...).
+// _id is the counter key, e.g. 'BK-261019'.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code may only contain letters, numbers, - and _ (3-30 characters)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Discount
+  discountType: {
+    type: String,
+    enum: {
+      values: ['Percentage', 'Flat'],
+      message: '{VALUE} is not a valid discount type'
+    },
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive']
+  },
+  // Upper limit for percentage discounts (null = no cap)
+  maxDiscountAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Max discount cannot be negative']
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order amount cannot be negative']
+  },
+
+  // Validity Window
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Valid until date is required']
+  },
+
+  // Usage Limits (null = unlimited). Only paid bookings count.
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-customer limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Scope (empty = all activities / categories)
+  applicableActivities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  }],
+  applicableCategories: [{
+    type: String
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Personal credit vouchers (e.g. no-show credit) only work for this email
+  restrictedToEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Booking a credit voucher was issued for
+  sourceBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+
+  // Admin tracking (system-issued credit vouchers have no creator)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return !this.sourceBooking; }, 'Created by is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+couponSchema.index({ sourceBooking: 1 }, { unique: true, partialFilterExpression: { sourceBooking: { $type: 'objectId' } } });
+
+// Validate the validity window and percentage range
+couponSchema.pre('validate', function() {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until date must be after valid from date');
+  }
+  if (this.discountType === 'Percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
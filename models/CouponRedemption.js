@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One redemption per paid booking that used a coupon
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon reference is required']
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking reference is required'],
+    unique: true
+  },
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  },
+  customerEmail: {
+    type: String,
+    lowercase: true,
+    required: true
+  },
+  customerPhone: {
+    type: String,
+    required: true
+  },
+
+  // Amounts in rupees
+  orderAmount: {
+    type: Number,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  finalAmount: {
+    type: Number,
+    required: true
+  },
+
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Paid after the coupon's usage / per-customer limit was used up by other
+  // bookings; the discount was honoured (see couponService.recordRedemption)
+  overLimit: {
+    type: String,
+    enum: ['usage', 'customer'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, redeemedAt: -1 });
+couponRedemptionSchema.index({ coupon: 1, customerEmail: 1 });
+couponRedemptionSchema.index({ coupon: 1, customerPhone: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
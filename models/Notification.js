@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+// One outbound message (email / WhatsApp / SMS) in the notification outbox.
+// Written when something needs to be sent and delivered by the outbox
+// worker, which retries failures with exponential backoff. The documents
+// double as the delivery log.
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: [true, 'Channel is required']
+  },
+  // Message type, e.g. 'booking-confirmation' (see notificationService)
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  // Email address or phone number
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required']
+  },
+
+  // What the message is about (loaded fresh when it is sent)
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  bookingNumber: {
+    type: String,
+    default: null
+  },
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    default: null
+  },
+  // Template arguments that are not on the booking / entry
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Enqueueing twice with the same key creates one message
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    // Skipped: the recipient opted out of this kind of message
+    enum: ['Pending', 'Sending', 'Sent', 'Failed', 'Skipped'],
+    default: 'Pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current attempt was claimed by the worker
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Provider message ID / note (e.g. channel not configured)
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  },
+
+  // Manual resends from the admin panel
+  resentAt: {
+    type: Date,
+    default: null
+  },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ booking: 1, createdAt: 1 });
+notificationSchema.index({ createdAt: -1 });
+notificationSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Current one-time password of a phone number for one purpose (e.g.
+// cancelling a booking without the booking email). Only a hash of the code
+// is kept; requesting a new code replaces the old one. Documents expire a
+// day after the code, which keeps the send counters for rate limiting.
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Purpose is required']
+  },
+
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Wrong guesses for the current code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set once the code has been used (single use)
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Rate limiting
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
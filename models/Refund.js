@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking reference is required']
+  },
+  refundNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  
+  // Amount in rupees
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  type: {
+    type: String,
+    enum: ['Full', 'Partial'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true
+  },
+  
+  // Status (Pending until Razorpay reports refund.processed)
+  status: {
+    type: String,
+    enum: {
+      values: ['Pending', 'Processed', 'Failed'],
+      message: '{VALUE} is not a valid refund status'
+    },
+    default: 'Pending'
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Razorpay Details
+  razorpayPaymentId: {
+    type: String,
+    required: true
+  },
+  razorpayRefundId: {
+    type: String,
+    default: null
+  },
+  
+  // Whether this refund also cancelled the booking
+  cancelsBooking: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Admin tracking (null when created outside the app, e.g. Razorpay dashboard)
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ booking: 1, createdAt: -1 });
+// One row per Razorpay refund (duplicate webhooks can't create a second)
+refundSchema.index(
+  { razorpayRefundId: 1 },
+  { unique: true, partialFilterExpression: { razorpayRefundId: { $type: 'string' } } }
+);
+refundSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
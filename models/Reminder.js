@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+// One reminder message for one booking on one channel. Documents are
+// created ahead of time by the reminder scheduler and claimed atomically
+// when due, so a restart (or a second server) never sends one twice.
+// Due reminders are handed to the notification outbox (Queued) and marked
+// Sent / Failed once it has delivered them.
+const reminderSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking reference is required']
+  },
+  bookingNumber: {
+    type: String,
+    required: true
+  },
+
+  // 'day-before', or 'before-<minutes>m' for the extra reminders
+  kind: {
+    type: String,
+    required: true
+  },
+  // Extra reminders only (null for the day-before one)
+  minutesBefore: {
+    type: Number,
+    default: null
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+
+  // Slot the reminder is about - a rescheduled booking gets new reminders
+  slotStart: {
+    type: Date,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['Pending', 'Sending', 'Queued', 'Sent', 'Failed', 'Skipped'],
+    default: 'Pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the current attempt was claimed
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // Outbox message that delivers it
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Why it was not sent (Skipped) / provider note (e.g. not configured)
+  note: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reminderSchema.index({ booking: 1, kind: 1, channel: 1, slotStart: 1 }, { unique: true });
+reminderSchema.index({ status: 1, scheduledFor: 1 });
+reminderSchema.index({ slotStart: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A waiver signed for one participant of a booking. The waiver text is
+// copied so the audit copy shows exactly what was agreed to.
+const signedWaiverSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking reference is required']
+  },
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: true
+  },
+
+  // Signed version
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaiverTemplate',
+    required: true
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+
+  // Participant (position in the booking's roster)
+  participantIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  participantName: {
+    type: String,
+    required: [true, 'Participant name is required'],
+    trim: true
+  },
+  participantAge: {
+    type: Number,
+    default: null
+  },
+
+  // Signature: typed name + consent checkbox
+  signerName: {
+    type: String,
+    required: [true, 'Typed name is required'],
+    trim: true
+  },
+  signedAsGuardian: {
+    type: Boolean,
+    default: false
+  },
+  accepted: {
+    type: Boolean,
+    required: true,
+    validate: {
+      validator: value => value === true,
+      message: 'The waiver terms must be accepted'
+    }
+  },
+  signedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+signedWaiverSchema.index({ booking: 1, participantIndex: 1 }, { unique: true });
+
+module.exports = mongoose.model('SignedWaiver', signedWaiverSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Seat inventory for one activity time slot on one calendar day.
+// Documents are created lazily from the activity's timeSlots template
+// the first time a date/slot is booked.
+const slotInventorySchema = new mongoose.Schema({
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: [true, 'Activity reference is required']
+  },
+  // Club calendar day in 'YYYY-MM-DD' format
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: [0, 'Capacity cannot be negative']
+  },
+  availableSpots: {
+    type: Number,
+    required: true,
+    min: [0, 'Available spots cannot be negative']
+  },
+  bookedSpots: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+slotInventorySchema.index(
+  { activity: 1, date: 1, startTime: 1, endTime: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('SlotInventory', slotInventorySchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// GST rate and HSN/SAC code for an activity category. Categories without
+// an entry use the defaults from config/tax.js.
+const taxRateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    unique: true,
+    enum: {
+      values: ['Adventure Parks', 'Adventure', 'Water Sports', 'Air Sports', 'Team Sports', 'Individual Sports', 'Fitness', 'Other'],
+      message: '{VALUE} is not a valid category'
+    }
+  },
+  hsnSacCode: {
+    type: String,
+    required: [true, 'HSN/SAC code is required'],
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN/SAC code must be 4-8 digits']
+  },
+  // Total GST percentage (split into CGST + SGST, or charged as IGST)
+  gstRate: {
+    type: Number,
+    required: [true, 'GST rate is required'],
+    min: [0, 'GST rate cannot be negative'],
+    max: [100, 'GST rate cannot exceed 100']
+  },
+  // true: activity prices already include GST, false: GST is added on top
+  priceIncludesTax: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Admin tracking
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
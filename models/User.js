@@ -1,6 +1,26 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
+// Password policy: 8-128 characters with at least one letter and one
+// number, not a well-known password and not the account's email
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', 'passw0rd', '12345678', '123456789',
+  '1234567890', 'qwerty123', 'abc12345', 'iloveyou1', 'welcome1', 'welcome123',
+  'admin123', 'admin@123', 'letmein1', 'sports123', 'india123'
+];
+const PASSWORD_POLICY = `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters with at least one letter and one number, and must not be a common password or your email`;
+
+// How long one-time set-password links work
+const PASSWORD_TOKEN_TTL_MS = {
+  invite: 72 * 60 * 60 * 1000,
+  reset: 60 * 60 * 1000
+};
+
+const hashPasswordToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -19,12 +39,55 @@ const userSchema = new mongoose.Schema(
         'Please add a valid email'
       ]
     },
+    // Invited staff have none until they use the invitation link
     password: {
       type: String,
-      required: [true, 'Please add a password'],
-      minlength: 6,
+      required: [
+        function () { return this.passwordTokenPurpose !== 'invite'; },
+        'Please add a password'
+      ],
+      validate: {
+        validator: function (value) {
+          return isStrongPassword(value, this.email);
+        },
+        message: PASSWORD_POLICY
+      },
       select: false // Password return cheyakudadhu by default
     },
+    // Tokens issued before this are no longer accepted
+    passwordChangedAt: {
+      type: Date,
+      default: null
+    },
+
+    // One-time set-password link (invite / forgot password) - SHA-256 only
+    passwordToken: {
+      type: String,
+      select: false
+    },
+    passwordTokenPurpose: {
+      type: String,
+      enum: ['invite', 'reset'],
+      select: false
+    },
+    passwordTokenExpires: {
+      type: Date,
+      select: false
+    },
+    passwordTokenSentAt: {
+      type: Date,
+      select: false
+    },
+
+    invitedAt: {
+      type: Date,
+      default: null
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     role: {
       type: String,
       enum: ['superadmin', 'manager', 'accountant', 'security'],
@@ -33,6 +96,12 @@ const userSchema = new mongoose.Schema(
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Venue a gate staff member works at (offline scanner manifest)
+    venue: {
+      type: String,
+      trim: true,
+      default: null
     }
   },
   {
@@ -40,18 +109,84 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ passwordToken: 1 }, { sparse: true });
+
+// Invitation sent but no password set yet
+userSchema.virtual('invitePending').get(function () {
+  return Boolean(this.invitedAt) && !this.passwordChangedAt;
+});
+
 // Password encrypt cheydam (before save)
-userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) {
-    next();
+userSchema.pre('save', async function () {
+  if (!this.isModified('password') || !this.password) {
+    return;
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // A second back so a login token issued right after still counts
+  this.passwordChangedAt = new Date(Date.now() - 1000);
 });
 
 // Password match method
 userSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Was the login token (JWT iat, seconds) issued before the last password change?
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  return Boolean(this.passwordChangedAt) && issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// New one-time set-password link; returns the token for the link (only
+// its hash is kept). Replaces any earlier link.
+userSchema.methods.createPasswordToken = function (purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordToken = hashPasswordToken(token);
+  this.passwordTokenPurpose = purpose;
+  this.passwordTokenExpires = new Date(Date.now() + PASSWORD_TOKEN_TTL_MS[purpose]);
+  this.passwordTokenSentAt = new Date();
+
+  return token;
+};
+
+userSchema.methods.clearPasswordToken = function () {
+  this.passwordToken = undefined;
+  this.passwordTokenPurpose = undefined;
+  this.passwordTokenExpires = undefined;
+  this.passwordTokenSentAt = undefined;
+};
+
+// User of an unexpired set-password link (token fields selected)
+userSchema.statics.findByPasswordToken = function (token) {
+  return this.findOne({
+    passwordToken: hashPasswordToken(token),
+    passwordTokenExpires: { $gt: new Date() }
+  }).select('+passwordToken +passwordTokenPurpose +passwordTokenExpires +passwordTokenSentAt');
+};
+
+userSchema.statics.PASSWORD_POLICY = PASSWORD_POLICY;
+userSchema.statics.PASSWORD_TOKEN_TTL_MS = PASSWORD_TOKEN_TTL_MS;
+
+module.exports = mongoose.model('User', userSchema);
+
+// ========================================
+// HELPER: Password policy check
+// ========================================
+function isStrongPassword(password, email) {
+  if (typeof password !== 'string') return false;
+  // Stored bcrypt hashes are not re-checked (older, shorter passwords)
+  if (/^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(password)) return true;
+
+  if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) return false;
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) return false;
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.includes(lower)) return false;
+  if (email && lower === String(email).toLowerCase()) return false;
+  if (email && lower === String(email).split('@')[0].toLowerCase()) return false;
+
+  return true;
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Live head count of one venue (Activity.venue). Check-in scans add the
+// arriving participants, check-out scans take them off again. Documents are
+// created lazily on the first scan at a venue.
+const venueOccupancySchema = new mongoose.Schema({
+  venue: {
+    type: String,
+    required: [true, 'Venue is required'],
+    trim: true
+  },
+  // Safety limit on people inside at once (null = no limit)
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    default: null
+  },
+  occupancy: {
+    type: Number,
+    default: 0,
+    min: [0, 'Occupancy cannot be negative']
+  },
+  capacityUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+venueOccupancySchema.index({ venue: 1 }, { unique: true });
+
+module.exports = mongoose.model('VenueOccupancy', venueOccupancySchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/locale');
+
+// A customer waiting for spots in a sold-out slot. When spots are released
+// the entry is offered the seats (held for a limited time) and can turn
+// the offer into a booking.
+const waitlistEntrySchema = new mongoose.Schema({
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: [true, 'Activity reference is required']
+  },
+
+  // Requested date / slot (date is the club calendar day 'YYYY-MM-DD')
+  bookingDate: {
+    type: Date,
+    required: [true, 'Booking date is required']
+  },
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  selectedTimeSlot: {
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required']
+    },
+    endTime: {
+      type: String,
+      required: [true, 'End time is required']
+    }
+  },
+  numberOfParticipants: {
+    type: Number,
+    required: [true, 'Number of participants is required'],
+    min: [1, 'At least 1 participant required']
+  },
+  // Participant roster, copied to the booking when the offer is claimed
+  participants: [{
+    name: {
+      type: String,
+      required: [true, 'Participant name is required'],
+      trim: true
+    },
+    age: {
+      type: Number,
+      required: [true, 'Participant age is required'],
+      min: [0, 'Age cannot be negative']
+    },
+    gender: {
+      type: String,
+      enum: ['Male', 'Female', 'Other', null],
+      default: null
+    },
+    emergencyContact: {
+      name: String,
+      phone: {
+        type: String,
+        match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit emergency contact phone']
+      }
+    }
+  }],
+
+  // Customer Details (same rules as a booking)
+  customerDetails: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
+    },
+    phone: {
+      type: String,
+      required: [true, 'Phone number is required'],
+      match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number']
+    },
+    address: {
+      type: String,
+      required: [true, 'Address is required']
+    }
+  },
+
+  // Language of emails / WhatsApp messages to the customer
+  preferredLanguage: {
+    type: String,
+    enum: {
+      values: SUPPORTED_LOCALES,
+      message: '{VALUE} is not a supported language'
+    },
+    default: DEFAULT_LOCALE
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['Waiting', 'Offered', 'Converted', 'Expired', 'Cancelled'],
+      message: '{VALUE} is not a valid waitlist status'
+    },
+    default: 'Waiting'
+  },
+
+  // Offer (spots are reserved for the entry while spotsHeld is true)
+  offerTokenHash: {
+    type: String,
+    default: null
+  },
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  spotsHeld: {
+    type: Boolean,
+    default: false
+  },
+
+  // Booking created from the offer
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ activity: 1, date: 1, 'selectedTimeSlot.startTime': 1, 'selectedTimeSlot.endTime': 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ offerTokenHash: 1 }, { sparse: true });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
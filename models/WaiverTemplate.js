@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Liability waiver text of an activity. Editing a waiver creates a new
+// version; signed waivers keep the version they were signed against.
+// Activities with an active template require a signed waiver per
+// participant before check-in.
+const waiverTemplateSchema = new mongoose.Schema({
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: [true, 'Activity reference is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: [true, 'Waiver title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Waiver content is required'],
+    maxlength: [20000, 'Waiver content cannot exceed 20000 characters']
+  },
+  // Block: no check-in until every participant has signed
+  // Warn: check-in goes through, staff see a warning
+  enforcement: {
+    type: String,
+    enum: {
+      values: ['Block', 'Warn'],
+      message: '{VALUE} is not a valid enforcement mode'
+    },
+    default: 'Block'
+  },
+  // Only the latest version of an activity is active
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Admin tracking
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+waiverTemplateSchema.index({ activity: 1, version: 1 }, { unique: true });
+waiverTemplateSchema.index({ activity: 1, isActive: 1 });
+
+module.exports = mongoose.model('WaiverTemplate', waiverTemplateSchema);
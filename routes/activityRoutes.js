@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const activityController = require('../controllers/activityController');
+const waitlistController = require('../controllers/waitlistController');
+const manifestController = require('../controllers/manifestController');
 const { protect, authorize } = require('../middleware/auth');
 const { upload } = require('../config/cloudinary');
 
@@ -14,6 +16,13 @@ router.get('/category/:category', activityController.getActivitiesByCategory);
 // Check availability (Public)
 router.post('/:id/check-availability', activityController.checkAvailability);
 
+// Join waitlist of a sold-out slot (Public)
+router.post('/:id/waitlist', waitlistController.joinWaitlist);
+
+// Waitlist offer link - view / accept (Public, token)
+router.get('/waitlist/offers/:token', waitlistController.getWaitlistOffer);
+router.post('/waitlist/offers/:token/claim', waitlistController.claimWaitlistOffer);
+
 // ========================================
 // 🔒 PROTECTED ROUTES (Authentication required)
 // ========================================
@@ -43,6 +52,22 @@ router.get(
   activityController.getActivityStats
 );
 
+// Waitlist length per date / slot (Admin + Manager)
+router.get(
+  '/:id/waitlist',
+  protect,
+  authorize('superadmin', 'manager'),
+  waitlistController.getWaitlistSummary
+);
+
+// Participant manifest for a day / slot (Admin, Manager, Security)
+router.get(
+  '/:id/manifest',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  manifestController.getSlotManifest
+);
+
 // Bulk update status (Admin + Manager)
 router.patch(
   '/bulk/status', 
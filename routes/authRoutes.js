@@ -6,7 +6,13 @@ const {
   logout,
   getAllUsers,
   updateUser,
-  deleteUser
+  deleteUser,
+  inviteUser,
+  resendInvite,
+  forgotPassword,
+  getPasswordToken,
+  resetPassword,
+  changePassword
 } = require('../controllers/authController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -16,12 +22,20 @@ const router = express.Router();
 router.post('/login', login);
 router.post('/logout', logout);
 
+// Forgot password / invitation links
+router.post('/forgot-password', forgotPassword);
+router.get('/reset-password/:token', getPasswordToken);
+router.post('/reset-password/:token', resetPassword);
+
 // Protected routes (All authenticated users)
 router.get('/me', protect, getMe);
+router.put('/change-password', protect, changePassword);
 
 // Super Admin only routes
 router.post('/register', protect, authorize('superadmin'), register);
 // router.post('/register', register);
+router.post('/invite', protect, authorize('superadmin'), inviteUser);
+router.post('/users/:id/resend-invite', protect, authorize('superadmin'), resendInvite);
 router.get('/users', protect, authorize('superadmin'), getAllUsers);
 router.put('/users/:id', protect, authorize('superadmin'), updateUser);
 router.delete('/users/:id', protect, authorize('superadmin'), deleteUser);
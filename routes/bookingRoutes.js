@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const refundController = require('../controllers/refundController');
 const { protect, authorize } = require('../middleware/auth');
 
 // ========================================
@@ -10,6 +11,9 @@ const { protect, authorize } = require('../middleware/auth');
 // Customer creates booking (Payment pending)
 router.post('/', bookingController.createBooking);
 
+// Customer cancels own booking (booking number + phone + email or SMS code)
+router.post('/cancel', bookingController.cancelByCustomer);
+
 // ========================================
 // PROTECTED ROUTES (Authentication required)
 // ========================================
@@ -30,6 +34,14 @@ router.get(
   bookingController.getAllBookings
 );
 
+// Mark no-shows / complete ended slots of a day now (same as the job)
+router.post(
+  '/no-shows/run',
+  protect,
+  authorize('superadmin', 'manager'),
+  bookingController.runNoShowSweep
+);
+
 // ========================================
 //  DYNAMIC ROUTES (Must be last!)
 // ========================================
@@ -37,6 +49,12 @@ router.get(
 // Customer can check booking status with booking ID (Public)
 router.get('/:id', bookingController.getBookingById);
 
+// Download GST tax invoice PDF (Public, paid bookings)
+router.get('/:id/invoice', bookingController.getBookingInvoice);
+
+// Calendar event (.ics) - booking number as ?bookingNumber= (Public)
+router.get('/:id/calendar.ics', bookingController.getBookingCalendar);
+
 // Cancel booking (Admin only)
 router.patch(
   '/:id/cancel',
@@ -45,6 +63,38 @@ router.patch(
   bookingController.cancelBooking
 );
 
+// Reschedule booking to another date / slot (fare difference charged or refunded)
+router.patch(
+  '/:id/reschedule',
+  protect,
+  authorize('superadmin', 'manager'),
+  bookingController.rescheduleBooking
+);
+
+// Refund booking - full or partial (Super Admin, Accountant)
+router.post(
+  '/:id/refund',
+  protect,
+  authorize('superadmin', 'accountant'),
+  refundController.refundBooking
+);
+
+// Preview refund per cancellation policy (before confirming)
+router.get(
+  '/:id/refund-preview',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  refundController.getRefundPreview
+);
+
+// Refund history of a booking
+router.get(
+  '/:id/refunds',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  refundController.getBookingRefunds
+);
+
 // Check-in booking (Staff QR scanner)
 router.post(
   '/:id/checkin',
@@ -53,4 +103,12 @@ router.post(
   bookingController.verifyAndCheckIn
 );
 
+// Check-in scans of a booking (gate + staff per scan)
+router.get(
+  '/:id/checkins',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  bookingController.getCheckInLog
+);
+
 module.exports = router;
\ No newline at end of file
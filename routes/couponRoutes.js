@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ========================================
+// PUBLIC ROUTES (No authentication)
+// ========================================
+
+// Check a coupon code before booking (price preview)
+router.post('/validate', couponController.validateCoupon);
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Redemption report per coupon (Accounts)
+router.get(
+  '/reports/redemptions',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  couponController.getRedemptionReport
+);
+
+// Create coupon
+router.post(
+  '/',
+  protect,
+  authorize('superadmin', 'manager'),
+  couponController.createCoupon
+);
+
+// Get all coupons
+router.get(
+  '/',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  couponController.getAllCoupons
+);
+
+// ========================================
+//  DYNAMIC ROUTES (Must be last!)
+// ========================================
+
+// Get single coupon
+router.get(
+  '/:id',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  couponController.getCouponById
+);
+
+// Update coupon
+router.put(
+  '/:id',
+  protect,
+  authorize('superadmin', 'manager'),
+  couponController.updateCoupon
+);
+
+// Delete coupon (Super Admin only)
+router.delete(
+  '/:id',
+  protect,
+  authorize('superadmin'),
+  couponController.deleteCoupon
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Delivery log / failures (Admin panel)
+router.get(
+  '/',
+  protect,
+  authorize('superadmin', 'manager'),
+  notificationController.getNotifications
+);
+
+// Messages of one booking
+router.get(
+  '/booking/:bookingId',
+  protect,
+  authorize('superadmin', 'manager'),
+  notificationController.getBookingNotifications
+);
+
+// ========================================
+//  DYNAMIC ROUTES (Must be last!)
+// ========================================
+
+// Resend a message
+router.post(
+  '/:id/resend',
+  protect,
+  authorize('superadmin', 'manager'),
+  notificationController.resendNotification
+);
+
+module.exports = router;
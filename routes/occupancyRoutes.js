@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const occupancyController = require('../controllers/occupancyController');
+const { protect, authorize, allowQueryToken } = require('../middleware/auth');
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Live occupancy of all venues (Dashboard)
+router.get(
+  '/',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  occupancyController.getOccupancy
+);
+
+// Live stream of occupancy + gate scans (Server-Sent Events, ?token= allowed)
+router.get(
+  '/stream',
+  allowQueryToken,
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  occupancyController.streamOccupancy
+);
+
+// ========================================
+//  DYNAMIC ROUTES (Must be last!)
+// ========================================
+
+// Set a venue's safety capacity
+router.put(
+  '/:venue/capacity',
+  protect,
+  authorize('superadmin', 'manager'),
+  occupancyController.updateCapacity
+);
+
+// Correct a venue's head count
+router.put(
+  '/:venue/count',
+  protect,
+  authorize('superadmin', 'manager'),
+  occupancyController.correctOccupancy
+);
+
+module.exports = router;
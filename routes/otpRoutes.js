@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const otpController = require('../controllers/otpController');
+
+// ========================================
+// PUBLIC ROUTES (No authentication)
+// ========================================
+
+// Send a code by SMS
+router.post('/send', otpController.sendOtp);
+
+// Check a code - returns the verification token
+router.post('/verify', otpController.verifyOtp);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const preferenceController = require('../controllers/preferenceController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ========================================
+// PUBLIC ROUTES (No authentication)
+// ========================================
+
+// Notification settings from the signed link in an email
+router.get('/', preferenceController.getMyPreferences);
+router.put('/', preferenceController.updateMyPreferences);
+
+// One-click unsubscribe (List-Unsubscribe header)
+router.post('/unsubscribe', preferenceController.unsubscribe);
+
+// STOP / START replies from the WhatsApp and SMS providers
+router.get('/inbound/whatsapp', preferenceController.verifyInboundSubscription);
+router.get('/inbound/sms', preferenceController.handleInbound); // MSG91 forwards by GET
+router.post('/inbound/:channel', preferenceController.handleInbound);
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Customers' opt-outs
+router.get(
+  '/contacts',
+  protect,
+  authorize('superadmin', 'manager'),
+  preferenceController.getContactPreferences
+);
+
+// Change a customer's settings on their behalf
+router.put(
+  '/contacts',
+  protect,
+  authorize('superadmin', 'manager'),
+  preferenceController.updateContactPreference
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const qrController = require('../controllers/qrController');
+const scannerController = require('../controllers/scannerController');
 const { protect, authorize } = require('../middleware/auth');
 
 // ========================================
@@ -25,4 +26,48 @@ router.post(
   qrController.scanQR
 );
 
+// Scan QR code at exit - people leaving the venue (Staff/Security only)
+router.post(
+  '/checkout',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  qrController.checkOutQR
+);
+
+// Offline scanners: manifest signing key
+router.get(
+  '/offline/keys',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  scannerController.getScannerKeys
+);
+
+// Offline scanners: signed manifest of the day's bookings for a venue
+router.get(
+  '/offline/manifest',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  scannerController.getGateManifest
+);
+
+// Offline scanners: upload scans made without a connection
+router.post(
+  '/offline/sync',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  scannerController.syncOfflineScans
+);
+
+// ========================================
+//  DYNAMIC ROUTES (Must be last!)
+// ========================================
+
+// Revoke all issued QR codes of a booking and send a new one
+router.post(
+  '/:bookingId/revoke',
+  protect,
+  authorize('superadmin', 'manager'),
+  qrController.revokeQR
+);
+
 module.exports = router;
\ No newline at end of file
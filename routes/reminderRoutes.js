@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const reminderController = require('../controllers/reminderController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Pending / sent reminders (Admin panel)
+router.get(
+  '/',
+  protect,
+  authorize('superadmin', 'manager'),
+  reminderController.getReminders
+);
+
+// Reminders of one booking
+router.get(
+  '/booking/:bookingId',
+  protect,
+  authorize('superadmin', 'manager'),
+  reminderController.getBookingReminders
+);
+
+module.exports = router;
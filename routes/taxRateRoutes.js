@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const taxRateController = require('../controllers/taxRateController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Get GST rates per category
+router.get(
+  '/',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  taxRateController.getTaxRates
+);
+
+// Create / update the rate of a category
+router.put(
+  '/:category',
+  protect,
+  authorize('superadmin', 'accountant'),
+  taxRateController.upsertTaxRate
+);
+
+// Remove a category rate (Super Admin only)
+router.delete(
+  '/:category',
+  protect,
+  authorize('superadmin'),
+  taxRateController.deleteTaxRate
+);
+
+module.exports = router;
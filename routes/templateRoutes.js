@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { protect, authorize, allowQueryToken } = require('../middleware/auth');
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Customer message templates + languages (Admin panel)
+router.get(
+  '/',
+  protect,
+  authorize('superadmin', 'manager'),
+  templateController.getTemplates
+);
+
+// ========================================
+//  DYNAMIC ROUTES (Must be last!)
+// ========================================
+
+// Preview a template with a sample booking (?token= allowed)
+router.get(
+  '/:key/preview',
+  allowQueryToken,
+  protect,
+  authorize('superadmin', 'manager'),
+  templateController.previewTemplate
+);
+
+module.exports = router;
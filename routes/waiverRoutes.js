@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const waiverController = require('../controllers/waiverController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ========================================
+// PUBLIC ROUTES (No authentication)
+// ========================================
+
+// Waiver to sign (link from the confirmation email)
+router.get('/sign/:token', waiverController.getWaiverForSigning);
+
+// Sign waivers, one per participant
+router.post('/sign/:token', waiverController.signWaivers);
+
+// ========================================
+// PROTECTED ROUTES (Authentication required)
+// ========================================
+
+// Waiver versions of an activity
+router.get(
+  '/activity/:activityId',
+  protect,
+  authorize('superadmin', 'manager'),
+  waiverController.getWaiverTemplates
+);
+
+// Publish a new waiver version
+router.put(
+  '/activity/:activityId',
+  protect,
+  authorize('superadmin', 'manager'),
+  waiverController.saveWaiverTemplate
+);
+
+// Stop requiring waivers (Super Admin only)
+router.delete(
+  '/activity/:activityId',
+  protect,
+  authorize('superadmin'),
+  waiverController.deactivateWaiver
+);
+
+// Signed / missing waivers of a booking
+router.get(
+  '/booking/:bookingId',
+  protect,
+  authorize('superadmin', 'manager', 'security'),
+  waiverController.getBookingWaivers
+);
+
+// Signed waivers as PDF (audits)
+router.get(
+  '/booking/:bookingId/pdf',
+  protect,
+  authorize('superadmin', 'manager', 'accountant'),
+  waiverController.downloadWaiverPDF
+);
+
+module.exports = router;
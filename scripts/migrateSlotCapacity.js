@@ -0,0 +1,91 @@
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const Activity = require('../models/Activity');
+const Booking = require('../models/Booking');
+const SlotInventory = require('../models/SlotInventory');
+const inventoryService = require('../services/inventoryService');
+
+// ========================================
+// Migration: timeSlots[].capacity
+// ========================================
+// Before per-date inventory, every booking took its seats off the
+// activity's timeSlots[].availableSpots for good (only cancelling an unpaid
+// booking or a failed payment gave them back). That counter is depleted in
+// live data, so it can't be the per-day template. This restores each slot's
+// capacity as availableSpots + the seats still taken by those older
+// bookings, mirrors it into availableSpots and corrects upcoming inventory.
+//
+// Older bookings are the ones created before the activity's first
+// SlotInventory document (or all of them when there is none).
+//
+// Usage: npm run migrate:slot-capacity [-- --dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const slotKey = (slot) => `${slot.startTime}-${slot.endTime}`;
+
+// Seats per slot still taken off availableSpots by pre-inventory bookings
+const getLegacySeats = async (activity) => {
+  const firstInventory = await SlotInventory.findOne({ activity: activity._id }).sort({ createdAt: 1 });
+  const cutoff = firstInventory ? firstInventory.createdAt : null;
+
+  const filter = { activity: activity._id };
+  if (cutoff) filter.createdAt = { $lt: cutoff };
+
+  const bookings = await Booking.find(filter)
+    .select('selectedTimeSlot numberOfParticipants bookingStatus paymentStatus cancelledAt');
+
+  const seats = {};
+  for (const booking of bookings) {
+    // The old code put these seats back
+    const restored = booking.paymentStatus === 'Failed' ||
+      (booking.bookingStatus === 'Cancelled' && (!cutoff || (booking.cancelledAt && booking.cancelledAt < cutoff)));
+    if (restored) continue;
+
+    const key = slotKey(booking.selectedTimeSlot);
+    seats[key] = (seats[key] || 0) + booking.numberOfParticipants;
+  }
+
+  return seats;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected${dryRun ? ' (dry run - nothing is saved)' : ''}`);
+
+  const activities = await Activity.find({
+    timeSlots: { $elemMatch: { $or: [{ capacity: { $exists: false } }, { capacity: null }] } }
+  });
+  console.log(`📋 ${activities.length} activit${activities.length === 1 ? 'y needs' : 'ies need'} slot capacities`);
+
+  for (const activity of activities) {
+    const legacySeats = await getLegacySeats(activity);
+
+    for (const slot of activity.timeSlots) {
+      if (slot.capacity) continue;
+
+      const capacity = Math.max(slot.availableSpots + (legacySeats[slotKey(slot)] || 0), 1);
+      console.log(`   ${activity.title} ${slotKey(slot)}: availableSpots ${slot.availableSpots} -> capacity ${capacity}`);
+
+      slot.capacity = capacity;
+      slot.availableSpots = capacity;
+    }
+
+    if (!dryRun) {
+      await activity.save({ validateBeforeSave: false });
+      await inventoryService.syncSlotCapacity(activity);
+    }
+  }
+
+  console.log('✅ Slot capacity migration finished');
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Slot capacity migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -2,17 +2,30 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { startJobs } = require('./jobs');
 
 // Load env vars
 dotenv.config();
 
+// Refuse to start without QR signing keys (tickets could not be issued)
+try {
+  require('./config/qrKeys').assertConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
 const app = express();
 
-// Body parser middleware
-app.use(express.json());
+// Body parser middleware (raw body kept for webhook signatures)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS middleware
@@ -35,6 +48,15 @@ app.use('/api/bookings', require('./routes/bookingRoutes'));
 app.use('/api/payments', require('./routes/paymentRoutes'));
 app.use('/api/qr', require('./routes/qrRoutes'));
 app.use('/api/contact', require('./routes/contactRoutes'));
+app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/tax-rates', require('./routes/taxRateRoutes'));
+app.use('/api/waivers', require('./routes/waiverRoutes'));
+app.use('/api/occupancy', require('./routes/occupancyRoutes'));
+app.use('/api/reminders', require('./routes/reminderRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/templates', require('./routes/templateRoutes'));
+app.use('/api/otp', require('./routes/otpRoutes'));
+app.use('/api/preferences', require('./routes/preferenceRoutes'));
 
 // Test route
 app.get('/', (req, res) => {
@@ -46,7 +68,16 @@ app.get('/', (req, res) => {
       bookings: '/api/bookings',
       payments: '/api/payments',
       qr: '/api/qr',
-      contact: '/api/contact'
+      contact: '/api/contact',
+      coupons: '/api/coupons',
+      taxRates: '/api/tax-rates',
+      waivers: '/api/waivers',
+      occupancy: '/api/occupancy',
+      reminders: '/api/reminders',
+      notifications: '/api/notifications',
+      templates: '/api/templates',
+      otp: '/api/otp',
+      preferences: '/api/preferences'
     }
   });
 });
@@ -137,4 +168,7 @@ app.listen(PORT, () => {
   console.log(`   - ALL  /api/bookings/...`);
   console.log(`   - ALL  /api/payments/...`);
   console.log(`\n`);
+
+  // Background jobs (hold expiry, ...)
+  startJobs();
 });
\ No newline at end of file
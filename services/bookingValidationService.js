@@ -0,0 +1,165 @@
+const { toDateKey, getDayName } = require('../config/timezone');
+
+// ========================================
+// Booking Validation Service
+// ========================================
+// Date / slot / party-size rules shared by createBooking and reschedule.
+// Capacity is not checked here - that happens atomically when spots are
+// reserved in the slot inventory.
+
+// Categories that always need a participant roster (safety briefing)
+const ROSTER_CATEGORIES = ['Adventure Parks', 'Adventure', 'Water Sports', 'Air Sports'];
+
+const GENDERS = ['Male', 'Female', 'Other'];
+
+// Build a validation failure: { status, message, ...details }
+const invalid = (message, details = {}, status = 400) => ({
+  error: { status, message, ...details }
+});
+
+// ========================================
+// Validate a date + time slot selection for an activity
+// ========================================
+// Returns { requestedDate, timeSlot } or { error }.
+exports.validateSlotSelection = (activity, { bookingDate, selectedTimeSlot, numberOfParticipants }) => {
+  // 1. Activity must be bookable
+  if (activity.status !== 'Active' || !activity.isAvailable) {
+    return invalid('Activity is not available for booking');
+  }
+
+  // 2. Time slot structure
+  if (!selectedTimeSlot || !selectedTimeSlot.startTime || !selectedTimeSlot.endTime) {
+    return invalid('Time slot must have startTime and endTime');
+  }
+
+  // 3. Booking date
+  const requestedDate = new Date(bookingDate);
+  if (isNaN(requestedDate.getTime())) {
+    return invalid('Invalid booking date');
+  }
+
+  // Calendar days at the club, not on the server
+  if (toDateKey(requestedDate) < toDateKey(new Date())) {
+    return invalid('Cannot book for past dates');
+  }
+
+  if (requestedDate < activity.startDate || requestedDate > activity.endDate) {
+    return invalid('Activity is not available on this date', {
+      availableRange: {
+        start: activity.startDate,
+        end: activity.endDate
+      }
+    });
+  }
+
+  // 4. Day of week
+  const dayName = getDayName(requestedDate);
+  if (!activity.availableDays.includes(dayName)) {
+    return invalid(`Activity is not available on ${dayName}`, {
+      availableDays: activity.availableDays
+    });
+  }
+
+  // 5. Time slot must exist on the activity
+  const timeSlot = activity.timeSlots.find(
+    slot => slot.startTime === selectedTimeSlot.startTime &&
+            slot.endTime === selectedTimeSlot.endTime
+  );
+
+  if (!timeSlot) {
+    return invalid('Invalid time slot', {
+      availableSlots: activity.timeSlots
+    });
+  }
+
+  // 6. Party size
+  if (numberOfParticipants > activity.maxParticipants) {
+    return invalid(`Maximum ${activity.maxParticipants} participants allowed`);
+  }
+
+  return { requestedDate, timeSlot };
+};
+
+// Whether an activity needs participant details with every booking
+exports.requiresParticipantRoster = (activity) => {
+  return activity.minAge != null || activity.maxAge != null ||
+    ROSTER_CATEGORIES.includes(activity.category);
+};
+
+// ========================================
+// Validate the participant roster of a booking
+// ========================================
+// Returns { participants } (normalized, possibly empty) or { error }.
+exports.validateParticipants = (activity, participants, numberOfParticipants) => {
+  if (!participants || (Array.isArray(participants) && participants.length === 0)) {
+    if (exports.requiresParticipantRoster(activity)) {
+      return invalid('Participant details are required for this activity', {
+        required: ['name', 'age', 'gender', 'emergencyContact.phone']
+      });
+    }
+    return { participants: [] };
+  }
+
+  if (!Array.isArray(participants)) {
+    return invalid('Participants must be a list');
+  }
+
+  if (participants.length !== Number(numberOfParticipants)) {
+    return invalid('Participant details must be provided for every participant', {
+      numberOfParticipants: Number(numberOfParticipants),
+      participantsProvided: participants.length
+    });
+  }
+
+  const normalized = [];
+  for (const [index, participant] of participants.entries()) {
+    const label = `Participant ${index + 1}`;
+    const name = participant && participant.name ? String(participant.name).trim() : '';
+    const age = Number(participant && participant.age);
+    const emergencyContact = (participant && participant.emergencyContact) || {};
+    const emergencyPhone = emergencyContact.phone ? String(emergencyContact.phone).trim() : '';
+
+    if (!name) {
+      return invalid(`${label}: name is required`);
+    }
+
+    if (!Number.isInteger(age) || age < 0 || age > 120) {
+      return invalid(`${label} (${name}): a valid age is required`);
+    }
+
+    if (participant.gender && !GENDERS.includes(participant.gender)) {
+      return invalid(`${label} (${name}): gender must be one of ${GENDERS.join(', ')}`);
+    }
+
+    if (!/^[0-9]{10}$/.test(emergencyPhone)) {
+      return invalid(`${label} (${name}): a valid 10-digit emergency contact phone is required`);
+    }
+
+    // Activity age limits
+    if (activity.minAge != null && age < activity.minAge) {
+      return invalid(`${label} (${name}) is below the minimum age of ${activity.minAge} for this activity`, {
+        minAge: activity.minAge,
+        maxAge: activity.maxAge
+      });
+    }
+
+    if (activity.maxAge != null && age > activity.maxAge) {
+      return invalid(`${label} (${name}) is above the maximum age of ${activity.maxAge} for this activity`, {
+        minAge: activity.minAge,
+        maxAge: activity.maxAge
+      });
+    }
+
+    normalized.push({
+      name,
+      age,
+      gender: participant.gender || null,
+      emergencyContact: {
+        name: emergencyContact.name ? String(emergencyContact.name).trim() : null,
+        phone: emergencyPhone
+      }
+    });
+  }
+
+  return { participants: normalized };
+};
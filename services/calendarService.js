@@ -0,0 +1,212 @@
+const Activity = require('../models/Activity');
+const { getSlotStart, getSlotEnd } = require('../config/timezone');
+
+// ========================================
+// Calendar Service
+// ========================================
+// iCalendar (.ics) events for bookings. Every booking is one event with a
+// stable UID; the SEQUENCE goes up with each reschedule (and once more on
+// cancellation), so calendar apps update the event they already have
+// instead of adding a second one:
+//   confirmation  METHOD:REQUEST  SEQUENCE = reschedules so far
+//   cancellation  METHOD:CANCEL   SEQUENCE = reschedules + 1
+//   download      METHOD:PUBLISH
+
+const CALENDAR_METHODS = ['PUBLISH', 'REQUEST', 'CANCEL'];
+
+exports.CALENDAR_METHODS = CALENDAR_METHODS;
+
+// Same UID for every version of a booking's event
+exports.getEventUid = (booking) => {
+  const domain = (process.env.SMTP_EMAIL || '').split('@')[1] || 'sportsclub.com';
+  return `booking-${booking._id}@${domain}`;
+};
+
+exports.getEventSequence = (booking) => {
+  const reschedules = booking.rescheduleHistory ? booking.rescheduleHistory.length : 0;
+  return booking.bookingStatus === 'Cancelled' ? reschedules + 1 : reschedules;
+};
+
+// ========================================
+// Build the .ics file of a booking
+// ========================================
+// method: PUBLISH (download), REQUEST (confirmation / update) or CANCEL.
+// Loads the activity for the full address and coordinates unless given.
+exports.buildBookingCalendar = async (booking, { method = 'PUBLISH', activity = null } = {}) => {
+  if (!CALENDAR_METHODS.includes(method)) {
+    throw new Error(`Calendar method must be one of: ${CALENDAR_METHODS.join(', ')}`);
+  }
+
+  if (!activity) {
+    activity = await Activity.findById(booking.activity._id || booking.activity)
+      .select('title venue address city state pincode locationCoordinates');
+  }
+
+  const appName = process.env.APP_NAME || 'Sports Club';
+  const details = getEventDetails(booking, activity);
+  const cancelled = method === 'CANCEL' || booking.bookingStatus === 'Cancelled';
+  const coordinates = activity && activity.locationCoordinates;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(appName)}//Bookings//EN`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${exports.getEventUid(booking)}`,
+    `SEQUENCE:${exports.getEventSequence(booking)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(details.start)}`,
+    `DTEND:${formatUtc(details.end)}`,
+    `SUMMARY:${escapeText(details.title)}`,
+    `DESCRIPTION:${escapeText(details.description)}`,
+    `LOCATION:${escapeText(details.location)}`
+  ];
+
+  if (coordinates && typeof coordinates.latitude === 'number' && typeof coordinates.longitude === 'number') {
+    lines.push(`GEO:${coordinates.latitude};${coordinates.longitude}`);
+  }
+  if (details.url) {
+    lines.push(`URL:${details.url}`);
+  }
+
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+
+  // iTIP messages (REQUEST / CANCEL) need an organizer and the attendee
+  if (process.env.SMTP_EMAIL) {
+    lines.push(`ORGANIZER;CN=${escapeParam(appName)}:mailto:${process.env.SMTP_EMAIL}`);
+  }
+  if (method !== 'PUBLISH' && booking.customerDetails.email) {
+    lines.push(
+      `ATTENDEE;CN=${escapeParam(booking.customerDetails.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${booking.customerDetails.email}`
+    );
+  }
+
+  if (!cancelled) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(details.title)}`,
+      'TRIGGER:-PT1H',
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ========================================
+// Add-to-calendar links (confirmation email)
+// ========================================
+// Google / Outlook "new event" pages and the .ics download. Built from the
+// booking snapshot - no database access.
+exports.getCalendarLinks = (booking) => {
+  const details = getEventDetails(booking, null);
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  const google = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: details.title,
+    dates: `${formatUtc(details.start)}/${formatUtc(details.end)}`,
+    details: details.description,
+    location: details.location
+  });
+
+  const outlook = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: details.title,
+    startdt: details.start.toISOString(),
+    enddt: details.end.toISOString(),
+    body: details.description,
+    location: details.location
+  });
+
+  const ics = new URLSearchParams({ bookingNumber: booking.bookingNumber });
+
+  return {
+    google: `https://calendar.google.com/calendar/render?${google}`,
+    outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${outlook}`,
+    ics: `${apiUrl}/api/bookings/${booking._id}/calendar.ics?${ics}`
+  };
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+// Title / times / place of a booking's event (activity when loaded,
+// otherwise the snapshot taken at booking time)
+function getEventDetails(booking, activity) {
+  const snapshot = booking.activitySnapshot || {};
+  const place = activity || snapshot;
+
+  const location = [
+    place.venue,
+    place.address,
+    place.city,
+    [place.state, place.pincode].filter(Boolean).join(' ')
+  ].filter(Boolean).join(', ');
+
+  const participants = booking.numberOfParticipants;
+  const description = [
+    `Booking ${booking.bookingNumber} - ${participants} participant${participants === 1 ? '' : 's'}`,
+    'Show the QR code from your confirmation email at the entrance.'
+  ];
+  const url = process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/booking/${booking._id}` : null;
+  if (url) description.push(url);
+
+  return {
+    title: snapshot.title || (activity && activity.title) || 'Booking',
+    start: getSlotStart(booking.bookingDate, booking.selectedTimeSlot),
+    end: getSlotEnd(booking.bookingDate, booking.selectedTimeSlot),
+    location,
+    description: description.join('\n'),
+    url
+  };
+}
+
+// 20261020T003000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values such as CN= are quoted when they contain separators
+function escapeParam(value) {
+  const cleaned = String(value || '').replace(/"/g, '\'');
+  return /[;:,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
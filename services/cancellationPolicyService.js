@@ -0,0 +1,136 @@
+const Booking = require('../models/Booking');
+const refundService = require('./refundService');
+const { getSlotStart } = require('../config/timezone');
+
+// ========================================
+// Cancellation Policy Service
+// ========================================
+// Applies an activity's cancellationRules to a booking. Rules are
+// { hoursBeforeStart, refundPercentage }: the rule with the largest
+// hoursBeforeStart that is still met decides the refund. Cancelling later
+// than every rule allows refunds nothing.
+
+const PAID_STATUSES = ['Completed', 'Partially Refunded'];
+
+// Error with an HTTP status for the controller
+const policyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ========================================
+// Compute the refund a cancellation would get right now
+// ========================================
+exports.computeRefund = (booking, activity, at = new Date()) => {
+  const slotStart = getSlotStart(booking.bookingDate, booking.selectedTimeSlot);
+  const hoursBeforeStart = (slotStart.getTime() - at.getTime()) / (60 * 60 * 1000);
+  const rules = [...(activity.cancellationRules || [])]
+    .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+
+  const rule = hoursBeforeStart >= 0
+    ? rules.find(r => hoursBeforeStart >= r.hoursBeforeStart)
+    : null;
+
+  const isPaid = PAID_STATUSES.includes(booking.paymentStatus);
+  const refundPercentage = rule ? rule.refundPercentage : 0;
+  const policyAmount = Math.round(booking.finalAmount * refundPercentage) / 100;
+  const refundableAmount = isPaid
+    ? Math.min(policyAmount, refundService.getRefundableAmount(booking))
+    : 0;
+
+  return {
+    slotStart,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+    hasPolicy: rules.length > 0,
+    rules: rules.map(r => ({ hoursBeforeStart: r.hoursBeforeStart, refundPercentage: r.refundPercentage })),
+    appliedRule: rule ? { hoursBeforeStart: rule.hoursBeforeStart, refundPercentage: rule.refundPercentage } : null,
+    refundPercentage,
+    paidAmount: isPaid ? booking.finalAmount : 0,
+    refundableAmount
+  };
+};
+
+// ========================================
+// Cancel a booking according to the policy
+// ========================================
+// Unpaid bookings are simply cancelled; paid ones are refunded the
+// computed amount (if any) and cancelled. The booking is moved to Cancelled
+// atomically first, so two concurrent cancels can't both refund.
+exports.cancelWithPolicy = async (booking, activity, { reason, cancelledBy = null } = {}) => {
+  if (!['Initiated', 'Confirmed'].includes(booking.bookingStatus)) {
+    throw policyError(`Booking cannot be cancelled (status: ${booking.bookingStatus})`);
+  }
+
+  const quote = exports.computeRefund(booking, activity);
+
+  if (quote.hoursBeforeStart < 0) {
+    throw policyError('The booked slot has already started and can no longer be cancelled');
+  }
+
+  const isPaid = PAID_STATUSES.includes(booking.paymentStatus);
+
+  if (isPaid && !quote.hasPolicy) {
+    throw policyError('This activity does not support online cancellation. Please contact us.', 403);
+  }
+
+  const cancellationReason = reason || 'Cancelled by customer';
+  const previousStatus = booking.bookingStatus;
+
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, bookingStatus: { $in: ['Initiated', 'Confirmed'] } },
+    {
+      $set: {
+        bookingStatus: 'Cancelled',
+        cancelledAt: new Date(),
+        cancellationReason,
+        cancelledBy
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw policyError('Booking is already being cancelled or has changed. Please refresh.', 409);
+  }
+
+  booking.bookingStatus = claimed.bookingStatus;
+  booking.cancelledAt = claimed.cancelledAt;
+  booking.cancellationReason = claimed.cancellationReason;
+  booking.cancelledBy = claimed.cancelledBy;
+
+  let refund = null;
+  let refunds = [];
+
+  if (quote.refundableAmount > 0) {
+    try {
+      ({ refund, refunds } = await refundService.initiateRefund(booking, {
+        amount: quote.refundableAmount,
+        reason: cancellationReason,
+        initiatedBy: cancelledBy,
+        cancelBooking: true
+      }));
+    } catch (error) {
+      // Nothing was refunded - the booking stays as it was
+      await Booking.updateOne(
+        { _id: booking._id, bookingStatus: 'Cancelled' },
+        { $set: { bookingStatus: previousStatus, cancelledAt: null, cancellationReason: null, cancelledBy: null } }
+      );
+      booking.bookingStatus = previousStatus;
+      booking.cancelledAt = null;
+      booking.cancellationReason = null;
+      booking.cancelledBy = null;
+      throw error;
+    }
+  }
+
+  // Restore the spots and notify the customer
+  await refundService.cancelAndNotify(booking, {
+    reason: cancellationReason,
+    cancelledBy
+  });
+
+  const refundedAmount = refunds.reduce((sum, r) => sum + r.amount, 0);
+
+  return { booking, refund, refundedAmount, quote };
+};
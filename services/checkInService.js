@@ -0,0 +1,513 @@
+const Booking = require('../models/Booking');
+const Activity = require('../models/Activity');
+const CheckInEvent = require('../models/CheckInEvent');
+const waiverService = require('./waiverService');
+const occupancyService = require('./occupancyService');
+const { CLUB_TIMEZONE, toDateKey, getSlotStart, getSlotEnd } = require('../config/timezone');
+
+// ========================================
+// Check-in Service
+// ========================================
+// Group bookings check in over one or more scans. Every scan lets in some
+// (or all remaining) participants and is logged with gate and staff. The
+// booking becomes Completed once the whole party is in, or when the slot
+// ends with at least one participant checked in. Check-out scans record
+// people leaving; both feed the venue's live occupancy.
+
+// Partially refunded bookings (e.g. cheaper reschedule) are still paid
+const CHECKIN_PAYMENT_STATUSES = ['Completed', 'Partially Refunded'];
+exports.CHECKIN_PAYMENT_STATUSES = CHECKIN_PAYMENT_STATUSES;
+
+// Roles that may let a guest in outside the check-in window
+const WINDOW_OVERRIDE_ROLES = ['superadmin', 'manager'];
+
+const DEFAULT_EARLY_ARRIVAL_MINUTES = 30;
+
+const formatTime = (date) => date.toLocaleTimeString('en-IN', {
+  timeZone: CLUB_TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+// ========================================
+// Can this booking be checked in (at the given time)?
+// ========================================
+// Returns { status, code, message, ...details } or null. The code lets
+// scanner apps tell conflicts apart without parsing messages.
+exports.getCheckInError = (booking, at = new Date()) => {
+  if (booking.checkedIn) {
+    return {
+      status: 400,
+      code: 'ALREADY_CHECKED_IN',
+      message: 'Already checked in',
+      checkedInAt: booking.checkInTime,
+      checkedInBy: booking.checkInBy,
+      checkedInCount: booking.checkedInCount
+    };
+  }
+
+  if (booking.bookingStatus !== 'Confirmed') {
+    return { status: 400, code: 'NOT_CONFIRMED', message: 'Booking is not confirmed', bookingStatus: booking.bookingStatus };
+  }
+
+  if (!CHECKIN_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    return { status: 400, code: 'PAYMENT_PENDING', message: 'Payment not completed', paymentStatus: booking.paymentStatus };
+  }
+
+  // Must be the booked day at the club
+  if (toDateKey(booking.bookingDate) !== toDateKey(at)) {
+    return {
+      status: 400,
+      code: 'WRONG_DATE',
+      message: 'This booking is not for today',
+      bookingDate: booking.bookingDate,
+      todayDate: toDateKey(at)
+    };
+  }
+
+  return null;
+};
+
+// ========================================
+// Is the booked slot's check-in window open?
+// ========================================
+// The gate opens earlyArrivalMinutes before the slot starts and closes
+// lateArrivalMinutes after it starts (or when it ends). Returns
+// { status, code, message, ...details } or null.
+exports.getCheckInWindowError = (booking, checkInWindow = {}, at = new Date()) => {
+  const slotStart = getSlotStart(booking.bookingDate, booking.selectedTimeSlot);
+  const slotEnd = getSlotEnd(booking.bookingDate, booking.selectedTimeSlot);
+
+  const earlyMinutes = checkInWindow.earlyArrivalMinutes ?? DEFAULT_EARLY_ARRIVAL_MINUTES;
+  const lateMinutes = checkInWindow.lateArrivalMinutes;
+
+  const opensAt = new Date(slotStart.getTime() - earlyMinutes * 60 * 1000);
+  const closesAt = lateMinutes === null || lateMinutes === undefined
+    ? slotEnd
+    : new Date(Math.min(slotStart.getTime() + lateMinutes * 60 * 1000, slotEnd.getTime()));
+
+  const details = {
+    timeSlot: booking.selectedTimeSlot,
+    opensAt: formatTime(opensAt),
+    closesAt: formatTime(closesAt)
+  };
+
+  if (at < opensAt) {
+    const minutes = Math.ceil((opensAt - at) / 60000);
+    return {
+      status: 400,
+      code: 'TOO_EARLY',
+      message: `Too early by ${minutes} min - check-in opens at ${details.opensAt}`,
+      minutesOutside: minutes,
+      ...details
+    };
+  }
+
+  if (at >= slotEnd) {
+    return {
+      status: 400,
+      code: 'SLOT_ENDED',
+      message: `Slot ended at ${formatTime(slotEnd)}`,
+      minutesOutside: Math.floor((at - slotEnd) / 60000),
+      ...details
+    };
+  }
+
+  if (at >= closesAt) {
+    const minutes = Math.floor((at - closesAt) / 60000);
+    return {
+      status: 400,
+      code: 'TOO_LATE',
+      message: `Too late by ${minutes} min - check-in closed at ${details.closesAt}`,
+      minutesOutside: minutes,
+      ...details
+    };
+  }
+
+  return null;
+};
+
+// ========================================
+// Who is arriving with this scan
+// ========================================
+// Either roster positions (participantIndexes) or a head count; with
+// neither, everyone not yet checked in. Returns { count, participantIndexes }
+// or { error }.
+const resolveArrivals = (booking, { count, participantIndexes }) => {
+  const remaining = booking.numberOfParticipants - (booking.checkedInCount || 0);
+
+  if (participantIndexes !== undefined && participantIndexes !== null) {
+    if (!Array.isArray(participantIndexes) || participantIndexes.length === 0) {
+      return { error: { status: 400, code: 'INVALID_ARRIVALS', message: 'participantIndexes must be a non-empty array' } };
+    }
+
+    const indexes = participantIndexes.map(Number);
+    const alreadyIn = new Set(booking.checkedInParticipants || []);
+
+    for (const index of indexes) {
+      if (!Number.isInteger(index) || index < 0 || index >= booking.numberOfParticipants) {
+        return { error: { status: 400, code: 'INVALID_ARRIVALS', message: `Invalid participant index ${index}` } };
+      }
+      if (alreadyIn.has(index)) {
+        return { error: { status: 400, code: 'INVALID_ARRIVALS', message: `Participant ${index + 1} is already checked in` } };
+      }
+    }
+
+    if (new Set(indexes).size !== indexes.length) {
+      return { error: { status: 400, code: 'INVALID_ARRIVALS', message: 'A participant is listed more than once' } };
+    }
+
+    if (indexes.length > remaining) {
+      return { error: { status: 400, code: 'INVALID_ARRIVALS', message: `Only ${remaining} participant(s) left to check in` } };
+    }
+
+    return { count: indexes.length, participantIndexes: indexes };
+  }
+
+  const arriving = count === undefined || count === null ? remaining : Number(count);
+  if (!Number.isInteger(arriving) || arriving < 1 || arriving > remaining) {
+    return {
+      error: {
+        status: 400,
+        code: 'INVALID_ARRIVALS',
+        message: `Check-in count must be between 1 and ${remaining}`,
+        checkedInCount: booking.checkedInCount,
+        numberOfParticipants: booking.numberOfParticipants
+      }
+    };
+  }
+
+  return { count: arriving, participantIndexes: null };
+};
+
+// ========================================
+// Record a check-in scan
+// ========================================
+// Returns { booking, event, arrived, remaining, complete, waiverWarning,
+// windowWarning, windowOverride } or { error: { status, code, message,
+// ...details } }. The booking passed in is updated in place.
+// Outside the check-in window a manager can let the guest in with an
+// overrideReason (staffRole is checked); the override is logged.
+// Offline scans pass the device's scannedAt / deviceId / deviceEventId and
+// enforceWaivers / enforceWindow / enforceCapacity: false (the guest is
+// already in; warnings are returned instead).
+exports.recordCheckIn = async (booking, {
+  count,
+  participantIndexes,
+  gate,
+  staffId,
+  staffRole,
+  method,
+  overrideReason,
+  scannedAt = new Date(),
+  deviceId = null,
+  deviceEventId = null,
+  enforceWaivers = true,
+  enforceWindow = true,
+  enforceCapacity = true
+}) => {
+  const checkInError = exports.getCheckInError(booking, scannedAt);
+  if (checkInError) {
+    return { error: checkInError };
+  }
+
+  // Check-in window around the booked slot
+  const activity = await Activity.findById(booking.activity._id || booking.activity).select('checkInWindow');
+  const windowError = exports.getCheckInWindowError(booking, activity?.checkInWindow, scannedAt);
+  let windowOverride;
+  if (windowError && enforceWindow) {
+    const reason = typeof overrideReason === 'string' ? overrideReason.trim() : '';
+    if (!reason) {
+      return { error: windowError };
+    }
+    if (!WINDOW_OVERRIDE_ROLES.includes(staffRole)) {
+      return {
+        error: {
+          status: 403,
+          code: 'OVERRIDE_NOT_ALLOWED',
+          message: 'Only a manager can check in outside the check-in window'
+        }
+      };
+    }
+    windowOverride = { code: windowError.code, message: windowError.message, reason };
+  }
+
+  const arrivals = resolveArrivals(booking, { count, participantIndexes });
+  if (arrivals.error) {
+    return { error: arrivals.error };
+  }
+
+  // Signed waivers (blocks or warns, per the activity's waiver)
+  const waiverCheck = await waiverService.checkWaiversForCheckIn(booking, arrivals);
+  if (!waiverCheck.allowed && enforceWaivers) {
+    return {
+      error: {
+        status: 403,
+        code: 'WAIVERS_MISSING',
+        message: 'Signed waivers missing',
+        missingWaivers: waiverCheck.missing,
+        signingUrl: waiverService.getWaiverUrl(booking)
+      }
+    };
+  }
+
+  // Venue safety capacity - the seats are taken before anything is logged
+  const venue = await occupancyService.getBookingVenue(booking);
+  let occupancy = null;
+  if (venue) {
+    const admitted = await occupancyService.admit(venue, arrivals.count, { enforceCapacity });
+    if (admitted.error) {
+      return { error: admitted.error };
+    }
+    occupancy = admitted.occupancy;
+  }
+  const releaseVenue = () => venue ? occupancyService.release(venue, arrivals.count) : null;
+
+  const previousCount = booking.checkedInCount || 0;
+  const checkedInCount = previousCount + arrivals.count;
+  const complete = checkedInCount >= booking.numberOfParticipants;
+
+  // Log first: the unique device event ID makes offline re-uploads no-ops
+  let event;
+  try {
+    event = await CheckInEvent.create({
+      booking: booking._id,
+      bookingNumber: booking.bookingNumber,
+      activity: booking.activity._id || booking.activity,
+      count: arrivals.count,
+      participantIndexes: arrivals.participantIndexes || [],
+      checkedInCount,
+      numberOfParticipants: booking.numberOfParticipants,
+      checkedOutCount: booking.checkedOutCount || 0,
+      venue,
+      gate: gate || null,
+      method,
+      staff: staffId,
+      scannedAt,
+      deviceId,
+      deviceEventId,
+      syncedAt: deviceEventId ? new Date() : null,
+      windowOverride
+    });
+  } catch (error) {
+    await releaseVenue();
+    if (error.code === 11000) {
+      return { error: { status: 409, code: 'DUPLICATE_EVENT', message: 'This scan has already been recorded' } };
+    }
+    throw error;
+  }
+
+  const set = { checkedInCount };
+  if (previousCount === 0) {
+    set.checkInTime = scannedAt;
+    set.checkInBy = staffId;
+  }
+  if (complete) {
+    set.checkedIn = true;
+    set.bookingStatus = 'Completed';
+  }
+
+  const update = { $set: set };
+  if (arrivals.participantIndexes) {
+    update.$addToSet = { checkedInParticipants: { $each: arrivals.participantIndexes } };
+  }
+
+  // Conditional on the count we read, so two gates can't let in the same seats
+  // (older bookings have no checkedInCount yet)
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'Confirmed',
+      checkedInCount: previousCount === 0 ? { $in: [0, null] } : previousCount
+    },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    await CheckInEvent.deleteOne({ _id: event._id });
+    await releaseVenue();
+    return {
+      error: {
+        status: 409,
+        code: 'CONCURRENT_UPDATE',
+        message: 'Booking was checked in at another gate just now. Please scan again.'
+      }
+    };
+  }
+
+  booking.checkedInCount = updated.checkedInCount;
+  booking.checkedInParticipants = updated.checkedInParticipants;
+  booking.checkedIn = updated.checkedIn;
+  booking.bookingStatus = updated.bookingStatus;
+  booking.checkInTime = updated.checkInTime;
+  booking.checkInBy = updated.checkInBy;
+
+  console.log(`✅ Check-in ${checkedInCount}/${booking.numberOfParticipants}:`, booking.bookingNumber, gate ? `(${gate})` : '');
+
+  occupancyService.publishScan({
+    ...scanSummary(booking, event),
+    remaining: booking.numberOfParticipants - checkedInCount,
+    complete
+  });
+
+  return {
+    booking,
+    event,
+    arrived: arrivals.count,
+    remaining: booking.numberOfParticipants - checkedInCount,
+    complete,
+    occupancy: occupancy ? occupancy.occupancy : null,
+    capacity: occupancy ? occupancy.capacity : null,
+    waiverWarning: waiverCheck.warning,
+    windowWarning: windowError && !windowOverride ? windowError.message : null,
+    windowOverride: windowOverride || null
+  };
+};
+
+// ========================================
+// Record a check-out scan (people leaving the venue)
+// ========================================
+// count defaults to everyone from the booking still inside. Returns
+// { booking, event, departed, inside } or { error }.
+exports.recordCheckOut = async (booking, {
+  count,
+  gate,
+  staffId = null,
+  method,
+  scannedAt = new Date()
+}) => {
+  const previousOut = booking.checkedOutCount || 0;
+  const inside = (booking.checkedInCount || 0) - previousOut;
+
+  if (inside <= 0) {
+    return {
+      error: {
+        status: 400,
+        code: 'NOT_INSIDE',
+        message: booking.checkedInCount > 0 ? 'Everyone from this booking has already checked out' : 'Nobody from this booking has checked in',
+        checkedInCount: booking.checkedInCount || 0,
+        checkedOutCount: previousOut
+      }
+    };
+  }
+
+  const departing = count === undefined || count === null ? inside : Number(count);
+  if (!Number.isInteger(departing) || departing < 1 || departing > inside) {
+    return {
+      error: {
+        status: 400,
+        code: 'INVALID_DEPARTURES',
+        message: `Check-out count must be between 1 and ${inside}`,
+        inside
+      }
+    };
+  }
+
+  const checkedOutCount = previousOut + departing;
+  const venue = await occupancyService.getBookingVenue(booking);
+
+  const event = await CheckInEvent.create({
+    type: 'Check-Out',
+    booking: booking._id,
+    bookingNumber: booking.bookingNumber,
+    activity: booking.activity._id || booking.activity,
+    count: departing,
+    checkedInCount: booking.checkedInCount,
+    numberOfParticipants: booking.numberOfParticipants,
+    checkedOutCount,
+    venue,
+    gate: gate || null,
+    method,
+    staff: staffId,
+    scannedAt
+  });
+
+  // Conditional on the counts we read (older bookings have no checkedOutCount yet)
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      checkedInCount: booking.checkedInCount,
+      checkedOutCount: previousOut === 0 ? { $in: [0, null] } : previousOut
+    },
+    { $set: { checkedOutCount, checkOutTime: scannedAt } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await CheckInEvent.deleteOne({ _id: event._id });
+    return {
+      error: {
+        status: 409,
+        code: 'CONCURRENT_UPDATE',
+        message: 'Booking was scanned at another gate just now. Please scan again.'
+      }
+    };
+  }
+
+  booking.checkedOutCount = updated.checkedOutCount;
+  booking.checkOutTime = updated.checkOutTime;
+
+  const occupancy = venue ? await occupancyService.release(venue, departing) : null;
+
+  console.log(`👋 Check-out ${checkedOutCount}/${booking.checkedInCount}:`, booking.bookingNumber, gate ? `(${gate})` : '');
+
+  occupancyService.publishScan({
+    ...scanSummary(booking, event),
+    inside: booking.checkedInCount - checkedOutCount
+  });
+
+  return {
+    booking,
+    event,
+    departed: departing,
+    inside: booking.checkedInCount - checkedOutCount,
+    occupancy: occupancy ? occupancy.occupancy : null,
+    capacity: occupancy ? occupancy.capacity : null
+  };
+};
+
+// ========================================
+// Check out everyone still inside once their slot has ended
+// ========================================
+// Keeps venue occupancy right when guests leave without scanning out.
+exports.checkOutEndedSlots = async (now = new Date()) => {
+  const candidates = await Booking.find({
+    bookingStatus: { $in: ['Confirmed', 'Completed'] },
+    checkedInCount: { $gt: 0 },
+    bookingDate: { $lte: now },
+    $expr: { $gt: ['$checkedInCount', { $ifNull: ['$checkedOutCount', 0] }] }
+  });
+
+  let checkedOut = 0;
+  for (const booking of candidates) {
+    if (getSlotEnd(booking.bookingDate, booking.selectedTimeSlot) > now) continue;
+
+    const result = await exports.recordCheckOut(booking, { method: 'Slot Ended', scannedAt: now });
+    if (!result.error) checkedOut += result.departed;
+  }
+
+  return checkedOut;
+};
+
+// ========================================
+// HELPER: Scan details for the live dashboard
+// ========================================
+function scanSummary(booking, event) {
+  return {
+    type: event.type,
+    venue: event.venue,
+    bookingId: booking._id,
+    bookingNumber: booking.bookingNumber,
+    activityTitle: (booking.activity && booking.activity.title) || booking.activitySnapshot?.title,
+    customerName: booking.customerDetails?.name,
+    count: event.count,
+    checkedInCount: booking.checkedInCount,
+    checkedOutCount: booking.checkedOutCount || 0,
+    numberOfParticipants: booking.numberOfParticipants,
+    gate: event.gate,
+    method: event.method,
+    at: event.scannedAt
+  };
+}
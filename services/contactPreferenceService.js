@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const ContactPreference = require('../models/ContactPreference');
+const {
+  NOTIFICATION_CHANNELS,
+  OPTIONAL_MESSAGE_CATEGORIES
+} = require('../config/notifications');
+
+// ========================================
+// Contact Preference Service
+// ========================================
+// Opt-outs per email address / phone number and channel. The outbox checks
+// isAllowed() before every message; transactional messages always pass.
+// Customers change their settings through a signed link in every email
+// (no login), the List-Unsubscribe one-click header, or by replying STOP /
+// START on WhatsApp or SMS.
+
+// Whole-message replies (case-insensitive)
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT', 'OPTOUT', 'OPT OUT'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN'];
+
+// Error with an HTTP status for the controller
+const preferenceError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getSecret = () => process.env.PREFERENCES_SECRET || process.env.JWT_SECRET;
+
+const sign = (value) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`contact-preferences:${value}`)
+  .digest('base64url');
+
+// ========================================
+// Addresses
+// ========================================
+// Lower-case email, or the 10-digit number (country code / spaces removed)
+exports.normalizeAddress = (channel, address) => {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw preferenceError(`Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+  }
+
+  if (channel === 'email') {
+    const email = String(address || '').trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      throw preferenceError('Please provide a valid email address');
+    }
+    return email;
+  }
+
+  let phone = String(address || '').replace(/\D/g, '');
+  if (phone.startsWith('91') && phone.length === 12) {
+    phone = phone.substring(2);
+  }
+  if (phone.length !== 10) {
+    throw preferenceError('Please provide a valid 10-digit phone number');
+  }
+  return phone;
+};
+
+// ========================================
+// Read
+// ========================================
+// { channel, address, optedOut, categories: { reminders: true, ... } }
+exports.getPreference = async (channel, address) => {
+  const normalized = exports.normalizeAddress(channel, address);
+  const preference = await ContactPreference.findOne({ channel, address: normalized }).select('optedOut updatedAt');
+
+  return describe(channel, normalized, preference);
+};
+
+// Should a message of this category go to this address?
+exports.isAllowed = async (channel, address, category) => {
+  if (!OPTIONAL_MESSAGE_CATEGORIES.includes(category)) return true;
+
+  const normalized = exports.normalizeAddress(channel, address);
+  const preference = await ContactPreference.exists({ channel, address: normalized, optedOut: category });
+  return !preference;
+};
+
+// ========================================
+// Change
+// ========================================
+// optedOut: the optional categories to turn off (the rest are turned on).
+// meta: { source, note?, changedBy? }
+exports.setOptedOut = async (channel, address, optedOut, { source, note = null, changedBy = null }) => {
+  const normalized = exports.normalizeAddress(channel, address);
+
+  if (!Array.isArray(optedOut) || optedOut.some(category => !OPTIONAL_MESSAGE_CATEGORIES.includes(category))) {
+    throw preferenceError(`optedOut must be a list of: ${OPTIONAL_MESSAGE_CATEGORIES.join(', ')}`);
+  }
+  const categories = OPTIONAL_MESSAGE_CATEGORIES.filter(category => optedOut.includes(category));
+
+  const preference = await ContactPreference.findOneAndUpdate(
+    { channel, address: normalized },
+    {
+      $set: { optedOut: categories },
+      $push: { history: { optedOut: categories, source, note, changedBy, changedAt: new Date() } }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  console.log(`🔕 ${channel} preferences changed (${source}):`, categories.length > 0 ? categories.join(', ') : 'all on');
+  return describe(channel, normalized, preference);
+};
+
+// ========================================
+// STOP / START replies (WhatsApp, SMS)
+// ========================================
+// Returns 'opted-out', 'opted-in' or null when the reply is not a keyword.
+exports.handleReply = async (channel, phone, text) => {
+  const keyword = String(text || '').trim().toUpperCase().replace(/[.!]+$/, '');
+
+  if (STOP_KEYWORDS.includes(keyword)) {
+    await exports.setOptedOut(channel, phone, OPTIONAL_MESSAGE_CATEGORIES, { source: 'reply', note: keyword });
+    return 'opted-out';
+  }
+  if (START_KEYWORDS.includes(keyword)) {
+    await exports.setOptedOut(channel, phone, [], { source: 'reply', note: keyword });
+    return 'opted-in';
+  }
+
+  return null;
+};
+
+// ========================================
+// Signed links (no login)
+// ========================================
+// Token = channel:address (base64url) + signature; does not expire so the
+// link in an old email keeps working.
+exports.getToken = (channel, address) => {
+  const value = `${channel}:${exports.normalizeAddress(channel, address)}`;
+  return `${Buffer.from(value).toString('base64url')}.${sign(value)}`;
+};
+
+// Returns { channel, address }
+exports.verifyToken = (token) => {
+  const [encoded, signature] = String(token || '').split('.');
+  const invalid = preferenceError('This link is invalid. Please use the link from our latest email.', 401);
+  if (!encoded || !signature) throw invalid;
+
+  const value = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(sign(value));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalid;
+  }
+
+  const separator = value.indexOf(':');
+  return { channel: value.substring(0, separator), address: value.substring(separator + 1) };
+};
+
+// Settings page (email footer) and one-click unsubscribe (List-Unsubscribe)
+exports.getLinks = (channel, address) => {
+  const token = encodeURIComponent(exports.getToken(channel, address));
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return {
+    settings: `${process.env.FRONTEND_URL}/notification-settings?token=${token}`,
+    oneClick: `${apiUrl}/api/preferences/unsubscribe?token=${token}`
+  };
+};
+
+// ========================================
+// Admin
+// ========================================
+// filters: { channel, search (address), optedOut (category) }.
+// Returns { preferences, total }.
+exports.listPreferences = async ({ channel, search, optedOut, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (channel) query.channel = channel;
+  if (search) query.address = { $regex: search, $options: 'i' };
+  if (optedOut) query.optedOut = optedOut;
+
+  const [preferences, total] = await Promise.all([
+    ContactPreference.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate('history.changedBy', 'name email'),
+    ContactPreference.countDocuments(query)
+  ]);
+
+  return { preferences, total };
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+function describe(channel, address, preference) {
+  const optedOut = preference ? preference.optedOut : [];
+  return {
+    channel,
+    address,
+    optedOut,
+    categories: Object.fromEntries(OPTIONAL_MESSAGE_CATEGORIES.map(category => [category, !optedOut.includes(category)])),
+    updatedAt: preference ? preference.updatedAt : null
+  };
+}
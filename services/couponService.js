@@ -0,0 +1,194 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// ========================================
+// Coupon Service
+// ========================================
+// Coupons are validated when a booking is created and their discount is
+// stored on the booking. A use only counts once the booking is paid
+// (see recordRedemption).
+
+// Error with an HTTP status for the controller
+const couponError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Discount a coupon gives on an order amount (never more than the order)
+exports.computeDiscount = (coupon, orderAmount) => {
+  let discount = coupon.discountType === 'Percentage'
+    ? orderAmount * coupon.discountValue / 100
+    : coupon.discountValue;
+
+  if (coupon.maxDiscountAmount !== null && coupon.maxDiscountAmount !== undefined) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+
+  return roundAmount(Math.min(discount, orderAmount));
+};
+
+// Whether the coupon is scoped to this activity (no scope = everything)
+const appliesToActivity = (coupon, activity) => {
+  const activities = coupon.applicableActivities || [];
+  const categories = coupon.applicableCategories || [];
+
+  if (activities.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  return activities.some(id => id.toString() === activity._id.toString()) ||
+    categories.includes(activity.category);
+};
+
+// ========================================
+// Validate a coupon code for a booking
+// ========================================
+// Returns { coupon, discountAmount }. Throws with a customer-facing message
+// when the code cannot be used.
+exports.validateCoupon = async (code, { activity, orderAmount, email, phone, at = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code', 404);
+  }
+
+  if (at < coupon.validFrom) {
+    throw couponError('This coupon is not active yet');
+  }
+
+  if (at > coupon.validUntil) {
+    throw couponError('This coupon has expired');
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  if (coupon.restrictedToEmail && String(email || '').toLowerCase().trim() !== coupon.restrictedToEmail) {
+    throw couponError('This coupon is not valid for your account');
+  }
+
+  if (!appliesToActivity(coupon, activity)) {
+    throw couponError('This coupon is not valid for the selected activity');
+  }
+
+  if (orderAmount < coupon.minOrderAmount) {
+    throw couponError(`A minimum order of ₹${coupon.minOrderAmount} is required for this coupon`);
+  }
+
+  if (coupon.perCustomerLimit !== null && (email || phone)) {
+    const customerFilter = [];
+    if (email) customerFilter.push({ customerEmail: String(email).toLowerCase().trim() });
+    if (phone) customerFilter.push({ customerPhone: String(phone).trim() });
+
+    const customerUses = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      $or: customerFilter
+    });
+
+    if (customerUses >= coupon.perCustomerLimit) {
+      throw couponError('You have already used this coupon the maximum number of times');
+    }
+  }
+
+  return {
+    coupon,
+    discountAmount: exports.computeDiscount(coupon, orderAmount)
+  };
+};
+
+// ========================================
+// Count a coupon use once the booking is paid
+// ========================================
+// Idempotent: one redemption per booking (verify + webhook can both call it).
+// The limits were checked when the booking was created, but several pending
+// bookings can pass that check together. The use is claimed atomically here;
+// a payment that comes in after the limit was used up keeps its discount
+// (the customer has already paid) but the redemption and the booking are
+// flagged couponOverLimit for staff, and usedCount stays at the limit.
+exports.recordRedemption = async (booking) => {
+  if (!booking.coupon) {
+    return null;
+  }
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: booking.coupon,
+      code: booking.couponCode,
+      booking: booking._id,
+      activity: booking.activity._id || booking.activity,
+      customerEmail: booking.customerDetails.email,
+      customerPhone: booking.customerDetails.phone,
+      orderAmount: booking.totalAmount,
+      discountAmount: booking.couponDiscount,
+      finalAmount: booking.finalAmount,
+      redeemedAt: booking.paidAt || new Date()
+    });
+  } catch (error) {
+    // Already recorded for this booking
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  const overLimit = await claimUse(booking.coupon, redemption);
+
+  if (overLimit) {
+    await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { overLimit } });
+    redemption.overLimit = overLimit;
+
+    booking.couponOverLimit = true;
+    await booking.save();
+
+    console.warn(`⚠️ Coupon ${booking.couponCode} redeemed over its ${overLimit} limit (discount honoured):`, booking.bookingNumber);
+    return redemption;
+  }
+
+  console.log('🏷️ Coupon redeemed:', booking.couponCode, booking.bookingNumber);
+  return redemption;
+};
+
+// ========================================
+// HELPER: Claim one use of a coupon
+// ========================================
+// Returns null when the use fits, otherwise which limit it went over
+// ('customer' or 'usage'). Of a customer's redemptions the earliest ones
+// count; usedCount only goes up while it is below usageLimit.
+async function claimUse(couponId, redemption) {
+  const coupon = await Coupon.findById(couponId).select('perCustomerLimit');
+  if (!coupon) return null;
+
+  if (coupon.perCustomerLimit !== null) {
+    const earlierUses = await CouponRedemption.countDocuments({
+      coupon: couponId,
+      _id: { $lt: redemption._id },
+      overLimit: null,
+      $or: [
+        { customerEmail: redemption.customerEmail },
+        { customerPhone: redemption.customerPhone }
+      ]
+    });
+
+    if (earlierUses >= coupon.perCustomerLimit) {
+      return 'customer';
+    }
+  }
+
+  const claimed = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  return claimed.modifiedCount > 0 ? null : 'usage';
+}
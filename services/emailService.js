@@ -1,4 +1,9 @@
 const nodemailer = require('nodemailer');
+const invoiceService = require('./invoiceService');
+const waiverService = require('./waiverService');
+const messageTemplates = require('./messageTemplates');
+const calendarService = require('./calendarService');
+const contactPreferenceService = require('./contactPreferenceService');
 
 // Create transporter (Configure with your email service)
 const transporter = nodemailer.createTransport({
@@ -11,6 +16,13 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// Subjects and HTML come from messageTemplates, in the customer's
+// preferredLanguage (English when not set). Confirmation and cancellation
+// mails carry the booking's calendar event (calendarService), so a
+// reschedule (confirmation sent again) or cancellation updates the event
+// already in the customer's calendar. Every mail links to the recipient's
+// notification settings (footer + List-Unsubscribe header).
+
 // ========================================
 // Send Booking Confirmation Email
 // ========================================
@@ -18,11 +30,31 @@ exports.sendBookingConfirmation = async (booking) => {
   try {
     console.log('📧 Sending confirmation email to:', booking.customerDetails.email);
 
+    const unsubscribe = getUnsubscribeOptions(booking.customerDetails.email);
+
+    // Link to sign liability waivers, if the activity needs them
+    let waiverUrl = null;
+    try {
+      const waivers = await waiverService.getWaiverStatus(booking);
+      if (waivers.required && !waivers.complete) {
+        waiverUrl = waiverService.getWaiverUrl(booking);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not check waivers:', error.message);
+    }
+
+    const { subject, html } = messageTemplates.render(
+      'booking-confirmation', 'email',
+      { booking, waiverUrl, calendarLinks: calendarService.getCalendarLinks(booking), unsubscribeUrl: unsubscribe.url },
+      booking.preferredLanguage
+    );
+
     const mailOptions = {
       from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
       to: booking.customerDetails.email,
-      subject: `Booking Confirmed - ${booking.bookingNumber}`,
-      html: generateConfirmationEmailHTML(booking),
+      subject,
+      html,
+      ...unsubscribe.headers,
       attachments: [
         {
           filename: 'qr-code.png',
@@ -32,6 +64,22 @@ exports.sendBookingConfirmation = async (booking) => {
       ]
     };
 
+    // Attach the GST tax invoice
+    if (booking.invoiceNumber) {
+      try {
+        mailOptions.attachments.push({
+          filename: `Invoice-${booking.invoiceNumber}.pdf`,
+          content: await invoiceService.generateInvoicePDF(booking),
+          contentType: 'application/pdf'
+        });
+      } catch (error) {
+        console.error('⚠️ Could not attach invoice:', error.message);
+      }
+    }
+
+    // Calendar invite (updates the event after a reschedule)
+    await attachCalendarEvent(mailOptions, booking, 'REQUEST');
+
     const info = await transporter.sendMail(mailOptions);
     console.log('✅ Email sent:', info.messageId);
     
@@ -51,13 +99,23 @@ exports.sendCancellationEmail = async (booking) => {
   try {
     console.log('📧 Sending cancellation email to:', booking.customerDetails.email);
 
+    const unsubscribe = getUnsubscribeOptions(booking.customerDetails.email);
+
+    const { subject, html } = messageTemplates.render(
+      'booking-cancellation', 'email', { booking, unsubscribeUrl: unsubscribe.url }, booking.preferredLanguage
+    );
+
     const mailOptions = {
       from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
       to: booking.customerDetails.email,
-      subject: `Booking Cancelled - ${booking.bookingNumber}`,
-      html: generateCancellationEmailHTML(booking)
+      subject,
+      html,
+      ...unsubscribe.headers
     };
 
+    // Removes the event from the customer's calendar
+    await attachCalendarEvent(mailOptions, booking, 'CANCEL');
+
     const info = await transporter.sendMail(mailOptions);
     console.log('✅ Cancellation email sent:', info.messageId);
     
@@ -72,22 +130,30 @@ exports.sendCancellationEmail = async (booking) => {
 // ========================================
 // Send Reminder Email (1 day before event)
 // ========================================
-exports.sendReminderEmail = async (booking) => {
+// minutesBefore: set for the extra reminders shortly before the slot
+exports.sendReminderEmail = async (booking, { minutesBefore = null } = {}) => {
   try {
     console.log('📧 Sending reminder email to:', booking.customerDetails.email);
 
+    const unsubscribe = getUnsubscribeOptions(booking.customerDetails.email);
+
+    const { subject, html } = messageTemplates.render(
+      'booking-reminder', 'email', { booking, minutesBefore, unsubscribeUrl: unsubscribe.url }, booking.preferredLanguage
+    );
+
     const mailOptions = {
       from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
       to: booking.customerDetails.email,
-      subject: `Reminder: Your Booking Tomorrow - ${booking.bookingNumber}`,
-      html: generateReminderEmailHTML(booking),
-      attachments: [
+      subject,
+      html,
+      ...unsubscribe.headers,
+      attachments: booking.qrImage ? [
         {
           filename: 'qr-code.png',
           content: booking.qrImage.split('base64,')[1],
           encoding: 'base64'
         }
-      ]
+      ] : []
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -102,265 +168,129 @@ exports.sendReminderEmail = async (booking) => {
 };
 
 // ========================================
-// HTML Email Templates
+// Send Waitlist Offer Email
 // ========================================
+// offer: { activityTitle, venue, offerUrl, offerExpiresAt }
+exports.sendWaitlistOfferEmail = async (entry, offer) => {
+  try {
+    console.log('📧 Sending waitlist offer email to:', entry.customerDetails.email);
 
-function generateConfirmationEmailHTML(booking) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Booking Confirmation</title>
-      <style>
-        body {
-          font-family: Arial, sans-serif;
-          line-height: 1.6;
-          color: #333;
-          max-width: 600px;
-          margin: 0 auto;
-          padding: 20px;
-        }
-        .header {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
-          padding: 30px;
-          text-align: center;
-          border-radius: 10px 10px 0 0;
-        }
-        .content {
-          background: #ffffff;
-          padding: 30px;
-          border: 1px solid #e0e0e0;
-        }
-        .booking-details {
-          background: #f5f5f5;
-          padding: 20px;
-          border-radius: 8px;
-          margin: 20px 0;
-        }
-        .detail-row {
-          display: flex;
-          justify-content: space-between;
-          padding: 10px 0;
-          border-bottom: 1px solid #ddd;
-        }
-        .detail-label {
-          font-weight: bold;
-          color: #555;
-        }
-        .detail-value {
-          color: #333;
-        }
-        .qr-section {
-          text-align: center;
-          padding: 20px;
-          background: #f9f9f9;
-          border-radius: 8px;
-          margin: 20px 0;
-        }
-        .qr-code {
-          max-width: 250px;
-          margin: 20px auto;
-        }
-        .highlight {
-          background: #fff3cd;
-          padding: 15px;
-          border-left: 4px solid #ffc107;
-          margin: 20px 0;
-        }
-        .footer {
-          text-align: center;
-          padding: 20px;
-          color: #777;
-          font-size: 12px;
-        }
-        .button {
-          display: inline-block;
-          padding: 12px 30px;
-          background: #667eea;
-          color: white;
-          text-decoration: none;
-          border-radius: 5px;
-          margin: 10px 0;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>🎉 Booking Confirmed!</h1>
-        <p>Your booking has been successfully confirmed</p>
-      </div>
-      
-      <div class="content">
-        <p>Dear <strong>${booking.customerDetails.name}</strong>,</p>
-        
-        <p>Thank you for your booking! We're excited to see you soon.</p>
-        
-        <div class="booking-details">
-          <h2>📋 Booking Details</h2>
-          
-          <div class="detail-row">
-            <span class="detail-label">Booking Number:</span>
-            <span class="detail-value"><strong>${booking.bookingNumber}</strong></span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Activity:</span>
-            <span class="detail-value">${booking.activitySnapshot.title}</span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Venue:</span>
-            <span class="detail-value">${booking.activitySnapshot.venue}</span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Address:</span>
-            <span class="detail-value">${booking.activitySnapshot.address}, ${booking.activitySnapshot.city}</span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Date:</span>
-            <span class="detail-value">${new Date(booking.bookingDate).toLocaleDateString('en-IN', {
-              weekday: 'long',
-              year: 'numeric',
-              month: 'long',
-              day: 'numeric'
-            })}</span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Time:</span>
-            <span class="detail-value">${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}</span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Participants:</span>
-            <span class="detail-value">${booking.numberOfParticipants}</span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Amount Paid:</span>
-            <span class="detail-value"><strong>₹${booking.finalAmount}</strong></span>
-          </div>
-          
-          <div class="detail-row">
-            <span class="detail-label">Transaction ID:</span>
-            <span class="detail-value">${booking.transactionId}</span>
-          </div>
-        </div>
-        
-        <div class="highlight">
-          <strong>⚠️ Important:</strong> Please show this QR code at the venue entrance.
-        </div>
-        
-        <div class="qr-section">
-          <h3>📱 Your Entry QR Code</h3>
-          <img src="cid:qr-code.png" alt="QR Code" class="qr-code" />
-          <p style="color: #666; font-size: 14px;">
-            Save this QR code or show this email at the venue
-          </p>
-        </div>
-        
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL}/booking/${booking._id}" class="button">
-            View Booking Details
-          </a>
-        </div>
-        
-        <div style="background: #f0f8ff; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <h4>📝 What to Bring:</h4>
-          <ul>
-            <li>This QR code (digital or printed)</li>
-            <li>Valid ID proof</li>
-            <li>Comfortable clothing</li>
-          </ul>
-        </div>
-        
-        <p style="margin-top: 30px;">
-          If you have any questions, please contact us at:<br>
-          📧 ${process.env.SUPPORT_EMAIL || 'support@sportsclub.com'}<br>
-          📞 ${process.env.SUPPORT_PHONE || '+91 9876543210'}
-        </p>
-        
-        <p>See you soon!</p>
-        <p><strong>Team ${process.env.APP_NAME || 'Sports Club'}</strong></p>
-      </div>
-      
-      <div class="footer">
-        <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Sports Club'}. All rights reserved.</p>
-        <p>This is an automated email. Please do not reply to this email.</p>
-      </div>
-    </body>
-    </html>
-  `;
-}
+    const unsubscribe = getUnsubscribeOptions(entry.customerDetails.email);
 
-function generateCancellationEmailHTML(booking) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: #dc3545; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>❌ Booking Cancelled</h1>
-      </div>
-      <div class="content">
-        <p>Dear <strong>${booking.customerDetails.name}</strong>,</p>
-        <p>Your booking <strong>${booking.bookingNumber}</strong> has been cancelled.</p>
-        <p><strong>Reason:</strong> ${booking.cancellationReason || 'Cancelled by admin'}</p>
-        <p>If you believe this is an error, please contact us immediately.</p>
-        <p>Thank you,<br><strong>Team ${process.env.APP_NAME || 'Sports Club'}</strong></p>
-      </div>
-    </body>
-    </html>
-  `;
-}
+    const { subject, html } = messageTemplates.render(
+      'waitlist-offer', 'email', { entry, offer, unsubscribeUrl: unsubscribe.url }, entry.preferredLanguage
+    );
 
-function generateReminderEmailHTML(booking) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: #28a745; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; }
-        .qr-code { max-width: 250px; margin: 20px auto; display: block; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>⏰ Reminder: Your Booking Tomorrow!</h1>
-      </div>
-      <div class="content">
-        <p>Dear <strong>${booking.customerDetails.name}</strong>,</p>
-        <p>This is a friendly reminder about your booking tomorrow:</p>
-        <p>
-          <strong>Activity:</strong> ${booking.activitySnapshot.title}<br>
-          <strong>Date:</strong> ${new Date(booking.bookingDate).toLocaleDateString()}<br>
-          <strong>Time:</strong> ${booking.selectedTimeSlot.startTime}<br>
-          <strong>Venue:</strong> ${booking.activitySnapshot.venue}
-        </p>
-        <p><strong>Don't forget to bring your QR code:</strong></p>
-        <img src="cid:qr-code.png" alt="QR Code" class="qr-code" />
-        <p>See you tomorrow!</p>
-        <p><strong>Team ${process.env.APP_NAME || 'Sports Club'}</strong></p>
-      </div>
-    </body>
-    </html>
-  `;
-}
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
+      to: entry.customerDetails.email,
+      subject,
+      html,
+      ...unsubscribe.headers
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Waitlist offer email sent:', info.messageId);
+
+    return { success: true, messageId: info.messageId };
+
+  } catch (error) {
+    console.error('❌ Error sending waitlist offer email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ========================================
+// Send No-Show Credit Email
+// ========================================
+exports.sendNoShowCreditEmail = async (booking, coupon) => {
+  try {
+    console.log('📧 Sending no-show credit email to:', booking.customerDetails.email);
+
+    const unsubscribe = getUnsubscribeOptions(booking.customerDetails.email);
+
+    const { subject, html } = messageTemplates.render(
+      'no-show-credit', 'email', { booking, coupon, unsubscribeUrl: unsubscribe.url }, booking.preferredLanguage
+    );
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
+      to: booking.customerDetails.email,
+      subject,
+      html,
+      ...unsubscribe.headers
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ No-show credit email sent:', info.messageId);
+
+    return { success: true, messageId: info.messageId };
+
+  } catch (error) {
+    console.error('❌ Error sending no-show credit email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ========================================
+// Send Staff Invite Email
+// ========================================
+// One-time set-password link. Staff emails are English only and have no
+// unsubscribe link (always sent).
+exports.sendStaffInviteEmail = async (user, { url, expiresAt, invitedBy }) => {
+  try {
+    console.log('📧 Sending staff invite email to:', user.email);
+
+    const { subject, html } = messageTemplates.render(
+      'staff-invite', 'email', { user, url, expiresAt, invitedBy }
+    );
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
+      to: user.email,
+      subject,
+      html
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Staff invite email sent:', info.messageId);
+
+    return { success: true, messageId: info.messageId };
+
+  } catch (error) {
+    console.error('❌ Error sending staff invite email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ========================================
+// Send Password Reset Email
+// ========================================
+exports.sendPasswordResetEmail = async (user, { url, expiresAt }) => {
+  try {
+    console.log('📧 Sending password reset email to:', user.email);
+
+    const { subject, html } = messageTemplates.render(
+      'password-reset', 'email', { user, url, expiresAt }
+    );
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Sports Club'}" <${process.env.SMTP_EMAIL}>`,
+      to: user.email,
+      subject,
+      html
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Password reset email sent:', info.messageId);
+
+    return { success: true, messageId: info.messageId };
+
+  } catch (error) {
+    console.error('❌ Error sending password reset email:', error);
+    return { success: false, error: error.message };
+  }
+};
 
 // Test email configuration
 exports.testEmailConnection = async () => {
@@ -372,4 +302,41 @@ exports.testEmailConnection = async () => {
     console.error('❌ Email server connection failed:', error);
     return false;
   }
-};
\ No newline at end of file
+};
+// ========================================
+// HELPER: Calendar event for a booking mail
+// ========================================
+// Added as the text/calendar part of the mail (plus .ics attachment) so
+// mail apps offer "Add to calendar". The mail still goes out without it.
+async function attachCalendarEvent(mailOptions, booking, method) {
+  try {
+    mailOptions.icalEvent = {
+      method,
+      filename: `${booking.bookingNumber}.ics`,
+      content: await calendarService.buildBookingCalendar(booking, { method })
+    };
+  } catch (error) {
+    console.error('⚠️ Could not attach calendar event:', error.message);
+  }
+}
+
+// ========================================
+// HELPER: Unsubscribe link + headers
+// ========================================
+// url: notification settings page (footer); headers: List-Unsubscribe with
+// one-click (RFC 8058) so mail apps show their own "Unsubscribe" button.
+function getUnsubscribeOptions(email) {
+  try {
+    const links = contactPreferenceService.getLinks('email', email);
+    return {
+      url: links.settings,
+      headers: {
+        list: { unsubscribe: { url: links.oneClick, comment: 'Unsubscribe' } },
+        headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      }
+    };
+  } catch (error) {
+    console.error('⚠️ Could not build unsubscribe link:', error.message);
+    return { url: null, headers: {} };
+  }
+}
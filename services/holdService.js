@@ -0,0 +1,134 @@
+const Booking = require('../models/Booking');
+const Activity = require('../models/Activity');
+const inventoryService = require('./inventoryService');
+
+// ========================================
+// Seat Hold Service
+// ========================================
+// An "Initiated" booking holds its spots until holdExpiresAt. If the
+// customer does not pay in time the hold is released and the booking
+// is marked "Expired".
+
+const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 15;
+
+// Expiry timestamp for a hold starting now
+exports.getHoldExpiry = (from = new Date()) => {
+  return new Date(from.getTime() + HOLD_MINUTES * 60 * 1000);
+};
+
+exports.isHoldExpired = (booking, now = new Date()) => {
+  return !!booking.holdExpiresAt && booking.holdExpiresAt <= now;
+};
+
+// ========================================
+// Expire a single booking whose hold lapsed
+// ========================================
+// Returns true if this call expired the booking.
+exports.expireBooking = async (booking, now = new Date()) => {
+  const expired = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'Initiated',
+      holdExpiresAt: { $lte: now }
+    },
+    { $set: { bookingStatus: 'Expired', expiredAt: now } },
+    { new: true }
+  );
+
+  if (!expired) {
+    return false;
+  }
+
+  await inventoryService.releaseBookingSpots(expired);
+
+  booking.bookingStatus = expired.bookingStatus;
+  booking.expiredAt = expired.expiredAt;
+  booking.spotsHeld = false;
+
+  console.log('⌛ Booking hold expired:', expired.bookingNumber);
+  return true;
+};
+
+// ========================================
+// Sweep all lapsed holds (background job)
+// ========================================
+exports.expireLapsedHolds = async (limit = 100) => {
+  const now = new Date();
+
+  const lapsed = await Booking.find({
+    bookingStatus: 'Initiated',
+    holdExpiresAt: { $lte: now }
+  })
+    .sort({ holdExpiresAt: 1 })
+    .limit(limit);
+
+  let expiredCount = 0;
+  for (const booking of lapsed) {
+    if (await exports.expireBooking(booking, now)) {
+      expiredCount++;
+    }
+  }
+
+  return expiredCount;
+};
+
+// ========================================
+// Make sure a booking still owns its spots before confirming payment
+// ========================================
+// Converts a live hold into a firm reservation (no expiry). If the hold
+// already lapsed, tries to reserve the spots again. Returns false when the
+// slot has sold out in the meantime.
+exports.secureSpotsForPayment = async (booking) => {
+  const now = new Date();
+
+  // 1. Hold still valid - clear the expiry so the sweeper leaves it alone
+  const secured = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'Initiated',
+      spotsHeld: true,
+      $or: [{ holdExpiresAt: null }, { holdExpiresAt: { $gt: now } }]
+    },
+    { $set: { holdExpiresAt: null } },
+    { new: true }
+  );
+
+  if (secured) {
+    booking.holdExpiresAt = null;
+    return true;
+  }
+
+  // 2. Hold lapsed (or payment failed earlier) - release whatever is left
+  //    and re-validate capacity from scratch
+  if (booking.bookingStatus === 'Initiated') {
+    await exports.expireBooking(booking, now);
+  }
+
+  const activity = await Activity.findById(booking.activity._id || booking.activity);
+  if (!activity) {
+    return false;
+  }
+
+  const inventory = await inventoryService.reserveSpots(
+    activity,
+    booking.bookingDate,
+    booking.selectedTimeSlot,
+    booking.numberOfParticipants
+  );
+
+  if (!inventory) {
+    console.warn('⚠️ Slot sold out after hold lapsed:', booking.bookingNumber);
+    return false;
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id },
+    { $set: { spotsHeld: true, holdExpiresAt: null } }
+  );
+
+  booking.spotsHeld = true;
+  booking.holdExpiresAt = null;
+
+  console.log('♻️ Re-reserved spots after hold lapsed:', booking.bookingNumber);
+  return true;
+};
@@ -0,0 +1,202 @@
+const EventEmitter = require('events');
+const SlotInventory = require('../models/SlotInventory');
+const Booking = require('../models/Booking');
+const { toDateKey } = require('../config/timezone');
+
+// ========================================
+// Slot Inventory Service
+// ========================================
+// Capacity is tracked per activity + date + time slot. The activity's
+// timeSlots[].capacity acts only as the template capacity for a day.
+
+// Emits 'spotsReleased' ({ activityId, date, startTime, endTime, availableSpots })
+// whenever seats go back into a slot, e.g. so the waitlist can offer them.
+exports.events = new EventEmitter();
+
+// Find the template slot on the activity matching a start/end time
+const findTemplateSlot = (activity, slot) => {
+  return activity.timeSlots.find(
+    s => s.startTime === slot.startTime && s.endTime === slot.endTime
+  );
+};
+
+// Seats per day of a template slot. Slots saved before capacity existed fall
+// back to availableSpots, which older bookings decremented - run
+// `npm run migrate:slot-capacity` to restore those.
+const getTemplateCapacity = (slot) => {
+  return slot.capacity !== undefined && slot.capacity !== null ? slot.capacity : slot.availableSpots;
+};
+
+// Build the unique key used to look up an inventory document
+const inventoryKey = (activityId, date, slot) => ({
+  activity: activityId,
+  date: toDateKey(date),
+  startTime: slot.startTime,
+  endTime: slot.endTime
+});
+
+// ========================================
+// Get (or lazily create) inventory for a date/slot
+// ========================================
+exports.getSlotInventory = async (activity, date, slot) => {
+  const templateSlot = findTemplateSlot(activity, slot);
+  if (!templateSlot) {
+    throw new Error('Invalid time slot');
+  }
+
+  const key = inventoryKey(activity._id, date, slot);
+  const update = {
+    $setOnInsert: {
+      capacity: getTemplateCapacity(templateSlot),
+      availableSpots: getTemplateCapacity(templateSlot),
+      bookedSpots: 0
+    }
+  };
+
+  try {
+    return await SlotInventory.findOneAndUpdate(key, update, {
+      new: true,
+      upsert: true
+    });
+  } catch (error) {
+    // Two requests created the same document at once - the other one won
+    if (error.code === 11000) {
+      return await SlotInventory.findOne(key);
+    }
+    throw error;
+  }
+};
+
+// ========================================
+// Reserve spots (atomic, never oversells)
+// ========================================
+// Returns the updated inventory, or null if not enough spots are left.
+exports.reserveSpots = async (activity, date, slot, count) => {
+  const inventory = await exports.getSlotInventory(activity, date, slot);
+  count = Number(count);
+
+  return await SlotInventory.findOneAndUpdate(
+    { _id: inventory._id, availableSpots: { $gte: count } },
+    { $inc: { availableSpots: -count, bookedSpots: count } },
+    { new: true }
+  );
+};
+
+// ========================================
+// Release previously reserved spots
+// ========================================
+exports.releaseSpots = async (activityId, date, slot, count) => {
+  count = Number(count);
+  const inventory = await SlotInventory.findOneAndUpdate(
+    { ...inventoryKey(activityId, date, slot), bookedSpots: { $gte: count } },
+    { $inc: { availableSpots: count, bookedSpots: -count } },
+    { new: true }
+  );
+
+  if (!inventory) {
+    console.warn('⚠️ No reserved inventory to release for:', inventoryKey(activityId, date, slot));
+    return inventory;
+  }
+
+  exports.events.emit('spotsReleased', {
+    activityId: inventory.activity,
+    date: inventory.date,
+    startTime: inventory.startTime,
+    endTime: inventory.endTime,
+    availableSpots: inventory.availableSpots
+  });
+
+  return inventory;
+};
+
+// ========================================
+// Release the spots held by a booking
+// ========================================
+// Idempotent: the spotsHeld flag is cleared atomically, so cancellation,
+// failed payments and hold expiry can never release the same seats twice.
+exports.releaseBookingSpots = async (booking) => {
+  const result = await Booking.updateOne(
+    { _id: booking._id, spotsHeld: true },
+    { $set: { spotsHeld: false } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  booking.spotsHeld = false;
+
+  return await exports.releaseSpots(
+    booking.activity._id || booking.activity,
+    booking.bookingDate,
+    booking.selectedTimeSlot,
+    booking.numberOfParticipants
+  );
+};
+
+// ========================================
+// Availability for every slot of an activity on a date
+// ========================================
+// Read-only: slots without an inventory document report template capacity.
+exports.getDailyAvailability = async (activity, date) => {
+  const inventories = await SlotInventory.find({
+    activity: activity._id,
+    date: toDateKey(date)
+  });
+
+  return activity.timeSlots.map(slot => {
+    const inventory = inventories.find(
+      inv => inv.startTime === slot.startTime && inv.endTime === slot.endTime
+    );
+
+    return {
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      capacity: inventory ? inventory.capacity : getTemplateCapacity(slot),
+      availableSpots: inventory ? inventory.availableSpots : getTemplateCapacity(slot),
+      bookedSpots: inventory ? inventory.bookedSpots : 0
+    };
+  });
+};
+
+// ========================================
+// Apply template capacity edits to existing dates
+// ========================================
+// Inventory from today on moves by the capacity difference; seats already
+// booked stay booked, so a cut below them leaves the slot at 0 available.
+// Slots removed from the activity keep their inventory (existing bookings).
+exports.syncSlotCapacity = async (activity) => {
+  const today = toDateKey(new Date());
+  let updated = 0;
+
+  for (const slot of activity.timeSlots) {
+    const capacity = getTemplateCapacity(slot);
+    const filter = {
+      activity: activity._id,
+      date: { $gte: today },
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      capacity: { $ne: capacity }
+    };
+
+    const result = await SlotInventory.updateMany(filter, [
+      {
+        $set: {
+          availableSpots: {
+            $max: [0, { $add: ['$availableSpots', { $subtract: [capacity, '$capacity'] }] }]
+          },
+          capacity
+        }
+      }
+    ], { updatePipeline: true });
+    updated += result.modifiedCount;
+  }
+
+  if (updated > 0) {
+    console.log(`🪑 Slot capacity updated on ${updated} upcoming date(s) for:`, activity.title);
+  }
+  return updated;
+};
+
+exports.findTemplateSlot = findTemplateSlot;
+exports.getTemplateCapacity = getTemplateCapacity;
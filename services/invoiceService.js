@@ -0,0 +1,232 @@
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+const Activity = require('../models/Activity');
+const taxService = require('./taxService');
+const sequenceService = require('./sequenceService');
+const taxConfig = require('../config/tax');
+const { CLUB_TIMEZONE } = require('../config/timezone');
+
+// ========================================
+// Invoice Service
+// ========================================
+// Assigns GST invoice numbers to paid bookings and renders the tax
+// invoice as a PDF.
+
+const PAID_STATUSES = ['Completed', 'Partially Refunded', 'Refunded'];
+
+// A claim older than this is from a process that died before numbering
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// How long a concurrent call waits for the other one's number
+const INVOICE_WAIT_ATTEMPTS = 10;
+const INVOICE_WAIT_MS = 200;
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: CLUB_TIMEZONE,
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// ========================================
+// Assign an invoice number to a paid booking
+// ========================================
+// Idempotent. Bookings paid before GST support get their tax breakdown
+// worked out from the amount paid. The booking is claimed before a number
+// is taken from the sequence, so the series has no gaps when verify and
+// the webhook run at the same time.
+exports.assignInvoice = async (booking) => {
+  if (booking.invoiceNumber) {
+    return booking;
+  }
+
+  if (!PAID_STATUSES.includes(booking.paymentStatus)) {
+    const error = new Error('Invoice is available once payment is completed');
+    error.status = 400;
+    throw error;
+  }
+
+  if (!booking.taxDetails || booking.taxDetails.gstRate === undefined || booking.taxDetails.gstRate === null) {
+    const activity = await Activity.findById(booking.activity._id || booking.activity).select('category');
+    const rate = await taxService.getTaxRate(activity ? activity.category : null);
+
+    booking.taxDetails = taxService.breakdownFromGross(booking.finalAmount, {
+      ...rate,
+      priceIncludesTax: true,
+      isInterState: taxService.isInterState(booking.customerDetails.state),
+      placeOfSupply: booking.customerDetails.state
+    });
+  }
+
+  const claimedAt = new Date();
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      invoiceNumber: null,
+      $or: [
+        { invoiceClaimedAt: null },
+        { invoiceClaimedAt: { $lt: new Date(claimedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { invoiceClaimedAt: claimedAt } },
+    { new: true }
+  );
+
+  // Being assigned concurrently (verify + webhook) - use the other number
+  if (!claimed) {
+    const current = await waitForInvoiceNumber(booking._id);
+    booking.invoiceNumber = current.invoiceNumber;
+    booking.invoiceDate = current.invoiceDate;
+    return booking;
+  }
+
+  let invoiceNumber;
+  try {
+    invoiceNumber = await sequenceService.generateInvoiceNumber();
+  } catch (error) {
+    await Booking.updateOne({ _id: booking._id, invoiceClaimedAt: claimedAt }, { $set: { invoiceClaimedAt: null } });
+    throw error;
+  }
+
+  const invoiceDate = new Date();
+  await Booking.updateOne(
+    { _id: booking._id, invoiceNumber: null, invoiceClaimedAt: claimedAt },
+    { $set: { invoiceNumber, invoiceDate, taxDetails: booking.taxDetails } }
+  );
+
+  booking.invoiceNumber = invoiceNumber;
+  booking.invoiceDate = invoiceDate;
+  booking.invoiceClaimedAt = claimedAt;
+
+  console.log('🧾 Invoice assigned:', booking.invoiceNumber, booking.bookingNumber);
+  return booking;
+};
+
+// ========================================
+// Render the tax invoice PDF
+// ========================================
+// Resolves with the PDF as a Buffer.
+exports.generateInvoicePDF = (booking) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const tax = booking.taxDetails || {};
+    const customer = booking.customerDetails;
+    const left = 50;
+    const right = doc.page.width - 50;
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text('TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.5);
+
+    // Supplier
+    doc.fontSize(11).font('Helvetica-Bold').text(taxConfig.CLUB_LEGAL_NAME);
+    doc.fontSize(9).font('Helvetica');
+    if (taxConfig.CLUB_ADDRESS) doc.text(taxConfig.CLUB_ADDRESS);
+    if (taxConfig.CLUB_STATE) doc.text(`State: ${taxConfig.CLUB_STATE}`);
+    if (taxConfig.CLUB_GSTIN) doc.text(`GSTIN: ${taxConfig.CLUB_GSTIN}`);
+
+    // Invoice details
+    const detailsTop = 110;
+    doc.text(`Invoice No: ${booking.invoiceNumber}`, 350, detailsTop, { align: 'right' });
+    doc.text(`Invoice Date: ${formatDate(booking.invoiceDate || booking.paidAt || new Date())}`, { align: 'right' });
+    doc.text(`Booking No: ${booking.bookingNumber}`, { align: 'right' });
+    if (booking.transactionId) doc.text(`Payment Ref: ${booking.transactionId}`, { align: 'right' });
+
+    // Bill to
+    doc.moveDown(2);
+    doc.x = left;
+    doc.fontSize(10).font('Helvetica-Bold').text('Bill To');
+    doc.fontSize(9).font('Helvetica');
+    doc.text(customer.name);
+    doc.text(customer.address);
+    doc.text(`Phone: ${customer.phone}  |  Email: ${customer.email}`);
+    if (customer.gstin) doc.text(`GSTIN: ${customer.gstin}`);
+    doc.text(`Place of Supply: ${tax.placeOfSupply || taxConfig.CLUB_STATE || '-'}`);
+
+    // Line items
+    doc.moveDown(1.5);
+    const columns = { description: left, sac: 300, qty: 360, rate: 400, amount: 480 };
+    let y = doc.y;
+
+    doc.font('Helvetica-Bold');
+    doc.text('Description', columns.description, y);
+    doc.text('SAC', columns.sac, y);
+    doc.text('Qty', columns.qty, y);
+    doc.text('Rate', columns.rate, y);
+    doc.text('Amount', columns.amount, y, { width: right - columns.amount, align: 'right' });
+    y += 15;
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 8;
+
+    doc.font('Helvetica');
+    const description = `${booking.activitySnapshot?.title || 'Activity booking'}\n` +
+      `${formatDate(booking.bookingDate)}, ${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}`;
+    doc.text(description, columns.description, y, { width: columns.sac - columns.description - 10 });
+    doc.text(tax.hsnSacCode || '-', columns.sac, y);
+    doc.text(String(booking.numberOfParticipants), columns.qty, y);
+    doc.text(Number(booking.pricePerPerson).toFixed(2), columns.rate, y);
+    doc.text(Number(booking.totalAmount).toFixed(2), columns.amount, y, { width: right - columns.amount, align: 'right' });
+    y += 35;
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 10;
+
+    // Totals
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, 300, y);
+      doc.text(value, columns.amount, y, { width: right - columns.amount, align: 'right' });
+      y += 15;
+    };
+
+    if (booking.couponDiscount > 0) {
+      totalRow(`Coupon Discount (${booking.couponCode})`, `- ${formatAmount(booking.couponDiscount)}`);
+    }
+    totalRow('Taxable Value', formatAmount(tax.taxableAmount));
+    if (tax.isInterState) {
+      totalRow(`IGST @ ${tax.igstRate}%`, formatAmount(tax.igstAmount));
+    } else {
+      totalRow(`CGST @ ${tax.cgstRate}%`, formatAmount(tax.cgstAmount));
+      totalRow(`SGST @ ${tax.sgstRate}%`, formatAmount(tax.sgstAmount));
+    }
+    totalRow('Invoice Total', formatAmount(booking.finalAmount), true);
+
+    if (tax.priceIncludesTax) {
+      y += 5;
+      doc.font('Helvetica').fontSize(8).text('Prices are inclusive of GST.', 300, y);
+    }
+
+    // Footer
+    doc.fontSize(8).font('Helvetica')
+      .text('This is a computer generated invoice and does not require a signature.', left, 760, {
+        width: right - left,
+        align: 'center'
+      });
+
+    doc.end();
+  });
+};
+
+// ========================================
+// HELPER: Wait for a concurrent invoice number
+// ========================================
+async function waitForInvoiceNumber(bookingId) {
+  for (let attempt = 0; attempt < INVOICE_WAIT_ATTEMPTS; attempt++) {
+    const current = await Booking.findById(bookingId).select('invoiceNumber invoiceDate');
+    if (current && current.invoiceNumber) {
+      return current;
+    }
+    await new Promise(resolve => setTimeout(resolve, INVOICE_WAIT_MS));
+  }
+
+  const error = new Error('Invoice is being generated. Please try again in a moment.');
+  error.status = 409;
+  throw error;
+}
@@ -0,0 +1,118 @@
+const Booking = require('../models/Booking');
+const { zonedDateTime, toDateKey } = require('../config/timezone');
+
+// ========================================
+// Manifest Service
+// ========================================
+// Who is coming to a slot: one row per participant of every confirmed
+// booking, for instructors and the safety briefing.
+
+const MANIFEST_STATUSES = ['Confirmed', 'Completed'];
+
+// ========================================
+// Build the manifest of an activity for a day (optionally one slot)
+// ========================================
+// Returns [{ startTime, endTime, totalParticipants, rows: [...] }]
+exports.getManifest = async (activity, dateKey, slot = null) => {
+  const dayStart = zonedDateTime(dateKey, '00:00');
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  const query = {
+    activity: activity._id,
+    bookingDate: { $gte: dayStart, $lt: dayEnd },
+    bookingStatus: { $in: MANIFEST_STATUSES }
+  };
+  if (slot) {
+    query['selectedTimeSlot.startTime'] = slot.startTime;
+    query['selectedTimeSlot.endTime'] = slot.endTime;
+  }
+
+  const bookings = await Booking.find(query)
+    .select('bookingNumber customerDetails numberOfParticipants participants selectedTimeSlot bookingStatus checkedIn checkedInCount checkedInParticipants checkInTime')
+    .sort({ 'selectedTimeSlot.startTime': 1, bookingNumber: 1 });
+
+  const slots = new Map();
+  for (const booking of bookings) {
+    const { startTime, endTime } = booking.selectedTimeSlot;
+    const key = `${startTime}-${endTime}`;
+    if (!slots.has(key)) {
+      slots.set(key, { startTime, endTime, totalParticipants: 0, rows: [] });
+    }
+    const entry = slots.get(key);
+
+    const base = {
+      bookingNumber: booking.bookingNumber,
+      bookedBy: booking.customerDetails.name,
+      bookerPhone: booking.customerDetails.phone,
+      checkedIn: booking.checkedIn,
+      checkedInCount: booking.checkedInCount,
+      checkInTime: booking.checkInTime
+    };
+
+    if (booking.participants && booking.participants.length > 0) {
+      const checkedInParticipants = new Set(booking.checkedInParticipants || []);
+      booking.participants.forEach((participant, index) => {
+        entry.rows.push({
+          ...base,
+          checkedIn: booking.checkedIn || checkedInParticipants.has(index),
+          name: participant.name,
+          age: participant.age,
+          gender: participant.gender,
+          emergencyContactName: participant.emergencyContact?.name || null,
+          emergencyContactPhone: participant.emergencyContact?.phone || null
+        });
+      });
+    } else {
+      // Bookings made before rosters existed
+      entry.rows.push({
+        ...base,
+        name: `${booking.customerDetails.name} (+${booking.numberOfParticipants - 1}, details not provided)`,
+        age: null,
+        gender: null,
+        emergencyContactName: null,
+        emergencyContactPhone: booking.customerDetails.phone
+      });
+    }
+
+    entry.totalParticipants += booking.numberOfParticipants;
+  }
+
+  return [...slots.values()];
+};
+
+// ========================================
+// Manifest as CSV (one row per participant)
+// ========================================
+const CSV_COLUMNS = [
+  ['date', 'Date'],
+  ['slot', 'Slot'],
+  ['bookingNumber', 'Booking Number'],
+  ['name', 'Participant'],
+  ['age', 'Age'],
+  ['gender', 'Gender'],
+  ['emergencyContactName', 'Emergency Contact'],
+  ['emergencyContactPhone', 'Emergency Phone'],
+  ['bookedBy', 'Booked By'],
+  ['bookerPhone', 'Booker Phone'],
+  ['checkedIn', 'Checked In']
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+exports.toCSV = (manifest, date) => {
+  const lines = [CSV_COLUMNS.map(([, header]) => header).join(',')];
+  const dateKey = toDateKey(date);
+
+  manifest.forEach(slot => {
+    slot.rows.forEach(row => {
+      const values = { ...row, date: dateKey, slot: `${slot.startTime}-${slot.endTime}` };
+      lines.push(CSV_COLUMNS.map(([field]) => csvValue(field === 'checkedIn' ? (values.checkedIn ? 'Yes' : 'No') : values[field])).join(','));
+    });
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,335 @@
+// ========================================
+// Email templates (subject + HTML)
+// ========================================
+// Each renderer gets the message data and the render context
+// { t: strings, locale, fmt: formatters, app: club details } from the
+// registry and returns { subject, html }. Every email ends with the footer
+// linking to the recipient's notification settings (data.unsubscribeUrl).
+
+exports.bookingConfirmation = ({ booking, waiverUrl = null, calendarLinks = null, unsubscribeUrl = null }, { t, locale, fmt, app }) => ({
+  subject: t.subject({ bookingNumber: booking.bookingNumber }),
+  html: `
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${t.heading}</title>
+      <style>
+        body {
+          font-family: Arial, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 30px;
+          text-align: center;
+          border-radius: 10px 10px 0 0;
+        }
+        .content {
+          background: #ffffff;
+          padding: 30px;
+          border: 1px solid #e0e0e0;
+        }
+        .booking-details {
+          background: #f5f5f5;
+          padding: 20px;
+          border-radius: 8px;
+          margin: 20px 0;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 10px 0;
+          border-bottom: 1px solid #ddd;
+        }
+        .detail-label {
+          font-weight: bold;
+          color: #555;
+        }
+        .detail-value {
+          color: #333;
+        }
+        .qr-section {
+          text-align: center;
+          padding: 20px;
+          background: #f9f9f9;
+          border-radius: 8px;
+          margin: 20px 0;
+        }
+        .qr-code {
+          max-width: 250px;
+          margin: 20px auto;
+        }
+        .highlight {
+          background: #fff3cd;
+          padding: 15px;
+          border-left: 4px solid #ffc107;
+          margin: 20px 0;
+        }
+        .footer {
+          text-align: center;
+          padding: 20px;
+          color: #777;
+          font-size: 12px;
+        }
+        .button {
+          display: inline-block;
+          padding: 12px 30px;
+          background: #667eea;
+          color: white;
+          text-decoration: none;
+          border-radius: 5px;
+          margin: 10px 0;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>🎉 ${t.heading}</h1>
+        <p>${t.subheading}</p>
+      </div>
+
+      <div class="content">
+        <p>${t.dear(`<strong>${booking.customerDetails.name}</strong>`)},</p>
+
+        <p>${t.intro}</p>
+
+        <div class="booking-details">
+          <h2>📋 ${t.detailsTitle}</h2>
+
+          ${detailRow(t.bookingNumber, `<strong>${booking.bookingNumber}</strong>`)}
+          ${detailRow(t.activity, booking.activitySnapshot.title)}
+          ${detailRow(t.venue, booking.activitySnapshot.venue)}
+          ${detailRow(t.address, `${booking.activitySnapshot.address}, ${booking.activitySnapshot.city}`)}
+          ${detailRow(t.date, fmt.date(booking.bookingDate))}
+          ${detailRow(t.time, `${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}`)}
+          ${detailRow(t.participants, booking.numberOfParticipants)}
+          ${detailRow(t.amountPaid, `<strong>${fmt.currency(booking.finalAmount)}</strong>`)}
+          ${detailRow(t.transactionId, booking.transactionId)}
+        </div>
+
+        <div class="highlight">
+          <strong>⚠️ ${t.important}</strong> ${t.showQr}
+        </div>
+
+        <div class="qr-section">
+          <h3>📱 ${t.qrTitle}</h3>
+          <img src="cid:qr-code.png" alt="QR Code" class="qr-code" />
+          <p style="color: #666; font-size: 14px;">
+            ${t.qrHint}
+          </p>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${app.frontendUrl}/booking/${booking._id}" class="button">
+            ${t.viewBooking}
+          </a>
+        </div>
+        ${calendarLinks ? `
+        <p style="text-align: center; color: #555; font-size: 14px;">
+          📅 ${t.addToCalendar}
+          <a href="${calendarLinks.google}">Google Calendar</a> ·
+          <a href="${calendarLinks.outlook}">Outlook</a> ·
+          <a href="${calendarLinks.ics}">${t.downloadCalendar}</a>
+        </p>
+        ` : ''}
+        ${waiverUrl ? `
+        <div class="highlight">
+          <strong>✍️ ${t.waiverTitle}</strong> ${t.waiverText}
+          <div style="text-align: center; margin-top: 15px;">
+            <a href="${waiverUrl}" class="button">${t.signWaiver}</a>
+          </div>
+        </div>
+        ` : ''}
+
+        <div style="background: #f0f8ff; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h4>📝 ${t.bringTitle}</h4>
+          <ul>
+            ${t.bringItems.map(item => `<li>${item}</li>`).join('\n            ')}
+          </ul>
+        </div>
+
+        <p style="margin-top: 30px;">
+          ${t.contactUs}<br>
+          📧 ${app.supportEmail}<br>
+          📞 ${app.supportPhone}
+        </p>
+
+        <p>${t.seeYouSoon}</p>
+        <p><strong>${t.team(app.name)}</strong></p>
+      </div>
+
+      ${emailFooter(unsubscribeUrl, { t, app })}
+    </body>
+    </html>
+  `
+});
+
+exports.bookingCancellation = ({ booking, unsubscribeUrl = null }, { t, locale, fmt, app }) => ({
+  subject: t.subject({ bookingNumber: booking.bookingNumber }),
+  html: simpleLayout(locale, '#dc3545', '', `
+      <div class="header">
+        <h1>❌ ${t.heading}</h1>
+      </div>
+      <div class="content">
+        <p>${t.dear(`<strong>${booking.customerDetails.name}</strong>`)},</p>
+        <p>${t.cancelled({ bookingNumber: `<strong>${booking.bookingNumber}</strong>` })}</p>
+        <p><strong>${t.reason}:</strong> ${booking.cancellationReason || t.defaultReason}</p>
+        ${booking.refundedAmount > 0 ? `
+        <p><strong>${t.refund}:</strong> ${t.refundText({ amount: fmt.currency(booking.refundedAmount) })}</p>
+        ` : ''}
+        <p>${t.contactIfError}</p>
+        <p>${t.thankYou}<br><strong>${t.team(app.name)}</strong></p>
+      </div>`, emailFooter(unsubscribeUrl, { t, app }))
+});
+
+exports.bookingReminder = ({ booking, minutesBefore = null, unsubscribeUrl = null }, { t, locale, fmt, app }) => ({
+  subject: minutesBefore
+    ? t.subjectSoon({ bookingNumber: booking.bookingNumber, startTime: booking.selectedTimeSlot.startTime })
+    : t.subjectTomorrow({ bookingNumber: booking.bookingNumber }),
+  html: simpleLayout(locale, '#28a745', '.qr-code { max-width: 250px; margin: 20px auto; display: block; }', `
+      <div class="header">
+        <h1>⏰ ${minutesBefore ? t.headingSoon : t.headingTomorrow}</h1>
+      </div>
+      <div class="content">
+        <p>${t.dear(`<strong>${booking.customerDetails.name}</strong>`)},</p>
+        <p>${minutesBefore ? t.introSoon({ leadTime: fmt.leadTime(minutesBefore) }) : t.introTomorrow}</p>
+        <p>
+          <strong>${t.activity}:</strong> ${booking.activitySnapshot.title}<br>
+          <strong>${t.date}:</strong> ${fmt.date(booking.bookingDate, 'short')}<br>
+          <strong>${t.time}:</strong> ${booking.selectedTimeSlot.startTime}<br>
+          <strong>${t.venue}:</strong> ${booking.activitySnapshot.venue}
+        </p>
+        <p><strong>${t.bringQr}</strong></p>
+        <img src="cid:qr-code.png" alt="QR Code" class="qr-code" />
+        <p>${minutesBefore ? t.seeYouSoon : t.seeYouTomorrow}</p>
+        <p><strong>${t.team(app.name)}</strong></p>
+      </div>`, emailFooter(unsubscribeUrl, { t, app }))
+});
+
+exports.waitlistOffer = ({ entry, offer, unsubscribeUrl = null }, { t, locale, fmt, app }) => ({
+  subject: t.subject({ activityTitle: offer.activityTitle }),
+  html: simpleLayout(locale, '#667eea', '.button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }', `
+      <div class="header">
+        <h1>🎉 ${t.heading}</h1>
+      </div>
+      <div class="content">
+        <p>${t.dear(`<strong>${entry.customerDetails.name}</strong>`)},</p>
+        <p>${t.intro}</p>
+        <p>
+          <strong>${t.activity}:</strong> ${offer.activityTitle}<br>
+          <strong>${t.date}:</strong> ${fmt.date(entry.bookingDate, 'short')}<br>
+          <strong>${t.time}:</strong> ${entry.selectedTimeSlot.startTime} - ${entry.selectedTimeSlot.endTime}<br>
+          <strong>${t.venue}:</strong> ${offer.venue}<br>
+          <strong>${t.participants}:</strong> ${entry.numberOfParticipants}
+        </p>
+        <p>${t.holding({ expiresAt: `<strong>${fmt.dateTime(offer.offerExpiresAt)}</strong>` })}</p>
+        <a href="${offer.offerUrl}" class="button">${t.bookNow}</a>
+        <p>${t.nextInLine}</p>
+        <p>${t.thankYou}<br><strong>${t.team(app.name)}</strong></p>
+      </div>`, emailFooter(unsubscribeUrl, { t, app }))
+});
+
+exports.noShowCredit = ({ booking, coupon, unsubscribeUrl = null }, { t, locale, fmt, app }) => ({
+  subject: t.subject({ bookingNumber: booking.bookingNumber }),
+  html: simpleLayout(locale, '#fd7e14', '.code { font-size: 22px; font-weight: bold; letter-spacing: 2px; text-align: center; padding: 15px; background: #f8f9fa; border: 1px dashed #fd7e14; margin: 20px 0; }', `
+      <div class="header">
+        <h1>👋 ${t.heading}</h1>
+      </div>
+      <div class="content">
+        <p>${t.dear(`<strong>${booking.customerDetails.name}</strong>`)},</p>
+        <p>${t.missed({
+          bookingNumber: `<strong>${booking.bookingNumber}</strong>`,
+          activityTitle: booking.activitySnapshot?.title || t.yourActivity,
+          date: fmt.date(booking.bookingDate, 'short'),
+          startTime: booking.selectedTimeSlot.startTime
+        })}</p>
+        <p>${t.credit({ amount: `<strong>${fmt.currency(coupon.discountValue)}</strong>` })}</p>
+        <div class="code">${coupon.code}</div>
+        <p>${t.howToUse({ validUntil: `<strong>${fmt.date(coupon.validUntil, 'short')}</strong>` })}</p>
+        <p>${t.thankYou}<br><strong>${t.team(app.name)}</strong></p>
+      </div>`, emailFooter(unsubscribeUrl, { t, app }))
+});
+
+// Staff invitation / forgot password: one-time set-password link
+exports.staffInvite = ({ user, url, expiresAt, invitedBy }, { t, locale, fmt, app }) => ({
+  subject: t.subject({ appName: app.name }),
+  html: simpleLayout(locale, '#667eea', '.button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 10px 0 20px; }', `
+      <div class="header">
+        <h1>👋 ${t.heading}</h1>
+      </div>
+      <div class="content">
+        <p>${t.dear(`<strong>${user.name}</strong>`)},</p>
+        <p>${t.intro({ invitedBy, role: user.role, appName: app.name })}</p>
+        <p>${t.action}</p>
+        <a href="${url}" class="button">${t.button}</a>
+        <p>${t.expires({ expiresAt: fmt.dateTime(expiresAt) })}</p>
+        <p>${t.ignore}</p>
+        <p><strong>${t.team(app.name)}</strong></p>
+      </div>`, emailFooter(null, { t, app }))
+});
+
+exports.passwordReset = ({ user, url, expiresAt }, { t, locale, fmt, app }) => ({
+  subject: t.subject({ appName: app.name }),
+  html: simpleLayout(locale, '#343a40', '.button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 10px 0 20px; }', `
+      <div class="header">
+        <h1>🔑 ${t.heading}</h1>
+      </div>
+      <div class="content">
+        <p>${t.dear(`<strong>${user.name}</strong>`)},</p>
+        <p>${t.intro}</p>
+        <p>${t.action}</p>
+        <a href="${url}" class="button">${t.button}</a>
+        <p>${t.expires({ expiresAt: fmt.dateTime(expiresAt) })}</p>
+        <p>${t.ignore}</p>
+        <p><strong>${t.team(app.name)}</strong></p>
+      </div>`, emailFooter(null, { t, app }))
+});
+
+// ========================================
+// HELPER: Layouts
+// ========================================
+
+function detailRow(label, value) {
+  return `<div class="detail-row">
+            <span class="detail-label">${label}:</span>
+            <span class="detail-value">${value}</span>
+          </div>`;
+}
+
+// Plain message with a coloured header (cancellation, reminder, ...)
+function simpleLayout(locale, headerColor, extraStyles, body, footer = '') {
+  return `
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: ${headerColor}; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; }
+        .footer { text-align: center; padding: 20px; color: #777; font-size: 12px; }
+        ${extraStyles}
+      </style>
+    </head>
+    <body>${body}
+      ${footer}
+    </body>
+    </html>
+  `;
+}
+
+// Copyright + link to the recipient's notification settings
+function emailFooter(unsubscribeUrl, { t, app }) {
+  return `<div class="footer">
+        <p>&copy; ${new Date().getFullYear()} ${app.name}. ${t.allRightsReserved}</p>
+        <p>${t.automatedEmail}</p>
+        ${unsubscribeUrl ? `<p>${t.unsubscribeText} <a href="${unsubscribeUrl}">${t.manageNotifications}</a></p>` : ''}
+      </div>`;
+}
@@ -0,0 +1,243 @@
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  resolveLocale,
+  formatDate,
+  formatDateTime,
+  formatCurrency
+} = require('../../config/locale');
+const { NOTIFICATION_CHANNELS } = require('../../config/notifications');
+const email = require('./email');
+const whatsapp = require('./whatsapp');
+const sms = require('./sms');
+const calendarService = require('../calendarService');
+
+// ========================================
+// Message template registry
+// ========================================
+// One entry per customer message with a renderer per channel. The wording
+// lives in locales/<code>.js (common strings + one section per template);
+// a string missing in a translation falls back to English. Renderers get
+// the strings, formatters for the chosen locale (club timezone, ₹) and the
+// club details, so a template is written once for all languages.
+// category: MESSAGE_CATEGORIES - customers can opt out of all but
+// transactional messages.
+
+const LOCALES = {
+  en: require('./locales/en'),
+  te: require('./locales/te'),
+  hi: require('./locales/hi')
+};
+
+const TEMPLATES = {
+  'booking-confirmation': {
+    description: 'Booking paid and confirmed (with the entry QR code)',
+    category: 'transactional',
+    email: email.bookingConfirmation,
+    whatsapp: whatsapp.bookingConfirmation,
+    sms: sms.bookingConfirmation
+  },
+  'booking-cancellation': {
+    description: 'Booking cancelled, with the refund if any',
+    category: 'transactional',
+    email: email.bookingCancellation,
+    whatsapp: whatsapp.bookingCancellation,
+    sms: sms.bookingCancellation
+  },
+  'booking-reminder': {
+    description: 'Day-before reminder, or a "starts soon" reminder when minutesBefore is set',
+    category: 'reminders',
+    email: email.bookingReminder,
+    whatsapp: whatsapp.bookingReminder,
+    sms: sms.bookingReminder
+  },
+  'waitlist-offer': {
+    description: 'Spots released to a waitlisted customer',
+    category: 'transactional',
+    email: email.waitlistOffer,
+    whatsapp: whatsapp.waitlistOffer
+  },
+  'no-show-credit': {
+    description: 'Goodwill credit coupon after a no-show',
+    category: 'transactional',
+    email: email.noShowCredit
+  },
+  otp: {
+    description: 'One-time password to verify a phone number',
+    category: 'transactional',
+    sms: sms.otp
+  },
+  'staff-invite': {
+    description: 'Staff invitation with a one-time set-password link',
+    category: 'transactional',
+    email: email.staffInvite
+  },
+  'password-reset': {
+    description: 'Staff forgot-password link',
+    category: 'transactional',
+    email: email.passwordReset
+  }
+};
+
+// Error with an HTTP status for the controller
+const templateError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ========================================
+// Render a message
+// ========================================
+// render('booking-reminder', 'whatsapp', { booking, minutesBefore }, 'te')
+// -> { locale, subject, html } for email, { locale, text } for WhatsApp,
+//    { locale, text, dltKey } for SMS
+exports.render = (key, channel, data, locale) => {
+  const template = TEMPLATES[key];
+  if (!template || !template[channel]) {
+    throw templateError(`No ${channel} template "${key}"`, 404);
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  return {
+    locale: resolvedLocale,
+    ...template[channel](data, buildContext(key, resolvedLocale))
+  };
+};
+
+// ========================================
+// List templates with their channels and languages
+// ========================================
+exports.listTemplates = () => {
+  return Object.entries(TEMPLATES).map(([key, template]) => ({
+    key,
+    description: template.description,
+    category: template.category,
+    channels: NOTIFICATION_CHANNELS.filter(channel => template[channel]),
+    // Languages with their own wording (others fall back to English)
+    locales: SUPPORTED_LOCALES.filter(locale => LOCALES[locale][key])
+  }));
+};
+
+// Message category of a template (unknown templates count as optional)
+exports.getCategory = (key) => {
+  return TEMPLATES[key] ? TEMPLATES[key].category : 'offers';
+};
+
+exports.getLocales = () => {
+  return SUPPORTED_LOCALES.map(code => ({ code, name: LOCALE_NAMES[code], default: code === DEFAULT_LOCALE }));
+};
+
+// ========================================
+// Sample data for previews
+// ========================================
+// options.minutesBefore renders the "starts soon" reminder
+exports.getSampleData = (key, { minutesBefore = null } = {}) => {
+  if (!TEMPLATES[key]) {
+    throw templateError(`No template "${key}"`, 404);
+  }
+
+  const bookingDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const booking = {
+    _id: '000000000000000000000000',
+    bookingNumber: 'BK-260101-0001',
+    customerDetails: {
+      name: 'Ravi Kumar',
+      email: 'ravi.kumar@example.com',
+      phone: '9876543210',
+      address: 'Banjara Hills, Hyderabad'
+    },
+    bookingDate,
+    selectedTimeSlot: { startTime: '06:00', endTime: '07:00' },
+    numberOfParticipants: 2,
+    finalAmount: 1180,
+    refundedAmount: 1180,
+    transactionId: 'pay_SAMPLE1234567890',
+    cancellationReason: null,
+    activitySnapshot: {
+      title: 'Swimming - Morning Batch',
+      venue: 'Aquatic Centre',
+      address: 'Road No. 1, Jubilee Hills',
+      city: 'Hyderabad'
+    }
+  };
+  const unsubscribeUrl = `${process.env.FRONTEND_URL}/notification-settings?token=sample`;
+
+  switch (key) {
+    case 'booking-confirmation':
+      return {
+        booking,
+        unsubscribeUrl,
+        waiverUrl: `${process.env.FRONTEND_URL}/waiver/sample`,
+        calendarLinks: calendarService.getCalendarLinks(booking)
+      };
+    case 'booking-reminder':
+      return { booking, minutesBefore, unsubscribeUrl };
+    case 'waitlist-offer':
+      return {
+        entry: booking,
+        unsubscribeUrl,
+        offer: {
+          activityTitle: booking.activitySnapshot.title,
+          venue: booking.activitySnapshot.venue,
+          offerUrl: `${process.env.FRONTEND_URL}/waitlist/offer/sample`,
+          offerExpiresAt: new Date(Date.now() + 30 * 60 * 1000)
+        }
+      };
+    case 'otp':
+      return { code: '482913', purpose: 'booking-cancellation', validMinutes: 10 };
+    case 'staff-invite':
+    case 'password-reset':
+      return {
+        user: { name: 'Priya Sharma', email: 'priya.sharma@example.com', role: 'manager' },
+        invitedBy: 'Super Admin',
+        url: `${process.env.FRONTEND_URL}/set-password?token=sample`,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      };
+    case 'no-show-credit':
+      return {
+        booking,
+        unsubscribeUrl,
+        coupon: {
+          code: 'NS-SAMPLE1234',
+          discountValue: 500,
+          validUntil: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000)
+        }
+      };
+    default:
+      return { booking, unsubscribeUrl };
+  }
+};
+
+// ========================================
+// HELPER: Render context for a template + locale
+// ========================================
+function buildContext(key, locale) {
+  const english = LOCALES[DEFAULT_LOCALE];
+  const translation = LOCALES[locale] || {};
+
+  const t = {
+    ...english.common,
+    ...translation.common,
+    ...english[key],
+    ...translation[key]
+  };
+
+  return {
+    t,
+    locale,
+    fmt: {
+      date: (date, style) => formatDate(date, locale, style),
+      dateTime: (date) => formatDateTime(date, locale),
+      currency: (amount) => formatCurrency(amount, locale),
+      leadTime: (minutes) => t.leadTime(Math.floor(minutes / 60), minutes % 60)
+    },
+    app: {
+      name: process.env.APP_NAME || 'Sports Club',
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@sportsclub.com',
+      supportPhone: process.env.SUPPORT_PHONE || '+91 9876543210',
+      frontendUrl: process.env.FRONTEND_URL
+    }
+  };
+}
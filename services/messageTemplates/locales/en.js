@@ -0,0 +1,143 @@
+// ========================================
+// English (default - every key must exist here)
+// ========================================
+// Functions get the already formatted values (dates, ₹ amounts, and the
+// booking number with the channel's emphasis).
+// SMS texts (sms*) must stay word for word the same as the templates
+// registered on DLT, in every language - change both together.
+
+module.exports = {
+  common: {
+    dear: (name) => `Dear ${name}`,
+    greeting: (name) => `Hi ${name}`,
+    team: (appName) => `Team ${appName}`,
+    thankYou: 'Thank you,',
+    seeYouSoon: 'See you soon!',
+    bookingNumber: 'Booking Number',
+    activity: 'Activity',
+    venue: 'Venue',
+    address: 'Address',
+    date: 'Date',
+    time: 'Time',
+    participants: 'Participants',
+    amountPaid: 'Amount Paid',
+    transactionId: 'Transaction ID',
+    reason: 'Reason',
+    refund: 'Refund',
+    contactUs: 'If you have any questions, please contact us:',
+    allRightsReserved: 'All rights reserved.',
+    automatedEmail: 'This is an automated email. Please do not reply to this email.',
+    unsubscribeText: 'Don\'t want reminders or offers by email? Booking tickets are always sent.',
+    manageNotifications: 'Unsubscribe or manage notifications',
+    replyStop: 'Reply STOP to stop reminders and offers.',
+    // "2 hours", "30 minutes", "1 hour 30 minutes"
+    leadTime: (hours, minutes) => [
+      hours ? `${hours} hour${hours === 1 ? '' : 's'}` : '',
+      minutes ? `${minutes} minute${minutes === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(' ')
+  },
+
+  'booking-confirmation': {
+    subject: ({ bookingNumber }) => `Booking Confirmed - ${bookingNumber}`,
+    heading: 'Booking Confirmed!',
+    subheading: 'Your booking has been successfully confirmed',
+    intro: 'Thank you for your booking! We\'re excited to see you soon.',
+    detailsTitle: 'Booking Details',
+    important: 'Important:',
+    showQr: 'Please show this QR code at the venue entrance.',
+    qrTitle: 'Your Entry QR Code',
+    qrHint: 'Save this QR code or show this email at the venue',
+    viewBooking: 'View Booking Details',
+    addToCalendar: 'Add to your calendar:',
+    downloadCalendar: 'Other calendars (.ics)',
+    waiverTitle: 'Waiver required:',
+    waiverText: 'Every participant must sign the liability waiver before check-in.',
+    signWaiver: 'Sign Waiver',
+    bringTitle: 'What to Bring:',
+    bringItems: ['This QR code (digital or printed)', 'Valid ID proof', 'Comfortable clothing'],
+    confirmedText: 'Your booking has been successfully confirmed.',
+    showQrMessage: 'Please show your QR code (sent via email) at the venue entrance.',
+    checkEmail: 'Check your email for the QR code and full details.',
+    sms: ({ bookingNumber, activityTitle, date, time, participants, venue, appName }) =>
+      `Booking ${bookingNumber} confirmed: ${activityTitle} on ${date}, ${time} for ${participants} at ${venue}. Show your QR code at the entrance. - ${appName}`
+  },
+
+  'booking-cancellation': {
+    subject: ({ bookingNumber }) => `Booking Cancelled - ${bookingNumber}`,
+    heading: 'Booking Cancelled',
+    cancelled: ({ bookingNumber }) => `Your booking ${bookingNumber} has been cancelled.`,
+    defaultReason: 'Cancelled by admin',
+    refundText: ({ amount }) => `${amount} has been initiated to your original payment method. It usually reflects within 5-7 working days.`,
+    contactIfError: 'If you believe this is an error, please contact us immediately.',
+    sms: ({ bookingNumber, refund, appName }) => `Your booking ${bookingNumber} has been cancelled. Refund: ${refund}. - ${appName}`,
+    smsNoRefund: 'None'
+  },
+
+  'booking-reminder': {
+    subjectTomorrow: ({ bookingNumber }) => `Reminder: Your Booking Tomorrow - ${bookingNumber}`,
+    subjectSoon: ({ bookingNumber, startTime }) => `Reminder: Your Booking Starts at ${startTime} - ${bookingNumber}`,
+    headingTomorrow: 'Reminder: Your Booking Tomorrow!',
+    headingSoon: 'Reminder: Your Booking Starts Soon!',
+    introTomorrow: 'This is a friendly reminder about your booking tomorrow:',
+    introSoon: ({ leadTime }) => `This is a friendly reminder about your booking in ${leadTime}:`,
+    bringQr: 'Don\'t forget to bring your QR code:',
+    seeYouTomorrow: 'See you tomorrow!',
+    tomorrow: 'Tomorrow',
+    todayAt: ({ startTime }) => `Today at ${startTime}`,
+    thingsTitle: 'Things to Remember:',
+    things: ['Bring your QR code (check email)', 'Arrive 15 minutes early', 'Carry valid ID proof'],
+    keepQrReady: 'Please keep your QR code (check email) ready at the entrance.',
+    smsTomorrow: ({ activityTitle, date, startTime, venue, bookingNumber, appName }) =>
+      `Reminder: ${activityTitle} tomorrow (${date}) at ${startTime}, ${venue}. Booking ${bookingNumber}. Please carry your QR code. - ${appName}`,
+    smsSoon: ({ activityTitle, startTime, venue, bookingNumber, appName }) =>
+      `Reminder: ${activityTitle} starts today at ${startTime}, ${venue}. Booking ${bookingNumber}. - ${appName}`
+  },
+
+  'waitlist-offer': {
+    subject: ({ activityTitle }) => `Spots Available - ${activityTitle}`,
+    heading: 'Spots Are Available!',
+    intro: 'Good news! Spots have opened up for the slot you were waiting for:',
+    holding: ({ expiresAt }) => `We are holding these spots for you until ${expiresAt}.`,
+    bookNow: 'Book Now',
+    nextInLine: 'After that the spots will be offered to the next person on the waitlist.'
+  },
+
+  'no-show-credit': {
+    subject: ({ bookingNumber }) => `We Missed You - Credit for ${bookingNumber}`,
+    heading: 'We Missed You',
+    missed: ({ bookingNumber, activityTitle, date, startTime }) =>
+      `We did not see you for your booking ${bookingNumber} (${activityTitle} on ${date} at ${startTime}).`,
+    credit: ({ amount }) => `As a goodwill gesture, here is a credit of ${amount} towards your next booking:`,
+    howToUse: ({ validUntil }) => `Apply it at checkout with this email address. It can be used once and is valid until ${validUntil}.`,
+    yourActivity: 'your activity'
+  },
+
+  otp: {
+    sms: ({ code, purpose, validMinutes, appName }) =>
+      `${code} is your OTP to ${purpose} at ${appName}. Valid for ${validMinutes} minutes. Do not share it with anyone.`,
+    purposes: {
+      'booking-cancellation': 'cancel your booking'
+    }
+  },
+
+  // Staff emails (English only)
+  'staff-invite': {
+    subject: ({ appName }) => `You're invited to the ${appName} admin panel`,
+    heading: 'You\'re Invited',
+    intro: ({ invitedBy, role, appName }) => `${invitedBy} has added you to the ${appName} admin panel as ${role}.`,
+    action: 'Set your password to activate your account:',
+    button: 'Set Password',
+    expires: ({ expiresAt }) => `The link can be used once and expires on ${expiresAt}.`,
+    ignore: 'If you were not expecting this invitation, you can ignore this email.'
+  },
+
+  'password-reset': {
+    subject: ({ appName }) => `Reset your ${appName} password`,
+    heading: 'Password Reset',
+    intro: 'We received a request to reset the password of your account.',
+    action: 'Choose a new password here:',
+    button: 'Reset Password',
+    expires: ({ expiresAt }) => `The link can be used once and expires on ${expiresAt}.`,
+    ignore: 'If you did not ask for this, ignore this email - your password stays the same.'
+  }
+};
@@ -0,0 +1,118 @@
+// ========================================
+// Hindi (हिन्दी)
+// ========================================
+// Missing keys fall back to English.
+
+module.exports = {
+  common: {
+    dear: (name) => `प्रिय ${name}`,
+    greeting: (name) => `नमस्ते ${name}`,
+    team: (appName) => `टीम ${appName}`,
+    thankYou: 'धन्यवाद,',
+    seeYouSoon: 'जल्द मिलते हैं!',
+    bookingNumber: 'बुकिंग नंबर',
+    activity: 'एक्टिविटी',
+    venue: 'स्थान',
+    address: 'पता',
+    date: 'तारीख',
+    time: 'समय',
+    participants: 'प्रतिभागी',
+    amountPaid: 'भुगतान की गई राशि',
+    transactionId: 'ट्रांज़ैक्शन ID',
+    reason: 'कारण',
+    refund: 'रिफंड',
+    contactUs: 'किसी भी सवाल के लिए हमसे संपर्क करें:',
+    allRightsReserved: 'सर्वाधिकार सुरक्षित।',
+    automatedEmail: 'यह एक स्वचालित ईमेल है। कृपया इसका जवाब न दें।',
+    unsubscribeText: 'ईमेल पर रिमाइंडर या ऑफ़र नहीं चाहिए? बुकिंग टिकट हमेशा भेजे जाते हैं।',
+    manageNotifications: 'अनसब्सक्राइब करें या नोटिफ़िकेशन प्रबंधित करें',
+    replyStop: 'रिमाइंडर और ऑफ़र बंद करने के लिए STOP लिखकर भेजें।',
+    leadTime: (hours, minutes) => [
+      hours ? `${hours} ${hours === 1 ? 'घंटा' : 'घंटे'}` : '',
+      minutes ? `${minutes} मिनट` : ''
+    ].filter(Boolean).join(' ')
+  },
+
+  'booking-confirmation': {
+    subject: ({ bookingNumber }) => `बुकिंग कन्फर्म - ${bookingNumber}`,
+    heading: 'बुकिंग कन्फर्म हो गई!',
+    subheading: 'आपकी बुकिंग सफलतापूर्वक कन्फर्म हो गई है',
+    intro: 'बुकिंग के लिए धन्यवाद! हम आपसे जल्द मिलने के लिए उत्सुक हैं।',
+    detailsTitle: 'बुकिंग विवरण',
+    important: 'ज़रूरी:',
+    showQr: 'कृपया स्थान के प्रवेश द्वार पर यह QR कोड दिखाएँ।',
+    qrTitle: 'आपका एंट्री QR कोड',
+    qrHint: 'यह QR कोड सेव करें या स्थान पर यह ईमेल दिखाएँ',
+    viewBooking: 'बुकिंग विवरण देखें',
+    addToCalendar: 'अपने कैलेंडर में जोड़ें:',
+    downloadCalendar: 'अन्य कैलेंडर (.ics)',
+    waiverTitle: 'वेवर ज़रूरी:',
+    waiverText: 'चेक-इन से पहले हर प्रतिभागी को लायबिलिटी वेवर पर हस्ताक्षर करना होगा।',
+    signWaiver: 'वेवर पर हस्ताक्षर करें',
+    bringTitle: 'साथ लाएँ:',
+    bringItems: ['यह QR कोड (डिजिटल या प्रिंटेड)', 'मान्य पहचान पत्र', 'आरामदायक कपड़े'],
+    confirmedText: 'आपकी बुकिंग सफलतापूर्वक कन्फर्म हो गई है।',
+    showQrMessage: 'कृपया स्थान के प्रवेश द्वार पर अपना QR कोड (ईमेल पर भेजा गया) दिखाएँ।',
+    checkEmail: 'QR कोड और पूरी जानकारी के लिए अपना ईमेल देखें।',
+    sms: ({ bookingNumber, activityTitle, date, time, participants, venue, appName }) =>
+      `बुकिंग ${bookingNumber} कन्फर्म: ${activityTitle}, ${date}, ${time}, ${participants} व्यक्ति, ${venue}. प्रवेश पर अपना QR कोड दिखाएँ। - ${appName}`
+  },
+
+  'booking-cancellation': {
+    subject: ({ bookingNumber }) => `बुकिंग रद्द - ${bookingNumber}`,
+    heading: 'बुकिंग रद्द कर दी गई',
+    cancelled: ({ bookingNumber }) => `आपकी बुकिंग ${bookingNumber} रद्द कर दी गई है।`,
+    defaultReason: 'एडमिन द्वारा रद्द',
+    refundText: ({ amount }) => `${amount} का रिफंड आपके मूल भुगतान माध्यम पर शुरू कर दिया गया है। यह आमतौर पर 5-7 कार्य दिवसों में दिख जाता है।`,
+    contactIfError: 'अगर आपको लगता है कि यह गलती है, तो कृपया तुरंत हमसे संपर्क करें।',
+    sms: ({ bookingNumber, refund, appName }) => `आपकी बुकिंग ${bookingNumber} रद्द कर दी गई है। रिफंड: ${refund}. - ${appName}`,
+    smsNoRefund: 'कोई नहीं'
+  },
+
+  'booking-reminder': {
+    subjectTomorrow: ({ bookingNumber }) => `रिमाइंडर: कल आपकी बुकिंग - ${bookingNumber}`,
+    subjectSoon: ({ bookingNumber, startTime }) => `रिमाइंडर: आपकी बुकिंग ${startTime} बजे शुरू होगी - ${bookingNumber}`,
+    headingTomorrow: 'रिमाइंडर: कल आपकी बुकिंग है!',
+    headingSoon: 'रिमाइंडर: आपकी बुकिंग जल्द शुरू होगी!',
+    introTomorrow: 'कल की आपकी बुकिंग के लिए एक छोटा सा रिमाइंडर:',
+    introSoon: ({ leadTime }) => `${leadTime} में शुरू होने वाली आपकी बुकिंग के लिए एक छोटा सा रिमाइंडर:`,
+    bringQr: 'अपना QR कोड लाना न भूलें:',
+    seeYouTomorrow: 'कल मिलते हैं!',
+    tomorrow: 'कल',
+    todayAt: ({ startTime }) => `आज ${startTime} बजे`,
+    thingsTitle: 'याद रखें:',
+    things: ['अपना QR कोड साथ लाएँ (ईमेल देखें)', '15 मिनट पहले पहुँचें', 'मान्य पहचान पत्र साथ रखें'],
+    keepQrReady: 'कृपया प्रवेश द्वार पर अपना QR कोड (ईमेल देखें) तैयार रखें।',
+    smsTomorrow: ({ activityTitle, date, startTime, venue, bookingNumber, appName }) =>
+      `रिमाइंडर: कल (${date}) ${startTime} बजे ${activityTitle}, ${venue}. बुकिंग ${bookingNumber}. अपना QR कोड साथ लाएँ। - ${appName}`,
+    smsSoon: ({ activityTitle, startTime, venue, bookingNumber, appName }) =>
+      `रिमाइंडर: आज ${startTime} बजे ${activityTitle}, ${venue}. बुकिंग ${bookingNumber}. - ${appName}`
+  },
+
+  'waitlist-offer': {
+    subject: ({ activityTitle }) => `जगह उपलब्ध है - ${activityTitle}`,
+    heading: 'जगह उपलब्ध है!',
+    intro: 'खुशखबरी! जिस स्लॉट का आप इंतज़ार कर रहे थे, उसमें जगह खाली हुई है:',
+    holding: ({ expiresAt }) => `हम ये जगहें ${expiresAt} तक आपके लिए रोक कर रख रहे हैं।`,
+    bookNow: 'अभी बुक करें',
+    nextInLine: 'उसके बाद ये जगहें वेटलिस्ट में अगले व्यक्ति को दे दी जाएँगी।'
+  },
+
+  'no-show-credit': {
+    subject: ({ bookingNumber }) => `हमने आपको मिस किया - ${bookingNumber} के लिए क्रेडिट`,
+    heading: 'हमने आपको मिस किया',
+    missed: ({ bookingNumber, activityTitle, date, startTime }) =>
+      `आप अपनी बुकिंग ${bookingNumber} (${date} को ${startTime} बजे ${activityTitle}) के लिए नहीं आए।`,
+    credit: ({ amount }) => `सद्भावना के तौर पर, आपकी अगली बुकिंग के लिए ${amount} का क्रेडिट:`,
+    howToUse: ({ validUntil }) => `चेकआउट पर इसी ईमेल पते के साथ इसका इस्तेमाल करें। इसे एक बार इस्तेमाल किया जा सकता है और यह ${validUntil} तक मान्य है।`,
+    yourActivity: 'आपकी एक्टिविटी'
+  },
+
+  otp: {
+    sms: ({ code, purpose, validMinutes, appName }) =>
+      `${appName} पर ${purpose} के लिए आपका OTP ${code} है। यह ${validMinutes} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।`,
+    purposes: {
+      'booking-cancellation': 'बुकिंग रद्द करने'
+    }
+  }
+};
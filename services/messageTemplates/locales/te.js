@@ -0,0 +1,118 @@
+// ========================================
+// Telugu (తెలుగు)
+// ========================================
+// Missing keys fall back to English.
+
+module.exports = {
+  common: {
+    dear: (name) => `ప్రియమైన ${name} గారు`,
+    greeting: (name) => `నమస్కారం ${name} గారు`,
+    team: (appName) => `${appName} బృందం`,
+    thankYou: 'ధన్యవాదాలు,',
+    seeYouSoon: 'త్వరలో కలుద్దాం!',
+    bookingNumber: 'బుకింగ్ నంబర్',
+    activity: 'యాక్టివిటీ',
+    venue: 'వేదిక',
+    address: 'చిరునామా',
+    date: 'తేదీ',
+    time: 'సమయం',
+    participants: 'పాల్గొనేవారు',
+    amountPaid: 'చెల్లించిన మొత్తం',
+    transactionId: 'లావాదేవీ ID',
+    reason: 'కారణం',
+    refund: 'రీఫండ్',
+    contactUs: 'ఏవైనా సందేహాలు ఉంటే, మమ్మల్ని సంప్రదించండి:',
+    allRightsReserved: 'అన్ని హక్కులు ప్రత్యేకించబడ్డాయి.',
+    automatedEmail: 'ఇది ఆటోమేటెడ్ ఇమెయిల్. దయచేసి దీనికి రిప్లై చేయవద్దు.',
+    unsubscribeText: 'ఇమెయిల్‌లో రిమైండర్లు లేదా ఆఫర్లు వద్దా? బుకింగ్ టికెట్లు ఎప్పుడూ పంపబడతాయి.',
+    manageNotifications: 'అన్‌సబ్‌స్క్రైబ్ చేయండి లేదా నోటిఫికేషన్లను నిర్వహించండి',
+    replyStop: 'రిమైండర్లు, ఆఫర్లు ఆపడానికి STOP అని రిప్లై చేయండి.',
+    leadTime: (hours, minutes) => [
+      hours ? `${hours} ${hours === 1 ? 'గంట' : 'గంటలు'}` : '',
+      minutes ? `${minutes} ${minutes === 1 ? 'నిమిషం' : 'నిమిషాలు'}` : ''
+    ].filter(Boolean).join(' ')
+  },
+
+  'booking-confirmation': {
+    subject: ({ bookingNumber }) => `బుకింగ్ నిర్ధారించబడింది - ${bookingNumber}`,
+    heading: 'బుకింగ్ నిర్ధారించబడింది!',
+    subheading: 'మీ బుకింగ్ విజయవంతంగా నిర్ధారించబడింది',
+    intro: 'బుక్ చేసినందుకు ధన్యవాదాలు! మిమ్మల్ని త్వరలో కలవడానికి ఎదురుచూస్తున్నాం.',
+    detailsTitle: 'బుకింగ్ వివరాలు',
+    important: 'ముఖ్యమైనది:',
+    showQr: 'దయచేసి వేదిక ప్రవేశద్వారం వద్ద ఈ QR కోడ్‌ను చూపించండి.',
+    qrTitle: 'మీ ప్రవేశ QR కోడ్',
+    qrHint: 'ఈ QR కోడ్‌ను సేవ్ చేసుకోండి లేదా వేదిక వద్ద ఈ ఇమెయిల్‌ను చూపించండి',
+    viewBooking: 'బుకింగ్ వివరాలు చూడండి',
+    addToCalendar: 'మీ క్యాలెండర్‌కు జోడించండి:',
+    downloadCalendar: 'ఇతర క్యాలెండర్లు (.ics)',
+    waiverTitle: 'వెయివర్ అవసరం:',
+    waiverText: 'చెక్-ఇన్‌కు ముందు ప్రతి పాల్గొనేవారు లయబిలిటీ వెయివర్‌పై సంతకం చేయాలి.',
+    signWaiver: 'వెయివర్‌పై సంతకం చేయండి',
+    bringTitle: 'మీతో తీసుకురావలసినవి:',
+    bringItems: ['ఈ QR కోడ్ (డిజిటల్ లేదా ప్రింట్)', 'చెల్లుబాటు అయ్యే గుర్తింపు కార్డు', 'సౌకర్యవంతమైన దుస్తులు'],
+    confirmedText: 'మీ బుకింగ్ విజయవంతంగా నిర్ధారించబడింది.',
+    showQrMessage: 'దయచేసి వేదిక ప్రవేశద్వారం వద్ద మీ QR కోడ్‌ను (ఇమెయిల్‌లో పంపబడింది) చూపించండి.',
+    checkEmail: 'QR కోడ్ మరియు పూర్తి వివరాల కోసం మీ ఇమెయిల్ చూడండి.',
+    sms: ({ bookingNumber, activityTitle, date, time, participants, venue, appName }) =>
+      `బుకింగ్ ${bookingNumber} నిర్ధారించబడింది: ${activityTitle}, ${date}, ${time}, ${participants} మంది, ${venue}. ప్రవేశద్వారం వద్ద మీ QR కోడ్ చూపించండి. - ${appName}`
+  },
+
+  'booking-cancellation': {
+    subject: ({ bookingNumber }) => `బుకింగ్ రద్దు చేయబడింది - ${bookingNumber}`,
+    heading: 'బుకింగ్ రద్దు చేయబడింది',
+    cancelled: ({ bookingNumber }) => `మీ బుకింగ్ ${bookingNumber} రద్దు చేయబడింది.`,
+    defaultReason: 'అడ్మిన్ ద్వారా రద్దు చేయబడింది',
+    refundText: ({ amount }) => `${amount} మీ అసలు చెల్లింపు పద్ధతికి రీఫండ్ ప్రారంభించబడింది. సాధారణంగా 5-7 పని దినాల్లో జమ అవుతుంది.`,
+    contactIfError: 'ఇది పొరపాటు అని మీరు భావిస్తే, దయచేసి వెంటనే మమ్మల్ని సంప్రదించండి.',
+    sms: ({ bookingNumber, refund, appName }) => `మీ బుకింగ్ ${bookingNumber} రద్దు చేయబడింది. రీఫండ్: ${refund}. - ${appName}`,
+    smsNoRefund: 'లేదు'
+  },
+
+  'booking-reminder': {
+    subjectTomorrow: ({ bookingNumber }) => `రిమైండర్: రేపు మీ బుకింగ్ - ${bookingNumber}`,
+    subjectSoon: ({ bookingNumber, startTime }) => `రిమైండర్: మీ బుకింగ్ ${startTime}కి ప్రారంభమవుతుంది - ${bookingNumber}`,
+    headingTomorrow: 'రిమైండర్: రేపు మీ బుకింగ్!',
+    headingSoon: 'రిమైండర్: మీ బుకింగ్ త్వరలో ప్రారంభమవుతుంది!',
+    introTomorrow: 'రేపు ఉన్న మీ బుకింగ్ గురించి ఒక చిన్న గుర్తు:',
+    introSoon: ({ leadTime }) => `${leadTime}లో ప్రారంభమయ్యే మీ బుకింగ్ గురించి ఒక చిన్న గుర్తు:`,
+    bringQr: 'మీ QR కోడ్ తీసుకురావడం మర్చిపోకండి:',
+    seeYouTomorrow: 'రేపు కలుద్దాం!',
+    tomorrow: 'రేపు',
+    todayAt: ({ startTime }) => `ఈరోజు ${startTime}కి`,
+    thingsTitle: 'గుర్తుంచుకోవలసినవి:',
+    things: ['మీ QR కోడ్ తీసుకురండి (ఇమెయిల్ చూడండి)', '15 నిమిషాలు ముందుగా రండి', 'చెల్లుబాటు అయ్యే గుర్తింపు కార్డు తీసుకురండి'],
+    keepQrReady: 'దయచేసి ప్రవేశద్వారం వద్ద మీ QR కోడ్‌ను (ఇమెయిల్ చూడండి) సిద్ధంగా ఉంచుకోండి.',
+    smsTomorrow: ({ activityTitle, date, startTime, venue, bookingNumber, appName }) =>
+      `రిమైండర్: రేపు (${date}) ${startTime}కి ${activityTitle}, ${venue}. బుకింగ్ ${bookingNumber}. మీ QR కోడ్ తీసుకురండి. - ${appName}`,
+    smsSoon: ({ activityTitle, startTime, venue, bookingNumber, appName }) =>
+      `రిమైండర్: ఈరోజు ${startTime}కి ${activityTitle}, ${venue}. బుకింగ్ ${bookingNumber}. - ${appName}`
+  },
+
+  'waitlist-offer': {
+    subject: ({ activityTitle }) => `స్లాట్‌లు అందుబాటులో ఉన్నాయి - ${activityTitle}`,
+    heading: 'స్లాట్‌లు అందుబాటులో ఉన్నాయి!',
+    intro: 'శుభవార్త! మీరు ఎదురుచూస్తున్న స్లాట్‌లో ఖాళీలు ఏర్పడ్డాయి:',
+    holding: ({ expiresAt }) => `ఈ స్థానాలను ${expiresAt} వరకు మీ కోసం ఉంచుతున్నాం.`,
+    bookNow: 'ఇప్పుడే బుక్ చేయండి',
+    nextInLine: 'ఆ తర్వాత ఈ స్థానాలు వెయిట్‌లిస్ట్‌లోని తదుపరి వ్యక్తికి అందించబడతాయి.'
+  },
+
+  'no-show-credit': {
+    subject: ({ bookingNumber }) => `మిమ్మల్ని మిస్ అయ్యాం - ${bookingNumber} కోసం క్రెడిట్`,
+    heading: 'మిమ్మల్ని మిస్ అయ్యాం',
+    missed: ({ bookingNumber, activityTitle, date, startTime }) =>
+      `మీ బుకింగ్ ${bookingNumber} (${date} న ${startTime}కి ${activityTitle}) కు మీరు రాలేదు.`,
+    credit: ({ amount }) => `మా సద్భావనకు గుర్తుగా, మీ తదుపరి బుకింగ్ కోసం ${amount} క్రెడిట్ ఇక్కడ ఉంది:`,
+    howToUse: ({ validUntil }) => `చెక్అవుట్ సమయంలో ఇదే ఇమెయిల్ చిరునామాతో దీన్ని ఉపయోగించండి. ఇది ఒక్కసారి మాత్రమే ఉపయోగించవచ్చు, ${validUntil} వరకు చెల్లుతుంది.`,
+    yourActivity: 'మీ యాక్టివిటీ'
+  },
+
+  otp: {
+    sms: ({ code, purpose, validMinutes, appName }) =>
+      `${appName}లో ${purpose} మీ OTP ${code}. ఇది ${validMinutes} నిమిషాలు చెల్లుతుంది. దీన్ని ఎవరితోనూ పంచుకోవద్దు.`,
+    purposes: {
+      'booking-cancellation': 'మీ బుకింగ్ రద్దు చేయడానికి'
+    }
+  }
+};
@@ -0,0 +1,64 @@
+// ========================================
+// SMS templates (DLT)
+// ========================================
+// Same arguments as the email renderers; return { text, dltKey }. dltKey
+// names the DLT registration the text belongs to (see smsService for the
+// template IDs). DLT allows at most 30 characters per variable, so free
+// text such as activity titles is shortened.
+
+const MAX_VARIABLE_LENGTH = 30;
+
+exports.bookingConfirmation = ({ booking }, { t, fmt, app }) => ({
+  dltKey: 'booking_confirmation',
+  text: t.sms({
+    bookingNumber: booking.bookingNumber,
+    activityTitle: variable(booking.activitySnapshot.title),
+    date: fmt.date(booking.bookingDate, 'short'),
+    time: `${booking.selectedTimeSlot.startTime}-${booking.selectedTimeSlot.endTime}`,
+    participants: booking.numberOfParticipants,
+    venue: variable(booking.activitySnapshot.venue),
+    appName: variable(app.name)
+  })
+});
+
+exports.bookingCancellation = ({ booking }, { t, fmt, app }) => ({
+  dltKey: 'booking_cancellation',
+  text: t.sms({
+    bookingNumber: booking.bookingNumber,
+    refund: booking.refundedAmount > 0 ? fmt.currency(booking.refundedAmount) : t.smsNoRefund,
+    appName: variable(app.name)
+  })
+});
+
+exports.bookingReminder = ({ booking, minutesBefore = null }, { t, fmt, app }) => {
+  const values = {
+    activityTitle: variable(booking.activitySnapshot.title),
+    date: fmt.date(booking.bookingDate, 'short'),
+    startTime: booking.selectedTimeSlot.startTime,
+    venue: variable(booking.activitySnapshot.venue),
+    bookingNumber: booking.bookingNumber,
+    appName: variable(app.name)
+  };
+
+  return minutesBefore
+    ? { dltKey: 'booking_reminder_soon', text: t.smsSoon(values) }
+    : { dltKey: 'booking_reminder', text: t.smsTomorrow(values) };
+};
+
+exports.otp = ({ code, purpose, validMinutes }, { t, app }) => ({
+  dltKey: 'otp',
+  text: t.sms({
+    code,
+    purpose: t.purposes[purpose] || purpose,
+    validMinutes,
+    appName: variable(app.name)
+  })
+});
+
+// ========================================
+// HELPER: Fit a value into a DLT variable
+// ========================================
+function variable(value) {
+  const text = String(value || '').trim();
+  return text.length > MAX_VARIABLE_LENGTH ? `${text.slice(0, MAX_VARIABLE_LENGTH - 1)}…` : text;
+}
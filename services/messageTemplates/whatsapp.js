@@ -0,0 +1,136 @@
+// ========================================
+// WhatsApp templates (plain text, *bold*)
+// ========================================
+// Same arguments as the email renderers; return { text }. Messages
+// customers can opt out of end with how to (reply STOP).
+
+const DIVIDER = '━━━━━━━━━━━━━━━━';
+
+exports.bookingConfirmation = ({ booking }, { t, fmt, app }) => ({
+  text: `
+🎉 *${t.heading}*
+
+${t.greeting(booking.customerDetails.name)}! ✨
+
+${t.confirmedText}
+
+📋 *${t.detailsTitle}:*
+${DIVIDER}
+🎫 ${t.bookingNumber}: *${booking.bookingNumber}*
+🎯 ${t.activity}: ${booking.activitySnapshot.title}
+📍 ${t.venue}: ${booking.activitySnapshot.venue}
+📅 ${t.date}: ${fmt.date(booking.bookingDate)}
+⏰ ${t.time}: ${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}
+👥 ${t.participants}: ${booking.numberOfParticipants}
+💰 ${t.amountPaid}: ${fmt.currency(booking.finalAmount)}
+${DIVIDER}
+
+⚠️ *${t.important}*
+${t.showQrMessage}
+
+📧 ${t.checkEmail}
+
+${t.contactUs}
+📞 ${app.supportPhone}
+
+${t.seeYouSoon} 🚀
+
+- ${t.team(app.name)}
+  `.trim()
+});
+
+exports.bookingCancellation = ({ booking }, { t, fmt, app }) => ({
+  text: `
+❌ *${t.heading}*
+
+${t.greeting(booking.customerDetails.name)},
+
+${t.cancelled({ bookingNumber: `*${booking.bookingNumber}*` })}
+
+*${t.reason}:* ${booking.cancellationReason || t.defaultReason}
+${booking.refundedAmount > 0 ? `
+💸 *${t.refund}:* ${t.refundText({ amount: fmt.currency(booking.refundedAmount) })}
+` : ''}
+${t.contactUs}
+📞 ${app.supportPhone}
+
+- ${t.team(app.name)}
+  `.trim()
+});
+
+exports.bookingReminder = ({ booking, minutesBefore = null }, { t, fmt, app }) => {
+  if (minutesBefore) {
+    return {
+      text: `
+⏰ *${t.headingSoon}*
+
+${t.greeting(booking.customerDetails.name)}! 👋
+
+${DIVIDER}
+🎯 ${t.activity}: ${booking.activitySnapshot.title}
+⏰ ${t.todayAt({ startTime: booking.selectedTimeSlot.startTime })}
+📍 ${t.venue}: ${booking.activitySnapshot.venue}
+👥 ${t.participants}: ${booking.numberOfParticipants}
+${DIVIDER}
+
+${t.keepQrReady}
+
+${t.seeYouSoon} 🎉
+
+- ${t.team(app.name)}
+
+_${t.replyStop}_
+      `.trim()
+    };
+  }
+
+  return {
+    text: `
+⏰ *${t.headingTomorrow}*
+
+${t.greeting(booking.customerDetails.name)}! 👋
+
+${t.introTomorrow}
+
+${DIVIDER}
+🎯 ${t.activity}: ${booking.activitySnapshot.title}
+📅 ${t.date}: ${t.tomorrow} (${fmt.date(booking.bookingDate, 'short')})
+⏰ ${t.time}: ${booking.selectedTimeSlot.startTime}
+📍 ${t.venue}: ${booking.activitySnapshot.venue}
+👥 ${t.participants}: ${booking.numberOfParticipants}
+${DIVIDER}
+
+✅ *${t.thingsTitle}*
+${t.things.map(item => `• ${item}`).join('\n')}
+
+${t.seeYouTomorrow} 🎉
+
+- ${t.team(app.name)}
+
+_${t.replyStop}_
+    `.trim()
+  };
+};
+
+exports.waitlistOffer = ({ entry, offer }, { t, fmt, app }) => ({
+  text: `
+🎉 *${t.heading}*
+
+${t.greeting(entry.customerDetails.name)},
+
+${t.intro}
+
+${DIVIDER}
+🎯 ${t.activity}: ${offer.activityTitle}
+📅 ${t.date}: ${fmt.date(entry.bookingDate, 'short')}
+⏰ ${t.time}: ${entry.selectedTimeSlot.startTime} - ${entry.selectedTimeSlot.endTime}
+👥 ${t.participants}: ${entry.numberOfParticipants}
+${DIVIDER}
+
+⏳ ${t.holding({ expiresAt: fmt.dateTime(offer.offerExpiresAt) })}
+
+👉 ${t.bookNow}: ${offer.offerUrl}
+
+- ${t.team(app.name)}
+  `.trim()
+});
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Activity = require('../models/Activity');
+const Coupon = require('../models/Coupon');
+const notificationService = require('./notificationService');
+const { zonedDateTime, getSlotEnd } = require('../config/timezone');
+
+// ========================================
+// No-Show Service
+// ========================================
+// Closes confirmed bookings once their slot is over:
+// - partly checked-in groups become Completed when the slot ends
+// - bookings nobody checked in for become No-Show after a grace period,
+//   and the activity's no-show policy is applied (forfeit, or a personal
+//   credit voucher for part of the amount paid)
+// Every step is conditional, so running it again (job or admin) is safe.
+
+const GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES) || 30;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const generateCreditCode = () => `NS-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+// ========================================
+// Close ended slots (all overdue, or one club day)
+// ========================================
+// Returns { completed, noShows, credits, pending }; pending counts
+// bookings of the day whose slot (or grace period) is not over yet.
+exports.closeEndedSlots = async ({ dateKey = null, now = new Date() } = {}) => {
+  const query = { bookingStatus: 'Confirmed' };
+  if (dateKey) {
+    const dayStart = zonedDateTime(dateKey, '00:00');
+    query.bookingDate = { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) };
+  } else {
+    query.bookingDate = { $lte: now };
+  }
+
+  const bookings = await Booking.find(query)
+    .select('bookingNumber bookingDate selectedTimeSlot checkedInCount');
+
+  const summary = { completed: 0, noShows: 0, credits: 0, pending: 0 };
+
+  for (const booking of bookings) {
+    const slotEnd = getSlotEnd(booking.bookingDate, booking.selectedTimeSlot);
+
+    if (booking.checkedInCount > 0) {
+      if (slotEnd > now) {
+        summary.pending++;
+        continue;
+      }
+
+      const result = await Booking.updateOne(
+        { _id: booking._id, bookingStatus: 'Confirmed', checkedInCount: { $gt: 0 } },
+        { $set: { bookingStatus: 'Completed' } }
+      );
+      if (result.modifiedCount > 0) {
+        summary.completed++;
+        console.log('🏁 Slot ended, booking completed:', booking.bookingNumber);
+      }
+      continue;
+    }
+
+    if (slotEnd.getTime() + GRACE_MINUTES * 60 * 1000 > now.getTime()) {
+      summary.pending++;
+      continue;
+    }
+
+    // Older bookings have no checkedInCount yet
+    const noShow = await Booking.findOneAndUpdate(
+      { _id: booking._id, bookingStatus: 'Confirmed', checkedInCount: { $in: [0, null] } },
+      { $set: { bookingStatus: 'No-Show', noShowAt: now } },
+      { new: true }
+    );
+    if (!noShow) continue;
+
+    summary.noShows++;
+    console.log('🚷 No-show:', noShow.bookingNumber);
+
+    const outcome = await exports.applyNoShowPolicy(noShow);
+    if (outcome && outcome.action === 'Credit') summary.credits++;
+  }
+
+  // Policies that failed on an earlier run
+  const unapplied = await Booking.find({ bookingStatus: 'No-Show', noShowAt: { $ne: null }, 'noShowOutcome.appliedAt': null });
+  for (const booking of unapplied) {
+    const outcome = await exports.applyNoShowPolicy(booking);
+    if (outcome && outcome.action === 'Credit') summary.credits++;
+  }
+
+  return summary;
+};
+
+// ========================================
+// Apply the activity's no-show policy to a No-Show booking
+// ========================================
+// Idempotent: a booking gets at most one credit voucher.
+exports.applyNoShowPolicy = async (booking) => {
+  try {
+    const activity = await Activity.findById(booking.activity).select('noShowPolicy');
+    const policy = activity?.noShowPolicy || { action: 'Forfeit' };
+
+    const paid = roundAmount((booking.finalAmount || 0) - (booking.refundedAmount || 0));
+    const creditAmount = policy.action === 'Credit'
+      ? roundAmount(paid * (policy.creditPercentage || 0) / 100)
+      : 0;
+
+    const outcome = { action: creditAmount > 0 ? 'Credit' : 'Forfeit', creditAmount, appliedAt: new Date() };
+
+    if (creditAmount > 0) {
+      let coupon = await Coupon.findOne({ sourceBooking: booking._id });
+      if (!coupon) {
+        const validFrom = new Date();
+        coupon = await Coupon.create({
+          code: generateCreditCode(),
+          description: `No-show credit for booking ${booking.bookingNumber}`,
+          discountType: 'Flat',
+          discountValue: creditAmount,
+          validFrom,
+          validUntil: new Date(validFrom.getTime() + (policy.creditValidityDays || 90) * 24 * 60 * 60 * 1000),
+          usageLimit: 1,
+          perCustomerLimit: 1,
+          restrictedToEmail: booking.customerDetails.email,
+          sourceBooking: booking._id
+        });
+      }
+
+      // Queued once per booking, however often this runs
+      await notificationService.notifyBooking('no-show-credit', booking, {
+        channels: ['email'],
+        payload: { couponId: coupon._id },
+        dedupeKey: `no-show-credit:${booking._id}`
+      });
+
+      outcome.coupon = coupon._id;
+      outcome.couponCode = coupon.code;
+    }
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { noShowOutcome: outcome } });
+    return outcome;
+
+  } catch (error) {
+    // Retried on the next run
+    console.error('❌ Error applying no-show policy:', booking.bookingNumber, error.message);
+    return null;
+  }
+};
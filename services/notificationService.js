@@ -0,0 +1,382 @@
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Coupon = require('../models/Coupon');
+const Notification = require('../models/Notification');
+const Reminder = require('../models/Reminder');
+const emailService = require('./emailService');
+const whatsappService = require('./whatsappService');
+const smsService = require('./smsService');
+const messageTemplates = require('./messageTemplates');
+const contactPreferenceService = require('./contactPreferenceService');
+const { NOTIFICATION_CHANNELS, DEFAULT_NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+// ========================================
+// Notification Outbox
+// ========================================
+// Customer messages are not sent inline: callers enqueue a Notification
+// per channel and return immediately. The worker below (kicked right after
+// enqueueing, and every few seconds by notificationJob) claims due messages
+// one at a time, loads the booking fresh and sends it. Failures are retried
+// with exponential backoff until maxAttempts, then left as Failed for an
+// admin to resend. Messages to a recipient who opted out of their category
+// (see contactPreferenceService) are Skipped; transactional ones always go.
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A claim older than this was interrupted (crash / restart) - sent again,
+// a duplicate message is better than a lost ticket
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// ========================================
+// Templates: how each message type is sent per channel
+// ========================================
+// Senders get { booking, entry, payload } and return the email / WhatsApp /
+// SMS service result ({ success, messageId?, note?, error? }).
+// sensitive: payload is dropped once the message is done (e.g. offer links)
+const TEMPLATES = {
+  'booking-confirmation': {
+    email: ({ booking }) => emailService.sendBookingConfirmation(booking),
+    whatsapp: ({ booking }) => whatsappService.sendBookingConfirmation(booking),
+    sms: ({ booking }) => smsService.sendBookingConfirmation(booking)
+  },
+  'booking-cancellation': {
+    email: ({ booking }) => emailService.sendCancellationEmail(booking),
+    whatsapp: ({ booking }) => whatsappService.sendCancellationNotification(booking),
+    sms: ({ booking }) => smsService.sendCancellationNotification(booking)
+  },
+  'booking-reminder': {
+    email: ({ booking, payload }) => emailService.sendReminderEmail(booking, { minutesBefore: payload.minutesBefore }),
+    whatsapp: ({ booking, payload }) => whatsappService.sendReminderNotification(booking, { minutesBefore: payload.minutesBefore }),
+    sms: ({ booking, payload }) => smsService.sendReminderNotification(booking, { minutesBefore: payload.minutesBefore }),
+    onSent: markReminderSent,
+    onFailed: markReminderFailed,
+    onSkipped: markReminderSkipped
+  },
+  'no-show-credit': {
+    email: async ({ booking, payload }) => {
+      const coupon = await Coupon.findById(payload.couponId);
+      if (!coupon) throw new Error('Credit coupon not found');
+      return emailService.sendNoShowCreditEmail(booking, coupon);
+    }
+  },
+  'waitlist-offer': {
+    email: ({ entry, payload }) => emailService.sendWaitlistOfferEmail(entry, payload.offer),
+    whatsapp: ({ entry, payload }) => whatsappService.sendWaitlistOfferNotification(entry, payload.offer),
+    sensitive: true
+  }
+};
+
+// ========================================
+// Enqueue one message
+// ========================================
+// { channel, template, recipient, booking?, waitlistEntry?, payload?, dedupeKey? }
+// Returns the notification (the existing one for a repeated dedupeKey).
+exports.enqueue = async ({ channel, template, recipient, booking = null, waitlistEntry = null, payload = {}, dedupeKey = null }) => {
+  if (!TEMPLATES[template] || !TEMPLATES[template][channel]) {
+    throw new Error(`No ${channel} template "${template}"`);
+  }
+
+  let notification;
+  try {
+    notification = await Notification.create({
+      channel,
+      template,
+      recipient,
+      booking: booking ? booking._id : null,
+      bookingNumber: booking ? booking.bookingNumber : null,
+      waitlistEntry: waitlistEntry ? waitlistEntry._id : null,
+      payload,
+      dedupeKey,
+      maxAttempts: MAX_ATTEMPTS
+    });
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) {
+      return await Notification.findOne({ dedupeKey });
+    }
+    throw error;
+  }
+
+  exports.deliverSoon();
+  return notification;
+};
+
+// ========================================
+// Enqueue a message to a booking's customer on its template's channels
+// ========================================
+// Goes out on the channels the customer chose for the booking unless
+// channels is given.
+exports.notifyBooking = async (template, booking, { payload = {}, dedupeKey = null, channels = null } = {}) => {
+  const notifications = [];
+
+  for (const channel of channels || exports.getBookingChannels(booking)) {
+    if (!TEMPLATES[template][channel]) continue;
+
+    notifications.push(await exports.enqueue({
+      channel,
+      template,
+      recipient: channel === 'email' ? booking.customerDetails.email : booking.customerDetails.phone,
+      booking,
+      payload,
+      dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : null
+    }));
+  }
+
+  return notifications;
+};
+
+// Channels a booking's customer wants messages on
+exports.getBookingChannels = (booking) => {
+  const channels = booking.notificationChannels && booking.notificationChannels.length > 0
+    ? booking.notificationChannels
+    : DEFAULT_NOTIFICATION_CHANNELS;
+
+  return NOTIFICATION_CHANNELS.filter(channel => channels.includes(channel));
+};
+
+// ========================================
+// Enqueue a waitlist offer (email + WhatsApp)
+// ========================================
+exports.notifyWaitlistOffer = async (entry, offer) => {
+  const notifications = [];
+
+  for (const channel of NOTIFICATION_CHANNELS) {
+    if (!TEMPLATES['waitlist-offer'][channel]) continue;
+
+    notifications.push(await exports.enqueue({
+      channel,
+      template: 'waitlist-offer',
+      recipient: channel === 'email' ? entry.customerDetails.email : entry.customerDetails.phone,
+      waitlistEntry: entry,
+      payload: { offer }
+    }));
+  }
+
+  return notifications;
+};
+
+// ========================================
+// Worker: send every due message
+// ========================================
+let processing = false;
+let kickedWhileProcessing = false;
+
+exports.processOutbox = async () => {
+  if (processing) {
+    kickedWhileProcessing = true;
+    return null;
+  }
+  processing = true;
+
+  const summary = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+
+  try {
+    await Notification.updateMany(
+      { status: 'Sending', lockedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+      { $set: { status: 'Pending', lockedAt: null, nextAttemptAt: new Date() } }
+    );
+
+    do {
+      kickedWhileProcessing = false;
+
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        // Claim one due message (no other worker can take it)
+        const notification = await Notification.findOneAndUpdate(
+          { status: 'Pending', nextAttemptAt: { $lte: new Date() } },
+          { $set: { status: 'Sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!notification) break;
+
+        const status = await deliver(notification);
+        if (status === 'Sent') summary.sent++;
+        else if (status === 'Pending') summary.retrying++;
+        else if (status === 'Skipped') summary.skipped++;
+        else summary.failed++;
+      }
+    } while (kickedWhileProcessing);
+
+  } finally {
+    processing = false;
+  }
+
+  return summary;
+};
+
+// Run the worker now without waiting for it (e.g. right after enqueueing)
+exports.deliverSoon = () => {
+  setImmediate(() => {
+    exports.processOutbox().catch(error => console.error('❌ Notification outbox error:', error));
+  });
+};
+
+// ========================================
+// Resend a message (admin)
+// ========================================
+// Gets a fresh set of attempts; returns the notification or null.
+exports.resend = async (notificationId, userId) => {
+  const existing = await Notification.findById(notificationId).select('template');
+  if (existing && (TEMPLATES[existing.template] || {}).sensitive) {
+    const error = new Error('This message is not kept after delivery and cannot be resent');
+    error.status = 400;
+    throw error;
+  }
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: { $in: ['Failed', 'Sent'] } },
+    {
+      $set: {
+        status: 'Pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null,
+        resentAt: new Date(),
+        resentBy: userId
+      }
+    },
+    { new: true }
+  );
+
+  if (notification) exports.deliverSoon();
+  return notification;
+};
+
+// ========================================
+// Delivery log for the admin panel
+// ========================================
+// filters: { status, channel, template, bookingNumber }. Returns
+// { notifications, counts, total }.
+exports.listNotifications = async ({ status, channel, template, bookingNumber, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (channel) query.channel = channel;
+  if (template) query.template = template;
+  if (bookingNumber) query.bookingNumber = bookingNumber;
+
+  // Counts per status for the other filters
+  const countQuery = { ...query };
+  delete countQuery.status;
+
+  const [notifications, total, countRows] = await Promise.all([
+    Notification.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+    Notification.countDocuments(query),
+    Notification.aggregate([
+      { $match: countQuery },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = { Pending: 0, Sending: 0, Sent: 0, Failed: 0, Skipped: 0 };
+  countRows.forEach(row => { counts[row._id] = row.count; });
+
+  return { notifications, counts, total };
+};
+
+// ========================================
+// HELPER: Send one claimed message
+// ========================================
+// Returns the message's new status.
+async function deliver(notification) {
+  const template = TEMPLATES[notification.template] || {};
+  const send = template[notification.channel];
+
+  const finish = async (set) => {
+    const update = { $set: { lockedAt: null, ...set } };
+    if (template.sensitive && set.status !== 'Pending') {
+      update.$set.payload = {};
+    }
+    await Notification.updateOne({ _id: notification._id }, update);
+    return set.status;
+  };
+
+  let result;
+  try {
+    if (!send) throw new Error(`No ${notification.channel} template "${notification.template}"`);
+
+    // Checked at send time - the customer may have opted out since enqueueing
+    const category = messageTemplates.getCategory(notification.template);
+    if (!(await contactPreferenceService.isAllowed(notification.channel, notification.recipient, category))) {
+      const note = `Recipient opted out of ${category} on ${notification.channel}`;
+      console.log(`🔕 ${notification.template} (${notification.channel}) skipped:`, notification.bookingNumber || notification.recipient);
+      if (template.onSkipped) await template.onSkipped(notification, note);
+      return finish({ status: 'Skipped', note });
+    }
+
+    const context = { payload: notification.payload || {} };
+    if (notification.booking) {
+      context.booking = await Booking.findById(notification.booking);
+      if (!context.booking) throw new Error('Booking not found');
+    }
+    if (notification.waitlistEntry) {
+      context.entry = await WaitlistEntry.findById(notification.waitlistEntry);
+      if (!context.entry) throw new Error('Waitlist entry not found');
+    }
+
+    result = await send(context);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (result && result.success) {
+    if (template.onSent) await template.onSent(notification);
+    return finish({
+      status: 'Sent',
+      sentAt: new Date(),
+      lastError: null,
+      providerMessageId: result.messageId || result.sid || null,
+      note: result.note || null
+    });
+  }
+
+  const lastError = (result && result.error) || 'Unknown error';
+
+  if (notification.attempts >= notification.maxAttempts) {
+    console.error(`❌ ${notification.template} (${notification.channel}) failed for good:`, notification.bookingNumber || notification.recipient, lastError);
+    if (template.onFailed) await template.onFailed(notification, lastError);
+    return finish({ status: 'Failed', lastError });
+  }
+
+  // 30s, 1m, 2m, 4m ... capped at an hour
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (notification.attempts - 1), MAX_RETRY_DELAY_MS);
+  console.warn(`⚠️ ${notification.template} (${notification.channel}) failed, retry in ${Math.round(delay / 1000)}s:`, lastError);
+
+  return finish({
+    status: 'Pending',
+    lastError,
+    nextAttemptAt: new Date(Date.now() + delay)
+  });
+}
+
+// ========================================
+// HELPER: Reminder bookkeeping
+// ========================================
+async function markReminderSent(notification) {
+  const { reminderId, kind } = notification.payload || {};
+  const sentAt = new Date();
+
+  if (reminderId) {
+    await Reminder.updateOne({ _id: reminderId }, { $set: { status: 'Sent', sentAt, lastError: null } });
+  }
+  if (kind === 'day-before') {
+    await Booking.updateOne({ _id: notification.booking }, { $set: { [`reminderSentAt.${notification.channel}`]: sentAt } });
+  }
+}
+
+async function markReminderFailed(notification, lastError) {
+  const { reminderId } = notification.payload || {};
+  if (reminderId) {
+    await Reminder.updateOne({ _id: reminderId }, { $set: { status: 'Failed', lastError } });
+  }
+}
+
+async function markReminderSkipped(notification, note) {
+  const { reminderId } = notification.payload || {};
+  if (reminderId) {
+    await Reminder.updateOne({ _id: reminderId }, { $set: { status: 'Skipped', note } });
+  }
+}
@@ -0,0 +1,193 @@
+const EventEmitter = require('events');
+const Activity = require('../models/Activity');
+const VenueOccupancy = require('../models/VenueOccupancy');
+
+// ========================================
+// Venue Occupancy Service
+// ========================================
+// Counts who is inside each venue right now. Check-ins admit people (and
+// fail once the venue's safety capacity is reached), check-outs release
+// them. Counters only move through atomic conditional updates.
+
+// Emits (for the admin dashboard stream):
+//   'occupancy' ({ venue, occupancy, capacity, available, updatedAt })
+//   'scan' ({ type, venue, bookingNumber, activityTitle, count, gate, ... })
+exports.events = new EventEmitter();
+// One listener per open dashboard
+exports.events.setMaxListeners(0);
+
+// Error with an HTTP status for the controller
+const occupancyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const assertVenueExists = async (venue) => {
+  if (!await Activity.exists({ venue })) {
+    throw occupancyError(`No activity takes place at venue "${venue}"`, 404);
+  }
+};
+
+const toSnapshot = (doc) => ({
+  venue: doc.venue,
+  occupancy: doc.occupancy,
+  capacity: doc.capacity,
+  available: doc.capacity === null ? null : Math.max(doc.capacity - doc.occupancy, 0),
+  updatedAt: doc.updatedAt
+});
+
+const emitOccupancy = (doc) => {
+  exports.events.emit('occupancy', toSnapshot(doc));
+};
+
+// ========================================
+// Get (or lazily create) a venue's counter
+// ========================================
+const getVenueOccupancy = async (venue) => {
+  try {
+    return await VenueOccupancy.findOneAndUpdate(
+      { venue },
+      { $setOnInsert: { occupancy: 0, capacity: null } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Created by a concurrent scan
+    if (error.code === 11000) {
+      return await VenueOccupancy.findOne({ venue });
+    }
+    throw error;
+  }
+};
+
+// ========================================
+// Venue a booking is inside of
+// ========================================
+exports.getBookingVenue = async (booking) => {
+  if (booking.activity && booking.activity.venue) return booking.activity.venue;
+  if (booking.activitySnapshot && booking.activitySnapshot.venue) return booking.activitySnapshot.venue;
+
+  const activity = await Activity.findById(booking.activity).select('venue');
+  return activity ? activity.venue : null;
+};
+
+// ========================================
+// Admit people into a venue
+// ========================================
+// Returns { occupancy } or { error: { status, code, message, ...details } }.
+// enforceCapacity: false counts people who are already inside (offline
+// scans) even when that takes the venue over its limit.
+exports.admit = async (venue, count, { enforceCapacity = true } = {}) => {
+  const current = await getVenueOccupancy(venue);
+
+  const filter = { _id: current._id };
+  if (enforceCapacity) {
+    filter.$or = [
+      { capacity: null },
+      { $expr: { $lte: [{ $add: ['$occupancy', count] }, '$capacity'] } }
+    ];
+  }
+
+  const updated = await VenueOccupancy.findOneAndUpdate(filter, { $inc: { occupancy: count } }, { new: true });
+
+  if (!updated) {
+    const latest = await VenueOccupancy.findById(current._id);
+    return {
+      error: {
+        status: 409,
+        code: 'VENUE_FULL',
+        message: `${venue} is at capacity (${latest.occupancy}/${latest.capacity}) - wait for guests to check out`,
+        venue,
+        occupancy: latest.occupancy,
+        capacity: latest.capacity,
+        available: Math.max(latest.capacity - latest.occupancy, 0)
+      }
+    };
+  }
+
+  emitOccupancy(updated);
+  return { occupancy: updated };
+};
+
+// ========================================
+// Release people from a venue (never below zero)
+// ========================================
+exports.release = async (venue, count) => {
+  let updated = await VenueOccupancy.findOneAndUpdate(
+    { venue, occupancy: { $gte: count } },
+    { $inc: { occupancy: -count } },
+    { new: true }
+  );
+
+  // Counter was corrected by hand in the meantime
+  if (!updated) {
+    updated = await VenueOccupancy.findOneAndUpdate(
+      { venue, occupancy: { $lt: count } },
+      { $set: { occupancy: 0 } },
+      { new: true }
+    );
+    if (updated) {
+      console.warn(`⚠️ Occupancy of ${venue} went below zero - reset to 0`);
+    }
+  }
+
+  if (updated) emitOccupancy(updated);
+  return updated;
+};
+
+// ========================================
+// Current occupancy of all (or one) venues
+// ========================================
+// Venues nobody has scanned into yet are listed as empty.
+exports.getOccupancy = async ({ venue } = {}) => {
+  const venueNames = venue ? [venue] : await Activity.distinct('venue');
+  const counters = await VenueOccupancy.find({ venue: { $in: venueNames } });
+  const byVenue = new Map(counters.map(doc => [doc.venue, doc]));
+
+  return venueNames
+    .sort()
+    .map(name => byVenue.has(name)
+      ? toSnapshot(byVenue.get(name))
+      : { venue: name, occupancy: 0, capacity: null, available: null, updatedAt: null });
+};
+
+// ========================================
+// Set a venue's safety capacity (null removes the limit)
+// ========================================
+exports.setCapacity = async (venue, capacity, userId) => {
+  await assertVenueExists(venue);
+  await getVenueOccupancy(venue);
+
+  const updated = await VenueOccupancy.findOneAndUpdate(
+    { venue },
+    { $set: { capacity, capacityUpdatedBy: userId } },
+    { new: true, runValidators: true }
+  );
+
+  emitOccupancy(updated);
+  return toSnapshot(updated);
+};
+
+// ========================================
+// Correct the head count (e.g. after a manual headcount)
+// ========================================
+exports.setOccupancy = async (venue, occupancy) => {
+  await assertVenueExists(venue);
+  await getVenueOccupancy(venue);
+
+  const updated = await VenueOccupancy.findOneAndUpdate(
+    { venue },
+    { $set: { occupancy } },
+    { new: true, runValidators: true }
+  );
+
+  emitOccupancy(updated);
+  return toSnapshot(updated);
+};
+
+// ========================================
+// Publish a gate scan to the live dashboard
+// ========================================
+exports.publishScan = (scan) => {
+  exports.events.emit('scan', { ...scan, at: scan.at || new Date() });
+};
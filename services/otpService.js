@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const Booking = require('../models/Booking');
+const smsService = require('./smsService');
+
+// ========================================
+// OTP Service
+// ========================================
+// Verifies that a customer has the phone of a booking by sending a 6-digit
+// code by SMS. A correct code returns a short-lived verification token
+// (HMAC of phone + purpose + expiry) that the protected action accepts in
+// place of the booking email.
+
+const OTP_PURPOSES = ['booking-cancellation'];
+const CODE_LENGTH = 6;
+const VALID_MINUTES = Number(process.env.OTP_VALID_MINUTES) || 10;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+const TOKEN_VALID_MS = 15 * 60 * 1000;
+
+exports.OTP_PURPOSES = OTP_PURPOSES;
+
+// Error with an HTTP status for the controller
+const otpError = (message, status = 400, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const getSecret = () => process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+const hashCode = (phone, purpose, code) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`otp:${phone}:${purpose}:${code}`)
+  .digest('hex');
+
+const signToken = (phone, purpose, expiresAt) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`otp-verified:${phone}:${purpose}:${expiresAt}`)
+  .digest('base64url');
+
+const assertValidRequest = (phone, purpose) => {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw otpError(`Purpose must be one of: ${OTP_PURPOSES.join(', ')}`);
+  }
+  if (!/^[0-9]{10}$/.test(String(phone || ''))) {
+    throw otpError('Please provide a valid 10-digit phone number');
+  }
+};
+
+// ========================================
+// Send a code
+// ========================================
+// Returns { validMinutes, resendAfterSeconds }. Numbers without a booking
+// get the same answer but no SMS (no probing, no SMS to random numbers).
+exports.requestOtp = async (phone, purpose, { locale } = {}) => {
+  assertValidRequest(phone, purpose);
+
+  const now = new Date();
+  const response = { validMinutes: VALID_MINUTES, resendAfterSeconds: RESEND_COOLDOWN_MS / 1000 };
+
+  const booking = await Booking.findOne({ 'customerDetails.phone': phone })
+    .sort({ createdAt: -1 })
+    .select('preferredLanguage');
+  if (!booking) {
+    console.log('🔐 OTP requested for a phone without bookings - not sent');
+    return response;
+  }
+
+  const existing = await Otp.findOne({ phone, purpose });
+  const windowOpen = existing && existing.windowStartedAt && existing.windowStartedAt > new Date(now.getTime() - SEND_WINDOW_MS);
+  if (windowOpen && existing.sendCount >= MAX_SENDS_PER_WINDOW) {
+    throw otpError('Too many codes requested. Please try again later.', 429);
+  }
+
+  const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  const expiresAt = new Date(now.getTime() + VALID_MINUTES * 60 * 1000);
+
+  // Only when the cooldown has passed - a recent code makes the upsert
+  // collide with the unique index
+  try {
+    await Otp.updateOne(
+      {
+        phone,
+        purpose,
+        $or: [{ lastSentAt: null }, { lastSentAt: { $lte: new Date(now.getTime() - RESEND_COOLDOWN_MS) } }]
+      },
+      {
+        $set: {
+          codeHash: hashCode(phone, purpose, code),
+          expiresAt,
+          attempts: 0,
+          verifiedAt: null,
+          lastSentAt: now,
+          sendCount: windowOpen ? existing.sendCount + 1 : 1,
+          windowStartedAt: windowOpen ? existing.windowStartedAt : now
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw otpError('Please wait a minute before requesting another code', 429);
+    }
+    throw error;
+  }
+
+  try {
+    await smsService.sendOtp(phone, {
+      code,
+      purpose,
+      validMinutes: VALID_MINUTES,
+      locale: locale || booking.preferredLanguage
+    });
+  } catch (error) {
+    console.error('❌ Could not send OTP:', error.message);
+    // Let the customer try again straight away
+    await Otp.updateOne({ phone, purpose }, { $set: { lastSentAt: null, expiresAt: now } });
+    throw otpError('Could not send the code. Please try again.', 502);
+  }
+
+  console.log('🔐 OTP sent:', purpose);
+  return response;
+};
+
+// ========================================
+// Check a code
+// ========================================
+// Returns { verificationToken, expiresAt }; the code cannot be used again.
+exports.verifyOtp = async (phone, purpose, code) => {
+  assertValidRequest(phone, purpose);
+
+  const now = new Date();
+  const otp = await Otp.findOne({ phone, purpose });
+  if (!otp || otp.verifiedAt || otp.expiresAt <= now) {
+    throw otpError('This code has expired. Please request a new one.', 410);
+  }
+
+  // Count the guess first so parallel guesses cannot pass the limit
+  const counted = await Otp.findOneAndUpdate(
+    { _id: otp._id, verifiedAt: null, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    throw otpError('Too many wrong attempts. Please request a new code.', 429);
+  }
+
+  const expected = Buffer.from(counted.codeHash);
+  const received = Buffer.from(hashCode(phone, purpose, String(code || '').trim()));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw otpError('Incorrect code', 400, { attemptsLeft: MAX_VERIFY_ATTEMPTS - counted.attempts });
+  }
+
+  const used = await Otp.updateOne(
+    { _id: otp._id, verifiedAt: null },
+    { $set: { verifiedAt: now } }
+  );
+  if (used.modifiedCount === 0) {
+    throw otpError('This code has already been used', 410);
+  }
+
+  const expiresAt = now.getTime() + TOKEN_VALID_MS;
+  return {
+    verificationToken: `${phone}.${purpose}.${expiresAt}.${signToken(phone, purpose, expiresAt)}`,
+    expiresAt: new Date(expiresAt)
+  };
+};
+
+// ========================================
+// Check a verification token
+// ========================================
+// Throws unless the token was issued for this phone + purpose and is
+// still valid.
+exports.assertVerified = (token, { phone, purpose }) => {
+  const [tokenPhone, tokenPurpose, expiresAt, signature] = String(token || '').split('.');
+
+  const invalid = () => otpError('Phone verification is invalid or has expired. Please verify again.', 401);
+
+  if (!signature || tokenPhone !== phone || tokenPurpose !== purpose) throw invalid();
+  if (!(Number(expiresAt) > Date.now())) throw invalid();
+
+  const expected = Buffer.from(signToken(tokenPhone, tokenPurpose, Number(expiresAt)));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalid();
+  }
+};
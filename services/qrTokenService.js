@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const qrKeys = require('../config/qrKeys');
+
+// ========================================
+// QR Ticket Service
+// ========================================
+// Tickets are short signed tokens: "t1.<keyId>.<bookingId>.<version>.<mac>"
+// (about 70 characters, so the QR code stays small). The booking is looked
+// up on scan; bumping booking.qrVersion revokes every earlier ticket.
+// scanQR, validateQR and verifyAndCheckIn all verify through here.
+
+const TOKEN_PREFIX = 't1';
+const MAC_BYTES = 16;
+
+const mac = (secret, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest()
+  .subarray(0, MAC_BYTES)
+  .toString('base64url');
+
+const ticketError = (status, code, message) => ({ status, code, message });
+
+// ========================================
+// Issue a ticket for the booking's current QR version
+// ========================================
+exports.issueTicket = (booking) => {
+  const { kid, secret } = qrKeys.getSigningKey();
+  const payload = [TOKEN_PREFIX, kid, booking._id.toString(), booking.qrVersion || 1].join('.');
+  return `${payload}.${mac(secret, payload)}`;
+};
+
+// ========================================
+// Verify a scanned ticket's signature
+// ========================================
+// Returns { bookingId, version, kid } or null.
+exports.verifyTicket = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.trim().split('.');
+  if (parts.length === 5 && parts[0] === TOKEN_PREFIX) {
+    const [, kid, bookingId, version, signature] = parts;
+    const key = qrKeys.getKey(kid);
+    if (!key || !/^[a-f0-9]{24}$/.test(bookingId) || !/^\d+$/.test(version)) return null;
+
+    const expected = Buffer.from(mac(key.secret, parts.slice(0, 4).join('.')));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+    return { bookingId, version: Number(version), kid };
+  }
+
+  return verifyLegacyTicket(token);
+};
+
+// ========================================
+// Is the ticket the booking's current one?
+// ========================================
+// Returns { status, code, message } or null.
+exports.getTicketError = (ticket, booking, token) => {
+  if (!ticket || ticket.bookingId !== booking._id.toString()) {
+    return ticketError(400, 'INVALID_QR', 'Invalid QR code');
+  }
+
+  const current = ticket.legacy
+    ? booking.qrData === token
+    : ticket.version === (booking.qrVersion || 1);
+
+  if (!current) {
+    return ticketError(400, 'QR_REVOKED', 'This QR code has been replaced. Ask the guest for their latest ticket.');
+  }
+
+  return null;
+};
+
+// ========================================
+// Scanned ticket -> booking
+// ========================================
+// Returns { booking } or { error: { status, code, message } }.
+exports.resolveTicket = async (token, { populate } = {}) => {
+  const ticket = exports.verifyTicket(token);
+  if (!ticket) {
+    return { error: ticketError(400, 'INVALID_QR', 'Invalid or corrupted QR code') };
+  }
+
+  let query = Booking.findById(ticket.bookingId);
+  if (populate) query = query.populate('activity', populate);
+  const booking = await query;
+
+  if (!booking) {
+    return { error: ticketError(404, 'BOOKING_NOT_FOUND', 'Booking not found') };
+  }
+
+  const error = exports.getTicketError(ticket, booking, token);
+  return error ? { error } : { booking };
+};
+
+// ========================================
+// HELPER: Tickets issued before signed tokens
+// ========================================
+// AES payloads keyed by QR_SECRET. Accepted while QR_SECRET is set so
+// guests holding old tickets can still get in; they only match while they
+// are the booking's stored QR (any re-issue replaces them).
+function verifyLegacyTicket(token) {
+  const secret = process.env.QR_SECRET;
+  if (!secret || !/^[a-f0-9]{32}:[a-f0-9]+$/.test(token)) return null;
+
+  try {
+    const [ivHex, encrypted] = token.split(':');
+    const key = crypto.scryptSync(secret, 'salt', 32);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    const { bookingId } = JSON.parse(decrypted);
+    return bookingId ? { bookingId, version: null, kid: null, legacy: true } : null;
+  } catch (error) {
+    return null;
+  }
+}
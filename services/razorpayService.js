@@ -0,0 +1,28 @@
+const Razorpay = require('razorpay');
+
+// ========================================
+// Razorpay Client
+// ========================================
+// Single shared client. Tests swap in the in-memory fake
+// (tests/helpers/fakeRazorpay) with setRazorpay().
+
+let razorpay = null;
+
+const createClient = () => {
+  return new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+  });
+};
+
+exports.getRazorpay = () => {
+  if (!razorpay) {
+    razorpay = createClient();
+  }
+  return razorpay;
+};
+
+// Replace the client (e.g. with createFakeRazorpay() in tests)
+exports.setRazorpay = (client) => {
+  razorpay = client;
+};
@@ -0,0 +1,354 @@
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const inventoryService = require('./inventoryService');
+const sequenceService = require('./sequenceService');
+const notificationService = require('./notificationService');
+const { getRazorpay } = require('./razorpayService');
+
+// ========================================
+// Refund Service
+// ========================================
+// Full and partial refunds through the Razorpay Refunds API. A refund
+// counts towards booking.refundedAmount as soon as Razorpay accepts it;
+// a later refund.failed webhook reverses that.
+
+// Error with an HTTP status for the controller / global error handler
+const refundError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Payment status derived from how much has been refunded
+const getPaymentStatusAfterRefund = (booking) => {
+  if (booking.refundedAmount <= 0) return 'Completed';
+  if (booking.refundedAmount >= booking.finalAmount) return 'Refunded';
+  return 'Partially Refunded';
+};
+
+// Amount that can still be refunded on a booking
+exports.getRefundableAmount = (booking) => {
+  return roundAmount(Math.max(booking.finalAmount - (booking.refundedAmount || 0), 0));
+};
+
+// Add (or with a negative amount, reverse) a refund on the booking.
+// Adding is conditional so concurrent refunds can never exceed finalAmount;
+// returns null when the amount no longer fits.
+const applyRefundToBooking = async (bookingId, amount) => {
+  const filter = { _id: bookingId };
+  if (amount > 0) {
+    filter.$expr = {
+      $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, '$finalAmount']
+    };
+  }
+
+  const booking = await Booking.findOneAndUpdate(
+    filter,
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+
+  if (!booking) {
+    return null;
+  }
+
+  booking.paymentStatus = getPaymentStatusAfterRefund(booking);
+  await booking.save();
+
+  return booking;
+};
+
+// Every Razorpay payment of a booking with its amount, newest first
+const getBookingPayments = (booking) => {
+  const additional = booking.additionalPayments || [];
+  const additionalTotal = additional.reduce((sum, p) => sum + p.amount, 0);
+
+  return [
+    ...additional.map(p => ({ paymentId: p.razorpayPaymentId, amount: p.amount })).reverse(),
+    { paymentId: booking.razorpayPaymentId, amount: roundAmount(booking.finalAmount - additionalTotal) }
+  ];
+};
+
+// Split a refund amount over the booking's payments (newest first),
+// never refunding more than was paid on any single payment
+const planRefund = async (booking, amount) => {
+  const previous = await Refund.find({ booking: booking._id, status: { $ne: 'Failed' } });
+  const plan = [];
+  let remaining = amount;
+
+  for (const payment of getBookingPayments(booking)) {
+    if (remaining <= 0) break;
+
+    const alreadyRefunded = previous
+      .filter(r => r.razorpayPaymentId === payment.paymentId)
+      .reduce((sum, r) => sum + r.amount, 0);
+    const available = roundAmount(payment.amount - alreadyRefunded);
+    const share = roundAmount(Math.min(available, remaining));
+
+    if (share > 0) {
+      plan.push({ paymentId: payment.paymentId, amount: share });
+      remaining = roundAmount(remaining - share);
+    }
+  }
+
+  return plan;
+};
+
+// Record and execute the refund of one Razorpay payment
+const refundPayment = async (booking, { paymentId, amount, reason, cancelBooking, initiatedBy }) => {
+  // Record the refund before calling Razorpay
+  const refund = await Refund.create({
+    booking: booking._id,
+    refundNumber: await sequenceService.generateDailyNumber('RF'),
+    amount,
+    type: amount >= booking.finalAmount ? 'Full' : 'Partial',
+    reason,
+    razorpayPaymentId: paymentId,
+    cancelsBooking: !!cancelBooking,
+    initiatedBy: initiatedBy || null
+  });
+
+  let razorpayRefund;
+  try {
+    razorpayRefund = await getRazorpay().payments.refund(paymentId, {
+      amount: Math.round(amount * 100), // Convert to paise
+      speed: 'normal',
+      receipt: refund.refundNumber,
+      notes: {
+        refundId: refund._id.toString(),
+        bookingId: booking._id.toString(),
+        bookingNumber: booking.bookingNumber,
+        reason
+      }
+    });
+  } catch (error) {
+    const message = error.error?.description || error.message;
+    console.error('❌ Razorpay refund failed:', message);
+
+    refund.status = 'Failed';
+    refund.failureReason = message;
+    await refund.save();
+
+    throw refundError(`Refund could not be processed: ${message}`, 502);
+  }
+
+  // A webhook may already have found this refund by its receipt and
+  // settled it - only fill in what is still missing
+  await Refund.updateOne({ _id: refund._id }, { $set: { razorpayRefundId: razorpayRefund.id } });
+  if (razorpayRefund.status === 'processed') {
+    await Refund.updateOne(
+      { _id: refund._id, status: 'Pending' },
+      { $set: { status: 'Processed', processedAt: new Date() } }
+    );
+  }
+
+  console.log('💸 Refund initiated:', refund.refundNumber, razorpayRefund.id);
+  return Refund.findById(refund._id);
+};
+
+// ========================================
+// Cancel a booking, restore its spots and notify the customer
+// ========================================
+exports.cancelAndNotify = async (booking, { reason, cancelledBy }) => {
+  booking.bookingStatus = 'Cancelled';
+  booking.cancelledAt = new Date();
+  booking.cancellationReason = reason;
+  booking.cancelledBy = cancelledBy || null;
+  await booking.save();
+
+  if (await inventoryService.releaseBookingSpots(booking)) {
+    console.log('♻️ Restored available spots for:', booking.bookingNumber);
+  }
+
+  await notificationService.notifyBooking('booking-cancellation', booking);
+};
+
+// ========================================
+// Initiate a refund
+// ========================================
+// options:
+//   amount        - rupees; defaults to the full refundable amount
+//   reason        - required
+//   initiatedBy   - user id of the staff member
+//   cancelBooking - cancel the booking, restore spots and notify (default true)
+exports.initiateRefund = async (booking, { amount, reason, initiatedBy, cancelBooking = true } = {}) => {
+  if (!['Completed', 'Partially Refunded'].includes(booking.paymentStatus) || !booking.razorpayPaymentId) {
+    throw refundError('Only paid bookings can be refunded');
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw refundError('Refund reason is required');
+  }
+
+  if (cancelBooking && ['Completed', 'No-Show'].includes(booking.bookingStatus)) {
+    throw refundError(`Cannot cancel a booking with status ${booking.bookingStatus}. Refund it without cancelling instead.`);
+  }
+
+  const refundable = exports.getRefundableAmount(booking);
+  const refundAmount = amount === undefined || amount === null ? refundable : roundAmount(Number(amount));
+
+  if (isNaN(refundAmount) || refundAmount <= 0) {
+    throw refundError('Refund amount must be greater than zero');
+  }
+
+  if (refundAmount > refundable) {
+    throw refundError(`Refund amount cannot exceed the refundable amount of ₹${refundable}`);
+  }
+
+  // 1. Reserve the amount on the booking (guards against concurrent refunds)
+  const reserved = await applyRefundToBooking(booking._id, refundAmount);
+  if (!reserved) {
+    throw refundError('Refund amount exceeds the refundable amount', 409);
+  }
+
+  // 2. Refund the most recent payments first; a booking can have more than
+  //    one (e.g. a reschedule fare difference)
+  const plan = await planRefund(booking, refundAmount);
+  const refunds = [];
+  let lastError = null;
+
+  for (const { paymentId, amount: paymentRefund } of plan) {
+    try {
+      refunds.push(await refundPayment(booking, {
+        paymentId,
+        amount: paymentRefund,
+        reason: String(reason).trim(),
+        cancelBooking,
+        initiatedBy
+      }));
+    } catch (error) {
+      lastError = error;
+      break;
+    }
+  }
+
+  // Take back whatever Razorpay did not refund
+  const refundedTotal = roundAmount(refunds.reduce((sum, r) => sum + r.amount, 0));
+  if (refundedTotal < refundAmount) {
+    await applyRefundToBooking(booking._id, -roundAmount(refundAmount - refundedTotal));
+  }
+
+  if (refunds.length === 0) {
+    throw lastError || refundError('Nothing left to refund on the booking payments', 409);
+  }
+
+  if (lastError) {
+    console.error('❌ Refund only partially processed:', lastError.message);
+  }
+
+  const refund = refunds[0];
+  const latestBooking = await Booking.findById(booking._id).select('refundedAmount paymentStatus');
+
+  booking.refundedAmount = latestBooking.refundedAmount;
+  booking.paymentStatus = latestBooking.paymentStatus;
+
+  // 3. Cancel the booking, restore spots and notify the customer
+  if (cancelBooking && !['Cancelled', 'Expired'].includes(booking.bookingStatus)) {
+    await exports.cancelAndNotify(booking, {
+      reason: refund.reason,
+      cancelledBy: initiatedBy
+    });
+  }
+
+  return { refund, refunds, booking };
+};
+
+// ========================================
+// Handle refund.processed / refund.failed webhooks
+// ========================================
+exports.handleRefundWebhook = async (event, entity) => {
+  let refund = await findRefundForWebhook(entity);
+
+  // Refund created outside the app (e.g. Razorpay dashboard)
+  if (!refund) {
+    const booking = await Booking.findOne({
+      $or: [
+        { razorpayPaymentId: entity.payment_id },
+        { 'additionalPayments.razorpayPaymentId': entity.payment_id }
+      ]
+    });
+    if (!booking) {
+      console.warn('⚠️ Refund webhook for unknown payment:', entity.payment_id);
+      return null;
+    }
+
+    const amount = entity.amount / 100;
+    let created = true;
+    try {
+      refund = await Refund.create({
+        booking: booking._id,
+        refundNumber: await sequenceService.generateDailyNumber('RF'),
+        amount,
+        type: amount >= booking.finalAmount ? 'Full' : 'Partial',
+        reason: entity.notes?.reason || 'Refund created in Razorpay dashboard',
+        razorpayPaymentId: entity.payment_id,
+        razorpayRefundId: entity.id
+      });
+    } catch (error) {
+      // A duplicate webhook recorded it first (unique razorpayRefundId)
+      if (error.code !== 11000) throw error;
+      refund = await Refund.findOne({ razorpayRefundId: entity.id });
+      created = false;
+    }
+
+    if (created) {
+      await applyRefundToBooking(booking._id, amount);
+    }
+  }
+
+  // Status changes are conditional so a repeated webhook is a no-op
+  if (event === 'refund.processed') {
+    const processed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'Pending' },
+      { $set: { status: 'Processed', processedAt: new Date() } },
+      { new: true }
+    );
+    if (processed) {
+      refund = processed;
+      console.log('✅ Refund processed:', refund.refundNumber);
+    }
+  }
+
+  if (event === 'refund.failed') {
+    const failed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: { $ne: 'Failed' } },
+      { $set: { status: 'Failed', failureReason: entity.error_description || 'Refund failed at Razorpay' } },
+      { new: true }
+    );
+    if (failed) {
+      refund = failed;
+
+      // The money never left - take it off the booking again
+      await applyRefundToBooking(refund.booking, -refund.amount);
+      console.error('❌ Refund failed:', refund.refundNumber);
+    }
+  }
+
+  return refund;
+};
+
+// ========================================
+// HELPER: Find the refund a webhook is about
+// ========================================
+// By Razorpay refund id, or - when the webhook beats refundPayment() saving
+// that id - by our refund number (receipt) / refund id (notes). Fills in
+// the Razorpay id on the way.
+async function findRefundForWebhook(entity) {
+  const refund = await Refund.findOne({ razorpayRefundId: entity.id });
+  if (refund) return refund;
+
+  const ours = [];
+  if (entity.receipt) ours.push({ refundNumber: entity.receipt });
+  if (entity.notes?.refundId && /^[a-f0-9]{24}$/i.test(entity.notes.refundId)) {
+    ours.push({ _id: entity.notes.refundId });
+  }
+  if (ours.length === 0) return null;
+
+  return Refund.findOneAndUpdate(
+    { $or: ours, razorpayPaymentId: entity.payment_id, razorpayRefundId: null },
+    { $set: { razorpayRefundId: entity.id } },
+    { new: true }
+  );
+}
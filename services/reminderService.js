@@ -0,0 +1,228 @@
+const Booking = require('../models/Booking');
+const Reminder = require('../models/Reminder');
+const notificationService = require('./notificationService');
+const { CHECKIN_PAYMENT_STATUSES } = require('./checkInService');
+const { toDateKey, parseTimeOfDay, zonedDateTime, getSlotStart } = require('../config/timezone');
+
+// ========================================
+// Reminder Service
+// ========================================
+// Every confirmed booking gets a reminder on each of its channels the evening
+// before (REMINDER_DAY_BEFORE_TIME, club time) plus optional extra ones
+// shortly before the slot (REMINDER_EXTRA_MINUTES, e.g. "120,30").
+// Reminders are stored as documents when the booking comes within the
+// look-ahead window and claimed one by one when due, then handed to the
+// notification outbox (which retries failed sends).
+
+const DAY_BEFORE_KIND = 'day-before';
+const LOOKAHEAD_MS = 2 * 24 * 60 * 60 * 1000;
+// A claim older than this was interrupted (crash / restart)
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const DAY_BEFORE_TIME = process.env.REMINDER_DAY_BEFORE_TIME || '18:00';
+// Fail at startup rather than at the first reminder
+parseTimeOfDay(DAY_BEFORE_TIME);
+
+const EXTRA_MINUTES = (process.env.REMINDER_EXTRA_MINUTES || '')
+  .split(',')
+  .map(value => Number(value.trim()))
+  .filter(minutes => Number.isInteger(minutes) && minutes > 0);
+
+// 'YYYY-MM-DD' of the day before
+const previousDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+};
+
+// ========================================
+// Reminders a booking should get
+// ========================================
+// Returns { slotStart, plan: [{ kind, minutesBefore, scheduledFor }] }.
+exports.getReminderPlan = (booking) => {
+  const slotStart = getSlotStart(booking.bookingDate, booking.selectedTimeSlot);
+
+  const plan = [{
+    kind: DAY_BEFORE_KIND,
+    minutesBefore: null,
+    scheduledFor: zonedDateTime(previousDateKey(toDateKey(booking.bookingDate)), DAY_BEFORE_TIME)
+  }];
+
+  EXTRA_MINUTES.forEach(minutes => {
+    plan.push({
+      kind: `before-${minutes}m`,
+      minutesBefore: minutes,
+      scheduledFor: new Date(slotStart.getTime() - minutes * 60 * 1000)
+    });
+  });
+
+  return { slotStart, plan };
+};
+
+// ========================================
+// Create reminder documents for upcoming bookings
+// ========================================
+// Idempotent (unique per booking + kind + channel + slot). Returns how
+// many reminders were added.
+exports.scheduleReminders = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    bookingStatus: 'Confirmed',
+    paymentStatus: { $in: CHECKIN_PAYMENT_STATUSES },
+    // bookingDate is the start of the club day
+    bookingDate: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000), $lte: new Date(now.getTime() + LOOKAHEAD_MS) }
+  }).select('bookingNumber bookingDate selectedTimeSlot notificationChannels');
+
+  let scheduled = 0;
+
+  for (const booking of bookings) {
+    const { slotStart, plan } = exports.getReminderPlan(booking);
+    if (slotStart <= now) continue;
+
+    for (const { kind, minutesBefore, scheduledFor } of plan) {
+      for (const channel of notificationService.getBookingChannels(booking)) {
+        try {
+          const result = await Reminder.updateOne(
+            { booking: booking._id, kind, channel, slotStart },
+            {
+              $setOnInsert: {
+                bookingNumber: booking.bookingNumber,
+                minutesBefore,
+                scheduledFor,
+                status: 'Pending'
+              }
+            },
+            { upsert: true }
+          );
+          if (result.upsertedCount > 0) scheduled++;
+        } catch (error) {
+          // Added by a concurrent run
+          if (error.code !== 11000) throw error;
+        }
+      }
+    }
+  }
+
+  return scheduled;
+};
+
+// ========================================
+// Queue reminders that are due
+// ========================================
+// Returns { queued, skipped }.
+exports.sendDueReminders = async (now = new Date()) => {
+  // Interrupted claims go round again (queueing is idempotent per reminder)
+  await Reminder.updateMany(
+    { status: 'Sending', lockedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+    { $set: { status: 'Pending', lockedAt: null } }
+  );
+
+  const summary = { queued: 0, skipped: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    // Claim one due reminder (no other run can take it)
+    const reminder = await Reminder.findOneAndUpdate(
+      { status: 'Pending', scheduledFor: { $lte: now } },
+      { $set: { status: 'Sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+    if (!reminder) break;
+
+    const status = await queueReminder(reminder, now);
+    if (status === 'Queued') summary.queued++;
+    else summary.skipped++;
+  }
+
+  return summary;
+};
+
+// ========================================
+// HELPER: Hand one claimed reminder to the outbox
+// ========================================
+// Returns the reminder's new status.
+async function queueReminder(reminder, now) {
+  const finish = async (set) => {
+    await Reminder.updateOne({ _id: reminder._id }, { $set: { lockedAt: null, ...set } });
+    return set.status;
+  };
+
+  const booking = await Booking.findById(reminder.booking);
+  const skipReason = getSkipReason(booking, reminder, now);
+  if (skipReason) {
+    return finish({ status: 'Skipped', note: skipReason });
+  }
+
+  const [notification] = await notificationService.notifyBooking('booking-reminder', booking, {
+    channels: [reminder.channel],
+    payload: {
+      reminderId: reminder._id,
+      kind: reminder.kind,
+      minutesBefore: reminder.minutesBefore
+    },
+    dedupeKey: `reminder:${reminder._id}`
+  });
+
+  console.log(`⏰ ${reminder.kind} reminder queued (${reminder.channel}):`, reminder.bookingNumber);
+  return finish({ status: 'Queued', notification: notification._id });
+}
+
+// ========================================
+// HELPER: Should this reminder still go out?
+// ========================================
+function getSkipReason(booking, reminder, now) {
+  if (!booking) return 'Booking not found';
+  if (booking.bookingStatus !== 'Confirmed') return `Booking is ${booking.bookingStatus}`;
+  if (!notificationService.getBookingChannels(booking).includes(reminder.channel)) {
+    return `Customer turned off ${reminder.channel} messages`;
+  }
+
+  const slotStart = getSlotStart(booking.bookingDate, booking.selectedTimeSlot);
+  if (slotStart.getTime() !== reminder.slotStart.getTime()) return 'Booking was rescheduled';
+  if (slotStart <= now) return 'Slot has already started';
+
+  // Booked after the reminder time - the confirmation just went out
+  if (booking.confirmationDate && booking.confirmationDate > reminder.scheduledFor) {
+    return 'Booked after the reminder time';
+  }
+
+  return null;
+}
+
+// ========================================
+// Reminders for the admin panel
+// ========================================
+// filters: { status, channel, kind, bookingNumber, fromDate, toDate }
+// (dates filter on the slot start). Returns { reminders, counts, total }.
+exports.listReminders = async ({ status, channel, kind, bookingNumber, fromDate, toDate, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (channel) query.channel = channel;
+  if (kind) query.kind = kind;
+  if (bookingNumber) query.bookingNumber = bookingNumber;
+  if (fromDate || toDate) {
+    query.slotStart = {};
+    if (fromDate) query.slotStart.$gte = zonedDateTime(toDateKey(fromDate), '00:00');
+    if (toDate) query.slotStart.$lt = new Date(zonedDateTime(toDateKey(toDate), '00:00').getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  // Counts per status for the other filters
+  const countQuery = { ...query };
+  delete countQuery.status;
+
+  const [reminders, total, countRows] = await Promise.all([
+    Reminder.find(query)
+      .populate('booking', 'customerDetails.name customerDetails.email customerDetails.phone activitySnapshot.title bookingStatus')
+      .sort({ scheduledFor: status === 'Sent' ? -1 : 1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+    Reminder.countDocuments(query),
+    Reminder.aggregate([
+      { $match: countQuery },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = { Pending: 0, Sending: 0, Queued: 0, Sent: 0, Failed: 0, Skipped: 0 };
+  countRows.forEach(row => { counts[row._id] = row.count; });
+
+  return { reminders, counts, total };
+};
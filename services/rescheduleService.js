@@ -0,0 +1,442 @@
+const Booking = require('../models/Booking');
+const Activity = require('../models/Activity');
+const inventoryService = require('./inventoryService');
+const holdService = require('./holdService');
+const refundService = require('./refundService');
+const bookingValidationService = require('./bookingValidationService');
+const taxService = require('./taxService');
+const qrController = require('../controllers/qrController');
+const { getRazorpay } = require('./razorpayService');
+const { getSlotStart, toDateKey } = require('../config/timezone');
+
+// ========================================
+// Reschedule Service
+// ========================================
+// Moves a confirmed booking to another date/slot. The new slot is reserved
+// atomically before the old one is released. A higher fare is charged
+// through a separate Razorpay order (the move completes once it is paid);
+// a lower fare is refunded.
+
+const PAID_STATUSES = ['Completed', 'Partially Refunded'];
+
+// Error with an HTTP status (and optional details) for the controller
+const rescheduleError = (message, status = 400, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// ========================================
+// Activity reschedule policy (max reschedules + cut-off window)
+// ========================================
+exports.checkReschedulePolicy = (booking, activity, at = new Date()) => {
+  const { maxReschedules = null, cutoffHours = 0 } = activity.reschedulePolicy || {};
+  const rescheduleCount = booking.rescheduleHistory ? booking.rescheduleHistory.length : 0;
+
+  if (maxReschedules !== null && maxReschedules !== undefined && rescheduleCount >= maxReschedules) {
+    throw rescheduleError(`This booking has reached the maximum of ${maxReschedules} reschedule(s)`, 400, {
+      rescheduleCount,
+      maxReschedules
+    });
+  }
+
+  const slotStart = getSlotStart(booking.bookingDate, booking.selectedTimeSlot);
+  const hoursBeforeStart = (slotStart.getTime() - at.getTime()) / (60 * 60 * 1000);
+
+  if (hoursBeforeStart < (cutoffHours || 0)) {
+    throw rescheduleError(
+      cutoffHours
+        ? `Bookings can only be rescheduled up to ${cutoffHours} hours before the slot starts`
+        : 'The booked slot has already started',
+      400,
+      { slotStart, cutoffHours }
+    );
+  }
+};
+
+// ========================================
+// Apply a reschedule (new spots already reserved)
+// ========================================
+// Swaps the date/slot only if the booking has not changed in the meantime,
+// then releases the old slot. Returns the updated booking.
+// paid: the fare difference was paid (already in booking.finalAmount)
+const applyReschedule = async (booking, target, { fareDifference = 0, reason, rescheduledBy, paid = false } = {}) => {
+  const activityId = booking.activity._id || booking.activity;
+  const participants = booking.numberOfParticipants;
+  const from = {
+    bookingDate: booking.bookingDate,
+    selectedTimeSlot: {
+      startTime: booking.selectedTimeSlot.startTime,
+      endTime: booking.selectedTimeSlot.endTime
+    }
+  };
+
+  const update = {
+    $set: {
+      bookingDate: target.bookingDate,
+      selectedTimeSlot: target.selectedTimeSlot,
+      pricePerPerson: target.pricePerPerson,
+      totalAmount: roundAmount(target.pricePerPerson * participants),
+      spotsHeld: true
+    },
+    $unset: { pendingReschedule: 1 },
+    $push: {
+      rescheduleHistory: {
+        fromDate: from.bookingDate,
+        fromTimeSlot: from.selectedTimeSlot,
+        toDate: target.bookingDate,
+        toTimeSlot: target.selectedTimeSlot,
+        fareDifference,
+        reason: reason || null,
+        rescheduledAt: new Date(),
+        rescheduledBy: rescheduledBy || null
+      }
+    }
+  };
+
+  // Keep the GST breakdown in line with the new amount paid
+  if (paid && booking.taxDetails && booking.taxDetails.gstRate !== undefined && booking.taxDetails.gstRate !== null) {
+    update.$set.taxDetails = taxService.breakdownFromGross(
+      roundAmount(booking.finalAmount),
+      booking.taxDetails.toObject ? booking.taxDetails.toObject() : booking.taxDetails
+    );
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'Confirmed',
+      bookingDate: from.bookingDate,
+      'selectedTimeSlot.startTime': from.selectedTimeSlot.startTime,
+      'selectedTimeSlot.endTime': from.selectedTimeSlot.endTime
+    },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    await inventoryService.releaseSpots(activityId, target.bookingDate, target.selectedTimeSlot, participants);
+    throw rescheduleError('Booking changed while rescheduling. Please try again.', 409);
+  }
+
+  // Release the old slot (bookings made before per-date inventory never held one)
+  if (booking.spotsHeld) {
+    await inventoryService.releaseSpots(activityId, from.bookingDate, from.selectedTimeSlot, participants);
+  }
+
+  console.log('🔁 Booking rescheduled:', updated.bookingNumber, {
+    from: `${toDateKey(from.bookingDate)} ${from.selectedTimeSlot.startTime}`,
+    to: `${toDateKey(target.bookingDate)} ${target.selectedTimeSlot.startTime}`
+  });
+
+  // The signed ticket only carries the booking id and QR version, so it
+  // stays valid; re-issue it anyway (upgrades pre-signed QRs) and resend the
+  // confirmation with the new date/slot
+  await qrController.generateAndSendQR(updated);
+
+  return updated;
+};
+
+// ========================================
+// Release the spots of an unpaid pending reschedule
+// ========================================
+// onlyExpired: only when its hold lapsed (used by the sweeper)
+exports.releasePendingReschedule = async (booking, { onlyExpired = false } = {}) => {
+  const filter = { _id: booking._id, 'pendingReschedule.spotsHeld': true };
+  if (onlyExpired) {
+    filter['pendingReschedule.holdExpiresAt'] = { $lte: new Date() };
+  }
+
+  // Keep the pending record so a late payment can still be matched
+  const previous = await Booking.findOneAndUpdate(
+    filter,
+    { $set: { 'pendingReschedule.spotsHeld': false } }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  await inventoryService.releaseSpots(
+    previous.activity,
+    previous.pendingReschedule.bookingDate,
+    previous.pendingReschedule.selectedTimeSlot,
+    previous.numberOfParticipants
+  );
+
+  console.log('⌛ Released pending reschedule hold:', previous.bookingNumber);
+  return true;
+};
+
+// Sweep pending reschedules whose hold lapsed (background job)
+exports.releaseExpiredPendingReschedules = async (limit = 100) => {
+  const lapsed = await Booking.find({
+    'pendingReschedule.spotsHeld': true,
+    'pendingReschedule.holdExpiresAt': { $lte: new Date() }
+  })
+    .select('_id')
+    .limit(limit);
+
+  let releasedCount = 0;
+  for (const booking of lapsed) {
+    if (await exports.releasePendingReschedule(booking, { onlyExpired: true })) {
+      releasedCount++;
+    }
+  }
+
+  return releasedCount;
+};
+
+// ========================================
+// Request a reschedule
+// ========================================
+// Returns { status: 'Rescheduled' | 'PaymentRequired', booking, fareDifference, order?, refund? }
+exports.requestReschedule = async (booking, activity, { bookingDate, selectedTimeSlot, reason, requestedBy = null }) => {
+  if (booking.bookingStatus !== 'Confirmed' || !PAID_STATUSES.includes(booking.paymentStatus)) {
+    throw rescheduleError('Only confirmed, paid bookings can be rescheduled', 400, {
+      bookingStatus: booking.bookingStatus,
+      paymentStatus: booking.paymentStatus
+    });
+  }
+
+  if (booking.checkedIn || booking.checkedInCount > 0) {
+    throw rescheduleError('Booking is already checked in');
+  }
+
+  // 1. Activity policy
+  exports.checkReschedulePolicy(booking, activity);
+
+  // 2. Same rules as a new booking
+  const selection = bookingValidationService.validateSlotSelection(activity, {
+    bookingDate,
+    selectedTimeSlot,
+    numberOfParticipants: booking.numberOfParticipants
+  });
+
+  if (selection.error) {
+    const { status, message, ...details } = selection.error;
+    throw rescheduleError(message, status, details);
+  }
+
+  const { requestedDate, timeSlot } = selection;
+
+  if (toDateKey(requestedDate) === toDateKey(booking.bookingDate) &&
+      timeSlot.startTime === booking.selectedTimeSlot.startTime &&
+      timeSlot.endTime === booking.selectedTimeSlot.endTime) {
+    throw rescheduleError('Booking is already on this date and time slot');
+  }
+
+  // 3. Drop an earlier reschedule that is still waiting for payment
+  await exports.releasePendingReschedule(booking);
+
+  // 4. Reserve the new slot first (atomic, never oversells)
+  const inventory = await inventoryService.reserveSpots(
+    activity,
+    requestedDate,
+    timeSlot,
+    booking.numberOfParticipants
+  );
+
+  if (!inventory) {
+    throw rescheduleError('Not enough spots available on the selected date and slot', 400, {
+      requested: booking.numberOfParticipants
+    });
+  }
+
+  const target = {
+    bookingDate: requestedDate,
+    selectedTimeSlot: {
+      startTime: timeSlot.startTime,
+      endTime: timeSlot.endTime
+    },
+    pricePerPerson: activity.priceAfterDiscount || activity.price
+  };
+  // Activities priced without GST charge / refund the tax on the difference too
+  const fareDifference = taxService.addTax(
+    (target.pricePerPerson - booking.pricePerPerson) * booking.numberOfParticipants,
+    booking.taxDetails
+  );
+
+  // 5a. Higher fare - collect the difference before moving
+  if (fareDifference > 0) {
+    let order;
+    try {
+      order = await getRazorpay().orders.create({
+        amount: Math.round(fareDifference * 100), // Convert to paise
+        currency: 'INR',
+        receipt: `resched_${booking.bookingNumber}_${(booking.rescheduleHistory || []).length + 1}`,
+        notes: {
+          bookingId: booking._id.toString(),
+          bookingNumber: booking.bookingNumber,
+          purpose: 'Reschedule fare difference'
+        }
+      });
+    } catch (error) {
+      await inventoryService.releaseSpots(activity._id, requestedDate, timeSlot, booking.numberOfParticipants);
+      throw error;
+    }
+
+    const updated = await Booking.findByIdAndUpdate(
+      booking._id,
+      {
+        $set: {
+          pendingReschedule: {
+            ...target,
+            amountDue: fareDifference,
+            razorpayOrderId: order.id,
+            spotsHeld: true,
+            holdExpiresAt: holdService.getHoldExpiry(),
+            reason: reason || null,
+            requestedBy
+          }
+        }
+      },
+      { new: true }
+    );
+
+    console.log('💳 Reschedule awaiting fare difference:', booking.bookingNumber, fareDifference);
+    return { status: 'PaymentRequired', booking: updated, fareDifference, order };
+  }
+
+  // 5b. Same or lower fare - move now
+  const updated = await applyReschedule(booking, target, {
+    fareDifference,
+    reason,
+    rescheduledBy: requestedBy
+  });
+
+  // 6. Refund a lower fare
+  let refund = null;
+  if (fareDifference < 0) {
+    try {
+      ({ refund } = await refundService.initiateRefund(updated, {
+        amount: -fareDifference,
+        reason: 'Fare difference after reschedule',
+        initiatedBy: requestedBy,
+        cancelBooking: false
+      }));
+    } catch (error) {
+      console.error('❌ Reschedule fare refund failed:', error.message);
+      updated.adminNotes = `Reschedule fare difference of ₹${-fareDifference} could not be refunded automatically: ${error.message}`;
+      await updated.save();
+    }
+  }
+
+  return { status: 'Rescheduled', booking: updated, fareDifference, refund };
+};
+
+// ========================================
+// Complete a reschedule once its fare difference is paid
+// ========================================
+// Called from payment verification and the payment.captured webhook, which
+// can run at the same time. The payment is recorded in the same update that
+// claims the pending reschedule, so only one of them applies it and the
+// other sees the payment as already processed.
+// Returns { status: 'Rescheduled' | 'AlreadyProcessed' | 'SlotUnavailable', booking }
+exports.completePendingReschedule = async (booking, { orderId, paymentId, amount }) => {
+  const current = await Booking.findById(booking._id).select('pendingReschedule');
+  const pending = current && current.pendingReschedule && current.pendingReschedule.razorpayOrderId === orderId
+    ? current.pendingReschedule
+    : null;
+
+  const payment = {
+    razorpayOrderId: orderId,
+    razorpayPaymentId: paymentId,
+    amount: pending ? pending.amountDue : amount,
+    purpose: 'Reschedule fare difference',
+    paidAt: new Date()
+  };
+
+  // Claim the pending reschedule and record the payment in one step
+  const claimed = pending && await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      'pendingReschedule.razorpayOrderId': orderId,
+      'additionalPayments.razorpayPaymentId': { $ne: paymentId }
+    },
+    {
+      $unset: { pendingReschedule: 1 },
+      $push: { additionalPayments: payment },
+      $inc: { finalAmount: payment.amount }
+    },
+    { new: true }
+  );
+
+  // Give the recorded payment back
+  const refundPayment = async (updated, reason) => {
+    try {
+      await refundService.initiateRefund(updated, {
+        amount: payment.amount,
+        reason,
+        cancelBooking: false
+      });
+    } catch (error) {
+      console.error('❌ Reschedule payment refund failed:', error.message);
+      updated.adminNotes = `Reschedule payment ${paymentId} (₹${payment.amount}) could not be refunded automatically: ${error.message}`;
+      await updated.save();
+    }
+
+    return Booking.findById(updated._id);
+  };
+
+  // Superseded or unknown order (or claimed by the other call): keep the
+  // money on record unless this payment already is, and give it back
+  if (!claimed) {
+    if (!payment.amount) {
+      return { status: 'AlreadyProcessed', booking };
+    }
+
+    const recorded = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'additionalPayments.razorpayPaymentId': { $ne: paymentId } },
+      { $push: { additionalPayments: payment }, $inc: { finalAmount: payment.amount } },
+      { new: true }
+    );
+    if (!recorded) {
+      return { status: 'AlreadyProcessed', booking: await Booking.findById(booking._id) };
+    }
+
+    return { status: 'SlotUnavailable', booking: await refundPayment(recorded, 'Reschedule request was superseded') };
+  }
+
+  const target = {
+    bookingDate: pending.bookingDate,
+    selectedTimeSlot: {
+      startTime: pending.selectedTimeSlot.startTime,
+      endTime: pending.selectedTimeSlot.endTime
+    },
+    pricePerPerson: pending.pricePerPerson
+  };
+
+  // The hold may have lapsed while the customer was paying
+  let spotsReady = pending.spotsHeld;
+  if (!spotsReady) {
+    const activity = await Activity.findById(claimed.activity);
+    spotsReady = !!(activity && await inventoryService.reserveSpots(
+      activity,
+      target.bookingDate,
+      target.selectedTimeSlot,
+      claimed.numberOfParticipants
+    ));
+  }
+
+  if (!spotsReady) {
+    return { status: 'SlotUnavailable', booking: await refundPayment(claimed, 'Reschedule slot sold out before payment') };
+  }
+
+  try {
+    const updated = await applyReschedule(claimed, target, {
+      fareDifference: pending.amountDue,
+      reason: pending.reason,
+      rescheduledBy: pending.requestedBy,
+      paid: true
+    });
+
+    return { status: 'Rescheduled', booking: updated };
+  } catch (error) {
+    console.error('❌ Could not apply paid reschedule:', error.message);
+    return { status: 'SlotUnavailable', booking: await refundPayment(claimed, 'Reschedule could not be applied') };
+  }
+};
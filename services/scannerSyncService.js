@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Booking = require('../models/Booking');
+const CheckInEvent = require('../models/CheckInEvent');
+const WaiverTemplate = require('../models/WaiverTemplate');
+const SignedWaiver = require('../models/SignedWaiver');
+const checkInService = require('./checkInService');
+const scannerKeys = require('../config/scannerKeys');
+const { zonedDateTime } = require('../config/timezone');
+
+// ========================================
+// Scanner Sync Service
+// ========================================
+// Lets gate scanners work without a connection: they download a signed
+// manifest of the day's bookings for their venue, match scanned QR codes
+// against it (by SHA-256 of the QR string) and upload the scans later.
+// Uploads are applied in device-time order; every device event is applied
+// at most once.
+
+const MAX_BATCH_SIZE = 500;
+// Device clocks running ahead are tolerated up to this much
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Error with an HTTP status for the controller
+const syncError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashQR = (qrData) => crypto.createHash('sha256').update(qrData).digest('hex');
+
+// What the entry signature covers (also returned to the app)
+const SIGNED_FIELDS = ['bookingId', 'qrHash', 'date', 'startTime', 'endTime', 'numberOfParticipants'];
+
+const signaturePayload = (entry) => SIGNED_FIELDS.map(field => entry[field]).join('|');
+
+// ========================================
+// Gate manifest for a venue and day
+// ========================================
+exports.getGateManifest = async ({ dateKey, venue }) => {
+  const activities = await Activity.find({ venue }).select('title venue');
+  const activityIds = activities.map(activity => activity._id);
+  const titles = new Map(activities.map(activity => [activity._id.toString(), activity.title]));
+
+  const dayStart = zonedDateTime(dateKey, '00:00');
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  const bookings = await Booking.find({
+    activity: { $in: activityIds },
+    bookingDate: { $gte: dayStart, $lt: dayEnd },
+    // Completed ones let the app flag repeat scans offline
+    bookingStatus: { $in: ['Confirmed', 'Completed'] },
+    paymentStatus: { $in: checkInService.CHECKIN_PAYMENT_STATUSES },
+    qrData: { $ne: null }
+  })
+    .select('bookingNumber activity bookingDate selectedTimeSlot numberOfParticipants participants customerDetails qrData bookingStatus checkedIn checkedInCount checkedInParticipants')
+    .sort({ 'selectedTimeSlot.startTime': 1, bookingNumber: 1 });
+
+  // Waiver status for all bookings in two queries
+  const templates = await WaiverTemplate.find({ activity: { $in: activityIds }, isActive: true })
+    .select('activity enforcement');
+  const enforcementByActivity = new Map(templates.map(template => [template.activity.toString(), template.enforcement]));
+
+  const signedCounts = await SignedWaiver.aggregate([
+    { $match: { booking: { $in: bookings.map(booking => booking._id) } } },
+    { $group: { _id: '$booking', count: { $sum: 1 } } }
+  ]);
+  const signedByBooking = new Map(signedCounts.map(row => [row._id.toString(), row.count]));
+
+  const entries = bookings.map(booking => {
+    const activityId = booking.activity.toString();
+    const enforcement = enforcementByActivity.get(activityId) || null;
+    const signed = signedByBooking.get(booking._id.toString()) || 0;
+
+    const entry = {
+      bookingId: booking._id.toString(),
+      bookingNumber: booking.bookingNumber,
+      qrHash: hashQR(booking.qrData),
+      date: dateKey,
+      startTime: booking.selectedTimeSlot.startTime,
+      endTime: booking.selectedTimeSlot.endTime,
+      numberOfParticipants: booking.numberOfParticipants,
+      activityId,
+      activityTitle: titles.get(activityId),
+      customerName: booking.customerDetails.name,
+      participants: (booking.participants || []).map(participant => ({
+        name: participant.name,
+        age: participant.age
+      })),
+      bookingStatus: booking.bookingStatus,
+      checkedIn: booking.checkedIn,
+      checkedInCount: booking.checkedInCount,
+      checkedInParticipants: booking.checkedInParticipants,
+      waivers: {
+        required: Boolean(enforcement),
+        enforcement,
+        signed,
+        complete: !enforcement || signed >= booking.numberOfParticipants
+      }
+    };
+
+    entry.signature = scannerKeys.sign(signaturePayload(entry));
+    return entry;
+  });
+
+  return {
+    venue,
+    date: dateKey,
+    generatedAt: new Date(),
+    kid: scannerKeys.KEY_ID,
+    signedFields: SIGNED_FIELDS,
+    count: entries.length,
+    bookings: entries
+  };
+};
+
+// ========================================
+// Apply a batch of offline scans
+// ========================================
+// events: [{ eventId, bookingId, qrHash, scannedAt, count?, participantIndexes?, gate? }]
+// Each result is applied / duplicate / conflict / rejected.
+exports.syncOfflineEvents = async ({ deviceId, gate, events }, staffId) => {
+  if (!deviceId || typeof deviceId !== 'string') {
+    throw syncError('deviceId is required');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw syncError('events must be a non-empty array');
+  }
+
+  if (events.length > MAX_BATCH_SIZE) {
+    throw syncError(`At most ${MAX_BATCH_SIZE} events per upload`);
+  }
+
+  // Replay in the order things happened at the gate
+  const ordered = [...events].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+  const results = [];
+
+  for (const event of ordered) {
+    results.push(await applyOfflineEvent(event, { deviceId, gate, staffId }));
+  }
+
+  const summary = { applied: 0, duplicate: 0, conflict: 0, rejected: 0 };
+  results.forEach(result => { summary[result.status]++; });
+
+  console.log(`📶 Offline sync from ${deviceId}:`, JSON.stringify(summary));
+  return { summary, results };
+};
+
+// ========================================
+// HELPER: Apply one offline scan
+// ========================================
+async function applyOfflineEvent(event, { deviceId, gate, staffId }) {
+  const eventId = event.eventId ? String(event.eventId) : null;
+  const rejected = (code, message) => ({ eventId, status: 'rejected', code, message });
+
+  if (!eventId) {
+    return rejected('INVALID_EVENT', 'eventId is required');
+  }
+
+  // From the manifest entry the device matched the scanned QR against
+  if (!event.qrHash || typeof event.qrHash !== 'string') {
+    return rejected('INVALID_EVENT', 'qrHash is required');
+  }
+
+  const scannedAt = new Date(event.scannedAt);
+  if (isNaN(scannedAt.getTime())) {
+    return rejected('INVALID_TIMESTAMP', 'scannedAt must be a valid date');
+  }
+  if (scannedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return rejected('INVALID_TIMESTAMP', 'scannedAt is in the future - check the device clock');
+  }
+
+  // Uploaded before (e.g. retry after a dropped response)
+  const existing = await CheckInEvent.findOne({ deviceId, deviceEventId: eventId })
+    .select('bookingNumber checkedInCount numberOfParticipants');
+  if (existing) {
+    return {
+      eventId,
+      status: 'duplicate',
+      bookingNumber: existing.bookingNumber,
+      checkedInCount: existing.checkedInCount
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(event.bookingId)) {
+    return rejected('INVALID_EVENT', 'Invalid booking ID');
+  }
+
+  const booking = await Booking.findById(event.bookingId);
+  if (!booking) {
+    return rejected('BOOKING_NOT_FOUND', 'Booking not found');
+  }
+
+  const conflict = async (code, message, details = {}) => ({
+    eventId,
+    status: 'conflict',
+    code,
+    message,
+    bookingNumber: booking.bookingNumber,
+    checkedInCount: booking.checkedInCount,
+    numberOfParticipants: booking.numberOfParticipants,
+    ...details,
+    // Where else this ticket was scanned
+    previousScans: await CheckInEvent.find({ booking: booking._id })
+      .select('type gate deviceId method count scannedAt')
+      .sort({ scannedAt: 1 })
+  });
+
+  // Ticket re-issued after the manifest was downloaded
+  if (!booking.qrData || hashQR(booking.qrData) !== event.qrHash) {
+    return conflict('QR_MISMATCH', 'QR code does not match the current ticket');
+  }
+
+  const result = await checkInService.recordCheckIn(booking, {
+    count: event.count,
+    participantIndexes: event.participantIndexes,
+    gate: event.gate || gate,
+    staffId,
+    method: 'Offline Sync',
+    scannedAt,
+    deviceId,
+    deviceEventId: eventId,
+    // The guest is already in - report missing waivers / an out-of-window
+    // scan instead of refusing, and count them even over venue capacity
+    enforceWaivers: false,
+    enforceWindow: false,
+    enforceCapacity: false
+  });
+
+  if (result.error) {
+    if (result.error.code === 'DUPLICATE_EVENT') {
+      return { eventId, status: 'duplicate', bookingNumber: booking.bookingNumber };
+    }
+
+    const { status, code, message, ...details } = result.error;
+    return conflict(code, message, details);
+  }
+
+  return {
+    eventId,
+    status: 'applied',
+    bookingNumber: booking.bookingNumber,
+    arrived: result.arrived,
+    checkedInCount: booking.checkedInCount,
+    remaining: result.remaining,
+    complete: result.complete,
+    waiverWarning: result.waiverWarning,
+    windowWarning: result.windowWarning
+  };
+}
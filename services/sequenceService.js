@@ -0,0 +1,90 @@
+const Counter = require('../models/Counter');
+const Booking = require('../models/Booking');
+const { toDateKey } = require('../config/timezone');
+
+// ========================================
+// Sequence Service
+// ========================================
+// Race-free running numbers backed by the counters collection. Each key
+// is incremented atomically, so concurrent requests never get the same value.
+
+// ========================================
+// Next value of a named counter
+// ========================================
+// `seed` (optional) is called once when the counter does not exist yet and
+// returns the last value already in use, e.g. numbers issued before the
+// counter was introduced.
+exports.nextSequence = async (key, seed) => {
+  if (seed && !(await Counter.exists({ _id: key }))) {
+    const initialValue = await seed();
+    try {
+      await Counter.updateOne(
+        { _id: key },
+        { $setOnInsert: { seq: initialValue } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+// Club calendar day as YYMMDD
+const getDayStamp = (date = new Date()) => {
+  return toDateKey(date).slice(2).replace(/-/g, '');
+};
+
+// ========================================
+// Daily numbers: PREFIX-YYMMDD-NNNN
+// ========================================
+// The sequence restarts every day; the day boundary follows the club's
+// timezone (CLUB_TIMEZONE), not the server's.
+exports.generateDailyNumber = async (prefix, { date = new Date(), padding = 4, seed } = {}) => {
+  const base = `${prefix}-${getDayStamp(date)}`;
+  const sequence = await exports.nextSequence(base, seed && (() => seed(base)));
+
+  return `${base}-${String(sequence).padStart(padding, '0')}`;
+};
+
+// ========================================
+// Booking numbers: BK-YYMMDD-NNNN
+// ========================================
+exports.generateBookingNumber = async (date = new Date()) => {
+  return await exports.generateDailyNumber('BK', {
+    date,
+    // Continue after bookings created before the counter existed
+    seed: async (base) => {
+      const last = await Booking.findOne({ bookingNumber: { $regex: `^${base}-` } })
+        .sort({ bookingNumber: -1 })
+        .select('bookingNumber');
+
+      const lastSequence = last ? parseInt(last.bookingNumber.slice(base.length + 1)) : 0;
+      return isNaN(lastSequence) ? 0 : lastSequence;
+    }
+  });
+};
+
+// ========================================
+// Invoice numbers: INV-YYYY-NNNNNN
+// ========================================
+// GST invoices need one unbroken series per financial year (April-March),
+// at most 16 characters. YYYY is the financial year, e.g. 2627 for 2026-27.
+exports.generateInvoiceNumber = async (date = new Date()) => {
+  const [year, month] = toDateKey(date).split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  const financialYear = `${String(startYear).slice(2)}${String(startYear + 1).slice(2)}`;
+
+  const base = `${process.env.INVOICE_PREFIX || 'INV'}-${financialYear}`;
+  const sequence = await exports.nextSequence(base);
+
+  return `${base}-${String(sequence).padStart(6, '0')}`;
+};
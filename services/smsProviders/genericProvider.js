@@ -0,0 +1,62 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// ========================================
+// Generic HTTP gateway (Gupshup, Textlocal, Fast2SMS, Kaleyra ...)
+// ========================================
+// SMS_API_URL, SMS_API_KEY (sent as a Bearer token), SMS_SENDER_ID,
+// SMS_DLT_ENTITY_ID
+// Posts { to, message, senderId, dltTemplateId, dltEntityId, unicode }.
+// Most gateways need a small adapter in front that maps these names to
+// their own parameters. Replies: { from, text } posted to
+// /api/preferences/inbound/sms with X-Webhook-Secret = SMS_WEBHOOK_SECRET.
+
+exports.name = 'generic';
+
+exports.requiresDlt = true;
+
+exports.isConfigured = () => Boolean(process.env.SMS_API_URL && process.env.SMS_API_KEY);
+
+exports.send = async ({ to, text, dltTemplateId }) => {
+  const response = await axios.post(process.env.SMS_API_URL, {
+    to: `91${to}`,
+    message: text,
+    senderId: process.env.SMS_SENDER_ID || null,
+    dltTemplateId,
+    dltEntityId: process.env.SMS_DLT_ENTITY_ID || null,
+    unicode: /[^\x00-\x7F]/.test(text)
+  }, {
+    headers: {
+      Authorization: `Bearer ${process.env.SMS_API_KEY}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return {
+    success: true,
+    messageId: response.data?.messageId || response.data?.id || null
+  };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+exports.verifyInbound = (req) => {
+  return Boolean(process.env.SMS_WEBHOOK_SECRET) &&
+    safeEqual(process.env.SMS_WEBHOOK_SECRET, req.headers['x-webhook-secret']);
+};
+
+// -> [{ from, text }]
+exports.parseInbound = (req) => {
+  const { from, text } = req.body || {};
+  return from ? [{ from, text }] : [];
+};
+
+// ========================================
+// HELPER: Constant-time compare
+// ========================================
+function safeEqual(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
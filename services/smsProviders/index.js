@@ -0,0 +1,45 @@
+const msg91Provider = require('./msg91Provider');
+const genericProvider = require('./genericProvider');
+const mockProvider = require('./mockProvider');
+
+// ========================================
+// SMS provider selection
+// ========================================
+// SMS_PROVIDER = msg91 | generic | mock (default: generic when
+// SMS_API_URL + SMS_API_KEY are set, otherwise mock).
+//
+// Every provider exports:
+//   name
+//   requiresDlt   true when every SMS needs a DLT template ID (India)
+//   isConfigured() -> boolean
+//   send({ to, text, dltTemplateId }) -> { success, messageId, note? }
+//     to             10-digit number (the provider adds 91)
+//     text           exactly the DLT-registered text with the variables filled in
+//     dltTemplateId  DLT content template ID
+//   and throws when the provider rejects the message.
+//   verifyInbound(req) -> boolean   reply webhook is really from the provider
+//   parseInbound(req) -> [{ from, text }]   customer replies (STOP / START)
+
+const PROVIDERS = {
+  msg91: msg91Provider,
+  generic: genericProvider,
+  mock: mockProvider
+};
+
+const getProviderName = () => {
+  if (process.env.SMS_PROVIDER) return process.env.SMS_PROVIDER;
+  if (genericProvider.isConfigured()) return 'generic';
+  return 'mock';
+};
+
+// Selected provider (throws on an unknown name)
+exports.getProvider = () => {
+  const name = getProviderName();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}" - use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return provider;
+};
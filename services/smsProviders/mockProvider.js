@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// ========================================
+// Mock provider (development)
+// ========================================
+// Nothing is sent and no DLT registration is needed. Messages are printed
+// to the console and, with SMS_MOCK_DIR set, written there as <id>.json.
+
+exports.name = 'mock';
+
+exports.requiresDlt = false;
+
+exports.isConfigured = () => true;
+
+exports.send = async ({ to, text, dltTemplateId }) => {
+  const messageId = `mock-sms-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+  console.log(`💬 [mock SMS] to ${to}${dltTemplateId ? ` (DLT ${dltTemplateId})` : ''}:`);
+  console.log(text);
+
+  const dir = process.env.SMS_MOCK_DIR;
+  if (dir) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify({
+      messageId,
+      to,
+      text,
+      dltTemplateId: dltTemplateId || null,
+      createdAt: new Date()
+    }, null, 2));
+  }
+
+  return { success: true, messageId, note: 'Mock SMS provider - not delivered' };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+// Simulate a reply: POST /api/preferences/inbound/sms { from, text }
+// (not accepted in production)
+exports.verifyInbound = () => process.env.NODE_ENV !== 'production';
+
+// -> [{ from, text }]
+exports.parseInbound = (req) => {
+  const { from, text } = req.body || {};
+  return from ? [{ from, text }] : [];
+};
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// ========================================
+// MSG91 (send HTTP API with DLT parameters)
+// ========================================
+// MSG91_AUTH_KEY, SMS_SENDER_ID (DLT header), SMS_DLT_ENTITY_ID (optional,
+// usually linked in the MSG91 panel)
+// MSG91 checks the text against the DLT template given as DLT_TE_ID.
+// Replies: set the inbound (long code / keyword) forwarding URL to
+// /api/preferences/inbound/sms?secret=<SMS_WEBHOOK_SECRET>; MSG91 forwards
+// the sender as number / mobile and the text as message / keyword.
+
+const API_URL = 'https://api.msg91.com/api/sendhttp.php';
+// Transactional route
+const ROUTE = '4';
+
+exports.name = 'msg91';
+
+exports.requiresDlt = true;
+
+exports.isConfigured = () => Boolean(process.env.MSG91_AUTH_KEY && process.env.SMS_SENDER_ID);
+
+exports.send = async ({ to, text, dltTemplateId }) => {
+  const params = {
+    authkey: process.env.MSG91_AUTH_KEY,
+    mobiles: `91${to}`,
+    message: text,
+    sender: process.env.SMS_SENDER_ID,
+    route: ROUTE,
+    country: '91',
+    DLT_TE_ID: dltTemplateId
+  };
+  if (process.env.SMS_DLT_ENTITY_ID) params.PE_ID = process.env.SMS_DLT_ENTITY_ID;
+  // Telugu / Hindi text goes out as Unicode
+  if (/[^\x00-\x7F]/.test(text)) params.unicode = '1';
+
+  const response = await axios.get(API_URL, { params });
+
+  // Success is a request ID; errors come back as text / JSON with HTTP 200
+  const body = typeof response.data === 'string' ? response.data.trim() : response.data;
+  if (typeof body !== 'string' || !/^[0-9a-f]{24}$/i.test(body)) {
+    throw new Error(`MSG91 rejected the SMS: ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+  }
+
+  return { success: true, messageId: body };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+// MSG91 does not sign forwards - the secret is part of the configured URL
+exports.verifyInbound = (req) => {
+  return Boolean(process.env.SMS_WEBHOOK_SECRET) &&
+    safeEqual(process.env.SMS_WEBHOOK_SECRET, req.query.secret);
+};
+
+// -> [{ from, text }] (forwarded as query string or form fields)
+exports.parseInbound = (req) => {
+  const fields = { ...req.query, ...(req.body || {}) };
+  const from = fields.number || fields.mobile;
+  const text = fields.message || fields.keyword;
+  return from ? [{ from, text }] : [];
+};
+
+// ========================================
+// HELPER: Constant-time compare
+// ========================================
+function safeEqual(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
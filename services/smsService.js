@@ -0,0 +1,160 @@
+const smsProviders = require('./smsProviders');
+const messageTemplates = require('./messageTemplates');
+const { resolveLocale, DEFAULT_LOCALE } = require('../config/locale');
+
+// ========================================
+// SMS Notifications
+// ========================================
+// Sent through the provider selected by SMS_PROVIDER (MSG91, a generic HTTP
+// gateway or a local mock - see smsProviders). In India every SMS must
+// match a template registered on DLT; the template IDs are configured per
+// message and language:
+//   SMS_DLT_TEMPLATE_<KEY>          English, e.g. SMS_DLT_TEMPLATE_BOOKING_CONFIRMATION
+//   SMS_DLT_TEMPLATE_<KEY>_<LANG>   e.g. SMS_DLT_TEMPLATE_BOOKING_CONFIRMATION_TE
+// Keys: BOOKING_CONFIRMATION, BOOKING_CANCELLATION, BOOKING_REMINDER,
+// BOOKING_REMINDER_SOON, OTP. A language without its own registration
+// gets the English SMS.
+
+// ========================================
+// Send Booking Confirmation via SMS
+// ========================================
+exports.sendBookingConfirmation = async (booking) => {
+  try {
+    console.log('💬 Sending confirmation SMS to:', booking.customerDetails.phone);
+
+    return await sendTemplate(booking.customerDetails.phone, 'booking-confirmation', { booking }, booking.preferredLanguage);
+
+  } catch (error) {
+    console.error('❌ Error sending confirmation SMS:', describeError(error));
+    return { success: false, error: describeError(error) };
+  }
+};
+
+// ========================================
+// Send Cancellation via SMS
+// ========================================
+exports.sendCancellationNotification = async (booking) => {
+  try {
+    console.log('💬 Sending cancellation SMS to:', booking.customerDetails.phone);
+
+    return await sendTemplate(booking.customerDetails.phone, 'booking-cancellation', { booking }, booking.preferredLanguage);
+
+  } catch (error) {
+    console.error('❌ Error sending cancellation SMS:', describeError(error));
+    return { success: false, error: describeError(error) };
+  }
+};
+
+// ========================================
+// Send Reminder via SMS
+// ========================================
+// minutesBefore: set for the extra reminders shortly before the slot
+exports.sendReminderNotification = async (booking, { minutesBefore = null } = {}) => {
+  try {
+    console.log('💬 Sending reminder SMS to:', booking.customerDetails.phone);
+
+    return await sendTemplate(booking.customerDetails.phone, 'booking-reminder', { booking, minutesBefore }, booking.preferredLanguage);
+
+  } catch (error) {
+    console.error('❌ Error sending reminder SMS:', describeError(error));
+    return { success: false, error: describeError(error) };
+  }
+};
+
+// ========================================
+// Send OTP via SMS
+// ========================================
+// Sent straight away (not through the outbox) - throws on failure so the
+// caller can tell the customer.
+exports.sendOtp = async (phone, { code, purpose, validMinutes, locale }) => {
+  console.log('💬 Sending OTP SMS to:', phone);
+
+  return sendTemplate(phone, 'otp', { code, purpose, validMinutes }, locale);
+};
+
+// ========================================
+// Render + send through the configured provider
+// ========================================
+async function sendTemplate(phone, templateKey, data, locale) {
+  const provider = smsProviders.getProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`SMS provider "${provider.name}" is not configured`);
+  }
+
+  // Fall back to English when the language has no DLT registration
+  let message = messageTemplates.render(templateKey, 'sms', data, locale);
+  let dltTemplateId = getDltTemplateId(message.dltKey, message.locale);
+  if (!dltTemplateId && message.locale !== DEFAULT_LOCALE) {
+    message = messageTemplates.render(templateKey, 'sms', data, DEFAULT_LOCALE);
+    dltTemplateId = getDltTemplateId(message.dltKey, DEFAULT_LOCALE);
+  }
+
+  if (!dltTemplateId && provider.requiresDlt) {
+    throw new Error(`No DLT template ID configured (SMS_DLT_TEMPLATE_${message.dltKey.toUpperCase()})`);
+  }
+
+  const result = await provider.send({
+    to: formatPhoneNumber(phone),
+    text: message.text,
+    dltTemplateId
+  });
+
+  console.log(`✅ SMS sent via ${provider.name}:`, result.messageId);
+  return result;
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function getDltTemplateId(dltKey, locale) {
+  const name = `SMS_DLT_TEMPLATE_${dltKey.toUpperCase()}`;
+  return resolveLocale(locale) === DEFAULT_LOCALE
+    ? process.env[name] || null
+    : process.env[`${name}_${locale.toUpperCase()}`] || null;
+}
+
+// 10-digit Indian mobile number (country code / spaces removed)
+function formatPhoneNumber(phone) {
+  let cleaned = String(phone).replace(/\D/g, '');
+
+  if (cleaned.startsWith('91') && cleaned.length === 12) {
+    cleaned = cleaned.substring(2);
+  }
+
+  if (cleaned.length !== 10) {
+    throw new Error('Invalid phone number format');
+  }
+
+  return cleaned;
+}
+
+// Provider errors carry the useful part in the response body
+function describeError(error) {
+  const details = error.response && error.response.data;
+  if (details) {
+    return `${error.message}: ${typeof details === 'string' ? details : JSON.stringify(details)}`;
+  }
+  return error.message;
+}
+
+// ========================================
+// Test SMS Connection
+// ========================================
+exports.testSmsConnection = async () => {
+  try {
+    const provider = smsProviders.getProvider();
+
+    if (!provider.isConfigured()) {
+      console.log(`⚠️ SMS provider "${provider.name}" is not configured`);
+      return false;
+    }
+
+    console.log('✅ SMS provider:', provider.name);
+    return true;
+
+  } catch (error) {
+    console.error('❌ SMS test failed:', error.message);
+    return false;
+  }
+};
@@ -0,0 +1,100 @@
+const TaxRate = require('../models/TaxRate');
+const taxConfig = require('../config/tax');
+
+// ========================================
+// Tax Service (GST)
+// ========================================
+// Intra-state supplies are taxed as CGST + SGST (half the rate each),
+// inter-state supplies as IGST. A customer without a state is treated as
+// local.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase();
+
+exports.isInterState = (customerState) => {
+  const clubState = normalizeState(taxConfig.CLUB_STATE);
+  const state = normalizeState(customerState);
+
+  return !!clubState && !!state && clubState !== state;
+};
+
+// GST rate, HSN/SAC code and pricing mode of a category
+exports.getTaxRate = async (category) => {
+  const rate = category ? await TaxRate.findOne({ category }) : null;
+
+  if (!rate) {
+    return {
+      hsnSacCode: taxConfig.DEFAULT_SAC_CODE,
+      gstRate: taxConfig.DEFAULT_GST_RATE,
+      priceIncludesTax: taxConfig.DEFAULT_PRICE_INCLUDES_TAX
+    };
+  }
+
+  return {
+    hsnSacCode: rate.hsnSacCode,
+    gstRate: rate.gstRate,
+    priceIncludesTax: rate.priceIncludesTax
+  };
+};
+
+// Split a tax amount into CGST/SGST or IGST
+const buildTaxDetails = (taxableAmount, totalTax, { hsnSacCode, gstRate, priceIncludesTax, isInterState, placeOfSupply }) => {
+  const cgstAmount = isInterState ? 0 : roundAmount(totalTax / 2);
+
+  return {
+    hsnSacCode,
+    gstRate,
+    priceIncludesTax,
+    isInterState,
+    placeOfSupply: placeOfSupply || taxConfig.CLUB_STATE || null,
+    taxableAmount,
+    cgstRate: isInterState ? 0 : gstRate / 2,
+    cgstAmount,
+    sgstRate: isInterState ? 0 : gstRate / 2,
+    sgstAmount: isInterState ? 0 : roundAmount(totalTax - cgstAmount),
+    igstRate: isInterState ? gstRate : 0,
+    igstAmount: isInterState ? totalTax : 0,
+    totalTax
+  };
+};
+
+// Breakdown of an amount that already includes GST
+exports.breakdownFromGross = (grossAmount, rate) => {
+  const taxableAmount = roundAmount(grossAmount * 100 / (100 + rate.gstRate));
+  return buildTaxDetails(taxableAmount, roundAmount(grossAmount - taxableAmount), rate);
+};
+
+// ========================================
+// Tax for a booking amount
+// ========================================
+// amount: price after all discounts. Returns { grossAmount, taxDetails }
+// where grossAmount is what the customer pays.
+exports.computeTax = async ({ category, amount, customerState }) => {
+  const rate = {
+    ...(await exports.getTaxRate(category)),
+    isInterState: exports.isInterState(customerState),
+    placeOfSupply: customerState ? String(customerState).trim() : null
+  };
+
+  if (rate.priceIncludesTax) {
+    const grossAmount = roundAmount(amount);
+    return { grossAmount, taxDetails: exports.breakdownFromGross(grossAmount, rate) };
+  }
+
+  const taxableAmount = roundAmount(amount);
+  const totalTax = roundAmount(taxableAmount * rate.gstRate / 100);
+
+  return {
+    grossAmount: roundAmount(taxableAmount + totalTax),
+    taxDetails: buildTaxDetails(taxableAmount, totalTax, rate)
+  };
+};
+
+// Amount the customer pays for a pre-tax price difference (e.g. reschedule)
+exports.addTax = (amount, taxDetails) => {
+  if (!taxDetails || taxDetails.priceIncludesTax !== false) {
+    return roundAmount(amount);
+  }
+  return roundAmount(amount * (100 + taxDetails.gstRate) / 100);
+};
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const inventoryService = require('./inventoryService');
+const holdService = require('./holdService');
+const sequenceService = require('./sequenceService');
+const notificationService = require('./notificationService');
+const taxService = require('./taxService');
+const { getSlotStart, toDateKey } = require('../config/timezone');
+const { DEFAULT_LOCALE } = require('../config/locale');
+
+// ========================================
+// Waitlist Service
+// ========================================
+// Customers join the waitlist of a sold-out date/slot. Whenever spots are
+// released the oldest entries that fit are offered the seats: the spots
+// are reserved for them and they get a time-limited link that turns the
+// offer into a held booking. Lapsed offers go to the next entry.
+
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+// Error with an HTTP status for the controller
+const waitlistError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Inventory events already carry the 'YYYY-MM-DD' key
+const dateKeyOf = (date) => {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : toDateKey(date);
+};
+
+const slotFilter = (activityId, date, slot) => ({
+  activity: activityId,
+  date: dateKeyOf(date),
+  'selectedTimeSlot.startTime': slot.startTime,
+  'selectedTimeSlot.endTime': slot.endTime
+});
+
+// ========================================
+// Join the waitlist
+// ========================================
+// selection: { requestedDate, timeSlot } from bookingValidationService
+exports.joinWaitlist = async (activity, selection, { numberOfParticipants, customerDetails, participants = [], preferredLanguage }) => {
+  const { requestedDate, timeSlot } = selection;
+  const partySize = Number(numberOfParticipants);
+  const email = customerDetails.email.toLowerCase().trim();
+
+  // Only sold-out slots have a waitlist
+  const inventory = await inventoryService.getSlotInventory(activity, requestedDate, timeSlot);
+  if (inventory.availableSpots >= partySize) {
+    throw waitlistError('Spots are available for this slot. Please book directly.', 409);
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    ...slotFilter(activity._id, requestedDate, timeSlot),
+    'customerDetails.email': email,
+    status: { $in: ['Waiting', 'Offered'] }
+  });
+  if (existing) {
+    throw waitlistError('You are already on the waitlist for this slot', 409);
+  }
+
+  const entry = await WaitlistEntry.create({
+    activity: activity._id,
+    bookingDate: requestedDate,
+    date: dateKeyOf(requestedDate),
+    selectedTimeSlot: {
+      startTime: timeSlot.startTime,
+      endTime: timeSlot.endTime
+    },
+    numberOfParticipants: partySize,
+    participants,
+    customerDetails: {
+      name: customerDetails.name.trim(),
+      email,
+      phone: customerDetails.phone.trim(),
+      address: customerDetails.address.trim()
+    },
+    preferredLanguage: preferredLanguage || DEFAULT_LOCALE
+  });
+
+  const position = await WaitlistEntry.countDocuments({
+    ...slotFilter(activity._id, requestedDate, timeSlot),
+    status: 'Waiting',
+    createdAt: { $lte: entry.createdAt }
+  });
+
+  console.log('📝 Added to waitlist:', entry._id, `position ${position}`);
+  return { entry, position };
+};
+
+// ========================================
+// Offer released spots to the waitlist
+// ========================================
+// Walks the waiting entries oldest first and offers every entry whose party
+// still fits. Returns the number of offers made.
+const offerSpots = async (activityId, date, slot) => {
+  const activity = await Activity.findById(activityId);
+  if (!activity || activity.status !== 'Active' || !activity.isAvailable) {
+    return 0;
+  }
+
+  const waiting = await WaitlistEntry.find({
+    ...slotFilter(activityId, date, slot),
+    status: 'Waiting'
+  }).sort({ createdAt: 1 });
+
+  if (waiting.length === 0) {
+    return 0;
+  }
+
+  // Nothing to offer once the slot has started
+  if (getSlotStart(waiting[0].bookingDate, slot) <= new Date()) {
+    return 0;
+  }
+
+  let available = (await inventoryService.getSlotInventory(activity, waiting[0].bookingDate, slot)).availableSpots;
+  let offered = 0;
+
+  for (const entry of waiting) {
+    if (available <= 0) break;
+    if (entry.numberOfParticipants > available) continue;
+
+    const inventory = await inventoryService.reserveSpots(
+      activity,
+      entry.bookingDate,
+      entry.selectedTimeSlot,
+      entry.numberOfParticipants
+    );
+
+    if (!inventory) {
+      // Someone booked in between - re-read and try the next entry
+      available = (await inventoryService.getSlotInventory(activity, entry.bookingDate, slot)).availableSpots;
+      continue;
+    }
+    available = inventory.availableSpots;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const offerExpiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+
+    const offeredEntry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'Waiting' },
+      {
+        $set: {
+          status: 'Offered',
+          offerTokenHash: hashToken(token),
+          offeredAt: new Date(),
+          offerExpiresAt,
+          spotsHeld: true
+        }
+      },
+      { new: true }
+    );
+
+    if (!offeredEntry) {
+      // Entry was cancelled meanwhile
+      await inventoryService.releaseSpots(activity._id, entry.bookingDate, entry.selectedTimeSlot, entry.numberOfParticipants);
+      continue;
+    }
+
+    const offer = {
+      activityTitle: activity.title,
+      venue: activity.venue,
+      offerUrl: `${process.env.FRONTEND_URL}/waitlist/offer/${token}`,
+      offerExpiresAt
+    };
+
+    await notificationService.notifyWaitlistOffer(offeredEntry, offer);
+
+    console.log('🎟️ Waitlist offer sent:', offeredEntry._id);
+    offered++;
+  }
+
+  return offered;
+};
+
+// Offers for one slot run one at a time (releases can arrive in bursts)
+const slotQueues = new Map();
+
+exports.offerReleasedSpots = (activityId, date, slot) => {
+  const key = `${activityId}|${dateKeyOf(date)}|${slot.startTime}|${slot.endTime}`;
+  const previous = slotQueues.get(key) || Promise.resolve();
+
+  const next = previous
+    .then(() => offerSpots(activityId, date, slot))
+    .catch(error => {
+      console.error('❌ Waitlist offer error:', error);
+      return 0;
+    });
+
+  slotQueues.set(key, next);
+  next.then(() => {
+    if (slotQueues.get(key) === next) {
+      slotQueues.delete(key);
+    }
+  });
+
+  return next;
+};
+
+// Offer spots whenever the inventory service releases them
+exports.watchInventory = () => {
+  inventoryService.events.on('spotsReleased', ({ activityId, date, startTime, endTime }) => {
+    exports.offerReleasedSpots(activityId, date, { startTime, endTime });
+  });
+};
+
+// ========================================
+// Expire lapsed offers (background job)
+// ========================================
+// Releasing the held spots triggers the offer for the next entry.
+exports.expireLapsedOffers = async (limit = 100) => {
+  const now = new Date();
+
+  const lapsed = await WaitlistEntry.find({
+    status: 'Offered',
+    offerExpiresAt: { $lte: now }
+  })
+    .sort({ offerExpiresAt: 1 })
+    .limit(limit);
+
+  let expiredCount = 0;
+  for (const entry of lapsed) {
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'Offered', offerExpiresAt: { $lte: now } },
+      { $set: { status: 'Expired', spotsHeld: false } },
+      { new: true }
+    );
+
+    if (!expired) continue;
+
+    if (entry.spotsHeld) {
+      await inventoryService.releaseSpots(entry.activity, entry.bookingDate, entry.selectedTimeSlot, entry.numberOfParticipants);
+    }
+
+    console.log('⌛ Waitlist offer expired:', entry._id);
+    expiredCount++;
+  }
+
+  // Entries still waiting for a day that has passed
+  await WaitlistEntry.updateMany(
+    { status: 'Waiting', date: { $lt: toDateKey(now) } },
+    { $set: { status: 'Expired' } }
+  );
+
+  return expiredCount;
+};
+
+// ========================================
+// Look up an offer by its link token
+// ========================================
+exports.findOffer = async (token) => {
+  const entry = await WaitlistEntry.findOne({ offerTokenHash: hashToken(String(token)) })
+    .populate('activity', 'title venue price priceAfterDiscount');
+
+  if (!entry) {
+    throw waitlistError('Offer not found', 404);
+  }
+
+  return entry;
+};
+
+// ========================================
+// Claim an offer - creates a booking holding the offered spots
+// ========================================
+exports.claimOffer = async (token) => {
+  const now = new Date();
+
+  // Claim atomically so the link can only be used once
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    {
+      offerTokenHash: hashToken(String(token)),
+      status: 'Offered',
+      offerExpiresAt: { $gt: now }
+    },
+    { $set: { status: 'Converted', convertedAt: now } },
+    { new: true }
+  );
+
+  if (!entry) {
+    const existing = await WaitlistEntry.findOne({ offerTokenHash: hashToken(String(token)) });
+    if (!existing) {
+      throw waitlistError('Offer not found', 404);
+    }
+    if (existing.status === 'Converted') {
+      throw waitlistError('This offer has already been used', 409);
+    }
+    throw waitlistError('This offer has expired', 410);
+  }
+
+  try {
+    const activity = await Activity.findById(entry.activity);
+    if (!activity) {
+      throw waitlistError('Activity not found', 404);
+    }
+
+    const participants = entry.numberOfParticipants;
+    const pricePerPerson = activity.priceAfterDiscount || activity.price;
+    const totalAmount = pricePerPerson * participants;
+    const { grossAmount, taxDetails } = await taxService.computeTax({
+      category: activity.category,
+      amount: totalAmount
+    });
+
+    // The offered spots move over to the booking (no new reservation)
+    const booking = await Booking.create({
+      bookingNumber: await sequenceService.generateBookingNumber(),
+      activity: activity._id,
+      customerDetails: entry.customerDetails,
+      preferredLanguage: entry.preferredLanguage,
+      bookingDate: entry.bookingDate,
+      selectedTimeSlot: entry.selectedTimeSlot,
+      numberOfParticipants: participants,
+      participants: entry.participants,
+      pricePerPerson,
+      totalAmount,
+      discountAmount: (activity.price - pricePerPerson) * participants,
+      finalAmount: grossAmount,
+      taxDetails,
+      bookingStatus: 'Initiated',
+      paymentStatus: 'Pending',
+      spotsHeld: true,
+      holdExpiresAt: holdService.getHoldExpiry(),
+      activitySnapshot: {
+        title: activity.title,
+        venue: activity.venue,
+        address: activity.address,
+        city: activity.city,
+        thumbnailImage: activity.thumbnailImage
+      }
+    });
+
+    entry.booking = booking._id;
+    entry.spotsHeld = false;
+    await entry.save();
+
+    console.log('✅ Waitlist offer converted to booking:', booking.bookingNumber);
+    return { entry, booking, activity };
+
+  } catch (error) {
+    // Put the offer back so it can be retried (or expire normally)
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'Converted', booking: null },
+      { $set: { status: 'Offered', convertedAt: null } }
+    );
+    throw error;
+  }
+};
+
+// ========================================
+// Waitlist length per date/slot (admin panel)
+// ========================================
+exports.getWaitlistSummary = async (activityId, { date } = {}) => {
+  const match = {
+    activity: new mongoose.Types.ObjectId(String(activityId)),
+    status: { $in: ['Waiting', 'Offered'] }
+  };
+  if (date) {
+    match.date = dateKeyOf(date);
+  } else {
+    match.date = { $gte: toDateKey(new Date()) };
+  }
+
+  const summary = await WaitlistEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          date: '$date',
+          startTime: '$selectedTimeSlot.startTime',
+          endTime: '$selectedTimeSlot.endTime'
+        },
+        waitingEntries: { $sum: { $cond: [{ $eq: ['$status', 'Waiting'] }, 1, 0] } },
+        waitingParticipants: { $sum: { $cond: [{ $eq: ['$status', 'Waiting'] }, '$numberOfParticipants', 0] } },
+        offeredEntries: { $sum: { $cond: [{ $eq: ['$status', 'Offered'] }, 1, 0] } },
+        oldestEntryAt: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { '_id.date': 1, '_id.startTime': 1 } }
+  ]);
+
+  return summary.map(({ _id, ...counts }) => ({ ..._id, ...counts }));
+};
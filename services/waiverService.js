@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const WaiverTemplate = require('../models/WaiverTemplate');
+const SignedWaiver = require('../models/SignedWaiver');
+const { CLUB_TIMEZONE } = require('../config/timezone');
+
+// ========================================
+// Waiver Service
+// ========================================
+// Activities with an active waiver template need one signed waiver per
+// participant before check-in. Customers sign from a link in the
+// confirmation email (typed name + consent checkbox); the link carries an
+// HMAC of the booking ID so it can be re-sent at any time.
+
+const ADULT_AGE = 18;
+
+// Error with an HTTP status for the controller
+const waiverError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getSecret = () => process.env.WAIVER_SECRET || process.env.JWT_SECRET;
+
+const sign = (bookingId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`waiver:${bookingId}`)
+  .digest('base64url');
+
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: CLUB_TIMEZONE,
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// ========================================
+// Signing link
+// ========================================
+exports.getWaiverToken = (booking) => {
+  const bookingId = booking._id.toString();
+  return `${bookingId}.${sign(bookingId)}`;
+};
+
+exports.getWaiverUrl = (booking) => {
+  return `${process.env.FRONTEND_URL}/waiver/${exports.getWaiverToken(booking)}`;
+};
+
+// Returns the booking ID the token was issued for
+exports.verifyWaiverToken = (token) => {
+  const [bookingId, signature] = String(token || '').split('.');
+  if (!bookingId || !signature) {
+    throw waiverError('Invalid waiver link', 404);
+  }
+
+  const expected = Buffer.from(sign(bookingId));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw waiverError('Invalid waiver link', 404);
+  }
+
+  return bookingId;
+};
+
+// ========================================
+// Templates
+// ========================================
+exports.getActiveTemplate = async (activityId) => {
+  return WaiverTemplate.findOne({ activity: activityId, isActive: true }).sort({ version: -1 });
+};
+
+// Publishes a new version and retires the previous ones
+exports.saveTemplate = async (activityId, { title, content, enforcement }, userId) => {
+  const latest = await WaiverTemplate.findOne({ activity: activityId }).sort({ version: -1 }).select('version');
+
+  const template = await WaiverTemplate.create({
+    activity: activityId,
+    version: latest ? latest.version + 1 : 1,
+    title,
+    content,
+    enforcement,
+    createdBy: userId
+  });
+
+  await WaiverTemplate.updateMany(
+    { activity: activityId, _id: { $ne: template._id }, isActive: true },
+    { $set: { isActive: false } }
+  );
+
+  console.log(`📝 Waiver v${template.version} published for activity ${activityId}`);
+  return template;
+};
+
+// Activity no longer requires waivers
+exports.deactivateTemplates = async (activityId) => {
+  const result = await WaiverTemplate.updateMany(
+    { activity: activityId, isActive: true },
+    { $set: { isActive: false } }
+  );
+  return result.modifiedCount;
+};
+
+// ========================================
+// Who has to sign
+// ========================================
+// One entry per participant; bookings without a roster get numbered
+// placeholders and the signer provides the name.
+exports.getSignatories = (booking) => {
+  if (booking.participants && booking.participants.length > 0) {
+    return booking.participants.map((participant, index) => ({
+      participantIndex: index,
+      name: participant.name,
+      age: participant.age
+    }));
+  }
+
+  return Array.from({ length: booking.numberOfParticipants }, (_, index) => ({
+    participantIndex: index,
+    name: null,
+    age: null
+  }));
+};
+
+// ========================================
+// Waiver status of a booking
+// ========================================
+exports.getWaiverStatus = async (booking) => {
+  const activityId = booking.activity._id || booking.activity;
+  const template = await exports.getActiveTemplate(activityId);
+
+  if (!template) {
+    return { required: false, complete: true, signed: [], missing: [] };
+  }
+
+  const signed = await SignedWaiver.find({ booking: booking._id })
+    .select('participantIndex participantName signerName signedAsGuardian templateVersion signedAt')
+    .sort({ participantIndex: 1 });
+  const signedIndexes = new Set(signed.map(waiver => waiver.participantIndex));
+  const missing = exports.getSignatories(booking).filter(person => !signedIndexes.has(person.participantIndex));
+
+  return {
+    required: true,
+    complete: missing.length === 0,
+    enforcement: template.enforcement,
+    template,
+    signed,
+    missing
+  };
+};
+
+// Check-in gate for the arriving participants: { allowed, warning, missing }
+// Roster positions must each have signed; with a plain head count there
+// must be a signed waiver for everyone let in so far.
+exports.checkWaiversForCheckIn = async (booking, { count, participantIndexes } = {}) => {
+  const status = await exports.getWaiverStatus(booking);
+
+  let missing = [];
+  if (!status.complete) {
+    if (participantIndexes) {
+      missing = status.missing.filter(person => participantIndexes.includes(person.participantIndex));
+    } else {
+      const shortfall = (booking.checkedInCount || 0) + count - status.signed.length;
+      missing = shortfall > 0 ? status.missing.slice(0, shortfall) : [];
+    }
+  }
+
+  if (missing.length === 0) {
+    return { allowed: true, warning: null, missing };
+  }
+
+  return {
+    allowed: status.enforcement !== 'Block',
+    warning: `${missing.length} arriving participant(s) have not signed the waiver`,
+    missing
+  };
+};
+
+// ========================================
+// Sign waivers
+// ========================================
+// signatures: [{ participantIndex, participantName?, signerName, accepted }]
+exports.signWaivers = async (booking, signatures, { ipAddress, userAgent } = {}) => {
+  if (booking.bookingStatus !== 'Confirmed' || booking.checkedIn) {
+    throw waiverError('Waivers can only be signed for confirmed bookings before check-in');
+  }
+
+  if (!Array.isArray(signatures) || signatures.length === 0) {
+    throw waiverError('At least one signature is required');
+  }
+
+  const status = await exports.getWaiverStatus(booking);
+  if (!status.required) {
+    throw waiverError('This activity does not require a waiver');
+  }
+
+  const missingByIndex = new Map(status.missing.map(person => [person.participantIndex, person]));
+  const seen = new Set();
+  const documents = [];
+
+  for (const signature of signatures) {
+    const index = Number(signature.participantIndex);
+    const person = missingByIndex.get(index);
+
+    if (!person) {
+      if (seen.has(index)) {
+        throw waiverError(`Participant ${index + 1} is listed more than once`);
+      }
+      if (status.signed.some(waiver => waiver.participantIndex === index)) {
+        throw waiverError(`Waiver already signed for participant ${index + 1}`, 409);
+      }
+      throw waiverError(`Invalid participant ${signature.participantIndex}`);
+    }
+    seen.add(index);
+    missingByIndex.delete(index);
+
+    if (signature.accepted !== true) {
+      throw waiverError(`Participant ${index + 1}: the waiver terms must be accepted`);
+    }
+
+    const participantName = person.name || String(signature.participantName || '').trim();
+    const signerName = String(signature.signerName || '').trim();
+    if (!participantName) {
+      throw waiverError(`Participant ${index + 1}: name is required`);
+    }
+    if (!signerName) {
+      throw waiverError(`Participant ${index + 1}: type your full name to sign`);
+    }
+
+    // Minors are signed for by a parent / guardian
+    const isMinor = person.age !== null && person.age < ADULT_AGE;
+    if (!isMinor && normalizeName(signerName) !== normalizeName(participantName)) {
+      throw waiverError(`Participant ${index + 1}: typed name must match "${participantName}"`);
+    }
+
+    documents.push({
+      booking: booking._id,
+      activity: booking.activity._id || booking.activity,
+      template: status.template._id,
+      templateVersion: status.template.version,
+      title: status.template.title,
+      content: status.template.content,
+      participantIndex: index,
+      participantName,
+      participantAge: person.age,
+      signerName,
+      signedAsGuardian: isMinor,
+      accepted: true,
+      signedAt: new Date(),
+      ipAddress,
+      userAgent
+    });
+  }
+
+  let waivers;
+  try {
+    waivers = await SignedWaiver.insertMany(documents);
+  } catch (error) {
+    // Signed concurrently from another device
+    if (error.code === 11000) {
+      throw waiverError('Some of these waivers have already been signed', 409);
+    }
+    throw error;
+  }
+
+  console.log(`✍️ ${waivers.length} waiver(s) signed for ${booking.bookingNumber}`);
+  return { waivers, remaining: missingByIndex.size };
+};
+
+// ========================================
+// Signed waivers as PDF (one page per participant)
+// ========================================
+// Resolves with the PDF as a Buffer.
+exports.generateWaiverPDF = (booking, waivers) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    waivers.forEach((waiver, index) => {
+      if (index > 0) doc.addPage();
+
+      doc.fontSize(16).font('Helvetica-Bold').text(waiver.title, { align: 'center' });
+      doc.fontSize(9).font('Helvetica').text(`Version ${waiver.templateVersion}`, { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(9);
+      doc.text(`Booking No: ${booking.bookingNumber}`);
+      doc.text(`Activity: ${booking.activitySnapshot?.title || '-'}`);
+      doc.text(`Date: ${formatDateTime(booking.bookingDate)}, ${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}`);
+      doc.text(`Participant: ${waiver.participantName}${waiver.participantAge !== null ? ` (age ${waiver.participantAge})` : ''}`);
+      doc.moveDown();
+
+      doc.fontSize(10).text(waiver.content, { align: 'justify' });
+      doc.moveDown(2);
+
+      doc.fontSize(10).font('Helvetica-Bold').text('Electronic Signature');
+      doc.fontSize(9).font('Helvetica');
+      doc.text(`Signed by: ${waiver.signerName}${waiver.signedAsGuardian ? ' (parent / guardian)' : ''}`);
+      doc.text('Terms accepted: Yes');
+      doc.text(`Signed at: ${formatDateTime(waiver.signedAt)} (${CLUB_TIMEZONE})`);
+      doc.text(`IP address: ${waiver.ipAddress || '-'}`);
+      if (waiver.userAgent) doc.text(`Device: ${waiver.userAgent}`);
+    });
+
+    doc.end();
+  });
+};
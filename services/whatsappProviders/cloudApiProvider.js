@@ -0,0 +1,121 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const FormData = require('form-data');
+
+// ========================================
+// WhatsApp Cloud API (Meta)
+// ========================================
+// WHATSAPP_CLOUD_PHONE_NUMBER_ID, WHATSAPP_CLOUD_ACCESS_TOKEN
+// WHATSAPP_CLOUD_API_VERSION   default 'v21.0'
+// WHATSAPP_TEMPLATE_LANGUAGE   used when a message has no language (default 'en')
+// Business-initiated messages must use approved templates. Every message
+// comes with one (name overridable per message, see whatsappService); the
+// QR is uploaded to Meta's media endpoint and sent as the template's image
+// header. Free text is only used for messages without a template.
+// Replies: subscribe the app's webhook (messages field) to
+// /api/preferences/inbound/whatsapp with WHATSAPP_CLOUD_VERIFY_TOKEN;
+// deliveries are signed with WHATSAPP_CLOUD_APP_SECRET.
+
+const apiUrl = () => `https://graph.facebook.com/${process.env.WHATSAPP_CLOUD_API_VERSION || 'v21.0'}/${process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID}`;
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.WHATSAPP_CLOUD_ACCESS_TOKEN}` });
+
+exports.name = 'cloud';
+
+exports.isConfigured = () => Boolean(
+  process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID && process.env.WHATSAPP_CLOUD_ACCESS_TOKEN
+);
+
+exports.send = async ({ to, text, template, media }) => {
+  const mediaId = media ? await uploadMedia(media) : null;
+
+  const message = {
+    messaging_product: 'whatsapp',
+    to: `91${to}`
+  };
+
+  if (template) {
+    const components = [];
+    if (mediaId) {
+      components.push({ type: 'header', parameters: [{ type: 'image', image: { id: mediaId } }] });
+    }
+    if (template.parameters && template.parameters.length > 0) {
+      components.push({
+        type: 'body',
+        parameters: template.parameters.map(value => ({ type: 'text', text: String(value) }))
+      });
+    }
+
+    message.type = 'template';
+    message.template = {
+      name: template.name,
+      language: { code: template.language || process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+      components
+    };
+  } else if (mediaId) {
+    message.type = 'image';
+    message.image = { id: mediaId, caption: text };
+  } else {
+    message.type = 'text';
+    message.text = { body: text };
+  }
+
+  const response = await axios.post(`${apiUrl()}/messages`, message, {
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' }
+  });
+
+  return { success: true, messageId: response.data.messages?.[0]?.id || null };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+// Webhook subscription check (GET): returns the challenge to echo, or null
+exports.verifySubscription = (query) => {
+  const verifyToken = process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+  if (!verifyToken || query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== verifyToken) {
+    return null;
+  }
+  return query['hub.challenge'];
+};
+
+// X-Hub-Signature-256: HMAC-SHA256 (app secret) of the raw body
+exports.verifyInbound = (req) => {
+  if (!process.env.WHATSAPP_CLOUD_APP_SECRET || !req.rawBody) return false;
+
+  const expected = `sha256=${crypto.createHmac('sha256', process.env.WHATSAPP_CLOUD_APP_SECRET).update(req.rawBody).digest('hex')}`;
+  const received = Buffer.from(String(req.headers['x-hub-signature-256'] || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(Buffer.from(expected), received);
+};
+
+// -> [{ from, text }] (delivery status updates carry no messages)
+exports.parseInbound = (req) => {
+  const messages = [];
+
+  for (const entry of (req.body && req.body.entry) || []) {
+    for (const change of entry.changes || []) {
+      for (const message of (change.value && change.value.messages) || []) {
+        const text = message.text?.body || message.button?.text || message.interactive?.button_reply?.title;
+        if (text) messages.push({ from: message.from, text });
+      }
+    }
+  }
+
+  return messages;
+};
+
+// ========================================
+// HELPER: Upload media, returns its media ID
+// ========================================
+async function uploadMedia(media) {
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', media.mimeType);
+  form.append('file', media.data, { filename: media.filename, contentType: media.mimeType });
+
+  const response = await axios.post(`${apiUrl()}/media`, form, {
+    headers: { ...authHeaders(), ...form.getHeaders() }
+  });
+
+  return response.data.id;
+}
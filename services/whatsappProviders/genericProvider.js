@@ -0,0 +1,71 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { uploadBufferToCloudinary, isCloudinaryConfigured } = require('../../config/cloudinary');
+
+// ========================================
+// Generic HTTP provider (Gupshup, Interakt, WATI, Msg91 ...)
+// ========================================
+// WHATSAPP_API_URL, WHATSAPP_API_KEY (sent as a Bearer token)
+// Posts { phone, message, mediaUrl? }. Most of these services take media
+// by URL, so the QR is uploaded to Cloudinary when it is configured.
+// Replies: the service (or an adapter) posts { from, text } to
+// /api/preferences/inbound/whatsapp with the X-Webhook-Secret header set to
+// WHATSAPP_WEBHOOK_SECRET.
+
+exports.name = 'generic';
+
+exports.isConfigured = () => Boolean(process.env.WHATSAPP_API_URL && process.env.WHATSAPP_API_KEY);
+
+exports.send = async ({ to, text, media }) => {
+  const body = {
+    phone: `91${to}`,
+    message: text
+  };
+
+  let note = null;
+  if (media) {
+    if (isCloudinaryConfigured()) {
+      body.mediaUrl = await uploadBufferToCloudinary(media.data, {
+        publicId: `${media.filename.replace(/\.\w+$/, '')}-${crypto.randomBytes(8).toString('hex')}`
+      });
+    } else {
+      note = 'QR not attached - Cloudinary not configured';
+    }
+  }
+
+  const response = await axios.post(process.env.WHATSAPP_API_URL, body, {
+    headers: {
+      Authorization: `Bearer ${process.env.WHATSAPP_API_KEY}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return {
+    success: true,
+    messageId: response.data?.messageId || response.data?.id || null,
+    note
+  };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+exports.verifyInbound = (req) => {
+  return Boolean(process.env.WHATSAPP_WEBHOOK_SECRET) &&
+    safeEqual(process.env.WHATSAPP_WEBHOOK_SECRET, req.headers['x-webhook-secret']);
+};
+
+// -> [{ from, text }]
+exports.parseInbound = (req) => {
+  const { from, text } = req.body || {};
+  return from ? [{ from, text }] : [];
+};
+
+// ========================================
+// HELPER: Constant-time compare
+// ========================================
+function safeEqual(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,55 @@
+const twilioProvider = require('./twilioProvider');
+const cloudApiProvider = require('./cloudApiProvider');
+const genericProvider = require('./genericProvider');
+const mockProvider = require('./mockProvider');
+
+// ========================================
+// WhatsApp provider selection
+// ========================================
+// WHATSAPP_PROVIDER = twilio | cloud | generic | mock (default mock).
+// The older WHATSAPP_SERVICE values still work: 'twilio', 'business-api'
+// (= cloud); a WHATSAPP_API_URL + WHATSAPP_API_KEY alone means generic.
+//
+// Every provider exports:
+//   name
+//   isConfigured() -> boolean
+//   send({ to, text, template?, media? }) -> { success, messageId, note? }
+//     to        10-digit number (the provider adds +91)
+//     text      full message text
+//     template  { name, language, parameters } - used by providers that need
+//               pre-approved templates (Cloud API)
+//     media     { data: Buffer, mimeType, filename } - the QR code
+//   and throws when the provider rejects the message.
+//   verifyInbound(req) -> boolean   reply webhook is really from the provider
+//   parseInbound(req) -> [{ from, text }]   customer replies (STOP / START)
+
+const PROVIDERS = {
+  twilio: twilioProvider,
+  cloud: cloudApiProvider,
+  generic: genericProvider,
+  mock: mockProvider
+};
+
+const LEGACY_SERVICE_NAMES = {
+  twilio: 'twilio',
+  'business-api': 'cloud'
+};
+
+const getProviderName = () => {
+  if (process.env.WHATSAPP_PROVIDER) return process.env.WHATSAPP_PROVIDER;
+  if (LEGACY_SERVICE_NAMES[process.env.WHATSAPP_SERVICE]) return LEGACY_SERVICE_NAMES[process.env.WHATSAPP_SERVICE];
+  if (genericProvider.isConfigured()) return 'generic';
+  return 'mock';
+};
+
+// Selected provider (throws on an unknown name)
+exports.getProvider = () => {
+  const name = getProviderName();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown WhatsApp provider "${name}" - use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return provider;
+};
@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// ========================================
+// Mock provider (development)
+// ========================================
+// Nothing is sent. Messages are printed to the console and, with
+// WHATSAPP_MOCK_DIR set, written there as <id>.json (+ <id>.png for the QR)
+// so they can be inspected.
+
+exports.name = 'mock';
+
+exports.isConfigured = () => true;
+
+exports.send = async ({ to, text, template, media }) => {
+  const messageId = `mock-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+  console.log(`📱 [mock WhatsApp] to ${to}${template ? ` (template ${template.name})` : ''}${media ? ' + QR' : ''}:`);
+  console.log(text);
+
+  const dir = process.env.WHATSAPP_MOCK_DIR;
+  if (dir) {
+    await fs.mkdir(dir, { recursive: true });
+    if (media) {
+      await fs.writeFile(path.join(dir, `${messageId}.png`), media.data);
+    }
+    await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify({
+      messageId,
+      to,
+      text,
+      template: template || null,
+      media: media ? `${messageId}.png` : null,
+      createdAt: new Date()
+    }, null, 2));
+  }
+
+  return { success: true, messageId, note: 'Mock WhatsApp provider - not delivered' };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+// Simulate a reply: POST /api/preferences/inbound/whatsapp { from, text }
+// (not accepted in production)
+exports.verifyInbound = () => process.env.NODE_ENV !== 'production';
+
+// -> [{ from, text }]
+exports.parseInbound = (req) => {
+  const { from, text } = req.body || {};
+  return from ? [{ from, text }] : [];
+};
@@ -0,0 +1,80 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { uploadBufferToCloudinary, isCloudinaryConfigured } = require('../../config/cloudinary');
+
+// ========================================
+// Twilio WhatsApp (REST API, no SDK)
+// ========================================
+// TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN
+// TWILIO_WHATSAPP_NUMBER   e.g. 'whatsapp:+14155238886'
+// Twilio fetches media from a public URL, so the QR is uploaded to
+// Cloudinary first (text only when Cloudinary isn't configured).
+// Replies: point the sender's incoming-message webhook at
+// POST /api/preferences/inbound/whatsapp (TWILIO_WEBHOOK_URL = that URL as
+// entered in Twilio, needed behind a proxy for the signature check).
+
+const API_URL = 'https://api.twilio.com/2010-04-01';
+
+exports.name = 'twilio';
+
+exports.isConfigured = () => Boolean(
+  process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_WHATSAPP_NUMBER
+);
+
+exports.send = async ({ to, text, media }) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+
+  const form = new URLSearchParams({
+    From: process.env.TWILIO_WHATSAPP_NUMBER,
+    To: `whatsapp:+91${to}`,
+    Body: text
+  });
+
+  let note = null;
+  if (media) {
+    if (isCloudinaryConfigured()) {
+      const mediaUrl = await uploadBufferToCloudinary(media.data, {
+        publicId: `${media.filename.replace(/\.\w+$/, '')}-${crypto.randomBytes(8).toString('hex')}`
+      });
+      form.append('MediaUrl', mediaUrl);
+    } else {
+      note = 'QR not attached - Cloudinary not configured';
+    }
+  }
+
+  const response = await axios.post(`${API_URL}/Accounts/${accountSid}/Messages.json`, form, {
+    auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN }
+  });
+
+  return { success: true, messageId: response.data.sid, note };
+};
+
+// ========================================
+// Inbound replies
+// ========================================
+// X-Twilio-Signature: HMAC-SHA1 (auth token) of the URL + sorted form fields
+exports.verifyInbound = (req) => {
+  if (!process.env.TWILIO_AUTH_TOKEN) return false;
+
+  const url = process.env.TWILIO_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const body = req.body || {};
+  const data = Object.keys(body).sort().reduce((signed, key) => signed + key + body[key], url);
+  const expected = crypto.createHmac('sha1', process.env.TWILIO_AUTH_TOKEN).update(data).digest('base64');
+
+  return safeEqual(expected, req.headers['x-twilio-signature']);
+};
+
+// -> [{ from, text }]
+exports.parseInbound = (req) => {
+  const { From, Body } = req.body || {};
+  return From ? [{ from: String(From).replace(/^whatsapp:/, ''), text: Body }] : [];
+};
+
+// ========================================
+// HELPER: Constant-time compare
+// ========================================
+function safeEqual(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
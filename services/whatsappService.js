@@ -1,17 +1,17 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const whatsappProviders = require('./whatsappProviders');
+const messageTemplates = require('./messageTemplates');
+const { resolveLocale, formatDate, formatDateTime, formatCurrency } = require('../config/locale');
 
 // ========================================
-// WhatsApp Configuration
+// WhatsApp Notifications
 // ========================================
-// You can use:
-// 1. Twilio WhatsApp API
-// 2. WhatsApp Business API
-// 3. Third-party services like Gupshup, Interakt, etc.
-
-const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL;
-const WHATSAPP_API_KEY = process.env.WHATSAPP_API_KEY;
-const WHATSAPP_PHONE_NUMBER = process.env.WHATSAPP_PHONE_NUMBER;
+// Messages are sent through the provider selected by WHATSAPP_PROVIDER
+// (Twilio, WhatsApp Cloud API, generic HTTP or a local mock - see
+// whatsappProviders). Each message has its free text plus an approved
+// template (name + body parameters) for providers that require one.
+// Template names default to the keys below and can be overridden with
+// WHATSAPP_TEMPLATE_<KEY>, e.g. WHATSAPP_TEMPLATE_BOOKING_CONFIRMATION.
+// Text and template language follow the customer's preferredLanguage.
 
 // ========================================
 // Send Booking Confirmation via WhatsApp
@@ -20,36 +20,25 @@ exports.sendBookingConfirmation = async (booking) => {
   try {
     console.log('📱 Sending WhatsApp to:', booking.customerDetails.phone);
 
-    // Format phone number (remove +91 if present, add country code)
-    const phoneNumber = formatPhoneNumber(booking.customerDetails.phone);
-
-    // Generate message text
-    const message = generateConfirmationMessage(booking);
-
-    // Method 1: Using Twilio (Most Popular)
-    if (process.env.WHATSAPP_SERVICE === 'twilio') {
-      return await sendViaTwilio(phoneNumber, message, booking.qrImage);
-    }
-
-    // Method 2: Using WhatsApp Business API
-    if (process.env.WHATSAPP_SERVICE === 'business-api') {
-      return await sendViaBusinessAPI(phoneNumber, message, booking.qrImage);
-    }
-
-    // Method 3: Using Third-party service (Generic)
-    if (WHATSAPP_API_URL && WHATSAPP_API_KEY) {
-      return await sendViaGenericAPI(phoneNumber, message, booking.qrImage);
-    }
-
-    // Fallback: Just log (for development)
-    console.log('⚠️ WhatsApp not configured. Message would be:');
-    console.log(message);
-    
-    return { success: true, note: 'WhatsApp not configured (development mode)' };
+    const locale = resolveLocale(booking.preferredLanguage);
+
+    return await sendMessage(booking.customerDetails.phone, {
+      text: messageTemplates.render('booking-confirmation', 'whatsapp', { booking }, locale).text,
+      template: messageTemplate('booking_confirmation', locale, [
+        booking.customerDetails.name,
+        booking.bookingNumber,
+        booking.activitySnapshot.title,
+        formatDate(booking.bookingDate, locale, 'short'),
+        `${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}`,
+        booking.activitySnapshot.venue,
+        booking.numberOfParticipants
+      ]),
+      media: getQRMedia(booking)
+    });
 
   } catch (error) {
-    console.error('❌ Error sending WhatsApp:', error);
-    return { success: false, error: error.message };
+    console.error('❌ Error sending WhatsApp:', describeError(error));
+    return { success: false, error: describeError(error) };
   }
 };
 
@@ -60,235 +49,103 @@ exports.sendCancellationNotification = async (booking) => {
   try {
     console.log('📱 Sending cancellation WhatsApp to:', booking.customerDetails.phone);
 
-    const phoneNumber = formatPhoneNumber(booking.customerDetails.phone);
-    const message = generateCancellationMessage(booking);
+    const locale = resolveLocale(booking.preferredLanguage);
 
-    if (process.env.WHATSAPP_SERVICE === 'twilio') {
-      return await sendViaTwilio(phoneNumber, message);
-    }
-
-    console.log('⚠️ Cancellation message (not sent):', message);
-    return { success: true, note: 'WhatsApp not configured' };
+    return await sendMessage(booking.customerDetails.phone, {
+      text: messageTemplates.render('booking-cancellation', 'whatsapp', { booking }, locale).text,
+      template: messageTemplate('booking_cancellation', locale, [
+        booking.customerDetails.name,
+        booking.bookingNumber,
+        booking.cancellationReason || '-',
+        booking.refundedAmount > 0 ? formatCurrency(booking.refundedAmount, locale) : '-'
+      ])
+    });
 
   } catch (error) {
-    console.error('❌ Error sending cancellation WhatsApp:', error);
-    return { success: false, error: error.message };
+    console.error('❌ Error sending cancellation WhatsApp:', describeError(error));
+    return { success: false, error: describeError(error) };
   }
 };
 
 // ========================================
 // Send Reminder via WhatsApp
 // ========================================
-exports.sendReminderNotification = async (booking) => {
+// minutesBefore: set for the extra reminders shortly before the slot
+exports.sendReminderNotification = async (booking, { minutesBefore = null } = {}) => {
   try {
     console.log('📱 Sending reminder WhatsApp to:', booking.customerDetails.phone);
 
-    const phoneNumber = formatPhoneNumber(booking.customerDetails.phone);
-    const message = generateReminderMessage(booking);
-
-    if (process.env.WHATSAPP_SERVICE === 'twilio') {
-      return await sendViaTwilio(phoneNumber, message, booking.qrImage);
-    }
-
-    console.log('⚠️ Reminder message (not sent):', message);
-    return { success: true, note: 'WhatsApp not configured' };
+    const locale = resolveLocale(booking.preferredLanguage);
+    const { text } = messageTemplates.render('booking-reminder', 'whatsapp', { booking, minutesBefore }, locale);
+    const parameters = [
+      booking.customerDetails.name,
+      booking.activitySnapshot.title,
+      formatDate(booking.bookingDate, locale, 'short'),
+      booking.selectedTimeSlot.startTime,
+      booking.activitySnapshot.venue
+    ];
+
+    return await sendMessage(booking.customerDetails.phone, minutesBefore ? {
+      text,
+      template: messageTemplate('booking_reminder_soon', locale, parameters)
+    } : {
+      text,
+      template: messageTemplate('booking_reminder', locale, parameters),
+      media: getQRMedia(booking)
+    });
 
   } catch (error) {
-    console.error('❌ Error sending reminder WhatsApp:', error);
-    return { success: false, error: error.message };
+    console.error('❌ Error sending reminder WhatsApp:', describeError(error));
+    return { success: false, error: describeError(error) };
   }
 };
 
 // ========================================
-// METHOD 1: Send via Twilio
+// Send Waitlist Offer via WhatsApp
 // ========================================
-async function sendViaTwilio(phoneNumber, message, qrImage = null) {
+// offer: { activityTitle, venue, offerUrl, offerExpiresAt }
+exports.sendWaitlistOfferNotification = async (entry, offer) => {
   try {
-    const accountSid = process.env.TWILIO_ACCOUNT_SID;
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-    const twilioWhatsAppNumber = process.env.TWILIO_WHATSAPP_NUMBER; // e.g., 'whatsapp:+14155238886'
-
-    const twilio = require('twilio')(accountSid, authToken);
-
-    const messageOptions = {
-      from: twilioWhatsAppNumber,
-      to: `whatsapp:+91${phoneNumber}`,
-      body: message
-    };
-
-    // If QR image exists, send as media
-    if (qrImage) {
-      // Convert base64 to URL (you need to upload to cloudinary or temporary storage)
-      // For now, just send text
-      // messageOptions.mediaUrl = ['https://your-domain.com/qr-codes/temp.png'];
-    }
-
-    const response = await twilio.messages.create(messageOptions);
-
-    console.log('✅ Twilio WhatsApp sent:', response.sid);
-    return { success: true, sid: response.sid };
-
-  } catch (error) {
-    console.error('❌ Twilio error:', error);
-    throw error;
-  }
-}
-
-// ========================================
-// METHOD 2: Send via WhatsApp Business API
-// ========================================
-async function sendViaBusinessAPI(phoneNumber, message, qrImage = null) {
-  try {
-    // WhatsApp Business API implementation
-    // This requires WhatsApp Business API setup with Facebook
-    
-    const response = await axios.post(
-      `${WHATSAPP_API_URL}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        to: `91${phoneNumber}`,
-        type: 'text',
-        text: {
-          body: message
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log('✅ WhatsApp Business API sent:', response.data);
-    return { success: true, data: response.data };
+    console.log('📱 Sending waitlist offer WhatsApp to:', entry.customerDetails.phone);
+
+    const locale = resolveLocale(entry.preferredLanguage);
+
+    return await sendMessage(entry.customerDetails.phone, {
+      text: messageTemplates.render('waitlist-offer', 'whatsapp', { entry, offer }, locale).text,
+      template: messageTemplate('waitlist_offer', locale, [
+        entry.customerDetails.name,
+        offer.activityTitle,
+        formatDate(entry.bookingDate, locale, 'short'),
+        `${entry.selectedTimeSlot.startTime} - ${entry.selectedTimeSlot.endTime}`,
+        formatDateTime(offer.offerExpiresAt, locale),
+        offer.offerUrl
+      ])
+    });
 
   } catch (error) {
-    console.error('❌ WhatsApp Business API error:', error);
-    throw error;
+    console.error('❌ Error sending waitlist offer WhatsApp:', describeError(error));
+    return { success: false, error: describeError(error) };
   }
-}
+};
 
 // ========================================
-// METHOD 3: Send via Generic Third-Party API
+// Send via the configured provider
 // ========================================
-async function sendViaGenericAPI(phoneNumber, message, qrImage = null) {
-  try {
-    // Generic implementation for services like:
-    // - Gupshup
-    // - Interakt
-    // - WATI
-    // - Msg91
-    
-    const response = await axios.post(
-      WHATSAPP_API_URL,
-      {
-        phone: `91${phoneNumber}`,
-        message: message,
-        // image: qrImage // if API supports it
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log('✅ WhatsApp sent via generic API');
-    return { success: true, data: response.data };
-
-  } catch (error) {
-    console.error('❌ Generic WhatsApp API error:', error);
-    throw error;
+async function sendMessage(phone, { text, template = null, media = null }) {
+  const provider = whatsappProviders.getProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`WhatsApp provider "${provider.name}" is not configured`);
   }
-}
-
-// ========================================
-// Message Templates
-// ========================================
-
-function generateConfirmationMessage(booking) {
-  return `
-🎉 *Booking Confirmed!*
-
-Hi ${booking.customerDetails.name}! ✨
-
-Your booking has been successfully confirmed.
 
-📋 *Booking Details:*
-━━━━━━━━━━━━━━━━
-🎫 Booking Number: *${booking.bookingNumber}*
-🎯 Activity: ${booking.activitySnapshot.title}
-📍 Venue: ${booking.activitySnapshot.venue}
-📅 Date: ${new Date(booking.bookingDate).toLocaleDateString('en-IN', {
-    weekday: 'long',
-    day: '2-digit',
-    month: 'short',
-    year: 'numeric'
-  })}
-⏰ Time: ${booking.selectedTimeSlot.startTime} - ${booking.selectedTimeSlot.endTime}
-👥 Participants: ${booking.numberOfParticipants}
-💰 Amount Paid: ₹${booking.finalAmount}
-━━━━━━━━━━━━━━━━
+  const result = await provider.send({
+    to: formatPhoneNumber(phone),
+    text,
+    template,
+    media
+  });
 
-⚠️ *IMPORTANT:*
-Please show your QR code (sent via email) at the venue entrance.
-
-📧 Check your email for the QR code and full details.
-
-Need help? Contact us:
-📞 ${process.env.SUPPORT_PHONE || '+91 9876543210'}
-
-See you soon! 🚀
-
-- Team ${process.env.APP_NAME || 'Sports Club'}
-  `.trim();
-}
-
-function generateCancellationMessage(booking) {
-  return `
-❌ *Booking Cancelled*
-
-Hi ${booking.customerDetails.name},
-
-Your booking *${booking.bookingNumber}* has been cancelled.
-
-*Reason:* ${booking.cancellationReason || 'Cancelled by admin'}
-
-If you have any questions, please contact us:
-📞 ${process.env.SUPPORT_PHONE || '+91 9876543210'}
-
-- Team ${process.env.APP_NAME || 'Sports Club'}
-  `.trim();
-}
-
-function generateReminderMessage(booking) {
-  return `
-⏰ *Reminder: Your Booking Tomorrow!*
-
-Hi ${booking.customerDetails.name}! 👋
-
-Just a friendly reminder about your booking:
-
-📋 *Details:*
-━━━━━━━━━━━━━━━━
-🎯 Activity: ${booking.activitySnapshot.title}
-📅 Date: Tomorrow (${new Date(booking.bookingDate).toLocaleDateString('en-IN')})
-⏰ Time: ${booking.selectedTimeSlot.startTime}
-📍 Venue: ${booking.activitySnapshot.venue}
-👥 Participants: ${booking.numberOfParticipants}
-━━━━━━━━━━━━━━━━
-
-✅ *Things to Remember:*
-• Bring your QR code (check email)
-• Arrive 15 minutes early
-• Carry valid ID proof
-
-See you tomorrow! 🎉
-
-- Team ${process.env.APP_NAME || 'Sports Club'}
-  `.trim();
+  console.log(`✅ WhatsApp sent via ${provider.name}:`, result.messageId);
+  return result;
 }
 
 // ========================================
@@ -311,21 +168,56 @@ function formatPhoneNumber(phone) {
   return cleaned;
 }
 
+// ========================================
+// Helpers
+// ========================================
+
+// Approved template name (overridable per message), language + body parameters
+function messageTemplate(key, locale, parameters) {
+  return {
+    name: process.env[`WHATSAPP_TEMPLATE_${key.toUpperCase()}`] || key,
+    language: locale,
+    parameters
+  };
+}
+
+// QR code image of a booking as media (null before the QR exists)
+function getQRMedia(booking) {
+  if (!booking.qrImage) return null;
+
+  return {
+    data: Buffer.from(booking.qrImage.split('base64,')[1], 'base64'),
+    mimeType: 'image/png',
+    filename: `qr-${booking.bookingNumber}.png`
+  };
+}
+
+// Provider errors carry the useful part in the response body
+function describeError(error) {
+  const details = error.response && error.response.data;
+  if (details) {
+    return `${error.message}: ${typeof details === 'string' ? details : JSON.stringify(details)}`;
+  }
+  return error.message;
+}
+
 // ========================================
 // Test WhatsApp Connection
 // ========================================
 exports.testWhatsAppConnection = async () => {
   try {
-    if (!process.env.WHATSAPP_SERVICE) {
-      console.log('⚠️ WhatsApp service not configured');
+    const provider = whatsappProviders.getProvider();
+
+    if (!provider.isConfigured()) {
+      console.log(`⚠️ WhatsApp provider "${provider.name}" is not configured`);
       return false;
     }
 
-    console.log('✅ WhatsApp service configured:', process.env.WHATSAPP_SERVICE);
+    console.log('✅ WhatsApp provider:', provider.name);
     return true;
 
   } catch (error) {
-    console.error('❌ WhatsApp test failed:', error);
+    console.error('❌ WhatsApp test failed:', error.message);
     return false;
   }
-};
\ No newline at end of file
+};
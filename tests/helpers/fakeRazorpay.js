@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// ========================================
+// Fake Razorpay Client (tests)
+// ========================================
+// Implements the subset of the Razorpay SDK used by this app and keeps
+// everything in memory. Pass an instance to razorpayService.setRazorpay().
+//
+// Options:
+//   refundStatus - status returned for new refunds ('processed' | 'pending')
+//   failRefunds  - reject every refund call (simulates an API error)
+
+const randomId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+
+module.exports = function createFakeRazorpay({ refundStatus = 'processed', failRefunds = false } = {}) {
+  const orders = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+
+  const client = {
+    orders: {
+      create: async (options) => {
+        const order = {
+          id: randomId('order'),
+          entity: 'order',
+          amount: options.amount,
+          currency: options.currency || 'INR',
+          receipt: options.receipt,
+          notes: options.notes || {},
+          status: 'created',
+          created_at: Math.floor(Date.now() / 1000)
+        };
+        orders.set(order.id, order);
+        return order;
+      },
+
+      fetch: async (orderId) => {
+        const order = orders.get(orderId);
+        if (!order) {
+          throw new Error(`Order ${orderId} does not exist`);
+        }
+        return order;
+      }
+    },
+
+    payments: {
+      fetch: async (paymentId) => {
+        if (!payments.has(paymentId)) {
+          // Unknown ids are treated as captured UPI payments
+          payments.set(paymentId, {
+            id: paymentId,
+            entity: 'payment',
+            amount: 0,
+            amount_refunded: 0,
+            currency: 'INR',
+            method: 'upi',
+            status: 'captured'
+          });
+        }
+        return payments.get(paymentId);
+      },
+
+      refund: async (paymentId, options = {}) => {
+        if (failRefunds) {
+          const error = new Error('The refund could not be processed');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const payment = await client.payments.fetch(paymentId);
+        const refund = {
+          id: randomId('rfnd'),
+          entity: 'refund',
+          amount: options.amount || payment.amount - payment.amount_refunded,
+          currency: 'INR',
+          payment_id: paymentId,
+          receipt: options.receipt || null,
+          notes: options.notes || {},
+          speed_requested: options.speed || 'normal',
+          status: refundStatus,
+          created_at: Math.floor(Date.now() / 1000)
+        };
+
+        payment.amount_refunded += refund.amount;
+        refunds.set(refund.id, refund);
+        return refund;
+      }
+    },
+
+    refunds: {
+      fetch: async (refundId) => {
+        const refund = refunds.get(refundId);
+        if (!refund) {
+          throw new Error(`Refund ${refundId} does not exist`);
+        }
+        return refund;
+      }
+    },
+
+    // Test helper: register a captured payment with a known amount (paise)
+    addPayment: (payment) => {
+      const stored = {
+        entity: 'payment',
+        amount_refunded: 0,
+        currency: 'INR',
+        method: 'upi',
+        status: 'captured',
+        ...payment
+      };
+      payments.set(stored.id, stored);
+      return stored;
+    }
+  };
+
+  return client;
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// In-memory Mongoose models (tests)
+// ========================================
+// Replaces the static query methods and save() of a model with an in-memory
+// collection, so services can be tested without a MongoDB server. Only the
+// query / update operators the services use are supported:
+//   filters: equality, $in, $ne, $gt, $gte, $lt, $lte, $type, $or, $expr
+//            (with $add, $ifNull, $lt, $lte), dotted paths into arrays
+//   updates: $set, $inc, $unset, $push
+// Every read returns a fresh document, like a real query.
+
+const QUERY_METHODS = ['select', 'sort', 'populate', 'lean', 'skip', 'limit'];
+
+// Thenable standing in for a mongoose Query
+const query = (run) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+    catch: (reject) => chain.then(undefined, reject),
+    exec: () => Promise.resolve().then(run)
+  };
+  QUERY_METHODS.forEach(method => { chain[method] = () => chain; });
+  return chain;
+};
+
+const duplicateKeyError = (field) => {
+  const error = new Error(`E11000 duplicate key error: ${field}`);
+  error.code = 11000;
+  return error;
+};
+
+// options.unique - fields with a unique index (null values are ignored)
+module.exports = function useMemoryModel(t, Model, { unique = [] } = {}) {
+  const rows = new Map();
+
+  const hydrate = (row) => (row ? Model.hydrate(clone(row)) : null);
+  const findRows = (filter = {}) => [...rows.values()].filter(row => matches(row, filter));
+
+  const store = (doc) => {
+    const row = doc.toObject({ depopulate: true });
+    const id = String(row._id);
+
+    for (const field of unique) {
+      const value = row[field];
+      if (value === null || value === undefined) continue;
+      const taken = [...rows.values()].some(other => String(other._id) !== id && other[field] === value);
+      if (taken) throw duplicateKeyError(field);
+    }
+
+    rows.set(id, row);
+  };
+
+  t.mock.method(Model.prototype, 'save', async function () {
+    if (this.isNew && !this.createdAt && Model.schema.path('createdAt')) {
+      this.createdAt = new Date();
+    }
+    store(this);
+    this.isNew = false;
+    return this;
+  });
+
+  t.mock.method(Model, 'create', async (data) => {
+    const doc = new Model(data);
+    await doc.save();
+    return doc;
+  });
+
+  t.mock.method(Model, 'find', (filter) => query(() => findRows(filter).map(hydrate)));
+  t.mock.method(Model, 'findOne', (filter) => query(() => hydrate(findRows(filter)[0])));
+  t.mock.method(Model, 'findById', (id) => query(() => hydrate(rows.get(String(id)))));
+  t.mock.method(Model, 'countDocuments', (filter) => query(() => findRows(filter).length));
+  t.mock.method(Model, 'exists', (filter) => query(() => {
+    const row = findRows(filter)[0];
+    return row ? { _id: row._id } : null;
+  }));
+
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const row = findRows(filter)[0];
+    if (!row) return null;
+
+    const before = clone(row);
+    applyUpdate(row, update);
+    return hydrate(options.new ? row : before);
+  }));
+
+  t.mock.method(Model, 'updateOne', (filter, update) => query(() => {
+    const row = findRows(filter)[0];
+    if (!row) return { matchedCount: 0, modifiedCount: 0 };
+
+    applyUpdate(row, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  }));
+
+  t.mock.method(Model, 'updateMany', (filter, update) => query(() => {
+    const matched = findRows(filter);
+    matched.forEach(row => applyUpdate(row, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  }));
+
+  return {
+    // Store a document directly (test setup); returns it hydrated
+    insert: (data) => {
+      const doc = new Model(data);
+      store(doc);
+      return hydrate(rows.get(String(doc._id)));
+    },
+    all: () => [...rows.values()].map(hydrate),
+    get: (id) => hydrate(rows.get(String(id)))
+  };
+};
+
+// ========================================
+// HELPER: Copies
+// ========================================
+
+// Deep copy that keeps ObjectIds and Dates
+function clone(value) {
+  if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(String(value));
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+// ========================================
+// HELPER: Filters
+// ========================================
+
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(row, branch));
+    if (key === '$expr') return Boolean(evaluate(row, condition));
+
+    return getValues(row, key).some(value => matchesCondition(value, condition))
+      || (getValues(row, key).length === 0 && matchesCondition(undefined, condition));
+  });
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition && typeof condition === 'object'
+    && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)
+    && Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (!isOperatorObject) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(item => equals(value, item));
+      case '$ne': return !equals(value, operand);
+      case '$gt': return value !== null && value !== undefined && value > operand;
+      case '$gte': return value !== null && value !== undefined && value >= operand;
+      case '$lt': return value !== null && value !== undefined && value < operand;
+      case '$lte': return value !== null && value !== undefined && value <= operand;
+      case '$type': return operand === 'string' ? typeof value === 'string' : false;
+      default: throw new Error(`Unsupported query operator in test store: ${operator}`);
+    }
+  });
+}
+
+// null matches a missing field, ids compare by value
+function equals(value, expected) {
+  if (expected === null) return value === null || value === undefined;
+  if (value === null || value === undefined) return false;
+  if (value instanceof Date || expected instanceof Date) return new Date(value).getTime() === new Date(expected).getTime();
+  return String(value) === String(expected);
+}
+
+// All values at a dotted path (arrays are searched element by element)
+function getValues(row, path) {
+  let values = [row];
+  for (const part of path.split('.')) {
+    values = values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value !== null && value !== undefined && typeof value === 'object')
+      .map(value => value[part])
+      .filter(value => value !== undefined);
+  }
+  return values.flatMap(value => (Array.isArray(value) ? value : [value]));
+}
+
+// Aggregation expressions used in $expr filters
+function evaluate(row, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getValues(row, expression.substring(1))[0];
+  }
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    return expression;
+  }
+
+  const [[operator, operands]] = Object.entries(expression);
+  const args = operands.map(operand => evaluate(row, operand));
+
+  switch (operator) {
+    case '$add': return args.reduce((sum, value) => sum + value, 0);
+    case '$ifNull': return args[0] === null || args[0] === undefined ? args[1] : args[0];
+    case '$lt': return args[0] < args[1];
+    case '$lte': return args[0] <= args[1];
+    default: throw new Error(`Unsupported expression operator in test store: ${operator}`);
+  }
+}
+
+// ========================================
+// HELPER: Updates
+// ========================================
+
+function applyUpdate(row, update) {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set': setValue(row, path, value); break;
+        case '$inc': setValue(row, path, (getValues(row, path)[0] || 0) + value); break;
+        case '$unset': setValue(row, path, undefined); break;
+        case '$push': setValue(row, path, [...(getValues(row, path) || []), clone(value)]); break;
+        default: throw new Error(`Unsupported update operator in test store: ${operator}`);
+      }
+    });
+  });
+}
+
+function setValue(row, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((object, part) => {
+    if (!object[part]) object[part] = {};
+    return object[part];
+  }, row);
+  target[last] = value;
+}
@@ -0,0 +1,104 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Coupon = require('../models/Coupon');
+const Notification = require('../models/Notification');
+const ContactPreference = require('../models/ContactPreference');
+const notificationService = require('../services/notificationService');
+const emailService = require('../services/emailService');
+const whatsappService = require('../services/whatsappService');
+const { OPTIONAL_MESSAGE_CATEGORIES } = require('../config/notifications');
+const useMemoryModel = require('./helpers/memoryModels');
+
+// ========================================
+// Notification Outbox - opt-outs
+// ========================================
+
+const EMAIL = 'asha@example.com';
+const PHONE = '9876543210';
+
+let bookings;
+let entries;
+let coupons;
+let notifications;
+let preferences;
+let sent;
+
+beforeEach((t) => {
+  bookings = useMemoryModel(t, Booking);
+  entries = useMemoryModel(t, WaitlistEntry);
+  coupons = useMemoryModel(t, Coupon);
+  notifications = useMemoryModel(t, Notification);
+  preferences = useMemoryModel(t, ContactPreference);
+  sent = [];
+
+  const record = (name) => async () => {
+    sent.push(name);
+    return { success: true, messageId: `msg_${sent.length}` };
+  };
+  t.mock.method(emailService, 'sendWaitlistOfferEmail', record('waitlist-offer:email'));
+  t.mock.method(whatsappService, 'sendWaitlistOfferNotification', record('waitlist-offer:whatsapp'));
+  t.mock.method(emailService, 'sendNoShowCreditEmail', record('no-show-credit:email'));
+  t.mock.method(emailService, 'sendReminderEmail', record('booking-reminder:email'));
+
+  // Delivered by the explicit processOutbox() calls below
+  t.mock.method(notificationService, 'deliverSoon', () => {});
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// The customer turned off every optional category on email and WhatsApp
+const optOutEverywhere = () => {
+  preferences.insert({ channel: 'email', address: EMAIL, optedOut: OPTIONAL_MESSAGE_CATEGORIES });
+  preferences.insert({ channel: 'whatsapp', address: PHONE, optedOut: OPTIONAL_MESSAGE_CATEGORIES });
+};
+
+const createBooking = () => bookings.insert({
+  bookingNumber: 'BK-TEST-0001',
+  activity: new mongoose.Types.ObjectId(),
+  numberOfParticipants: 2,
+  bookingDate: new Date('2026-11-10T00:00:00Z'),
+  selectedTimeSlot: { startTime: '07:00', endTime: '08:00' },
+  customerDetails: { name: 'Asha', email: EMAIL, phone: PHONE },
+  bookingStatus: 'Confirmed',
+  paymentStatus: 'Completed'
+});
+
+test('an opted-out address still gets waitlist offers and no-show credits', async () => {
+  optOutEverywhere();
+  const booking = createBooking();
+  const entry = entries.insert({
+    activity: booking.activity,
+    bookingDate: booking.bookingDate,
+    selectedTimeSlot: booking.selectedTimeSlot,
+    numberOfParticipants: 2,
+    customerDetails: { name: 'Asha', email: EMAIL, phone: PHONE }
+  });
+  const coupon = coupons.insert({ code: 'NOSHOW-TEST', discountType: 'Flat', discountValue: 200 });
+
+  await notificationService.notifyWaitlistOffer(entry, { offerUrl: 'https://example.com/offer', offerExpiresAt: new Date() });
+  await notificationService.notifyBooking('no-show-credit', booking, { payload: { couponId: coupon._id }, channels: ['email'] });
+
+  const summary = await notificationService.processOutbox();
+
+  assert.deepEqual(summary, { sent: 3, retrying: 0, failed: 0, skipped: 0 });
+  assert.deepEqual(sent.sort(), ['no-show-credit:email', 'waitlist-offer:email', 'waitlist-offer:whatsapp']);
+  assert.ok(notifications.all().every(notification => notification.status === 'Sent'));
+});
+
+test('an opted-out address does not get reminders', async () => {
+  optOutEverywhere();
+  const booking = createBooking();
+
+  await notificationService.notifyBooking('booking-reminder', booking, { channels: ['email'] });
+
+  const summary = await notificationService.processOutbox();
+
+  assert.equal(summary.skipped, 1);
+  assert.deepEqual(sent, []);
+  assert.equal(notifications.all()[0].status, 'Skipped');
+});
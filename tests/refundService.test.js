@@ -0,0 +1,201 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const refundService = require('../services/refundService');
+const sequenceService = require('../services/sequenceService');
+const inventoryService = require('../services/inventoryService');
+const notificationService = require('../services/notificationService');
+const { setRazorpay } = require('../services/razorpayService');
+const useMemoryModel = require('./helpers/memoryModels');
+const createFakeRazorpay = require('./helpers/fakeRazorpay');
+
+// ========================================
+// Refund Service - against the fake Razorpay client
+// ========================================
+
+let bookings;
+let refunds;
+let razorpay;
+
+beforeEach((t) => {
+  bookings = useMemoryModel(t, Booking);
+  refunds = useMemoryModel(t, Refund, { unique: ['refundNumber', 'razorpayRefundId'] });
+
+  let refundSequence = 0;
+  t.mock.method(sequenceService, 'generateDailyNumber', async (prefix) => `${prefix}-TEST-${++refundSequence}`);
+  t.mock.method(inventoryService, 'releaseBookingSpots', async () => true);
+  t.mock.method(notificationService, 'notifyBooking', async () => null);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  razorpay = createFakeRazorpay();
+  setRazorpay(razorpay);
+});
+
+// A confirmed booking paid with one Razorpay payment
+const createPaidBooking = ({ finalAmount = 1000 } = {}) => {
+  const paymentId = `pay_test${new mongoose.Types.ObjectId()}`;
+  razorpay.addPayment({ id: paymentId, amount: finalAmount * 100 });
+
+  return bookings.insert({
+    bookingNumber: `BK-TEST-${Math.floor(Math.random() * 10000)}`,
+    finalAmount,
+    refundedAmount: 0,
+    bookingStatus: 'Confirmed',
+    paymentStatus: 'Completed',
+    razorpayPaymentId: paymentId
+  });
+};
+
+// Webhook payload entity for a Razorpay refund
+const refundEntity = async (refundId, overrides = {}) => ({
+  ...(await razorpay.refunds.fetch(refundId)),
+  ...overrides
+});
+
+test('full refund refunds the payment and cancels the booking', async () => {
+  const booking = createPaidBooking();
+
+  const { refund, booking: updated } = await refundService.initiateRefund(booking, { reason: 'Event cancelled' });
+
+  assert.equal(refund.type, 'Full');
+  assert.equal(refund.amount, 1000);
+  assert.equal(refund.status, 'Processed');
+  assert.ok(refund.razorpayRefundId);
+  assert.equal(updated.bookingStatus, 'Cancelled');
+
+  const stored = bookings.get(booking._id);
+  assert.equal(stored.refundedAmount, 1000);
+  assert.equal(stored.paymentStatus, 'Refunded');
+
+  const payment = await razorpay.payments.fetch(booking.razorpayPaymentId);
+  assert.equal(payment.amount_refunded, 100000);
+});
+
+test('partial refunds add up and never exceed the amount paid', async () => {
+  const booking = createPaidBooking();
+
+  const { refund } = await refundService.initiateRefund(booking, {
+    amount: 300,
+    reason: 'Court lights not working',
+    cancelBooking: false
+  });
+
+  assert.equal(refund.type, 'Partial');
+  let stored = bookings.get(booking._id);
+  assert.equal(stored.refundedAmount, 300);
+  assert.equal(stored.paymentStatus, 'Partially Refunded');
+  assert.equal(stored.bookingStatus, 'Confirmed');
+  assert.equal(refundService.getRefundableAmount(stored), 700);
+
+  await assert.rejects(
+    refundService.initiateRefund(stored, { amount: 800, reason: 'Too much', cancelBooking: false }),
+    { status: 400 }
+  );
+
+  await refundService.initiateRefund(stored, { amount: 700, reason: 'Rest of the fee', cancelBooking: false });
+
+  stored = bookings.get(booking._id);
+  assert.equal(stored.refundedAmount, 1000);
+  assert.equal(stored.paymentStatus, 'Refunded');
+  assert.equal(refunds.all().length, 2);
+});
+
+test('a refund rejected by Razorpay is recorded as failed and not counted', async () => {
+  razorpay = createFakeRazorpay({ failRefunds: true });
+  setRazorpay(razorpay);
+  const booking = createPaidBooking();
+
+  await assert.rejects(
+    refundService.initiateRefund(booking, { reason: 'Event cancelled' }),
+    { status: 502 }
+  );
+
+  const [refund] = refunds.all();
+  assert.equal(refund.status, 'Failed');
+  assert.ok(refund.failureReason);
+
+  const stored = bookings.get(booking._id);
+  assert.equal(stored.refundedAmount, 0);
+  assert.equal(stored.paymentStatus, 'Completed');
+  assert.equal(stored.bookingStatus, 'Confirmed');
+});
+
+test('a webhook that arrives before the refund id is saved finds the refund by its receipt', async (t) => {
+  razorpay = createFakeRazorpay({ refundStatus: 'pending' });
+  setRazorpay(razorpay);
+  const booking = createPaidBooking();
+
+  // Deliver refund.processed while payments.refund() is still returning
+  const refundPayment = razorpay.payments.refund;
+  t.mock.method(razorpay.payments, 'refund', async (...args) => {
+    const created = await refundPayment(...args);
+    await refundService.handleRefundWebhook('refund.processed', { ...created, status: 'processed' });
+    return created;
+  });
+
+  const { refund } = await refundService.initiateRefund(booking, { reason: 'Event cancelled' });
+
+  const rows = refunds.all();
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'Processed');
+  assert.equal(rows[0].razorpayRefundId, refund.razorpayRefundId);
+  assert.equal(bookings.get(booking._id).refundedAmount, 1000);
+});
+
+test('duplicate webhooks change the refund and the booking only once', async () => {
+  razorpay = createFakeRazorpay({ refundStatus: 'pending' });
+  setRazorpay(razorpay);
+  const booking = createPaidBooking();
+
+  const { refund } = await refundService.initiateRefund(booking, { amount: 400, reason: 'Late start', cancelBooking: false });
+  const entity = await refundEntity(refund.razorpayRefundId, { error_description: 'Bank account closed' });
+
+  await refundService.handleRefundWebhook('refund.failed', entity);
+  await refundService.handleRefundWebhook('refund.failed', entity);
+
+  const rows = refunds.all();
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'Failed');
+  assert.equal(rows[0].failureReason, 'Bank account closed');
+
+  const stored = bookings.get(booking._id);
+  assert.equal(stored.refundedAmount, 0);
+  assert.equal(stored.paymentStatus, 'Completed');
+});
+
+test('a refund made in the Razorpay dashboard is recorded once from its webhook', async () => {
+  const booking = createPaidBooking();
+
+  // No receipt / notes from the app
+  const created = await razorpay.payments.refund(booking.razorpayPaymentId, { amount: 25000 });
+  const entity = await refundEntity(created.id);
+
+  const refund = await refundService.handleRefundWebhook('refund.processed', entity);
+  await refundService.handleRefundWebhook('refund.processed', entity);
+
+  assert.equal(refunds.all().length, 1);
+  assert.equal(refund.amount, 250);
+  assert.equal(refund.type, 'Partial');
+  assert.equal(refund.status, 'Processed');
+  assert.equal(refund.initiatedBy, null);
+
+  const stored = bookings.get(booking._id);
+  assert.equal(stored.refundedAmount, 250);
+  assert.equal(stored.paymentStatus, 'Partially Refunded');
+});
+
+test('a webhook for an unknown payment is ignored', async () => {
+  const result = await refundService.handleRefundWebhook('refund.processed', {
+    id: 'rfnd_unknown',
+    payment_id: 'pay_unknown',
+    amount: 10000
+  });
+
+  assert.equal(result, null);
+  assert.equal(refunds.all().length, 0);
+});
@@ -0,0 +1,95 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const rescheduleService = require('../services/rescheduleService');
+const refundService = require('../services/refundService');
+const inventoryService = require('../services/inventoryService');
+const qrController = require('../controllers/qrController');
+const useMemoryModel = require('./helpers/memoryModels');
+
+// ========================================
+// Reschedule Service - paid fare differences
+// ========================================
+
+let bookings;
+let refundCalls;
+
+beforeEach((t) => {
+  bookings = useMemoryModel(t, Booking);
+  refundCalls = [];
+
+  t.mock.method(refundService, 'initiateRefund', async (booking, options) => {
+    refundCalls.push(options);
+    return { refund: null, refunds: [], booking };
+  });
+  t.mock.method(inventoryService, 'releaseSpots', async () => true);
+  t.mock.method(qrController, 'generateAndSendQR', async () => {});
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// A paid booking waiting for a ₹200 fare difference on order_resched
+const createPendingReschedule = () => bookings.insert({
+  bookingNumber: 'BK-TEST-0001',
+  activity: new mongoose.Types.ObjectId(),
+  numberOfParticipants: 2,
+  bookingDate: new Date('2026-11-10T00:00:00Z'),
+  selectedTimeSlot: { startTime: '07:00', endTime: '08:00' },
+  pricePerPerson: 500,
+  totalAmount: 1000,
+  finalAmount: 1000,
+  bookingStatus: 'Confirmed',
+  paymentStatus: 'Completed',
+  razorpayOrderId: 'order_original',
+  razorpayPaymentId: 'pay_original',
+  spotsHeld: true,
+  pendingReschedule: {
+    bookingDate: new Date('2026-11-12T00:00:00Z'),
+    selectedTimeSlot: { startTime: '18:00', endTime: '19:00' },
+    pricePerPerson: 600,
+    amountDue: 200,
+    razorpayOrderId: 'order_resched',
+    spotsHeld: true
+  }
+});
+
+const payment = { orderId: 'order_resched', paymentId: 'pay_resched', amount: 200 };
+
+test('verify and webhook racing apply the reschedule once and refund nothing', async () => {
+  const booking = createPendingReschedule();
+
+  const results = await Promise.all([
+    rescheduleService.completePendingReschedule(booking, payment),
+    rescheduleService.completePendingReschedule(booking, payment)
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ['AlreadyProcessed', 'Rescheduled']);
+  assert.equal(refundCalls.length, 0);
+
+  const stored = bookings.get(booking._id);
+  assert.equal(stored.selectedTimeSlot.startTime, '18:00');
+  assert.equal(stored.finalAmount, 1200);
+  assert.equal(stored.additionalPayments.length, 1);
+  assert.equal(stored.rescheduleHistory.length, 1);
+});
+
+test('a payment on a superseded order is recorded and refunded once', async () => {
+  const booking = createPendingReschedule();
+  const superseded = { orderId: 'order_old', paymentId: 'pay_old', amount: 150 };
+
+  const first = await rescheduleService.completePendingReschedule(booking, superseded);
+  const second = await rescheduleService.completePendingReschedule(booking, superseded);
+
+  assert.equal(first.status, 'SlotUnavailable');
+  assert.equal(second.status, 'AlreadyProcessed');
+  assert.equal(refundCalls.length, 1);
+  assert.equal(refundCalls[0].amount, 150);
+
+  const stored = bookings.get(booking._id);
+  assert.equal(stored.selectedTimeSlot.startTime, '07:00');
+  assert.equal(stored.pendingReschedule.razorpayOrderId, 'order_resched');
+  assert.equal(stored.finalAmount, 1150);
+  assert.equal(stored.additionalPayments.length, 1);
+});